@@ -0,0 +1,64 @@
+// atomic-copy.cjs - Copy through a temp file so a destination is never left half written (CommonJS)
+const fs = require('fs').promises;
+
+const TEMP_SUFFIX = '.wsl-sync-tmp';
+
+function getTempPath(destination) {
+  return `${destination}${TEMP_SUFFIX}`;
+}
+
+// Apply source ownership, permissions and times to an open temp file, then flush it to disk
+async function finishTempFile(handle, metadata = {}) {
+  const { mode, mtime, atime, uid, gid } = metadata;
+
+  if (uid !== undefined) {
+    // Only root may give a file away - an unprivileged copy keeps its owner, like rsync
+    await handle.chown(uid, gid ?? -1).catch(() => {});
+  }
+  if (mode !== undefined) {
+    // Some mounts (drvfs without metadata) reject chmod - the copy is still valid
+    await handle.chmod(mode & 0o7777).catch(() => {});
+  }
+  if (mtime) {
+    // Seconds keep the sub-millisecond part a Date would drop
+    await handle.utimes(atime ? atime / 1000 : new Date(), mtime / 1000);
+  }
+
+  await handle.sync();
+}
+
+// Copy to a temp file beside the destination and rename it over the target. metadata holds
+// the mode, uid, gid and atime to give the copy in place of the source file's own mode, and
+// content, when given, is written in place of the source's own bytes.
+async function atomicCopy(source, destination, options = {}) {
+  const { mtime = null, metadata = null, content = null } = options;
+  const tempPath = getTempPath(destination);
+
+  try {
+    const { mode } = await fs.stat(source);
+    if (content) {
+      await fs.writeFile(tempPath, content);
+    } else {
+      await fs.copyFile(source, tempPath);
+    }
+
+    const handle = await fs.open(tempPath, 'r+');
+    try {
+      await finishTempFile(handle, { mode, mtime, ...metadata });
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tempPath, destination);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  TEMP_SUFFIX,
+  getTempPath,
+  finishTempFile,
+  atomicCopy
+};
@@ -0,0 +1,104 @@
+// case-collisions.js - Names that differ only in case, which a case-insensitive target cannot hold apart
+import fs from 'fs/promises';
+import path from 'path';
+import { getTempPath } from './atomic-copy.cjs';
+import { driveOf } from './symlinks.cjs';
+import { probeDirFor, readCaseFlag } from './xattrs.cjs';
+
+// Key a case-insensitive file system such as drvfs files a relative path under
+export function caseKey(relPath) {
+  return relPath.toLowerCase();
+}
+
+// Whether a directory keeps names apart that differ only in case, found without writing into
+// it. drvfs directories are case-insensitive unless WSL flagged them, which is set per
+// directory and so read off the directory itself. Elsewhere a probe file in probeDirFor is
+// looked up in upper case; with nowhere to probe the directory is taken to be like Linux.
+export async function holdsCaseDistinctNames(dir, mountRoot = '/mnt') {
+  if (driveOf(dir, mountRoot)) return readCaseFlag(dir);
+
+  const probeDir = await probeDirFor(dir);
+  if (!probeDir) return true;
+
+  const probePath = getTempPath(path.join(probeDir, `case-${process.pid}`));
+  try {
+    await fs.writeFile(probePath, '');
+    const upper = path.join(probeDir, path.basename(probePath).toUpperCase());
+    return !await fs.stat(upper).then(() => true, () => false);
+  } catch {
+    return true;
+  } finally {
+    await fs.rm(probePath, { force: true });
+  }
+}
+
+// Groups of scanned files whose relative paths differ only in case, each sorted by path
+export function findCaseCollisions(files) {
+  const byKey = new Map();
+  for (const file of files) {
+    const key = caseKey(file.relPath);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(file);
+  }
+
+  return [...byKey.values()]
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => a.relPath.localeCompare(b.relPath)));
+}
+
+// The name a file goes by in its directory on a case-insensitive target, or null when it is not
+// there. listings caches directory reads across the files of one plan.
+export async function nameOnTarget(filePath, listings = new Map()) {
+  const dir = path.dirname(filePath);
+  if (!listings.has(dir)) {
+    listings.set(dir, await fs.readdir(dir).catch(() => []));
+  }
+
+  const base = path.basename(filePath);
+  const names = listings.get(dir);
+  return names.find(name => name === base) ?? names.find(name => caseKey(name) === caseKey(base)) ?? null;
+}
+
+// The file a collision keeps. side is the side ('a' source, 'b' destination) the names come
+// from, held the name the other side already has. A choice may name one of the files. 'source'
+// and 'destination' keep the newest file when they name the side the names come from, and the
+// held name when they name the other side. 'newer' and 'keep-both', which the target cannot do
+// here, keep the held name, else the newest. null leaves the whole group out until it is resolved
+// by hand.
+export function pickCaseCollisionWinner(files, options = {}) {
+  const { held = null, side = 'a', strategy = 'newer', resolutions = {} } = options;
+  const choice = strategy === 'manual' ? resolutions[files[0].relPath] : strategy;
+
+  const chosen = files.find(file => file.relPath === choice);
+  if (chosen) return chosen;
+
+  const newest = files.reduce((latest, file) => file.mtime > latest.mtime ? file : latest);
+  const heldFile = files.find(file => file.relPath === held);
+
+  switch (choice) {
+    case 'source':
+    case 'destination':
+      return (choice === 'source') === (side === 'a') ? newest : heldFile || newest;
+
+    case 'newer':
+    case 'keep-both':
+      return heldFile || newest;
+
+    default:
+      return null;
+  }
+}
+
+// Describe a collision between names from one side, and the name kept, as a conflict
+export function caseCollisionConflict(files, kept, side, strategy = 'newer', resolutions = {}) {
+  const relPath = files[0].relPath;
+
+  return {
+    path: relPath,
+    type: 'case-collision',
+    paths: files.map(file => file.relPath),
+    kept: kept?.relPath || null,
+    winner: kept ? side : null,
+    resolution: !kept ? 'manual' : strategy === 'manual' ? resolutions[relPath] : strategy
+  };
+}
@@ -0,0 +1,64 @@
+// conflicts.js - Conflict resolution strategies for two-way sync
+import path from 'path';
+import os from 'os';
+
+// Strategies offered in SyncOptions, GeneralSettings and --conflict
+export const CONFLICT_STRATEGIES = ['newer', 'source', 'destination', 'keep-both', 'manual'];
+
+// Per-file choices accepted when resolving conflicts manually
+export const MANUAL_CHOICES = ['source', 'destination', 'newer', 'keep-both', 'skip'];
+
+// Decide which side wins a conflict: 'a' (source), 'b' (destination) or null if unresolved
+export function resolveConflict(conflict, strategy = 'newer', resolutions = {}) {
+  const { fileA, fileB } = conflict;
+
+  switch (strategy) {
+    case 'source':
+      return 'a';
+
+    case 'destination':
+      return 'b';
+
+    case 'newer':
+    case 'keep-both':
+      // A deletion has no timestamp - the surviving edit is always kept
+      if (!fileA) return 'b';
+      if (!fileB) return 'a';
+      return fileA.mtime >= fileB.mtime ? 'a' : 'b';
+
+    case 'manual': {
+      const choice = resolutions[conflict.path];
+      if (!choice || choice === 'skip' || choice === 'manual') {
+        return null;
+      }
+      return resolveConflict(conflict, choice);
+    }
+
+    default:
+      throw new Error(`Unknown conflict resolution strategy: ${strategy}`);
+  }
+}
+
+// Check whether a conflict should keep the losing version as a conflict copy
+export function keepsBoth(conflict, strategy, resolutions = {}) {
+  const choice = strategy === 'manual' ? resolutions[conflict.path] : strategy;
+  return choice === 'keep-both' && !!conflict.fileA && !!conflict.fileB;
+}
+
+// Build the conflict copy path: name.conflict-<host>-<timestamp>.ext
+export function conflictCopyName(relPath, options = {}) {
+  const { host = os.hostname(), date = new Date() } = options;
+  const timestamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const safeHost = host.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+  const ext = path.extname(relPath);
+  const base = relPath.slice(0, relPath.length - ext.length);
+  return `${base}.conflict-${safeHost}-${timestamp}${ext}`;
+}
+
+// Validate a strategy name coming from settings, profiles or the CLI
+export function isValidStrategy(strategy) {
+  return CONFLICT_STRATEGIES.includes(strategy);
+}
+
+export default resolveConflict;
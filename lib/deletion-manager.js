@@ -2,6 +2,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { Trash } from './trash.js';
 
 // Helper function to replace fs-extra's copy
 async function copyRecursive(src, dest) {
@@ -17,6 +18,47 @@ async function copyRecursive(src, dest) {
   }
 }
 
+// Limits that stop a run from deleting most of a tree because of a wrong path or an unmounted drive
+export const DEFAULT_DELETION_LIMITS = {
+  maxDeletes: 0,         // Deletions one run may make on a side (0 = no limit)
+  maxDeletePercent: 50,  // Share of a side's files one run may delete (0 = no limit)
+  minFilesForPercent: 10 // Sides with fewer files are not held to the percentage check
+};
+
+// Reasons a planned run's deletions look like a mistake; each side is
+// { root, files, deletions, sourceRoot, sourceFiles } for the files deleted under root
+export function checkDeletionLimits(sides, limits = {}) {
+  const { maxDeletes, maxDeletePercent, minFilesForPercent, scoped = false } = {
+    ...DEFAULT_DELETION_LIMITS,
+    ...limits
+  };
+  const reasons = [];
+
+  for (const side of sides) {
+    if (side.deletions === 0) continue;
+
+    // A scoped run only sees the changed paths, so tree-wide checks do not apply. An empty
+    // source is refused however small the other side is - that is what an unmounted drive looks like.
+    if (!scoped && side.sourceFiles === 0) {
+      reasons.push(`${side.sourceRoot} is empty (is the drive mounted?) - ` +
+        `syncing it would delete ${side.deletions} files from ${side.root}`);
+      continue;
+    }
+
+    if (maxDeletes > 0 && side.deletions > maxDeletes) {
+      reasons.push(`${side.deletions} files would be deleted from ${side.root} (limit ${maxDeletes})`);
+    }
+
+    const percent = side.files > 0 ? (side.deletions / side.files) * 100 : 100;
+    if (!scoped && side.files >= minFilesForPercent && maxDeletePercent > 0 && percent > maxDeletePercent) {
+      reasons.push(`${Math.round(percent)}% of ${side.root} would be deleted ` +
+        `(${side.deletions} of ${side.files} files, limit ${maxDeletePercent}%)`);
+    }
+  }
+
+  return reasons;
+}
+
 export class DeletionManager {
   constructor(options = {}) {
     this.options = {
@@ -39,6 +81,7 @@ export class DeletionManager {
     this.historyDir = path.join(os.homedir(), '.wsl-sync', 'deletion-history');
     this.operations = [];
     this.deletedFiles = new Map();
+    this.trash = new Trash();
   }
 
   // Initialize deletion manager
@@ -52,8 +95,19 @@ export class DeletionManager {
     }
   }
 
-  // Analyze what would be deleted in a sync operation
-  async analyzeDeletions(sourceFiles, destPath) {
+  // Analyze what would be deleted in a sync operation; directories the source lacks are
+  // orphans too, judged against options.sourceDirs or else the source files' parents.
+  // options.nameOf gives the name a destination path stands for where names are stored encoded.
+  async analyzeDeletions(sourceFiles, destPath, options = {}) {
+    const movedFrom = new Set(options.movedFrom || []);
+    const nameOf = options.nameOf || ((relPath) => relPath);
+    const sourceDirs = new Set(options.sourceDirs || sourceFiles.flatMap(file => {
+      const parents = [];
+      for (let dir = path.dirname(file.relPath); dir !== '.'; dir = path.dirname(dir)) {
+        parents.push(dir);
+      }
+      return parents;
+    }));
     const toDelete = [];
     const toMove = [];
     const conflicts = [];
@@ -68,9 +122,13 @@ export class DeletionManager {
         sourceMap.set(file.relPath, file);
       });
 
-      // Find orphaned files in destination
+      // Find orphaned files and directories in destination
       for (const destFile of destFiles) {
-        if (!sourceMap.has(destFile.relPath)) {
+        destFile.relPath = nameOf(destFile.relPath);
+        const inSource = destFile.isDirectory ? sourceDirs.has(destFile.relPath) : sourceMap.has(destFile.relPath);
+
+        // Files about to be renamed into place are not orphans
+        if (!inSource && !movedFrom.has(destFile.relPath)) {
           const deletion = {
             type: 'orphaned',
             file: destFile,
@@ -78,8 +136,9 @@ export class DeletionManager {
             relPath: destFile.relPath,
             size: destFile.size,
             mtime: destFile.mtime,
-            reason: 'File no longer exists in source',
-            isSafeToDelete: this.isSafeToDelete(destFile.relPath),
+            isDirectory: destFile.isDirectory,
+            reason: destFile.isDirectory ? 'Directory no longer exists in source' : 'File no longer exists in source',
+            isSafeToDelete: this.isSafeToDelete(destFile.isDirectory ? destFile.relPath + path.sep : destFile.relPath),
             canRecover: this.options.enableRecycleBin || this.options.keepHistory
           };
 
@@ -133,7 +192,13 @@ export class DeletionManager {
 
     this.operations = []; // Reset operations log
 
-    for (const deletion of deletions) {
+    // Directories go after the files in them, deepest first
+    const ordered = [
+      ...deletions.filter(deletion => !deletion.isDirectory),
+      ...deletions.filter(deletion => deletion.isDirectory).sort((a, b) => b.relPath.length - a.relPath.length)
+    ];
+
+    for (const deletion of ordered) {
       try {
         const operation = {
           id: this.generateOperationId(),
@@ -161,6 +226,16 @@ export class DeletionManager {
             continue;
           }
 
+          // A directory is only removed once nothing is left in it
+          if (deletion.isDirectory) {
+            await fs.rmdir(deletion.fullPath);
+            operation.method = 'permanent';
+            operation.success = true;
+            results.deleted.push(deletion);
+            this.operations.push(operation);
+            continue;
+          }
+
           // Create backup if enabled
           if (createBackup) {
             try {
@@ -223,16 +298,17 @@ export class DeletionManager {
     return results;
   }
 
-  // Create backup of file before deletion
-  async createBackup(deletion) {
-    const backupDir = path.join(
+  // Create backup of file before deletion; options.backupDir keeps it with a sync run's snapshot instead
+  async createBackup(deletion, options = {}) {
+    const backupDir = options.backupDir || path.join(
       this.historyDir, 
       new Date().toISOString().split('T')[0]
     );
     
     await fs.mkdir(backupDir, { recursive: true });
     
-    const backupPath = path.join(backupDir, `${Date.now()}-${path.basename(deletion.relPath)}`);
+    const backupName = options.backupName || `${Date.now()}-${path.basename(deletion.relPath)}`;
+    const backupPath = path.join(backupDir, backupName);
     const metadataPath = backupPath + '.meta.json';
     
     // Copy file to backup location
@@ -248,37 +324,28 @@ export class DeletionManager {
       reason: deletion.reason
     };
     
-    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    
+    // Run snapshots are restored through the run's history, not as individual deletions
+    if (!options.backupDir) {
+      this.deletedFiles.set(deletion.relPath, {
+        backupPath,
+        metadata,
+        canRestore: true
+      });
+    }
     
-    this.deletedFiles.set(deletion.relPath, {
-      backupPath,
-      metadata,
-      canRestore: true
-    });
+    return { backupPath, metadata };
   }
 
-  // Move file to recycle bin (Windows only, or simulated on other platforms)
+  // Move file to the trash: the freedesktop.org Trash, or the drive's recycle folder for /mnt/<drive> paths
   async moveToRecycleBin(filePath) {
-    // For non-Windows platforms, we'll simulate the recycle bin with a special folder
-    const recycleBinDir = path.join(os.homedir(), '.wsl-sync', 'recycle-bin');
-    await fs.mkdir(recycleBinDir, { recursive: true });
-    
-    const fileName = `${Date.now()}-${path.basename(filePath)}`;
-    const recycleBinPath = path.join(recycleBinDir, fileName);
-    
-    if (process.platform === 'win32') {
-      // Note: In a full implementation, you'd use a native module like 'trash'
-      // For now, we use the simulated recycle bin even on Windows
-      await fs.move(filePath, recycleBinPath);
-    } else {
-      // Simulate recycle bin on non-Windows platforms
-      await fs.move(filePath, recycleBinPath);
-    }
+    return this.trash.moveToTrash(filePath);
   }
 
   // Check if recycle bin is available
   canMoveToRecycleBin() {
-    return process.platform === 'win32';
+    return true;
   }
 
   // Check if a file is safe to delete
@@ -388,8 +455,8 @@ export class DeletionManager {
     ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
-  // Scan directory for files
-  async scanDirectory(dirPath) {
+  // Scan directory for files and the directories holding them, with paths relative to baseDir
+  async scanDirectory(dirPath, baseDir = dirPath) {
     const files = [];
     
     try {
@@ -397,10 +464,11 @@ export class DeletionManager {
       
       for (const entry of entries) {
         const fullPath = path.join(dirPath, entry.name);
-        const relPath = path.relative(dirPath, fullPath);
+        const relPath = path.relative(baseDir, fullPath);
         
-        if (entry.isFile()) {
-          const stats = await fs.stat(fullPath);
+        // A link is removed as itself, never through what it points at
+        if (entry.isFile() || entry.isSymbolicLink()) {
+          const stats = await fs.lstat(fullPath);
           files.push({
             fullPath,
             relPath,
@@ -410,8 +478,16 @@ export class DeletionManager {
             isDirectory: false
           });
         } else if (entry.isDirectory()) {
-          const subFiles = await this.scanDirectory(fullPath);
-          files.push(...subFiles);
+          const stats = await fs.stat(fullPath);
+          files.push({
+            fullPath,
+            relPath,
+            name: entry.name,
+            size: 0,
+            mtime: stats.mtimeMs,
+            isDirectory: true
+          });
+          files.push(...await this.scanDirectory(fullPath, baseDir));
         }
       }
     } catch (error) {
@@ -0,0 +1,171 @@
+// delta-transfer.cjs - rsync-style rolling checksum delta copy (CommonJS)
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { finishTempFile } = require('./atomic-copy.cjs');
+
+const DEFAULT_BLOCK_SIZE = 64 * 1024; // 64KB blocks
+const READ_WINDOW = 4 * 1024 * 1024; // Read the source 4MB at a time
+
+// Weak checksum of a block: rsync's a/b sums, each mod 2^16
+function weakChecksum(buf, start, length) {
+  let a = 0;
+  let b = 0;
+
+  for (let i = 0; i < length; i++) {
+    const byte = buf[start + i];
+    a = (a + byte) & 0xffff;
+    b = (b + (length - i) * byte) & 0xffff;
+  }
+
+  return { a, b };
+}
+
+// Slide the checksum window one byte forward
+function rollChecksum(sum, outByte, inByte, length) {
+  const a = (sum.a - outByte + inByte) & 0xffff;
+  const b = (sum.b - length * outByte + a) & 0xffff;
+  return { a, b };
+}
+
+function checksumKey(sum) {
+  return sum.b * 0x10000 + sum.a;
+}
+
+function strongChecksum(buf) {
+  return crypto.createHash('md5').update(buf).digest('hex');
+}
+
+// Index every full block of the existing file by weak checksum
+async function buildSignature(filePath, blockSize = DEFAULT_BLOCK_SIZE) {
+  const signature = new Map();
+  const handle = await fs.open(filePath, 'r');
+  const block = Buffer.alloc(blockSize);
+
+  try {
+    for (let index = 0; ; index++) {
+      const { bytesRead } = await handle.read(block, 0, blockSize, index * blockSize);
+      if (bytesRead < blockSize) break;
+
+      const key = checksumKey(weakChecksum(block, 0, blockSize));
+      if (!signature.has(key)) {
+        signature.set(key, []);
+      }
+      signature.get(key).push({ index, strong: strongChecksum(block) });
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return signature;
+}
+
+// Rebuild destination from source, reusing every block the old destination already has
+async function deltaCopy(source, destination, options = {}) {
+  const {
+    blockSize = DEFAULT_BLOCK_SIZE,
+    tempPath = `${destination}.wsl-sync-delta`,
+    mtime = null,
+    metadata = null,
+    onProgress = null,
+    waitIfPaused = null
+  } = options;
+
+  const signature = await buildSignature(destination, blockSize);
+  const { size: totalSize, mode } = await fs.stat(source);
+  const stats = { bytesMatched: 0, bytesLiteral: 0 };
+
+  const src = await fs.open(source, 'r');
+  const old = await fs.open(destination, 'r');
+  const out = await fs.open(tempPath, 'w');
+  const block = Buffer.alloc(blockSize);
+
+  let buf = Buffer.alloc(0);
+  let pos = 0; // Start of the checksum window in buf
+  let literalStart = 0; // First byte in buf not yet written to out
+  let consumed = 0; // Source bytes read so far
+  let eof = false;
+  let sum = null;
+
+  // Write source bytes that matched no block
+  const flushLiteral = async () => {
+    if (pos > literalStart) {
+      await out.write(buf.subarray(literalStart, pos));
+      stats.bytesLiteral += pos - literalStart;
+    }
+    literalStart = pos;
+  };
+
+  try {
+    while (true) {
+      if (buf.length - pos < blockSize && !eof) {
+        if (waitIfPaused) await waitIfPaused();
+
+        // Keep the current window, drop everything already written
+        await flushLiteral();
+        const chunk = Buffer.alloc(READ_WINDOW);
+        const { bytesRead } = await src.read(chunk, 0, READ_WINDOW, null);
+        eof = bytesRead === 0;
+        buf = Buffer.concat([buf.subarray(pos), chunk.subarray(0, bytesRead)]);
+        pos = 0;
+        literalStart = 0;
+        consumed += bytesRead;
+
+        if (onProgress) onProgress(consumed, totalSize);
+        continue;
+      }
+
+      if (buf.length - pos < blockSize) break;
+
+      if (!sum) {
+        sum = weakChecksum(buf, pos, blockSize);
+      }
+
+      const candidates = signature.get(checksumKey(sum));
+      const match = candidates &&
+        candidates.find(candidate => candidate.strong === strongChecksum(buf.subarray(pos, pos + blockSize)));
+
+      if (match) {
+        await flushLiteral();
+        const { bytesRead } = await old.read(block, 0, blockSize, match.index * blockSize);
+        await out.write(block.subarray(0, bytesRead));
+        stats.bytesMatched += bytesRead;
+
+        pos += blockSize;
+        literalStart = pos;
+        sum = null;
+      } else {
+        // Roll forward one byte when the next byte is already buffered
+        sum = pos + blockSize < buf.length ?
+          rollChecksum(sum, buf[pos], buf[pos + blockSize], blockSize) :
+          null;
+        pos++;
+      }
+    }
+
+    // Whatever is left after the last full window is literal data
+    pos = buf.length;
+    await flushLiteral();
+
+    await finishTempFile(out, { mode, mtime, ...metadata });
+  } catch (error) {
+    await out.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  } finally {
+    await src.close().catch(() => {});
+    await old.close().catch(() => {});
+  }
+
+  await out.close();
+  await fs.rename(tempPath, destination);
+
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_BLOCK_SIZE,
+  weakChecksum,
+  rollChecksum,
+  buildSignature,
+  deltaCopy
+};
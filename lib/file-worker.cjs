@@ -2,12 +2,17 @@
 const { parentPort } = require('worker_threads');
 const fs = require('fs').promises;
 const path = require('path');
-const { createReadStream, createWriteStream } = require('fs');
+const { createReadStream } = require('fs');
 const crypto = require('crypto');
+const { deltaCopy, DEFAULT_BLOCK_SIZE } = require('./delta-transfer.cjs');
+const { resumableCopy } = require('./partial-copy.cjs');
+const { atomicCopy } = require('./atomic-copy.cjs');
+const { copySymlink } = require('./symlinks.cjs');
+const { writeXattrs } = require('./xattrs.cjs');
+const { transformCopy } = require('./transforms.cjs');
 
 // Large file threshold (10MB)
 const LARGE_FILE_THRESHOLD = 10 * 1024 * 1024;
-const CHUNK_SIZE = 64 * 1024; // 64KB chunks
 
 // Pause state
 let isPaused = false;
@@ -25,52 +30,82 @@ async function calculateFileHash(filePath) {
   });
 }
 
-// Copy file with streaming for large files
-async function copyFileWithProgress(source, destination, fileSize) {
+// Copy file with streaming for large files - the destination is only replaced once complete
+async function copyFileWithProgress(source, destination, fileSize, mtime, metadata = null) {
   if (fileSize < LARGE_FILE_THRESHOLD) {
     // Small file - use regular copy
-    await fs.copyFile(source, destination);
+    await atomicCopy(source, destination, { mtime, metadata });
     parentPort.postMessage({
       type: 'progress',
       data: { copied: fileSize, total: fileSize, percentage: 100 }
     });
-  } else {
-    // Large file - use streaming with progress
-    return new Promise((resolve, reject) => {
-      const readStream = createReadStream(source, { highWaterMark: CHUNK_SIZE });
-      const writeStream = createWriteStream(destination);
-      
-      let copied = 0;
-      let lastReportedPercentage = 0;
-      
-      readStream.on('data', async (chunk) => {
-        // Check if paused
-        while (isPaused) {
-          readStream.pause();
-          await new Promise(resolve => setTimeout(resolve, pauseCheckInterval));
-        }
-        readStream.resume();
-        
-        copied += chunk.length;
-        const percentage = Math.round((copied / fileSize) * 100);
-        
-        // Report progress every 5%
-        if (percentage >= lastReportedPercentage + 5 || percentage === 100) {
-          lastReportedPercentage = percentage;
-          parentPort.postMessage({
-            type: 'progress',
-            data: { copied, total: fileSize, percentage }
-          });
-        }
-      });
-      
-      readStream.on('error', reject);
-      writeStream.on('error', reject);
-      writeStream.on('finish', resolve);
-      
-      readStream.pipe(writeStream);
-    });
+    return { bytesResumed: 0 };
   }
+
+  // Large file - stream into a partial file so an interrupted copy can resume
+  let lastReportedPercentage = 0;
+  return resumableCopy(source, destination, {
+    mtime,
+    metadata,
+    waitIfPaused,
+    onProgress: (copied, total) => {
+      const percentage = total > 0 ? Math.round((copied / total) * 100) : 100;
+
+      // Report progress every 5%
+      if (percentage >= lastReportedPercentage + 5 || percentage === 100) {
+        lastReportedPercentage = percentage;
+        parentPort.postMessage({
+          type: 'progress',
+          data: { copied, total, percentage }
+        });
+      }
+    }
+  });
+}
+
+// Wait while the worker is paused
+async function waitIfPaused() {
+  while (isPaused) {
+    await new Promise(resolve => setTimeout(resolve, pauseCheckInterval));
+  }
+}
+
+// Copy a file, sending only changed blocks when an older copy already exists. A file with
+// transforms is rewritten whole, and reports what they wrote as transformed.
+async function transferFile(file, operation) {
+  if (file.transforms) {
+    const { mtime, metadata, transforms } = file;
+    const transformed = await transformCopy(file.source, file.destination, { mtime, metadata, transforms });
+    return { bytesTransferred: transformed ? transformed.size : file.size, bytesSaved: 0, transformed };
+  }
+
+  const existing = operation.deltaThreshold && file.size >= operation.deltaThreshold ?
+    await fs.stat(file.destination).catch(() => null) :
+    null;
+
+  if (!existing || !existing.isFile() || existing.size < DEFAULT_BLOCK_SIZE) {
+    const { bytesResumed } = await copyFileWithProgress(file.source, file.destination, file.size, file.mtime, file.metadata);
+    return { bytesTransferred: file.size - bytesResumed, bytesSaved: 0, bytesResumed };
+  }
+
+  let lastReportedPercentage = 0;
+  const delta = await deltaCopy(file.source, file.destination, {
+    mtime: file.mtime,
+    metadata: file.metadata,
+    waitIfPaused,
+    onProgress: (copied, total) => {
+      const percentage = total > 0 ? Math.round((copied / total) * 100) : 100;
+      if (percentage >= lastReportedPercentage + 5 || percentage === 100) {
+        lastReportedPercentage = percentage;
+        parentPort.postMessage({
+          type: 'progress',
+          data: { copied, total, percentage }
+        });
+      }
+    }
+  });
+
+  return { bytesTransferred: delta.bytesLiteral, bytesSaved: delta.bytesMatched };
 }
 
 // Process a batch of files
@@ -82,33 +117,36 @@ async function processBatch(files, operation) {
       const startTime = Date.now();
       
       // Ensure destination directory exists
-      await fs.ensureDir(path.dirname(file.destination));
+      await fs.mkdir(path.dirname(file.destination), { recursive: true });
       
-      // Copy the file
-      await copyFileWithProgress(file.source, file.destination, file.size);
-      
-      // Preserve modification time
-      if (file.mtime) {
-        await fs.utimes(file.destination, new Date(), new Date(file.mtime));
-      }
+      // Copy the file, or recreate a preserved link, preserving modification time
+      const isLink = typeof file.linkTarget === 'string';
+      const transfer = isLink ?
+        await copySymlink(file.linkTarget, file.destination, { mtime: file.mtime }).then(() => ({ bytesTransferred: 0, bytesSaved: 0 })) :
+        await transferFile(file, operation);
       
       // Verify copy if requested
-      if (operation.verify) {
+      if (operation.verify && !isLink) {
         const sourceHash = await calculateFileHash(file.source);
         const destHash = await calculateFileHash(file.destination);
         
-        if (sourceHash !== destHash) {
+        if ((transfer.transformed?.hash || sourceHash) !== destHash) {
           throw new Error('File verification failed - hashes do not match');
         }
       }
       
+      // Attributes that do not stick are reported, not treated as a failed copy
+      const xattrErrors = file.xattrs && !isLink ? await writeXattrs(file.destination, file.xattrs) : [];
+      
       const duration = Date.now() - startTime;
       
       results.push({
         success: true,
         file: file.relPath,
         duration,
-        size: file.size
+        size: file.size,
+        ...transfer,
+        ...(xattrErrors.length > 0 && { xattrErrors })
       });
       
       parentPort.postMessage({
@@ -116,7 +154,8 @@ async function processBatch(files, operation) {
         data: {
           file: file.relPath,
           success: true,
-          duration
+          duration,
+          ...transfer
         }
       });
     } catch (error) {
@@ -156,8 +195,8 @@ async function processBatch(files, operation) {
   return results;
 }
 
-// Listen for messages from the parent thread
-parentPort.on('message', async (message) => {
+// Listen for messages from the parent thread (only when loaded as a worker)
+if (parentPort) parentPort.on('message', async (message) => {
   // Handle pause/resume messages
   if (message.type === 'pause') {
     isPaused = true;
@@ -216,4 +255,7 @@ parentPort.on('message', async (message) => {
       data: { error: error.message }
     });
   }
-});
\ No newline at end of file
+});
+
+// Shared with the main thread for change detection
+module.exports = { calculateFileHash };
@@ -2,6 +2,12 @@
 import ignore from 'ignore';
 import path from 'path';
 
+// Short preset names accepted by --filter
+export const PRESET_ALIASES = {
+  code: 'sourceCode',
+  media: 'mediaFiles'
+};
+
 export class FilterManager {
   constructor(options = {}) {
     this.patterns = {
@@ -121,6 +127,31 @@ export class FilterManager {
           '.mp3', '.wav', '.aac', '.flac', '.ogg', '.m4a',
           '.psd', '.ai', '.eps', '.pdf'
         ]
+      },
+      
+      images: {
+        name: 'Images',
+        description: 'Photos, graphics and raw camera files',
+        ignore: [
+          '.git/',
+          '.DS_Store',
+          'Thumbs.db'
+        ],
+        include: [],
+        extensions: [
+          '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.svg', '.webp', '.tif', '.tiff',
+          '.heic', '.ico', '.psd', '.raw', '.cr2', '.nef', '.dng'
+        ]
+      },
+      
+      archives: {
+        name: 'Archives',
+        description: 'Compressed archives and disk images',
+        ignore: [
+          '.git/'
+        ],
+        include: [],
+        extensions: ['.zip', '.7z', '.rar', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.zst', '.iso', '.cab']
       }
     };
   }
@@ -132,11 +163,11 @@ export class FilterManager {
 
   // Apply a preset filter configuration
   applyPreset(presetName) {
-    if (!this.presets[presetName]) {
+    const preset = this.presets[PRESET_ALIASES[presetName] || presetName];
+    if (!preset) {
       throw new Error(`Preset '${presetName}' not found`);
     }
 
-    const preset = this.presets[presetName];
     this.patterns.ignore = [...preset.ignore];
     this.patterns.include = [...preset.include];
     this.patterns.extensions = [...preset.extensions];
@@ -392,7 +423,9 @@ export class FilterManager {
       pythonProject: 'Python applications with virtual environments',
       documents: 'Office documents, PDFs, and media files',
       sourceCode: 'All programming languages and config files',
-      mediaFiles: 'Images, videos, audio, and design files'
+      mediaFiles: 'Images, videos, audio, and design files',
+      images: 'Photos, graphics, and raw camera files',
+      archives: 'Zip, tar, 7z, and other archives'
     };
     
     return descriptions[key] || 'Custom filter preset';
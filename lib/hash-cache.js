@@ -0,0 +1,102 @@
+// hash-cache.js - Persistent content hash cache keyed by inode, size and mtime
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { calculateFileHash } from './file-worker.cjs';
+
+const CACHE_VERSION = '1.0';
+const MAX_ENTRIES = 200000;
+
+export class HashCache {
+  constructor(options = {}) {
+    this.hashFile = options.hashFile || calculateFileHash;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.entries = null;
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Get cache directory (computed dynamically for testability)
+  get cacheDir() {
+    return path.join(os.homedir(), '.wsl-sync', 'cache');
+  }
+
+  get cachePath() {
+    return path.join(this.cacheDir, 'hashes.json');
+  }
+
+  // Load cached hashes from disk once per instance
+  async load() {
+    if (this.entries) return;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+      this.entries = new Map(data.version === CACHE_VERSION ? Object.entries(data.entries || {}) : []);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable hash cache: ${error.message}`);
+      }
+      this.entries = new Map();
+    }
+  }
+
+  // Any change to the file's identity, size or mtime invalidates the entry
+  getKey(stats) {
+    return `${stats.dev}:${stats.ino}:${stats.size}:${Math.trunc(stats.mtimeMs)}`;
+  }
+
+  // Get a file's SHA-256 hash, hashing only on a cache miss
+  async hash(fullPath, stats = null) {
+    await this.load();
+
+    const fileStats = stats || await fs.stat(fullPath);
+    const key = this.getKey(fileStats);
+    const cached = this.entries.get(key);
+
+    if (cached) {
+      this.hits++;
+      cached.seen = Date.now();
+      return cached.hash;
+    }
+
+    this.misses++;
+    const hash = await this.hashFile(fullPath);
+    this.entries.set(key, { hash, seen: Date.now() });
+    this.dirty = true;
+    return hash;
+  }
+
+  // Persist the cache, dropping the least recently seen entries past the limit
+  async save() {
+    if (!this.entries || (!this.dirty && this.hits === 0)) return;
+
+    let entries = [...this.entries];
+    if (entries.length > this.maxEntries) {
+      entries.sort((a, b) => b[1].seen - a[1].seen);
+      entries = entries.slice(0, this.maxEntries);
+      this.entries = new Map(entries);
+    }
+
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    const data = {
+      version: CACHE_VERSION,
+      entries: Object.fromEntries(entries)
+    };
+
+    const tempPath = `${this.cachePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, this.cachePath);
+    this.dirty = false;
+  }
+
+  // Remove all cached hashes
+  async clear() {
+    this.entries = new Map();
+    this.dirty = false;
+    await fs.rm(this.cachePath, { force: true });
+  }
+}
+
+export default HashCache;
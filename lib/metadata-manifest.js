@@ -0,0 +1,115 @@
+// metadata-manifest.js - POSIX metadata kept in a sidecar file on mounts that cannot store it
+import fs from 'fs/promises';
+import path from 'path';
+import { getTempPath } from './atomic-copy.cjs';
+import { probeDirFor } from './xattrs.cjs';
+
+// Kept at the root of a sync folder on a drvfs mount, e.g. /mnt/c/Users/me/project
+export const METADATA_MANIFEST = '.wsl-sync-metadata.json';
+
+const MANIFEST_VERSION = '1.0';
+
+// Whether a path relative to a sync root is its metadata manifest
+export function isMetadataManifest(relPath) {
+  return relPath === METADATA_MANIFEST || relPath === `${METADATA_MANIFEST}.tmp`;
+}
+
+// The metadata a copy carries over from its source file
+export function posixMetadata(stats) {
+  return {
+    mode: stats.mode & 0o7777,
+    uid: stats.uid,
+    gid: stats.gid,
+    atime: stats.atimeMs
+  };
+}
+
+// Whether a directory's file system keeps the modes it is given. drvfs mounted without the
+// metadata option accepts chmod but reports the mount's fixed mode, so a probe file in
+// probeDirFor is checked. Null when there is nowhere to probe, as nothing is known then.
+export async function holdsPosixMetadata(dir) {
+  const probeDir = await probeDirFor(dir);
+  if (!probeDir) return null;
+
+  const probePath = getTempPath(path.join(probeDir, `metadata-${process.pid}`));
+  try {
+    await fs.writeFile(probePath, '');
+    await fs.chmod(probePath, 0o640);
+    const { mode } = await fs.stat(probePath);
+    return (mode & 0o777) === 0o640;
+  } catch {
+    return null;
+  } finally {
+    await fs.rm(probePath, { force: true });
+  }
+}
+
+export class MetadataManifest {
+  constructor(root) {
+    this.root = root;
+    this.entries = {};
+    this.changed = false;
+  }
+
+  get manifestPath() {
+    return path.join(this.root, METADATA_MANIFEST);
+  }
+
+  // Read the manifest, starting empty when the root has none
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.manifestPath, 'utf-8'));
+      this.entries = data.files || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable metadata manifest: ${error.message}`);
+      }
+      this.entries = {};
+    }
+    return this;
+  }
+
+  // Metadata recorded for a relative path, or null
+  get(relPath) {
+    return this.entries[relPath] || null;
+  }
+
+  // Record the metadata of a file copied to relPath
+  set(relPath, metadata) {
+    this.entries[relPath] = metadata;
+    this.changed = true;
+  }
+
+  // Forget a file removed from the root
+  delete(relPath) {
+    if (relPath in this.entries) {
+      delete this.entries[relPath];
+      this.changed = true;
+    }
+  }
+
+  // Follow a file moved within the root
+  rename(from, to) {
+    if (from in this.entries) {
+      this.set(to, this.entries[from]);
+      this.delete(from);
+    }
+  }
+
+  // Write the manifest if anything changed, removing it once it holds nothing
+  async save() {
+    if (!this.changed) return;
+
+    if (Object.keys(this.entries).length === 0) {
+      await fs.rm(this.manifestPath, { force: true });
+    } else {
+      // Write to a temp file first so a crash never leaves a half-written manifest
+      const tempPath = `${this.manifestPath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ version: MANIFEST_VERSION, files: this.entries }, null, 2));
+      await fs.rename(tempPath, this.manifestPath);
+    }
+    this.changed = false;
+  }
+}
+
+export default MetadataManifest;
@@ -0,0 +1,100 @@
+// partial-copy.cjs - Resumable large file copies through a .wsl-sync-partial file (CommonJS)
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
+const { finishTempFile } = require('./atomic-copy.cjs');
+
+const PARTIAL_SUFFIX = '.wsl-sync-partial';
+const VERIFY_CHUNK_SIZE = 1024 * 1024; // Compare 1MB chunks when resuming
+const COPY_CHUNK_SIZE = 64 * 1024; // 64KB chunks
+
+function getPartialPath(destination) {
+  return `${destination}${PARTIAL_SUFFIX}`;
+}
+
+function chunkHash(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// Length of the partial file's prefix whose chunks hash the same as the source
+async function verifiedPrefix(source, partialPath, chunkSize = VERIFY_CHUNK_SIZE) {
+  let partial;
+  try {
+    partial = await fs.open(partialPath, 'r');
+  } catch (error) {
+    return 0;
+  }
+
+  const src = await fs.open(source, 'r');
+  const sourceChunk = Buffer.alloc(chunkSize);
+  const partialChunk = Buffer.alloc(chunkSize);
+  let verified = 0;
+
+  try {
+    while (true) {
+      // Only whole chunks count - a torn tail is copied again
+      const { bytesRead } = await partial.read(partialChunk, 0, chunkSize, verified);
+      if (bytesRead < chunkSize) break;
+
+      const { bytesRead: sourceRead } = await src.read(sourceChunk, 0, chunkSize, verified);
+      if (sourceRead < chunkSize || chunkHash(sourceChunk) !== chunkHash(partialChunk)) break;
+
+      verified += chunkSize;
+    }
+  } finally {
+    await src.close().catch(() => {});
+    await partial.close().catch(() => {});
+  }
+
+  return verified;
+}
+
+// Copy source into a partial file, continuing any verified prefix, then rename it into place
+async function resumableCopy(source, destination, options = {}) {
+  const {
+    chunkSize = VERIFY_CHUNK_SIZE,
+    mtime = null,
+    metadata = null,
+    onProgress = null,
+    waitIfPaused = null
+  } = options;
+
+  const partialPath = getPartialPath(destination);
+  const resumeFrom = await verifiedPrefix(source, partialPath, chunkSize);
+  const { size: totalSize, mode } = await fs.stat(source);
+
+  // Anything past the verified prefix is stale and is overwritten
+  const out = await fs.open(partialPath, resumeFrom > 0 ? 'r+' : 'w');
+
+  try {
+    await out.truncate(resumeFrom);
+
+    let position = resumeFrom;
+    if (onProgress) onProgress(position, totalSize);
+
+    for await (const chunk of createReadStream(source, { start: resumeFrom, highWaterMark: COPY_CHUNK_SIZE })) {
+      if (waitIfPaused) await waitIfPaused();
+
+      await out.write(chunk, 0, chunk.length, position);
+      position += chunk.length;
+
+      if (onProgress) onProgress(position, totalSize);
+    }
+
+    await finishTempFile(out, { mode, mtime, ...metadata });
+  } finally {
+    await out.close();
+  }
+
+  await fs.rename(partialPath, destination);
+
+  return { bytesResumed: resumeFrom };
+}
+
+module.exports = {
+  PARTIAL_SUFFIX,
+  VERIFY_CHUNK_SIZE,
+  getPartialPath,
+  verifiedPrefix,
+  resumableCopy
+};
@@ -58,6 +58,7 @@ export class ProfileManager {
         ignorePatterns: [],
         includePatterns: [],
         deleteOrphaned: false,
+        pruneEmptyDirs: false,
         preservePermissions: false,
         followSymlinks: false,
         ...options
@@ -194,6 +195,53 @@ export class ProfileManager {
     await this.saveProfiles();
   }
 
+  // Set or change a profile's schedule; enabling starts the schedule from now
+  async setSchedule(id, { expression, enabled }) {
+    if (!this.profiles.has(id)) {
+      throw new Error(`Profile '${id}' not found`);
+    }
+
+    const profile = this.profiles.get(id);
+    const schedule = { lastRun: null, lastResult: null, ...profile.schedule };
+
+    if (expression !== undefined) {
+      schedule.expression = expression;
+    }
+    if (enabled !== undefined) {
+      if (enabled && (!schedule.enabled || expression !== undefined)) {
+        schedule.enabledAt = new Date().toISOString();
+      }
+      schedule.enabled = enabled;
+    }
+
+    profile.schedule = schedule;
+    this.profiles.set(id, profile);
+    await this.saveProfiles();
+
+    return schedule;
+  }
+
+  // Record the outcome of a scheduled run
+  async recordScheduledRun(id, run, result = null) {
+    if (!this.profiles.has(id)) {
+      return;
+    }
+
+    const profile = this.profiles.get(id);
+    profile.schedule = {
+      ...profile.schedule,
+      lastRun: run.startedAt,
+      lastResult: run
+    };
+    this.profiles.set(id, profile);
+
+    if (result) {
+      await this.updateSyncStats(id, { filesProcessed: result.totalFiles });
+    } else {
+      await this.saveProfiles();
+    }
+  }
+
   // Export profiles to file
   async exportProfiles(filePath) {
     const exportData = {
@@ -202,7 +250,7 @@ export class ProfileManager {
       profiles: Object.fromEntries(this.profiles)
     };
 
-    await fs.writeJson(filePath, exportData, { spaces: 2 });
+    await fs.writeFile(filePath, JSON.stringify(exportData, null, 2));
     return exportData;
   }
 
@@ -415,7 +463,11 @@ export class ProfileManager {
         updated: new Date().toISOString()
       };
 
-      await fs.writeJson(this.profilesFile, data, { spaces: 2 });
+      // Write a temp file and rename it so the daemon never reads a torn file
+      await fs.mkdir(this.profilesDir, { recursive: true });
+      const tempPath = `${this.profilesFile}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.profilesFile);
     } catch (error) {
       console.error('Failed to save profiles:', error);
       throw error;
@@ -0,0 +1,146 @@
+// run-snapshot.js - Back up what a sync run overwrites or deletes, and undo a recorded run
+import fs from 'fs/promises';
+import path from 'path';
+import { atomicCopy } from './atomic-copy.cjs';
+
+// Whether a file is still exactly what a run left at its path
+function matchesRun(stats, file) {
+  return !!stats && stats.isFile() &&
+    stats.size === file.size &&
+    Math.trunc(stats.mtimeMs) === Math.trunc(file.mtime);
+}
+
+export class RunSnapshot {
+  constructor(dir, deletionManager) {
+    this.dir = dir;
+    this.deletionManager = deletionManager;
+    this.backups = new Map(); // destination path -> { backup, size, mtime }
+  }
+
+  // Back up the file an operation is about to replace or delete
+  async capture(operation) {
+    if (operation.type === 'move' || this.backups.has(operation.destination)) return;
+
+    const stats = await fs.stat(operation.destination).catch(() => null);
+    if (!stats?.isFile()) return;
+
+    const { backupPath } = await this.deletionManager.createBackup({
+      fullPath: operation.destination,
+      relPath: operation.relPath,
+      size: stats.size,
+      mtime: stats.mtimeMs,
+      reason: operation.type === 'delete' ? 'Deleted by sync' : 'Replaced by sync'
+    }, {
+      backupDir: this.dir,
+      backupName: `${this.backups.size + 1}-${path.basename(operation.relPath)}`
+    });
+
+    this.backups.set(operation.destination, {
+      backup: path.basename(backupPath),
+      size: stats.size,
+      mtime: stats.mtimeMs
+    });
+  }
+
+  // Snapshot details to store with a file in the run's history record
+  describe(destination) {
+    const entry = this.backups.get(destination);
+    return entry ? { backup: entry.backup, previous: { size: entry.size, mtime: entry.mtime } } : {};
+  }
+}
+
+// Put back every file of a recorded run that is still as the run left it
+export async function undoRun(run, snapshotDir, options = {}) {
+  const { dryRun = false } = options;
+  const result = { undone: [], skipped: [] };
+
+  const done = (file, action) => result.undone.push({ relPath: file.relPath, target: file.target, action });
+  const skip = (file, reason) => result.skipped.push({ relPath: file.relPath, target: file.target, reason });
+
+  // Later operations may build on earlier ones, so unwind them last to first
+  for (const file of [...run.files].reverse()) {
+    const backupPath = file.backup ? path.join(snapshotDir, file.backup) : null;
+    if (backupPath && !await fs.access(backupPath).then(() => true).catch(() => false)) {
+      skip(file, 'its snapshot has been removed');
+      continue;
+    }
+
+    try {
+      const current = await fs.stat(file.path).catch(() => null);
+
+      if (file.type === 'mkdir') {
+        if (!current?.isDirectory()) {
+          skip(file, 'removed since the run');
+        } else if ((await fs.readdir(file.path)).length > 0) {
+          skip(file, 'no longer empty');
+        } else {
+          if (!dryRun) {
+            await fs.rmdir(file.path);
+          }
+          done(file, 'removed');
+        }
+        continue;
+      }
+
+      if (file.type === 'rmdir') {
+        if (current) {
+          skip(file, current.isDirectory() ? 'it exists again' : 'a new file exists at this path');
+        } else {
+          if (!dryRun) {
+            await fs.mkdir(file.path, { recursive: true });
+          }
+          done(file, 'restored');
+        }
+        continue;
+      }
+
+      if (file.type === 'delete') {
+        if (!backupPath) {
+          skip(file, 'no snapshot was taken');
+        } else if (current) {
+          skip(file, 'a new file exists at this path');
+        } else {
+          if (!dryRun) {
+            await fs.mkdir(path.dirname(file.path), { recursive: true });
+            await atomicCopy(backupPath, file.path, { mtime: file.previous.mtime });
+          }
+          done(file, 'restored');
+        }
+        continue;
+      }
+
+      if (!matchesRun(current, file)) {
+        skip(file, current ? 'changed since the run' : 'removed since the run');
+        continue;
+      }
+
+      if (file.type === 'move') {
+        if (await fs.stat(file.fromPath).catch(() => null)) {
+          skip(file, `a new file exists at ${file.fromRelPath}`);
+          continue;
+        }
+        if (!dryRun) {
+          await fs.mkdir(path.dirname(file.fromPath), { recursive: true });
+          await fs.rename(file.path, file.fromPath);
+        }
+        done(file, 'moved back');
+      } else if (backupPath) {
+        if (!dryRun) {
+          await atomicCopy(backupPath, file.path, { mtime: file.previous.mtime });
+        }
+        done(file, 'restored');
+      } else if (file.type === 'create') {
+        if (!dryRun) {
+          await fs.rm(file.path, { force: true });
+        }
+        done(file, 'removed');
+      } else {
+        skip(file, 'no snapshot was taken');
+      }
+    } catch (error) {
+      skip(file, error.message);
+    }
+  }
+
+  return result;
+}
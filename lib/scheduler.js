@@ -0,0 +1,390 @@
+// scheduler.js - Profile schedules, per-profile run locks and the scheduling daemon
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { ProfileManager } from './profiles.js';
+import { SyncHandler } from './sync-handler.js';
+import { isProcessAlive } from './session-journal.js';
+
+export const DEFAULT_CHECK_INTERVAL = 60 * 1000; // Schedules have minute resolution
+
+const MINUTE = 60 * 1000;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60
+};
+
+// Cron field ranges: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Resolve a day name ("mon", "monday") or number to 0-6
+function parseDay(value) {
+  if (/^\d$/.test(value)) return Number(value) % 7;
+  const index = DAY_NAMES.indexOf(value.slice(0, 3));
+  return index !== -1 && /^[a-z]{3,}$/.test(value) ? index : NaN;
+}
+
+// Expand a list of days and day ranges ("mon,wed,fri" or "fri-mon")
+function parseDays(text) {
+  if (DAY_SETS[text]) return DAY_SETS[text];
+
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [start, end = start] = part.split('-').map(parseDay);
+    if (Number.isNaN(start) || Number.isNaN(end)) return null;
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+  return [...days];
+}
+
+// Expand one cron field ("*", "*/15", "1-5", "0,30") to its allowed values
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) end = stepText === undefined ? start : max;
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(step) ||
+        step < 1 || start < min || end > max || start > end) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values];
+}
+
+// Parse "every 30 min", "weekdays 18:00", "mon,thu 09:30" or a five-field cron expression
+export function parseSchedule(expression) {
+  const text = String(expression || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const invalid = () => new Error(`Invalid schedule: "${expression}"`);
+
+  if (text === 'hourly') {
+    return { type: 'interval', minutes: 60 };
+  }
+
+  const interval = text.match(/^every (\d+ ?)?([a-z]+)$/);
+  if (interval) {
+    const minutes = Number(interval[1] || 1) * (UNIT_MINUTES[interval[2]] || 0);
+    if (!minutes) throw invalid();
+    return { type: 'interval', minutes };
+  }
+
+  const calendar = text.match(/^(?:(every day|daily|weekdays|weekends|[a-z0-9,-]+) )?(\d{1,2}:\d{2}(?:,\d{1,2}:\d{2})*)$/);
+  if (calendar) {
+    const days = parseDays(calendar[1] === 'every day' ? 'daily' : calendar[1] || 'daily');
+    const times = calendar[2].split(',').map(time => time.split(':').map(Number));
+    if (!days || times.some(([hour, minute]) => hour > 23 || minute > 59)) throw invalid();
+    return { type: 'times', days, times };
+  }
+
+  const fields = text.split(' ');
+  if (fields.length === 5) {
+    const cron = { type: 'cron' };
+    for (let i = 0; i < CRON_FIELDS.length; i++) {
+      const values = parseCronField(fields[i], CRON_FIELDS[i]);
+      if (!values) throw invalid();
+      cron[CRON_FIELDS[i].name] = values;
+    }
+    cron.dayOfWeek = [...new Set(cron.dayOfWeek.map(day => day % 7))];
+    cron.anyDayOfMonth = fields[2] === '*';
+    cron.anyDayOfWeek = fields[4] === '*';
+    return cron;
+  }
+
+  throw invalid();
+}
+
+// Whether a calendar schedule fires on the day of the given date
+function matchesDay(schedule, date) {
+  if (schedule.type === 'times') {
+    return schedule.days.includes(date.getDay());
+  }
+
+  if (!schedule.month.includes(date.getMonth() + 1)) return false;
+
+  const dayOfMonth = schedule.dayOfMonth.includes(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.includes(date.getDay());
+
+  // Like cron, a restricted day of month and day of week match either
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+// Whether a calendar schedule fires at the hour and minute of the given date
+function matchesTime(schedule, date) {
+  if (schedule.type === 'times') {
+    return schedule.times.some(([hour, minute]) => hour === date.getHours() && minute === date.getMinutes());
+  }
+  return schedule.hour.includes(date.getHours()) && schedule.minute.includes(date.getMinutes());
+}
+
+// First time after `after` that a schedule fires (local time, minute resolution)
+export function nextRun(schedule, after) {
+  if (schedule.type === 'interval') {
+    return new Date(after.getTime() + schedule.minutes * MINUTE);
+  }
+
+  const candidate = new Date(after.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  // Look up to a year ahead, skipping whole days that cannot match
+  const limit = after.getTime() + 366 * 24 * 60 * MINUTE;
+  while (candidate.getTime() <= limit) {
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (matchesTime(schedule, candidate)) {
+      return candidate;
+    } else {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+    }
+  }
+
+  return null;
+}
+
+// When an enabled profile schedule should run next; null when it is not scheduled
+export function getNextRun(profile, now = new Date()) {
+  const { schedule } = profile;
+  if (!schedule?.enabled || !schedule.expression) return null;
+
+  const parsed = parseSchedule(schedule.expression);
+  const since = new Date(schedule.lastRun || schedule.enabledAt || now);
+
+  // Interval schedules run as soon as they are enabled
+  if (parsed.type === 'interval' && !schedule.lastRun) {
+    return since;
+  }
+
+  return nextRun(parsed, since);
+}
+
+// Sync options for a profile, accepting both CLI and TUI profile fields
+export function profileSyncOptions(profile) {
+  const options = profile.options || {};
+
+  return {
+    sourcePath: profile.sourcePath || profile.windowsPath,
+    destinationPath: profile.destinationPath || profile.wslPath,
+    direction: profile.syncDirection || 'two-way',
+    conflictResolution: profile.conflictResolution || options.conflictResolution || 'newer',
+    deleteOrphaned: profile.deleteOrphaned ?? options.deleteOrphaned ?? false,
+    pruneEmptyDirs: profile.pruneEmptyDirs ?? options.pruneEmptyDirs ?? false,
+    preservePermissions: profile.preservePermissions ?? options.preservePermissions ?? false,
+    xattrs: profile.xattrs ?? options.xattrs ?? false,
+    mapNames: profile.mapNames ?? options.mapNames ?? false,
+    transforms: profile.transforms || options.transforms || [],
+    workerThreads: profile.workerThreads || options.maxWorkers || 4,
+    filter: profile.filter || options.filter || null,
+    ignorePatterns: profile.ignorePatterns || options.ignorePatterns || []
+  };
+}
+
+// Lock files that keep two runs of the same profile from overlapping
+export class ProfileLock {
+  // Get locks directory (computed dynamically for testability)
+  get locksDir() {
+    return path.join(os.homedir(), '.wsl-sync', 'locks');
+  }
+
+  getLockPath(profileId) {
+    return path.join(this.locksDir, `${profileId}.lock`);
+  }
+
+  // Take the lock for a profile; false when another run holds it
+  async acquire(profileId) {
+    await fs.mkdir(this.locksDir, { recursive: true });
+    const lockPath = this.getLockPath(profileId);
+    const info = JSON.stringify({ pid: process.pid, started: new Date().toISOString() });
+
+    try {
+      await fs.writeFile(lockPath, info, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // A lock left behind by a process that died no longer counts
+    const holder = await this.holder(profileId);
+    if (holder) return false;
+
+    // Move it aside rather than removing it: only one of two runs taking over the same stale
+    // lock can move it, and one that moved a lock just taken by the other puts it back
+    const stalePath = `${lockPath}.${process.pid}.stale`;
+    try {
+      await fs.rename(lockPath, stalePath);
+      const moved = JSON.parse(await fs.readFile(stalePath, 'utf-8').catch(() => '{}'));
+      if (isProcessAlive(moved.pid)) {
+        await fs.link(stalePath, lockPath).catch(() => {});
+        return false;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      await fs.rm(stalePath, { force: true });
+    }
+
+    try {
+      await fs.writeFile(lockPath, info, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  // Release a lock taken by this process
+  async release(profileId) {
+    const holder = await this.holder(profileId);
+    if (holder?.pid === process.pid) {
+      await fs.rm(this.getLockPath(profileId), { force: true });
+    }
+  }
+
+  // Details of the live run holding a profile's lock, or null
+  async holder(profileId) {
+    try {
+      const holder = JSON.parse(await fs.readFile(this.getLockPath(profileId), 'utf-8'));
+      return isProcessAlive(holder.pid) ? holder : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export class SchedulerDaemon extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.profileManager = options.profileManager || new ProfileManager();
+    this.checkInterval = options.checkInterval ?? DEFAULT_CHECK_INTERVAL;
+    this.handlerOptions = options.handlerOptions || {};
+    this.lock = new ProfileLock();
+    this.running = new Map(); // profile id -> run promise
+    this.timer = null;
+  }
+
+  // Check schedules now and then once per interval. Checks are not waited for, so a long first
+  // run never holds up the schedule.
+  start() {
+    const check = () => this.tick().catch(error => this.emit('warning', { profile: null, message: error.message }));
+    this.timer = setInterval(check, this.checkInterval);
+    check();
+  }
+
+  // Start every due profile; resolves when the runs started by this check finish. Failures are
+  // emitted as warnings rather than thrown, so one bad check never stops the daemon.
+  async tick(now = new Date()) {
+    // Reload so schedules changed by `wsl-sync schedule` are picked up
+    try {
+      await this.profileManager.initialize();
+    } catch (error) {
+      this.emit('warning', { profile: null, message: `Could not load profiles: ${error.message}` });
+      return [];
+    }
+
+    const started = [];
+    for (const profile of this.profileManager.getAllProfiles()) {
+      if (this.running.has(profile.id)) continue;
+
+      let due;
+      try {
+        due = getNextRun(profile, now);
+      } catch (error) {
+        this.emit('warning', { profile, message: error.message });
+        continue;
+      }
+      if (!due || due > now) continue;
+
+      const run = this.runProfile(profile)
+        .catch(error => {
+          this.emit('warning', { profile, message: error.message });
+          return null;
+        })
+        .finally(() => this.running.delete(profile.id));
+      this.running.set(profile.id, run);
+      started.push(run);
+    }
+
+    return Promise.all(started);
+  }
+
+  // Sync one profile under its lock and record the outcome on the profile
+  async runProfile(profile) {
+    if (!await this.lock.acquire(profile.id)) {
+      this.emit('run-skipped', { profile, reason: 'a previous run is still in progress' });
+      return null;
+    }
+
+    const startedAt = new Date();
+    const handler = new SyncHandler(this.handlerOptions);
+    handler.on('error', (error) => this.emit('sync-error', { profile, error }));
+    this.emit('run-start', { profile });
+
+    let outcome;
+    let result = null;
+    try {
+      result = await handler.sync({
+        ...profileSyncOptions(profile),
+        profile: profile.name,
+        trigger: 'schedule'
+      });
+      outcome = {
+        success: result.success,
+        syncedFiles: result.syncedFiles,
+        filesDeleted: result.filesDeleted,
+        errors: result.errors.length
+      };
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    const run = {
+      ...outcome,
+      startedAt: startedAt.toISOString(),
+      duration: (Date.now() - startedAt.getTime()) / 1000
+    };
+    try {
+      await this.profileManager.recordScheduledRun(profile.id, run, result);
+    } catch (error) {
+      this.emit('warning', { profile, message: `Could not record the run: ${error.message}` });
+    } finally {
+      await handler.cleanup();
+      await this.lock.release(profile.id);
+    }
+
+    this.emit(result ? 'run-complete' : 'run-failed', { profile, run, result });
+    return run;
+  }
+
+  // Stop scheduling and wait for runs in progress
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all(this.running.values());
+  }
+}
+
+export default SchedulerDaemon;
@@ -0,0 +1,173 @@
+// session-journal.js - Crash-safe journal of in-progress sync sessions
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const SESSION_VERSION = '1.0';
+
+// Whether a process id still belongs to a running process
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Stable identity of a planned operation within one session
+export function operationKey(operation) {
+  const lane = operation.direction || `side-${operation.side}`;
+  return `${lane}:${operation.type}:${operation.relPath}`;
+}
+
+export class SessionJournal {
+  constructor() {
+    this.pending = Promise.resolve();
+  }
+
+  // Get sessions directory (computed dynamically for testability)
+  get sessionsDir() {
+    return path.join(os.homedir(), '.wsl-sync', 'sessions');
+  }
+
+  getSessionPath(id) {
+    return path.join(this.sessionsDir, `${id}.json`);
+  }
+
+  // Completed operations are appended here, one key per line
+  getLogPath(id) {
+    return path.join(this.sessionsDir, `${id}.log`);
+  }
+
+  generateId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Record the full plan before any operation runs
+  async create(session) {
+    await fs.mkdir(this.sessionsDir, { recursive: true });
+
+    const record = {
+      version: SESSION_VERSION,
+      id: this.generateId(),
+      status: 'running',
+      created: new Date().toISOString(),
+      pid: process.pid,
+      ...session
+    };
+
+    const sessionPath = this.getSessionPath(record.id);
+    const tempPath = `${sessionPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, sessionPath);
+    await fs.writeFile(this.getLogPath(record.id), '');
+
+    return record;
+  }
+
+  // Append a completed operation; appends are serialized so the log stays in order
+  record(id, operation) {
+    const line = `${operationKey(operation)}\n`;
+    this.pending = this.pending
+      .then(() => fs.appendFile(this.getLogPath(id), line))
+      .catch(error => console.warn(`Failed to journal operation: ${error.message}`));
+    return this.pending;
+  }
+
+  // Wait for queued journal writes
+  async flush() {
+    await this.pending;
+  }
+
+  // Load a session and the set of operations it already completed
+  async load(id) {
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(this.getSessionPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Session ${id} is unreadable: ${error.message}`);
+    }
+
+    let log = '';
+    try {
+      log = await fs.readFile(this.getLogPath(id), 'utf-8');
+    } catch (error) {
+      // No log - nothing completed yet
+    }
+
+    // A crash can leave a torn final line - only newline-terminated entries count
+    const lines = log.split('\n');
+    lines.pop();
+    record.completed = new Set(lines.filter(Boolean));
+
+    return record;
+  }
+
+  // List all journaled sessions, newest first
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.sessionsDir);
+    } catch (error) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const session = await this.load(path.basename(file, '.json')).catch(() => null);
+      if (session) {
+        sessions.push(session);
+      }
+    }
+
+    return sessions.sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  // Whether a session's process is still running it, in this terminal or another
+  isActive(session) {
+    return isProcessAlive(session.pid);
+  }
+
+  // Most recent session that did not finish and that no running process is still working on
+  async latest() {
+    const sessions = await this.list();
+    return sessions.find(session => session.status === 'running' && !this.isActive(session)) || null;
+  }
+
+  // The session --resume continues: the one named, or else the latest interrupted one
+  async resumable(id = null) {
+    const session = id ? await this.load(id) : await this.latest();
+
+    if (!session) {
+      throw new Error(id ? `Sync session not found: ${id}` : 'No interrupted sync session to resume');
+    }
+    if (this.isActive(session)) {
+      throw new Error(`Sync session ${session.id} is still running (pid ${session.pid})`);
+    }
+    return session;
+  }
+
+  // Record this process as the one running a session, so no other resume picks it up meanwhile
+  async claim(session) {
+    const { completed, ...record } = session;
+    const sessionPath = this.getSessionPath(session.id);
+    const tempPath = `${sessionPath}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify({ ...record, pid: process.pid }));
+    await fs.rename(tempPath, sessionPath);
+    session.pid = process.pid;
+  }
+
+  // Remove a session once it finished
+  async remove(id) {
+    await this.flush();
+    await fs.rm(this.getSessionPath(id), { force: true });
+    await fs.rm(this.getLogPath(id), { force: true });
+  }
+}
+
+export default SessionJournal;
@@ -2,6 +2,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { DEFAULT_RETENTION } from './version-store.js';
+import { DEFAULT_DELETION_LIMITS } from './deletion-manager.js';
+import { SYMLINK_MODES } from './symlinks.cjs';
 
 // Removed static paths - now using dynamic getters in class
 
@@ -34,8 +37,10 @@ const DEFAULT_SETTINGS = {
   advanced: {
     enableLogging: false,
     logLevel: 'info', // 'debug', 'info', 'warn', 'error'
-    backupBeforeSync: false,
-    preservePermissions: true,
+    backupBeforeSync: false, // Keep prior versions of overwritten and deleted files in .wsl-sync-versions
+    versionRetention: { ...DEFAULT_RETENTION }, // keepLast, keepDays, maxSizeMB (0 = no limit)
+    deletionLimits: { ...DEFAULT_DELETION_LIMITS }, // maxDeletes, maxDeletePercent (0 = no limit), minFilesForPercent
+    preservePermissions: false,
     handleSymlinks: 'preserve' // 'preserve', 'copy', 'ignore'
   },
   
@@ -301,6 +306,22 @@ export class SettingsManager {
     await this.save();
   }
 
+  // Get the version store retention policy
+  getVersionRetention() {
+    return { ...DEFAULT_RETENTION, ...this.settings.advanced.versionRetention };
+  }
+
+  // Get the limits that stop a run from deleting too much
+  getDeletionLimits() {
+    return { ...DEFAULT_DELETION_LIMITS, ...this.settings.advanced.deletionLimits };
+  }
+
+  // Get how syncs treat symbolic links, falling back to the default for an unknown mode
+  getSymlinkMode() {
+    const mode = this.settings.advanced.handleSymlinks;
+    return SYMLINK_MODES.includes(mode) ? mode : DEFAULT_SETTINGS.advanced.handleSymlinks;
+  }
+
   // Export settings to file
   async exportSettings(filePath) {
     try {
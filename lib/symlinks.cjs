@@ -0,0 +1,86 @@
+// symlinks.cjs - Symbolic link handling shared by the scanner and the file workers (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getTempPath } = require('./atomic-copy.cjs');
+
+// How scans treat links: recreate them as links, copy what they point at, or leave them out
+const SYMLINK_MODES = ['preserve', 'copy', 'ignore'];
+
+// Windows drive a path lies on, e.g. /mnt/c for /mnt/c/Users/me, or null off the drives
+function driveOf(filePath, mountRoot = '/mnt') {
+  const relative = path.relative(mountRoot, path.resolve(filePath));
+  const [drive] = relative.split(path.sep);
+  return !relative.startsWith('..') && /^[a-z]$/i.test(drive) ? path.join(mountRoot, drive) : null;
+}
+
+// Whether a path is root itself or lies below it
+function isWithin(filePath, root) {
+  const relative = path.relative(root, filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Target for the copy of a link at relPath: a target inside the source tree moves to the same
+// place in the destination tree, and one outside it keeps pointing at the same file. Links on
+// a Windows drive get relative targets on that drive, since Windows cannot resolve /mnt paths.
+function rewriteLinkTarget(target, options) {
+  const { relPath, sourceRoot, destRoot, mountRoot = '/mnt' } = options;
+  const sourceDir = path.dirname(path.resolve(sourceRoot, relPath));
+  const destDir = path.dirname(path.resolve(destRoot, relPath));
+  const resolved = path.resolve(sourceDir, target);
+
+  const wanted = isWithin(resolved, sourceRoot) ?
+    path.join(path.resolve(destRoot), path.relative(path.resolve(sourceRoot), resolved)) :
+    resolved;
+  const keepsPointing = path.resolve(destDir, target) === wanted;
+
+  if (keepsPointing && !path.isAbsolute(target)) {
+    return target;
+  }
+
+  const drive = driveOf(destDir, mountRoot);
+  if (drive && driveOf(wanted, mountRoot) === drive) {
+    return path.relative(destDir, wanted) || '.';
+  }
+
+  return keepsPointing ? target : wanted;
+}
+
+// Identity of a directory, to notice a followed link leading back to one being walked
+function directoryKey(stats) {
+  return `${stats.dev}:${stats.ino}`;
+}
+
+// Content hash stand-in for a link, which is compared by where it points
+function hashLinkTarget(target) {
+  return crypto.createHash('sha256').update(`symlink:${target}`).digest('hex');
+}
+
+// Create a link beside the destination and rename it over the target, keeping the link's mtime
+async function copySymlink(target, destination, options = {}) {
+  const { mtime = null } = options;
+  const tempPath = getTempPath(destination);
+
+  try {
+    await fs.rm(tempPath, { force: true });
+    await fs.symlink(target, tempPath);
+    if (mtime) {
+      // Not every file system can time a link - the link itself is still right
+      await fs.lutimes(tempPath, new Date(), mtime / 1000).catch(() => {});
+    }
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  await fs.rename(tempPath, destination);
+}
+
+module.exports = {
+  SYMLINK_MODES,
+  driveOf,
+  rewriteLinkTarget,
+  directoryKey,
+  hashLinkTarget,
+  copySymlink
+};
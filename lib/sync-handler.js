@@ -1,11 +1,31 @@
 import { PerformanceSyncManager } from './sync-performance.js';
-import { DeletionManager } from './deletion-manager.js';
+import { isTransferFile } from './sync.js';
+import { SyncWatcher } from './watcher.js';
+import { SyncHistory } from './sync-history.js';
+import { RunSnapshot, undoRun } from './run-snapshot.js';
+import { VersionStore, isVersionStorePath } from './version-store.js';
+import { DeletionManager, DEFAULT_DELETION_LIMITS, checkDeletionLimits } from './deletion-manager.js';
 import { FilterManager } from './filters.js';
 import { WSLIntegration } from './wsl-integration.js';
 import { ErrorHandler } from './error-handler.js';
+import { planTwoWay, planTwoWayDirectories, planCaseCollisions, SyncStateStore } from './sync-state.js';
+import { directoryKey } from './symlinks.cjs';
+import { probeXattrs } from './xattrs.cjs';
+import { checkWindowsNames } from './windows-names.js';
+import { isMetadataManifest } from './metadata-manifest.js';
 import { EventEmitter } from 'events';
+import fs from 'fs/promises';
 import path from 'path';
 
+const DESTRUCTIVE_ACTIONS = { update: 'overwrite', delete: 'delete', rmdir: 'remove directory' };
+
+// Planned operations that overwrite or remove something on the side they target
+function destructiveChanges(operations) {
+  return operations
+    .filter(op => DESTRUCTIVE_ACTIONS[op.type])
+    .map(op => ({ action: DESTRUCTIVE_ACTIONS[op.type], path: op.destination }));
+}
+
 export class SyncHandler extends EventEmitter {
   constructor(options = {}) {
     super();
@@ -20,6 +40,15 @@ export class SyncHandler extends EventEmitter {
     this.skipErrors = options.skipErrors || false;
     this.maxErrors = options.maxErrors || 50;
     this.errorCount = 0;
+    this.watcher = null;
+    this.watchRun = null;
+    this.watchStatus = null;
+    this.history = new SyncHistory();
+    this.snapshots = options.snapshots ?? true; // Keep what runs overwrite or delete so they can be undone
+    this.versions = options.versions || null; // Retention policy for .wsl-sync-versions, or null to keep no versions
+    this.deletionLimits = { ...DEFAULT_DELETION_LIMITS, force: false, ...options.deletionLimits };
+    this.ignorePatterns = []; // Profile and --ignore patterns, added to the .syncignore ones
+    this.symlinks = options.symlinks || 'preserve'; // How scans treat links: 'preserve', 'copy' or 'ignore'
   }
   
   // Initialize handlers
@@ -55,10 +84,24 @@ export class SyncHandler extends EventEmitter {
       enableVerification: state.settings.enableVerification || false,
       maxWorkerThreads: workerThreads,
       batchSize: state.settings.batchSize || 50,
-      largeFileThreshold: 10 * 1024 * 1024, // 10MB
+      largeFileThreshold: state.settings.largeFileThreshold || 10 * 1024 * 1024, // 10MB
+      deltaTransfer: state.settings.deltaTransfer || false,
+      deltaThreshold: state.settings.deltaThreshold,
+      partialMaxAge: state.settings.partialMaxAge,
       queueConcurrency: 3,
       retryAttempts: state.settings.retryAttempts || 3
     });
+    this.syncManager.trash = this.deletionManager.options.enableRecycleBin ? this.deletionManager.trash : null;
+    this.syncManager.deletionLimits = this.deletionLimits;
+    this.syncManager.deleteOrphaned = this.deletionManager.options.deleteOrphaned;
+    this.syncManager.keepOrphan = (relPath) => !this.deletionManager.isSafeToDelete(relPath);
+    this.syncManager.fileFilter = state.activeFilter ? this.filterManager : null;
+    this.syncManager.pruneEmptyDirs = state.settings.pruneEmptyDirs || false;
+    this.syncManager.preservePermissions = state.settings.preservePermissions || false;
+    this.syncManager.xattrs = state.settings.xattrs || false;
+    this.syncManager.mapWindowsNames = state.settings.mapNames || false;
+    this.syncManager.setTransformRules(state.settings.transforms || []);
+    this.syncManager.setSymlinkMode(this.symlinks);
   }
   
   // Get worker thread count based on performance mode
@@ -74,7 +117,7 @@ export class SyncHandler extends EventEmitter {
   
   // Preview sync operation
   async preview(sourcePath, destPath, options = {}) {
-    const { syncDirection, dryRun = true } = options;
+    const { syncDirection, dryRun = true, conflictResolution = 'newer', resolutions = {}, compare = 'size-mtime' } = options;
     
     try {
       // Create temporary sync manager for preview
@@ -83,9 +126,20 @@ export class SyncHandler extends EventEmitter {
         dryRun: true
       });
       
-      // Collect file information
-      const sourceFiles = await this.scanDirectory(sourcePath);
-      const destFiles = await this.scanDirectory(destPath);
+      // Collect file and directory information
+      const sourceDirs = [];
+      const destDirs = [];
+      const sourceFiles = await this.scanDirectory(sourcePath, sourceDirs);
+      const destFiles = await this.scanDirectory(destPath, destDirs);
+      
+      // Read the extended attributes --xattrs carries, so the preview can tell which will not stick
+      const xattrWarnings = [];
+      if (this.syncManager.xattrs) {
+        for (const [root, files, dirs] of [[sourcePath, sourceFiles, sourceDirs], [destPath, destFiles, destDirs]]) {
+          await this.syncManager.attachXattrs(root, files, dirs)
+            .catch(error => xattrWarnings.push({ path: root, attribute: null, reason: error.message }));
+        }
+      }
       
       // Apply filters
       const filteredSourceFiles = this.filterManager.filterFiles(sourceFiles);
@@ -96,20 +150,70 @@ export class SyncHandler extends EventEmitter {
         destFiles,
         sourcePath,
         destPath,
-        syncDirection
+        syncDirection,
+        { conflictResolution, resolutions, compare },
+        { source: sourceDirs, dest: destDirs }
       );
       
-      // Analyze deletions
-      const deletions = await this.deletionManager.analyzeDeletions(
-        filteredSourceFiles,
-        destPath
-      );
+      // Analyze deletions - two-way and mirror deletions come from the plan itself, and other
+      // one-way runs only delete orphans when asked to
+      const deletions = syncDirection === 'two-way' || syncDirection === 'mirror' ?
+        { toDelete: operations.toDelete } :
+        !this.deletionManager.options.deleteOrphaned ? { toDelete: [] } :
+        await this.deletionManager.analyzeDeletions(filteredSourceFiles, destPath, {
+          movedFrom: operations.toMove.map(move => move.from),
+          sourceDirs: sourceDirs.map(dir => dir.relPath),
+          nameOf: (relPath) => this.syncManager.namedPath(destPath, relPath)
+        });
+      
+      // Files the filter leaves out are never orphans
+      deletions.toDelete = deletions.toDelete.filter(deletion => this.filterManager.shouldIncludeFile({
+        ...deletion,
+        name: path.basename(deletion.relPath)
+      }));
+      
+      const targetRoot = (entry) => (entry.direction || syncDirection) === 'dest-to-source' ? sourcePath : destPath;
+      xattrWarnings.push(...await this.checkXattrs([...operations.toCreate, ...operations.toUpdate], targetRoot));
+      const nameWarnings = this.checkNames([...operations.toCreate, ...operations.toMove], targetRoot);
+      
+      // Deletions the limits would stop, per side they happen on
+      const deletesOn = (direction) => deletions.toDelete
+        .filter(deletion => !deletion.isDirectory && (deletion.direction || 'source-to-dest') === direction).length;
+      const blockedDeletes = checkDeletionLimits([
+        {
+          root: destPath,
+          files: destFiles.length,
+          deletions: deletesOn('source-to-dest'),
+          sourceRoot: sourcePath,
+          sourceFiles: filteredSourceFiles.length
+        },
+        {
+          root: sourcePath,
+          files: sourceFiles.length,
+          deletions: deletesOn('dest-to-source'),
+          sourceRoot: destPath,
+          sourceFiles: destFiles.length
+        }
+      ], this.deletionLimits);
       
       return {
         toCreate: operations.toCreate,
         toUpdate: operations.toUpdate,
+        toMove: operations.toMove,
         toDelete: deletions.toDelete,
+        blockedDeletes,
+        deletionsForced: this.deletionLimits.force,
+        mirror: syncDirection === 'mirror',
+        destructive: syncDirection === 'mirror' ? [
+          ...operations.toUpdate.map(file => ({ action: 'overwrite', path: file.path })),
+          ...deletions.toDelete.map(file => ({
+            action: file.isDirectory ? 'remove directory' : 'delete',
+            path: file.path || file.relPath
+          }))
+        ] : [],
         conflicts: operations.conflicts,
+        xattrWarnings,
+        nameWarnings,
         totalSize: operations.totalSize,
         totalOperations: operations.totalOperations,
         sourceFiles: filteredSourceFiles.length,
@@ -120,11 +224,53 @@ export class SyncHandler extends EventEmitter {
     }
   }
   
+  // Attributes of files to be copied that their target's file system would refuse, found by
+  // trying each attribute once per target root rather than on every file
+  async checkXattrs(entries, targetRoot) {
+    const byRoot = new Map();
+    for (const entry of entries.filter(entry => entry.xattrs)) {
+      const root = targetRoot(entry);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(entry);
+    }
+    
+    const warnings = [];
+    for (const [root, rootEntries] of byRoot) {
+      const samples = Object.assign({}, ...rootEntries.map(entry => entry.xattrs));
+      const failures = await probeXattrs(root, samples);
+      if (!failures) {
+        warnings.push({ path: root, attribute: null, reason: 'Could not check which attributes this file system keeps' });
+        continue;
+      }
+      const refused = new Map(failures.map(failure => [failure.name, failure.error]));
+      
+      for (const entry of rootEntries) {
+        for (const attribute of Object.keys(entry.xattrs).filter(name => refused.has(name))) {
+          warnings.push({ path: entry.path, attribute, reason: refused.get(attribute) });
+        }
+      }
+    }
+    return warnings;
+  }
+  
+  // Names Windows cannot hold among what is about to be created on a Windows drive, and paths
+  // too long for it. With --map-names the names are stored encoded, which the warnings show.
+  checkNames(entries, targetRoot) {
+    const targets = entries
+      .filter(entry => this.syncManager.restrictsNames(targetRoot(entry)))
+      .map(entry => ({ relPath: entry.path, destination: entry.dest }));
+    return checkWindowsNames(targets, { mapped: this.syncManager.mapWindowsNames });
+  }
+  
   // Start sync operation
   async startSync(sourcePath, destPath, options = {}) {
     const { 
       syncDirection = 'two-way',
       dryRun = false,
+      conflictResolution = 'newer',
+      resolutions = {},
+      compare = 'size-mtime',
+      profile = null,
       onProgress,
       onError,
       onComplete
@@ -157,39 +303,14 @@ export class SyncHandler extends EventEmitter {
         return this.isStopped;
       });
       
-      // Start sync based on direction
-      let result;
-      
-      switch (syncDirection) {
-        case 'two-way':
-          result = await this.syncManager.syncFoldersTwoWay(
-            sourcePath,
-            destPath,
-            { dryRun }
-          );
-          break;
-          
-        case 'source-to-dest':
-          result = await this.syncManager.syncFoldersOneWay(
-            sourcePath,
-            destPath,
-            { dryRun }
-          );
-          break;
-          
-        case 'dest-to-source':
-          result = await this.syncManager.syncFoldersOneWay(
-            destPath,
-            sourcePath,
-            { dryRun }
-          );
-          break;
-          
-        default:
-          throw new Error(`Invalid sync direction: ${syncDirection}`);
-      }
-      
-      return result;
+      return await this.runDirection(sourcePath, destPath, {
+        syncDirection,
+        dryRun,
+        conflictResolution,
+        resolutions,
+        compare,
+        profile
+      });
       
     } catch (error) {
       throw new Error(`Sync failed: ${error.message}`);
@@ -199,6 +320,237 @@ export class SyncHandler extends EventEmitter {
     }
   }
   
+  // Run the sync engine for the requested direction and record the run in the history
+  async runDirection(sourcePath, destPath, options = {}) {
+    const {
+      syncDirection = 'two-way',
+      dryRun = false,
+      trigger = 'manual',
+      profile = null
+    } = options;
+    
+    const run = {
+      ...this.beginRun(dryRun),
+      trigger,
+      profile,
+      sourcePath,
+      destinationPath: destPath,
+      direction: syncDirection
+    };
+    
+    this.syncManager.runInfo = { profile, direction: syncDirection };
+    
+    let summary;
+    try {
+      summary = await this.runEngine(sourcePath, destPath, options);
+    } catch (error) {
+      if (!dryRun) {
+        await this.recordRun(run, null, error);
+      }
+      throw error;
+    } finally {
+      await this.endRun();
+    }
+    
+    if (!dryRun) {
+      await this.recordRun(run, summary);
+    }
+    return summary;
+  }
+  
+  // Run the sync engine for the requested direction
+  async runEngine(sourcePath, destPath, options = {}) {
+    const {
+      syncDirection = 'two-way',
+      dryRun = false,
+      conflictResolution,
+      resolutions,
+      compare,
+      paths = null
+    } = options;
+    const syncIgnorePatterns = this.ignorePatterns.length > 0 ? this.ignorePatterns : null;
+    
+    switch (syncDirection) {
+      case 'two-way':
+        return this.syncManager.syncFoldersTwoWay(
+          sourcePath,
+          destPath,
+          { dryRun, conflictResolution, resolutions, compare, paths, syncIgnorePatterns }
+        );
+        
+      case 'source-to-dest':
+        return this.syncManager.syncFoldersOneWay(
+          sourcePath,
+          destPath,
+          { dryRun, compare, paths, syncIgnorePatterns, conflictResolution, resolutions }
+        );
+        
+      case 'dest-to-source':
+        return this.syncManager.syncFoldersOneWay(
+          destPath,
+          sourcePath,
+          { dryRun, compare, paths, syncIgnorePatterns, conflictResolution, resolutions }
+        );
+        
+      case 'mirror':
+        return this.syncManager.syncFoldersOneWay(
+          sourcePath,
+          destPath,
+          { dryRun, compare, paths, syncIgnorePatterns, mirror: true, conflictResolution, resolutions }
+        );
+        
+      default:
+        throw new Error(`Invalid sync direction: ${syncDirection}`);
+    }
+  }
+  
+  // Start tracking a run, with a snapshot of what it changes unless it is a dry run
+  beginRun(dryRun = false) {
+    const startedAt = new Date();
+    const id = this.history.generateId(startedAt);
+    
+    const snapshot = !dryRun && this.snapshots ?
+      new RunSnapshot(this.history.getSnapshotDir(id), this.deletionManager) : null;
+    this.syncManager.snapshot = snapshot;
+    this.syncManager.versions = !dryRun && this.versions ? new VersionStore(this.versions) : null;
+    
+    return {
+      id,
+      startedAt: startedAt.toISOString(),
+      snapshot,
+      bytesSavedBefore: this.syncManager.getMetrics().bytesSaved
+    };
+  }
+  
+  // Stop backing up for the finished run and apply the version retention policy
+  async endRun() {
+    const { versions } = this.syncManager;
+    this.syncManager.snapshot = null;
+    this.syncManager.versions = null;
+    
+    try {
+      await versions?.finish();
+    } catch (error) {
+      // Old versions that could not be pruned are retried after the next run
+      this.emit('versions-error', error);
+    }
+  }
+  
+  // Write a finished (or failed) run to the history; watch passes that changed nothing are not kept
+  async recordRun(run, summary, error = null) {
+    const { bytesSavedBefore, snapshot, ...details } = run;
+    const failed = new Set((summary?.errors || []).map(entry => entry.target));
+    
+    // The engine's "A" side is the destination only when syncing dest-to-source
+    const reversed = run.direction === 'dest-to-source';
+    const files = [];
+    for (const lane of ['AtoB', 'BtoA']) {
+      const target = (lane === 'AtoB') !== reversed ? 'destination' : 'source';
+      for (const op of summary?.operations[lane] || []) {
+        // Directory mtimes follow from the other operations and are not undone on their own
+        if (failed.has(op.destination) || op.type === 'utimes') continue;
+        files.push({
+          type: op.type,
+          relPath: op.relPath,
+          ...(op.fromRelPath && { fromRelPath: op.fromRelPath, fromPath: op.from }),
+          target,
+          path: op.destination,
+          size: op.transformed?.size ?? op.size ?? 0,
+          mtime: op.mtime,
+          ...snapshot?.describe(op.destination)
+        });
+      }
+    }
+    
+    const errors = (summary?.errors || []).map(entry => ({
+      path: entry.target || entry.file || entry.directory,
+      message: entry.error
+    }));
+    if (error) {
+      errors.push({ path: null, message: error.message });
+    }
+    
+    if (run.trigger === 'watch' && files.length === 0 && errors.length === 0) {
+      await fs.rm(this.history.getSnapshotDir(run.id), { recursive: true, force: true });
+      return null;
+    }
+    
+    const count = (type) => files.filter(file => file.type === type).length;
+    const finishedAt = new Date();
+    
+    try {
+      return await this.history.record({
+        ...details,
+        finishedAt: finishedAt.toISOString(),
+        duration: (finishedAt - new Date(run.startedAt)) / 1000,
+        status: error ? 'failed' : errors.length > 0 ? 'completed-with-errors' : 'completed',
+        totalFiles: summary?.totalFiles || 0,
+        counts: {
+          created: count('create'),
+          updated: count('update'),
+          moved: count('move'),
+          deleted: count('delete'),
+          conflicts: summary?.conflicts?.length || 0,
+          errors: errors.length
+        },
+        bytesTransferred: files
+          .filter(file => file.type === 'create' || file.type === 'update')
+          .reduce((total, file) => total + file.size, 0),
+        bytesSaved: this.syncManager.getMetrics().bytesSaved - bytesSavedBefore,
+        ...(summary?.resumedSession && { resumedSession: summary.resumedSession }),
+        conflictCopies: summary?.conflictCopies || [],
+        files,
+        errors
+      });
+    } catch (historyError) {
+      // A history write must never fail the sync itself
+      this.emit('history-error', historyError);
+      return null;
+    }
+  }
+  
+  // Run a sync and count what actually happened
+  async performSync(options) {
+    const { sourcePath, destinationPath, ...syncOptions } = options;
+    
+    const bytesSavedBefore = this.syncManager.getMetrics().bytesSaved;
+    const summary = await this.runDirection(sourcePath, destinationPath, syncOptions);
+    const result = this.summarizeRun(summary, bytesSavedBefore);
+    
+    // A dry run lists what the real run would overwrite or remove
+    if (syncOptions.dryRun) {
+      result.destructiveChanges = destructiveChanges([...summary.operations.AtoB, ...summary.operations.BtoA]);
+    }
+    return result;
+  }
+  
+  // Count what a finished sync engine run actually did; the engine's delta savings are a running
+  // total, so bytesSavedBefore is what it stood at when the run began
+  summarizeRun(summary, bytesSavedBefore = 0) {
+    const failed = new Set(summary.errors.map(error => error.target));
+    const completed = [...summary.operations.AtoB, ...summary.operations.BtoA]
+      .filter(op => !failed.has(op.destination));
+    const count = (type) => completed.filter(op => op.type === type).length;
+    
+    return {
+      totalFiles: summary.totalFiles,
+      filesCreated: count('create'),
+      filesUpdated: count('update'),
+      filesMoved: count('move'),
+      filesDeleted: count('delete'),
+      dirsCreated: count('mkdir'),
+      dirsDeleted: count('rmdir'),
+      dirsPruned: (summary.prunedDirs || []).length,
+      xattrErrors: summary.xattrErrors || [],
+      conflicts: summary.conflicts,
+      unresolvedConflicts: summary.unresolvedConflicts,
+      conflictCopies: summary.conflictCopies,
+      bytesSaved: this.syncManager.getMetrics().bytesSaved - bytesSavedBefore,
+      deletionWarnings: summary.deletionWarnings || [],
+      errors: summary.errors
+    };
+  }
+  
   // Pause sync operation
   async pauseSync() {
     this.isPaused = true;
@@ -223,11 +575,132 @@ export class SyncHandler extends EventEmitter {
     }
   }
   
-  // Scan directory for files
-  async scanDirectory(dirPath) {
+  // Watch the pair and run an incremental sync of the changed paths after each burst of changes
+  async startWatching(sourcePath, destPath, options = {}) {
+    const {
+      syncDirection = 'two-way',
+      conflictResolution = 'newer',
+      compare = 'size-mtime',
+      debounce,
+      pollInterval,
+      polling,
+      profile = null
+    } = options;
+    
+    await this.stopWatching();
+    
+    // One-way syncs only need to react to the side they copy from
+    const roots = syncDirection === 'two-way' ? [sourcePath, destPath] :
+      syncDirection === 'dest-to-source' ? [destPath] : [sourcePath];
+    
+    const watcher = new SyncWatcher({
+      debounce,
+      pollInterval,
+      polling,
+      shouldIgnore: (relPath, isDirectory) =>
+        isTransferFile(path.basename(relPath)) ||
+        isVersionStorePath(relPath) ||
+        isMetadataManifest(relPath) ||
+        this.syncManager.syncIgnore.shouldIgnore(relPath, isDirectory)
+    });
+    this.watcher = watcher;
+    
+    this.watchStatus = {
+      state: 'starting',
+      roots: {},
+      syncCount: 0,
+      filesSynced: 0,
+      lastSync: null,
+      lastChanged: 0,
+      pending: 0,
+      lastError: null
+    };
+    
+    const queued = new Set();
+    const updateStatus = (changes) => {
+      this.watchStatus = { ...this.watchStatus, ...changes, pending: queued.size };
+      this.emit('watch-status', this.watchStatus);
+    };
+    
+    // Syncs run one at a time; changes arriving meanwhile are picked up by the next pass
+    const runQueued = async () => {
+      while (queued.size > 0 && this.watcher === watcher) {
+        const paths = [...queued];
+        queued.clear();
+        updateStatus({ state: 'syncing', lastChanged: paths.length });
+        
+        try {
+          const result = this.formatCliResult(await this.performSync({
+            sourcePath,
+            destinationPath: destPath,
+            syncDirection,
+            conflictResolution,
+            compare,
+            paths: paths.includes('') ? null : paths,
+            trigger: 'watch',
+            profile
+          }));
+          
+          updateStatus({
+            state: 'watching',
+            syncCount: this.watchStatus.syncCount + 1,
+            filesSynced: this.watchStatus.filesSynced + result.syncedFiles + result.filesDeleted + result.filesMoved,
+            lastSync: new Date().toISOString()
+          });
+          this.emit('watch-sync', { paths, result });
+        } catch (error) {
+          updateStatus({ state: 'watching', lastError: error.message });
+          this.emit('watch-error', error);
+        }
+      }
+      this.watchRun = null;
+    };
+    
+    const enqueue = (paths) => {
+      paths.forEach(relPath => queued.add(relPath));
+      if (!this.watchRun) {
+        this.watchRun = runQueued();
+      } else {
+        updateStatus({});
+      }
+    };
+    
+    watcher.on('change', enqueue);
+    watcher.on('warning', (warning) => this.emit('watch-warning', warning));
+    
+    const modes = {};
+    for (const root of roots) {
+      modes[root] = await watcher.watch(root);
+    }
+    updateStatus({ state: 'watching', roots: modes });
+    
+    // Start from a complete sync so both sides agree before reacting to changes
+    enqueue(['']);
+    
+    return modes;
+  }
+  
+  // Stop watching and wait for a running incremental sync to finish
+  async stopWatching() {
+    if (!this.watcher) return;
+    
+    const watcher = this.watcher;
+    this.watcher = null;
+    await watcher.close();
+    
+    if (this.watchRun) {
+      await this.watchRun;
+    }
+    
+    this.watchStatus = { ...this.watchStatus, state: 'stopped' };
+    this.emit('watch-status', this.watchStatus);
+  }
+  
+  // Scan directory for files, collecting the directories into dirList when given
+  async scanDirectory(dirPath, dirList = null) {
     const files = [];
-    const fs = require('fs').promises;
-    const path = require('path');
+    const engine = this.syncManager;
+    const ancestors = new Set(); // Directories being scanned, so a followed link loop ends
     
     async function scan(dir, baseDir) {
       try {
@@ -237,18 +710,36 @@ export class SyncHandler extends EventEmitter {
           const fullPath = path.join(dir, entry.name);
           const relPath = path.relative(baseDir, fullPath);
           
-          if (entry.isDirectory()) {
+          if (isVersionStorePath(relPath) || isMetadataManifest(relPath)) {
+            continue;
+          }
+          
+          // Links follow the engine's symlink mode
+          const scanned = await engine.statEntry(fullPath).catch(() => null);
+          if (!scanned) {
+            continue;
+          }
+          const { stats, linkTarget } = scanned;
+          
+          if (stats.isDirectory()) {
+            if (ancestors.has(directoryKey(stats))) {
+              continue;
+            }
+            dirList?.push({ fullPath, relPath, mtime: stats.mtimeMs });
             // Recursively scan subdirectories
+            ancestors.add(directoryKey(stats));
             await scan(fullPath, baseDir);
+            ancestors.delete(directoryKey(stats));
           } else {
-            const stats = await fs.stat(fullPath);
             files.push({
               fullPath,
               relPath,
               name: entry.name,
               size: stats.size,
               mtime: stats.mtimeMs,
-              isDirectory: false
+              ino: stats.ino,
+              isDirectory: false,
+              ...(linkTarget !== undefined && { linkTarget })
             });
           }
         }
@@ -257,74 +748,191 @@ export class SyncHandler extends EventEmitter {
       }
     }
     
+    const root = await fs.stat(dirPath).catch(() => null);
+    if (root) {
+      ancestors.add(directoryKey(root));
+    }
     await scan(dirPath, dirPath);
-    return files;
+    return engine.decodeScannedNames(dirPath, files, dirList);
   }
   
-  // Analyze operations needed
-  async analyzeOperations(sourceFiles, destFiles, sourcePath, destPath, syncDirection) {
+  // Analyze operations needed; dirs holds the scanned source and dest directories. The compare
+  // mode comes with the conflict options, so a preview never changes that of a run in progress.
+  async analyzeOperations(sourceFiles, destFiles, sourcePath, destPath, syncDirection, conflictOptions = {}, dirs = {}) {
     const operations = {
       toCreate: [],
       toUpdate: [],
+      toMove: [],
+      toDelete: [],
       conflicts: [],
       totalSize: 0,
       totalOperations: 0
     };
     
-    // Create map of destination files for quick lookup
-    const destMap = new Map();
-    destFiles.forEach(file => {
-      destMap.set(file.relPath, file);
-    });
-    
-    // Analyze source files
-    for (const sourceFile of sourceFiles) {
-      const destFile = destMap.get(sourceFile.relPath);
+    if (syncDirection === 'two-way') {
+      await this.analyzeTwoWay(operations, sourceFiles, destFiles, sourcePath, destPath, conflictOptions, dirs);
+    } else {
+      const [fromFiles, fromDirs, fromPath, toPath] = syncDirection === 'dest-to-source' ?
+        [destFiles, dirs.dest, destPath, sourcePath] :
+        [sourceFiles, dirs.source, sourcePath, destPath];
       
-      if (!destFile) {
-        // File doesn't exist in destination - create it
-        operations.toCreate.push({
-          path: sourceFile.relPath,
-          size: sourceFile.size,
-          source: sourceFile.fullPath,
-          dest: path.join(destPath, sourceFile.relPath)
-        });
-        operations.totalSize += sourceFile.size;
-      } else {
-        // File exists - check if it needs updating
-        if (sourceFile.mtime > destFile.mtime) {
-          operations.toUpdate.push({
-            path: sourceFile.relPath,
-            size: sourceFile.size,
-            source: sourceFile.fullPath,
-            dest: destFile.fullPath,
-            sourceMtime: sourceFile.mtime,
-            destMtime: destFile.mtime
+      // A mirror is planned from the engine's own scans so its deletions match the run
+      const mirror = syncDirection === 'mirror' ? await this.scanForMirror(sourcePath, destPath) : null;
+      const { operations: planned, conflicts } = await this.syncManager.planOneWay(
+        mirror?.files || fromFiles,
+        fromPath,
+        toPath,
+        { mirror: false, ...(mirror || { sourceDirs: fromDirs }), ...conflictOptions }
+      );
+      operations.conflicts.push(...conflicts.map(conflict => ({
+        ...conflict,
+        winner: conflict.winner && (syncDirection === 'dest-to-source' ? 'destination' : 'source')
+      })));
+      
+      for (const op of planned) {
+        // Directory mtimes are not listed in the preview
+        if (op.type === 'utimes') continue;
+        
+        const entry = {
+          path: op.relPath,
+          size: op.size,
+          source: op.source,
+          dest: op.destination,
+          ...(op.xattrs && { xattrs: op.xattrs })
+        };
+        
+        if (op.type === 'move') {
+          operations.toMove.push({ ...entry, from: op.fromRelPath });
+          continue;
+        }
+        if (op.type === 'delete' || op.type === 'rmdir') {
+          operations.toDelete.push({
+            ...entry,
+            relPath: op.relPath,
+            fullPath: op.destination,
+            isDirectory: op.type === 'rmdir',
+            reason: 'Not in source'
           });
-          operations.totalSize += sourceFile.size;
-        } else if (sourceFile.mtime < destFile.mtime && syncDirection === 'two-way') {
-          // In two-way sync, newer destination files create conflicts
-          operations.conflicts.push({
-            path: sourceFile.relPath,
-            type: 'newer-in-destination',
-            resolution: 'manual',
-            sourceFile,
-            destFile
+          continue;
+        }
+        if (op.type === 'mkdir') {
+          operations.toCreate.push({ ...entry, isDirectory: true });
+          continue;
+        }
+        
+        if (op.type === 'create') {
+          operations.toCreate.push(entry);
+        } else {
+          operations.toUpdate.push({
+            ...entry,
+            sourceMtime: op.newMtime,
+            destMtime: op.oldMtime
           });
         }
+        operations.totalSize += op.size;
       }
     }
     
     operations.totalOperations = 
       operations.toCreate.length + 
       operations.toUpdate.length + 
+      operations.toMove.length +
+      operations.toDelete.length +
       operations.conflicts.length;
     
     return operations;
   }
   
+  // Scan both sides the way a mirror run does, directories included
+  async scanForMirror(sourcePath, destPath) {
+    const engine = this.syncManager;
+    await engine.loadSyncIgnorePatterns(sourcePath, destPath, this.ignorePatterns.length > 0 ? this.ignorePatterns : null);
+    
+    const sourceDirs = [];
+    const destDirs = [];
+    return {
+      files: await engine.scanRoot(sourcePath, engine.loadIgnorePatterns(sourcePath), sourceDirs),
+      destFiles: await engine.scanRoot(destPath, engine.loadIgnorePatterns(destPath), destDirs),
+      sourceDirs,
+      destDirs,
+      mirror: true
+    };
+  }
+  
+  // Analyze a two-way sync against the last recorded snapshot of the pair
+  async analyzeTwoWay(operations, sourceFiles, destFiles, sourcePath, destPath, options = {}, dirs = {}) {
+    const { compare = this.syncManager.compareMode, ...conflictOptions } = options;
+    const stateStore = this.syncManager.stateStore;
+    const previous = await stateStore.load(sourcePath, destPath);
+    const trustMetadata = compare !== 'hash';
+    const changesSource = await stateStore.detectChanges(sourceFiles, previous?.a, { trustMetadata });
+    const changesDest = await stateStore.detectChanges(destFiles, previous?.b, { trustMetadata });
+    
+    const plan = await planTwoWay(changesSource, changesDest, {
+      dirA: sourcePath,
+      dirB: destPath,
+      stateStore,
+      ...conflictOptions
+    });
+    await planCaseCollisions(plan, sourceFiles, destFiles, {
+      dirA: sourcePath,
+      dirB: destPath,
+      caseSensitiveA: await this.syncManager.caseSensitive(sourcePath),
+      caseSensitiveB: await this.syncManager.caseSensitive(destPath),
+      stateStore,
+      ...conflictOptions
+    });
+    planTwoWayDirectories(plan, dirs.source || [], dirs.dest || [], previous, { dirA: sourcePath, dirB: destPath });
+    this.syncManager.mapPlanNames(plan, sourcePath, destPath);
+    
+    for (const op of [...plan.AtoB, ...plan.BtoA]) {
+      if (op.type === 'utimes') continue;
+      
+      const entry = {
+        path: op.relPath,
+        size: op.size,
+        direction: op.direction === 'AtoB' ? 'source-to-dest' : 'dest-to-source',
+        source: op.source,
+        dest: op.destination,
+        ...(op.xattrs && { xattrs: op.xattrs })
+      };
+      
+      if (op.type === 'delete' || op.type === 'rmdir') {
+        operations.toDelete.push({
+          ...entry,
+          relPath: op.relPath,
+          fullPath: op.destination,
+          ...(op.type === 'rmdir' && { isDirectory: true })
+        });
+      } else if (op.type === 'mkdir') {
+        operations.toCreate.push({ ...entry, isDirectory: true });
+      } else if (op.type === 'move') {
+        operations.toMove.push({ ...entry, from: op.fromRelPath });
+      } else if (op.type === 'create') {
+        operations.toCreate.push(entry);
+        operations.totalSize += op.size;
+      } else {
+        operations.toUpdate.push(entry);
+        operations.totalSize += op.size;
+      }
+    }
+    
+    operations.conflicts = plan.conflicts.map(conflict => ({
+      path: conflict.path,
+      type: conflict.type,
+      paths: conflict.paths,
+      kept: conflict.kept,
+      resolution: conflict.resolution,
+      winner: conflict.winner === 'a' ? 'source' : conflict.winner === 'b' ? 'destination' : null,
+      copyPath: conflict.copyPath,
+      sourceFile: conflict.fileA,
+      destFile: conflict.fileB
+    }));
+  }
+  
   // Clean up resources
   async cleanup() {
+    await this.stopWatching();
     if (this.syncManager) {
       await this.syncManager.cleanup();
     }
@@ -337,21 +945,168 @@ export class SyncHandler extends EventEmitter {
       destinationPath,
       direction = 'two-way',
       dryRun = false,
+      conflictResolution = 'newer',
+      compare = 'size-mtime',
+      delta = false,
+      deltaThreshold,
+      partialMaxAge,
       deleteOrphaned = false,
       workerThreads = 4,
       filter = null,
       ignorePatterns = [],
+      pruneEmptyDirs = false,
+      preservePermissions = false,
+      xattrs = false,
+      mapNames = false,
+      transforms = [],
       verbose = false,
-      quiet = false
+      quiet = false,
+      profile = null,
+      trigger = 'manual'
     } = options;
     
+    await this.prepareCliSync({
+      workerThreads,
+      deleteOrphaned,
+      delta,
+      deltaThreshold,
+      partialMaxAge,
+      filter,
+      ignorePatterns,
+      pruneEmptyDirs,
+      preservePermissions,
+      xattrs,
+      mapNames,
+      transforms
+    });
+    
+    // Perform sync
+    const result = await this.performSync({
+      sourcePath,
+      destinationPath,
+      syncDirection: direction,
+      dryRun,
+      conflictResolution,
+      compare,
+      profile,
+      trigger
+    });
+    
+    return this.formatCliResult(result);
+  }
+  
+  // Continue an interrupted sync session from its journal
+  async resume(options = {}) {
+    const { sessionId = null, ...settings } = options;
+    
+    await this.prepareCliSync(settings);
+    
+    const run = { ...this.beginRun(), trigger: 'resume' };
+    
+    let summary;
+    try {
+      summary = await this.syncManager.resumeSession(sessionId);
+    } finally {
+      await this.endRun();
+    }
+    
+    // Sessions journaled before directions were kept only know their mode
+    const direction = summary.direction || (summary.mode === 'two-way' ? 'two-way' : 'source-to-dest');
+    const reversed = direction === 'dest-to-source';
+    await this.recordRun({
+      ...run,
+      profile: summary.profile || null,
+      sourcePath: reversed ? summary.dirB : summary.dirA,
+      destinationPath: reversed ? summary.dirA : summary.dirB,
+      direction
+    }, summary);
+    
+    return {
+      ...this.formatCliResult(this.summarizeRun(summary, run.bytesSavedBefore)),
+      sessionId: summary.resumedSession,
+      skippedOperations: summary.skippedOperations
+    };
+  }
+  
+  // Put back what a recorded run changed, leaving files that changed since it alone
+  async undo(runId, options = {}) {
+    const { dryRun = false } = options;
+    const run = await this.history.load(runId);
+    
+    if (run.undone) {
+      throw new Error(`Run ${run.id} was already undone at ${run.undone.at}`);
+    }
+    
+    const result = await undoRun(run, this.history.getSnapshotDir(run.id), { dryRun });
+    
+    if (!dryRun) {
+      const undone = new Set(result.undone.map(file => `${file.target}:${file.relPath}`));
+      const restoredOn = (target) => run.files
+        .filter(file => file.target === target && undone.has(`${target}:${file.relPath}`))
+        .flatMap(file => [file.relPath, file.fromRelPath].filter(Boolean));
+      const stateStore = new SyncStateStore();
+      
+      if (run.direction === 'two-way') {
+        // Adopt what was restored as the pair's known state so the next sync does not redo the run
+        await stateStore.refreshEntries(run.sourcePath, run.destinationPath, {
+          a: restoredOn('source'),
+          b: restoredOn('destination')
+        });
+      } else {
+        // A one-way destination follows its source, so the next run compares the restored files again
+        await stateStore.forgetEntries(run.sourcePath, run.destinationPath, [
+          ...restoredOn('source'),
+          ...restoredOn('destination')
+        ]);
+      }
+      
+      await this.history.update(run.id, {
+        undone: {
+          at: new Date().toISOString(),
+          undone: result.undone.length,
+          skipped: result.skipped
+        }
+      });
+    }
+    
+    return { runId: run.id, ...result };
+  }
+  
+  // Initialize the engine with minimal state and forward its events
+  async prepareCliSync(options = {}) {
+    const {
+      workerThreads = 4,
+      deleteOrphaned = false,
+      delta = false,
+      deltaThreshold,
+      partialMaxAge,
+      filter = null,
+      ignorePatterns = [],
+      pruneEmptyDirs = false,
+      preservePermissions = false,
+      xattrs = false,
+      mapNames = false,
+      transforms = []
+    } = options;
+    
+    this.ignorePatterns = ignorePatterns;
+    
     // Initialize with minimal state
     const state = {
       settings: {
         performanceMode: 'balanced',
         maxWorkerThreads: workerThreads,
         deleteOrphaned,
+        enableRecycleBin: this.options.trash || false,
         enableVerification: false,
+        deltaTransfer: delta,
+        deltaThreshold,
+        partialMaxAge,
+        pruneEmptyDirs,
+        preservePermissions,
+        xattrs,
+        mapNames,
+        transforms,
         confirmDeletions: false,
         batchSize: 50,
         retryAttempts: 3
@@ -361,24 +1116,18 @@ export class SyncHandler extends EventEmitter {
     
     // Apply filter if provided
     if (filter) {
-      const filterManager = new FilterManager();
-      const presetFilters = filterManager.getPresetFilters();
-      if (presetFilters[filter]) {
-        state.activeFilter = {
-          manager: filterManager,
-          filter: presetFilters[filter]
-        };
-      }
+      const filterManager = new FilterManager().applyPreset(filter);
+      state.activeFilter = {
+        manager: filterManager,
+        filter: filterManager.patterns
+      };
     }
     
     await this.initialize(state);
     
-    // Apply ignore patterns
-    if (ignorePatterns.length > 0) {
-      // Create .syncignore content
-      const syncignorePath = path.join(sourcePath, '.syncignore');
-      // Note: In production, we'd merge with existing patterns
-    }
+    this.syncManager.on('session-start', (session) => {
+      this.emit('session-start', session);
+    });
     
     // Set up event forwarding with error handling
     this.syncManager.on('progress', (progress) => {
@@ -417,22 +1166,34 @@ export class SyncHandler extends EventEmitter {
         this.emit('error', error, context);
       }
     });
-    
-    // Perform sync
-    const result = await this.performSync({
-      sourcePath,
-      destinationPath,
-      syncDirection: direction,
-      dryRun
-    });
-    
-    // Transform result for CLI
+  }
+  
+  // Transform result for CLI
+  formatCliResult(result) {
     return {
       totalFiles: result.totalFiles || 0,
       syncedFiles: result.filesCreated + result.filesUpdated,
       filesCreated: result.filesCreated || 0,
       filesUpdated: result.filesUpdated || 0,
+      filesMoved: result.filesMoved || 0,
       filesDeleted: result.filesDeleted || 0,
+      dirsCreated: result.dirsCreated || 0,
+      dirsDeleted: result.dirsDeleted || 0,
+      dirsPruned: result.dirsPruned || 0,
+      xattrErrors: result.xattrErrors || [],
+      ...(result.destructiveChanges && { destructiveChanges: result.destructiveChanges }),
+      conflicts: (result.conflicts || []).map(({ path, type, paths, kept, resolution, winner, copyPath }) => ({
+        path,
+        type,
+        ...(paths && { paths, kept: kept ?? null }),
+        resolution,
+        winner: winner === 'a' ? 'source' : winner === 'b' ? 'destination' : null,
+        copyPath
+      })),
+      unresolvedConflicts: result.unresolvedConflicts || [],
+      conflictCopies: result.conflictCopies || [],
+      bytesSaved: result.bytesSaved || 0,
+      deletionWarnings: result.deletionWarnings || [],
       errors: result.errors || [],
       success: !result.errors || result.errors.length === 0
     };
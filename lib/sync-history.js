@@ -0,0 +1,144 @@
+// sync-history.js - Audit log of what each sync run did
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const HISTORY_VERSION = '1.0';
+export const DEFAULT_MAX_RUNS = 1000; // Oldest runs are pruned beyond this
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parse "--since" values: a relative age ("30m", "12h", "7d", "2w") or a date
+export function parseSince(text, now = new Date()) {
+  const relative = String(text).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (relative) {
+    return new Date(now.getTime() - Number(relative[1]) * DURATION_UNITS[relative[2].toLowerCase()]);
+  }
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value: "${text}" (use e.g. 12h, 7d or 2024-05-01)`);
+  }
+  return date;
+}
+
+// A run record without its file list, for listings
+function summarize(record) {
+  const { files, ...summary } = record;
+  return summary;
+}
+
+export class SyncHistory {
+  constructor(options = {}) {
+    this.maxRuns = options.maxRuns ?? DEFAULT_MAX_RUNS;
+  }
+
+  // Get history directory (computed dynamically for testability)
+  get historyDir() {
+    return path.join(os.homedir(), '.wsl-sync', 'history');
+  }
+
+  getRunPath(id) {
+    return path.join(this.historyDir, `${id}.json`);
+  }
+
+  // Copies of the files a run overwrote or deleted
+  getSnapshotDir(id) {
+    return path.join(this.historyDir, id);
+  }
+
+  // Ids sort by start time, to the millisecond so back-to-back runs keep their order
+  generateId(startedAt = new Date()) {
+    const stamp = startedAt.toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Store a finished run; a run that took a snapshot brings the id it was given
+  async record(run) {
+    await fs.mkdir(this.historyDir, { recursive: true });
+
+    const record = {
+      version: HISTORY_VERSION,
+      id: run.id || this.generateId(new Date(run.startedAt)),
+      ...run
+    };
+
+    await this.write(record);
+    await this.prune();
+    return record;
+  }
+
+  // Merge changes into a stored run
+  async update(id, changes) {
+    const record = { ...await this.load(id), ...changes };
+    await this.write(record);
+    return record;
+  }
+
+  async write(record) {
+    const runPath = this.getRunPath(record.id);
+    const tempPath = `${runPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, runPath);
+  }
+
+  // Load a run by id or unique id prefix
+  async load(id) {
+    const ids = await this.listIds();
+    const matches = ids.includes(id) ? [id] : ids.filter(runId => runId.startsWith(id));
+
+    if (matches.length === 0) {
+      throw new Error(`Sync run not found: ${id}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Run id '${id}' is ambiguous (${matches.length} runs match)`);
+    }
+
+    return JSON.parse(await fs.readFile(this.getRunPath(matches[0]), 'utf-8'));
+  }
+
+  // Run summaries, newest first, optionally for one profile and/or since a date
+  async list({ profile = null, since = null, limit = null } = {}) {
+    const runs = [];
+
+    for (const id of (await this.listIds()).reverse()) {
+      let record;
+      try {
+        record = JSON.parse(await fs.readFile(this.getRunPath(id), 'utf-8'));
+      } catch {
+        continue; // Unreadable records are skipped rather than failing the listing
+      }
+
+      if (since && new Date(record.startedAt) < since) break;
+      if (profile && record.profile !== profile) continue;
+
+      runs.push(summarize(record));
+      if (limit && runs.length >= limit) break;
+    }
+
+    return runs;
+  }
+
+  // Recorded run ids, oldest first
+  async listIds() {
+    const entries = await fs.readdir(this.historyDir).catch(() => []);
+    return entries
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  // Drop the oldest runs and their snapshots beyond the retention limit
+  async prune() {
+    const ids = await this.listIds();
+    const excess = ids.slice(0, Math.max(0, ids.length - this.maxRuns));
+
+    for (const id of excess) {
+      await fs.rm(this.getRunPath(id), { force: true });
+      await fs.rm(this.getSnapshotDir(id), { recursive: true, force: true });
+    }
+  }
+}
+
+export default SyncHistory;
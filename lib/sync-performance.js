@@ -12,11 +12,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Import the base SyncManager for validation and other features
-import { SyncManager as BaseSyncManager } from './sync.js';
+import { SyncManager as BaseSyncManager, isDirectoryOperation } from './sync.js';
 
 export class PerformanceSyncManager extends BaseSyncManager {
   constructor(options = {}) {
-    super();
+    super(options);
     
     // Performance options
     this.options = {
@@ -26,6 +26,8 @@ export class PerformanceSyncManager extends BaseSyncManager {
       retryAttempts: options.retryAttempts || 3,
       retryDelay: options.retryDelay || 1000,
       largeFileThreshold: options.largeFileThreshold || 10 * 1024 * 1024, // 10MB
+      deltaTransfer: options.deltaTransfer || false,
+      deltaThreshold: options.deltaThreshold || options.largeFileThreshold || 10 * 1024 * 1024,
       enableVerification: options.enableVerification || false,
       ...options
     };
@@ -46,6 +48,7 @@ export class PerformanceSyncManager extends BaseSyncManager {
       endTime: null,
       filesProcessed: 0,
       bytesTransferred: 0,
+      bytesSaved: 0,
       errors: [],
       workerStats: {}
     };
@@ -161,10 +164,19 @@ export class PerformanceSyncManager extends BaseSyncManager {
           case 'file-complete':
             this.metrics.workerStats[worker.id].filesProcessed++;
             this.metrics.filesProcessed++;
+            this.metrics.bytesTransferred += message.data.bytesTransferred || 0;
+            this.metrics.bytesSaved += message.data.bytesSaved || 0;
             // Track processed file
             if (message.data.file) {
               this.syncState.processedFiles.add(message.data.file);
             }
+            // Journal each finished copy so an interrupted run resumes after it
+            if (this.session) {
+              const completed = files.find(f => f.relPath === message.data.file);
+              if (completed) {
+                this.sessions.record(this.session.id, completed);
+              }
+            }
             this.emit('file-complete', {
               workerId: worker.id,
               ...message.data
@@ -201,11 +213,17 @@ export class PerformanceSyncManager extends BaseSyncManager {
           destination: f.destination,
           size: f.size,
           mtime: f.mtime,
-          relPath: f.relPath
+          relPath: f.relPath,
+          linkTarget: f.linkTarget,
+          metadata: f.metadata,
+          xattrs: f.xattrs,
+          transforms: f.transforms
         })),
         operation: {
           verify: this.options.enableVerification,
-          batchSize: this.options.batchSize
+          batchSize: this.options.batchSize,
+          // Files at or above this size are sent as block deltas when a copy already exists
+          deltaThreshold: this.options.deltaTransfer ? this.options.deltaThreshold : 0
         }
       });
     });
@@ -265,11 +283,91 @@ export class PerformanceSyncManager extends BaseSyncManager {
     return retryResults;
   }
   
+  // Override executeOperations to run copies through the worker pool
+  async executeOperations(operations, options = {}) {
+    const { dryRun = false, direction } = options;
+
+    if (dryRun || operations.length === 0) {
+      return super.executeOperations(operations, options);
+    }
+
+    // Directory mtimes are set last, once the copies into those directories are done
+    const isDirectoryTime = (op) => op.type === 'utimes';
+    const isMetadataOnly = (op) => op.type === 'delete' || op.type === 'move' ||
+      (isDirectoryOperation(op) && !isDirectoryTime(op));
+    const copies = operations.filter(op => !isMetadataOnly(op) && !isDirectoryTime(op));
+    const setTimes = async (results) => [
+      ...results,
+      ...await super.executeOperations(operations.filter(isDirectoryTime), options)
+    ];
+
+    // Deletions, moves and directories are cheap metadata operations - run them inline
+    const results = await super.executeOperations(operations.filter(isMetadataOnly), options);
+
+    if (copies.length === 0) {
+      return setTimes(results);
+    }
+
+    // Back up what the copies will overwrite; a copy that cannot be backed up is not run
+    const snapshotErrors = new Map();
+    for (const operation of copies) {
+      try {
+        await this.backUp(operation);
+      } catch (error) {
+        snapshotErrors.set(operation.relPath, { success: false, error: `Backup failed: ${error.message}` });
+      }
+    }
+    const ready = copies.filter(op => !snapshotErrors.has(op.relPath));
+    
+    // Process files with workers
+    this.emit('sync-start', { 
+      operationCount: ready.length,
+      totalSize: ready.reduce((sum, op) => sum + op.size, 0)
+    });
+    
+    const workerResults = await this.processFilesWithWorkers(ready, { direction });
+    const resultsByFile = new Map(workerResults.map(result => [result.file, result]));
+    
+    // Retry failed operations
+    const failedOperations = ready.filter(op => !resultsByFile.get(op.relPath)?.success);
+    if (failedOperations.length > 0) {
+      this.emit('retry-start', { count: failedOperations.length });
+      const retryResults = await this.retryFailedOperations(failedOperations, { direction });
+      
+      // Update results with retry outcomes
+      retryResults.forEach(result => resultsByFile.set(result.file, result));
+    }
+    
+    for (const operation of copies) {
+      const result = resultsByFile.get(operation.relPath) || snapshotErrors.get(operation.relPath) ||
+        { success: false, error: 'No result from worker' };
+      results.push({ operation, success: result.success, error: result.error });
+
+      if (result.success) {
+        if (result.transformed) operation.transformed = result.transformed;
+        this.stats.copiedFiles++;
+        this.recordXattrFailures(operation.destination, result.xattrErrors || []);
+        this.emit('file-synced', operation);
+      } else {
+        this.stats.errors.push({
+          file: operation.source,
+          target: operation.destination,
+          error: result.error
+        });
+      }
+    }
+
+    this.stats.processedFiles += copies.length;
+    
+    return setTimes(results);
+  }
+
   // Override syncOneWay to use performance optimizations
   async syncOneWay(src, dest, ig, direction = 'forward', dryRun = false) {
     this.emit('scan-start', { source: src, destination: dest });
     
-    const files = await this.walkDir(src, src, ig);
+    const sourceDirs = [];
+    const files = await this.scanRoot(src, ig, sourceDirs);
     this.stats.totalFiles += files.length;
     
     // Update sync state with total files
@@ -282,121 +380,25 @@ export class PerformanceSyncManager extends BaseSyncManager {
     
     if (dryRun) {
       // In dry run, just return the operations without executing
-      return this.generateOperations(files, dest);
+      return this.generateOperations(files, src, dest, sourceDirs);
     }
     
     // Prepare file operations
-    const operations = [];
-    for (const file of files) {
-      const targetPath = path.join(dest, file.relPath);
-      
-      try {
-        let shouldCopy = false;
-        
-        if (!await fs.access(targetPath).then(() => true).catch(() => false)) {
-          shouldCopy = true;
-        } else {
-          const destStat = await fs.stat(targetPath);
-          if (file.mtime > destStat.mtimeMs) {
-            shouldCopy = true;
-          }
-        }
-        
-        if (shouldCopy) {
-          operations.push({
-            source: file.fullPath,
-            destination: targetPath,
-            size: file.size,
-            mtime: file.mtime,
-            relPath: file.relPath
-          });
-        }
-      } catch (error) {
-        this.stats.errors.push({
-          file: file.fullPath,
-          error: error.message
-        });
-      }
-    }
+    const { operations, previous } = await this.planOneWayRun(files, src, dest, false, sourceDirs);
+    await this.beginSession({ mode: 'one-way', dirA: src, dirB: dest, operations, files, sourceDirs, previous });
     
-    if (operations.length === 0) {
-      return [];
-    }
+    const results = await this.executeOperations(operations, { direction });
+    await this.finishOneWay(src, dest, files, sourceDirs, previous, results);
     
-    // Process files with workers
-    this.emit('sync-start', { 
-      operationCount: operations.length,
-      totalSize: operations.reduce((sum, op) => sum + op.size, 0)
-    });
-    
-    const results = await this.processFilesWithWorkers(operations, { direction });
-    
-    // Retry failed operations
-    const failedOperations = operations.filter((op, index) => !results[index].success);
-    if (failedOperations.length > 0) {
-      this.emit('retry-start', { count: failedOperations.length });
-      const retryResults = await this.retryFailedOperations(failedOperations, { direction });
-      
-      // Update results with retry outcomes
-      let retryIndex = 0;
-      results.forEach((result, index) => {
-        if (!result.success) {
-          results[index] = retryResults[retryIndex++];
-        }
-      });
-    }
-    
-    // Update stats
-    const successCount = results.filter(r => r.success).length;
-    this.stats.copiedFiles += successCount;
-    this.stats.processedFiles += operations.length;
-    
-    return results;
+    return operations;
   }
   
   // Generate operations for dry run
-  async generateOperations(files, dest) {
-    const operations = [];
+  async generateOperations(files, src, dest, sourceDirs = null) {
+    const { operations } = await this.planOneWayRun(files, src, dest, true, sourceDirs);
     
-    for (const file of files) {
-      const targetPath = path.join(dest, file.relPath);
-      
-      try {
-        let operation = null;
-        
-        if (!await fs.access(targetPath).then(() => true).catch(() => false)) {
-          operation = {
-            type: 'create',
-            source: file.fullPath,
-            destination: targetPath,
-            size: file.size,
-            relPath: file.relPath
-          };
-        } else {
-          const destStat = await fs.stat(targetPath);
-          if (file.mtime > destStat.mtimeMs) {
-            operation = {
-              type: 'update',
-              source: file.fullPath,
-              destination: targetPath,
-              size: file.size,
-              relPath: file.relPath,
-              oldMtime: destStat.mtimeMs,
-              newMtime: file.mtime
-            };
-          }
-        }
-        
-        if (operation) {
-          operations.push(operation);
-          this.emit('operation-found', operation);
-        }
-      } catch (error) {
-        this.emit('operation-error', {
-          file: file.fullPath,
-          error: error.message
-        });
-      }
+    for (const operation of operations) {
+      this.emit('operation-found', operation);
     }
     
     return operations;
@@ -519,6 +521,7 @@ export class PerformanceSyncManager extends BaseSyncManager {
       ...this.metrics,
       duration: this.metrics.endTime - this.metrics.startTime,
       averageSpeed: this.metrics.bytesTransferred / ((this.metrics.endTime - this.metrics.startTime) / 1000),
+      bytesSaved: this.metrics.bytesSaved,
       workerEfficiency: Object.values(this.metrics.workerStats).map(stats => ({
         filesProcessed: stats.filesProcessed,
         errorRate: stats.errors / (stats.filesProcessed || 1)
@@ -0,0 +1,847 @@
+// sync-state.js - Persistent per-pair sync state for three-way change detection
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { calculateFileHash } from './file-worker.cjs';
+import { resolveConflict, keepsBoth, conflictCopyName } from './conflicts.js';
+import { rewriteLinkTarget, hashLinkTarget } from './symlinks.cjs';
+import { caseKey, findCaseCollisions, pickCaseCollisionWinner, caseCollisionConflict } from './case-collisions.js';
+
+const STATE_VERSION = '1.0';
+
+export class SyncStateStore {
+  constructor(options = {}) {
+    this.hashFile = options.hashFile || calculateFileHash;
+  }
+
+  // Get state directory (computed dynamically for testability)
+  get stateDir() {
+    return path.join(os.homedir(), '.wsl-sync', 'state');
+  }
+
+  // Stable ID for a folder pair, independent of sync direction
+  getPairId(dirA, dirB) {
+    const roots = [path.resolve(dirA), path.resolve(dirB)].sort();
+    return crypto.createHash('sha1').update(roots.join('\0')).digest('hex').slice(0, 16);
+  }
+
+  // Get state file path for a folder pair
+  getStatePath(dirA, dirB) {
+    return path.join(this.stateDir, `${this.getPairId(dirA, dirB)}.json`);
+  }
+
+  // Load the last snapshot for a pair, returned as { a, b, dirs: { a, b } } in argument order
+  async load(dirA, dirB) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.getStatePath(dirA, dirB), 'utf-8'));
+      const sides = data.sides || {};
+      const dirs = data.dirs || {};
+
+      return {
+        a: sides[path.resolve(dirA)] || {},
+        b: sides[path.resolve(dirB)] || {},
+        dirs: {
+          a: dirs[path.resolve(dirA)] || {},
+          b: dirs[path.resolve(dirB)] || {}
+        },
+        updated: data.updated
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable sync state: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Save the snapshot for a pair after a run; dirs holds each side's directory entries
+  async save(dirA, dirB, entriesA, entriesB, dirs = { a: {}, b: {} }) {
+    await fs.mkdir(this.stateDir, { recursive: true });
+
+    const data = {
+      version: STATE_VERSION,
+      updated: new Date().toISOString(),
+      sides: {
+        [path.resolve(dirA)]: entriesA,
+        [path.resolve(dirB)]: entriesB
+      },
+      dirs: {
+        [path.resolve(dirA)]: dirs.a,
+        [path.resolve(dirB)]: dirs.b
+      }
+    };
+
+    // Write to a temp file first so a crash never leaves a half-written state
+    const statePath = this.getStatePath(dirA, dirB);
+    const tempPath = `${statePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, statePath);
+  }
+
+  // Remove the snapshot for a pair
+  async clear(dirA, dirB) {
+    await fs.rm(this.getStatePath(dirA, dirB), { force: true });
+  }
+
+  // Re-read some paths into a pair's snapshot, given per side as { a, b }, keeping every other entry
+  async refreshEntries(dirA, dirB, relPaths) {
+    const previous = await this.load(dirA, dirB);
+    if (!previous) return;
+
+    const entries = { a: { ...previous.a }, b: { ...previous.b } };
+    const dirs = { a: { ...previous.dirs.a }, b: { ...previous.dirs.b } };
+    for (const [side, root] of [['a', dirA], ['b', dirB]]) {
+      for (const relPath of relPaths[side] || []) {
+        const fullPath = path.join(root, relPath);
+        const stats = await fs.stat(fullPath).catch(() => null);
+
+        if (stats?.isFile()) {
+          entries[side][relPath] = { size: stats.size, mtime: stats.mtimeMs, hash: await this.hashFile(fullPath) };
+        } else {
+          delete entries[side][relPath];
+        }
+
+        if (stats?.isDirectory()) {
+          dirs[side][relPath] = { mtime: stats.mtimeMs };
+        } else {
+          delete dirs[side][relPath];
+        }
+      }
+    }
+
+    await this.save(dirA, dirB, entries.a, entries.b, dirs);
+  }
+
+  // Drop some paths from both sides of a pair's snapshot, so the next run compares them afresh
+  async forgetEntries(dirA, dirB, relPaths) {
+    const previous = await this.load(dirA, dirB);
+    if (!previous) return;
+
+    for (const side of ['a', 'b']) {
+      for (const relPath of relPaths) {
+        delete previous[side][relPath];
+        delete previous.dirs[side][relPath];
+      }
+    }
+
+    await this.save(dirA, dirB, previous.a, previous.b, previous.dirs);
+  }
+
+  // Directory entries for the relative paths that are directories under a root now
+  async readDirectories(root, relPaths) {
+    const entries = {};
+
+    for (const relPath of relPaths) {
+      const stats = await fs.stat(path.join(root, relPath)).catch(() => null);
+      if (stats?.isDirectory()) {
+        entries[relPath] = { mtime: stats.mtimeMs };
+      }
+    }
+
+    return entries;
+  }
+
+  // Check whether a scanned file still matches its snapshot entry
+  matchesEntry(file, entry) {
+    return !!entry &&
+      file.size === entry.size &&
+      Math.trunc(file.mtime) === Math.trunc(entry.mtime);
+  }
+
+  // Ensure a scanned file has a content hash; a preserved link is hashed by where it points
+  async ensureHash(file) {
+    if (!file.hash) {
+      file.hash = file.linkTarget !== undefined ? hashLinkTarget(file.linkTarget) : await this.hashFile(file.fullPath);
+    }
+    return file.hash;
+  }
+
+  // Take an unchanged file's hash from its entry. A copy transformed on the way in keeps the
+  // hash of the content it was made from, so it compares equal to that content.
+  adoptHash(file, entry) {
+    file.hash = entry.hash;
+    if (entry.transformedHash) {
+      file.transformedHash = entry.transformedHash;
+    }
+  }
+
+  // Classify scanned files against the previous snapshot of the same side
+  async detectChanges(files, previous = null, options = {}) {
+    const { trustMetadata = true } = options;
+
+    const changes = {
+      created: [],
+      modified: [],
+      unchanged: [],
+      deleted: [],
+      renamed: [],
+      hasSnapshot: !!previous
+    };
+
+    const seen = new Set();
+
+    for (const file of files) {
+      seen.add(file.relPath);
+      const entry = previous?.[file.relPath];
+
+      if (!entry) {
+        changes.created.push(file);
+      } else if (trustMetadata && this.matchesEntry(file, entry)) {
+        // Size and mtime unchanged - trust the stored hash
+        this.adoptHash(file, entry);
+        changes.unchanged.push(file);
+      } else {
+        // Metadata changed - only a content hash can tell a touch from an edit
+        await this.ensureHash(file);
+        if (file.hash === entry.hash || file.hash === entry.transformedHash) {
+          this.adoptHash(file, entry);
+          changes.unchanged.push(file);
+        } else {
+          changes.modified.push(file);
+        }
+      }
+    }
+
+    if (previous) {
+      for (const [relPath, entry] of Object.entries(previous)) {
+        if (!seen.has(relPath)) {
+          changes.deleted.push({ relPath, ...entry });
+        }
+      }
+    }
+
+    await this.detectRenames(changes);
+
+    return changes;
+  }
+
+  // Pair created files with deleted entries of the same inode or identical content
+  async detectRenames(changes) {
+    if (changes.deleted.length === 0 || changes.created.length === 0) {
+      return;
+    }
+
+    const renamedFrom = new Set();
+    const renamedTo = new Set();
+
+    const addRename = (file, entry) => {
+      changes.renamed.push({ from: entry.relPath, to: file.relPath, file, entry });
+      renamedFrom.add(entry.relPath);
+      renamedTo.add(file.relPath);
+    };
+
+    // A move within one filesystem keeps the inode, size and mtime - no hashing needed
+    const deletedByInode = new Map(
+      changes.deleted.filter(entry => entry.ino).map(entry => [entry.ino, entry])
+    );
+    for (const file of changes.created) {
+      const entry = deletedByInode.get(file.ino);
+      if (entry && this.matchesEntry(file, entry)) {
+        file.hash = file.hash || entry.hash;
+        addRename(file, entry);
+      }
+    }
+
+    const deletedBySize = new Map();
+    for (const entry of changes.deleted) {
+      if (!deletedBySize.has(entry.size)) {
+        deletedBySize.set(entry.size, []);
+      }
+      deletedBySize.get(entry.size).push(entry);
+    }
+
+    for (const file of changes.created) {
+      if (renamedTo.has(file.relPath)) continue;
+
+      const candidates = (deletedBySize.get(file.size) || [])
+        .filter(entry => !renamedFrom.has(entry.relPath));
+      if (candidates.length === 0) continue;
+
+      await this.ensureHash(file);
+      const match = candidates.find(entry => entry.hash === file.hash || entry.transformedHash === file.hash);
+
+      if (match) {
+        this.adoptHash(file, match);
+        addRename(file, match);
+      }
+    }
+
+    changes.created = changes.created.filter(file => !renamedTo.has(file.relPath));
+    changes.deleted = changes.deleted.filter(entry => !renamedFrom.has(entry.relPath));
+  }
+
+  // Build snapshot entries for a set of scanned files
+  async buildEntries(files) {
+    const entries = {};
+
+    for (const file of files) {
+      entries[file.relPath] = {
+        size: file.size,
+        mtime: file.mtime,
+        hash: await this.ensureHash(file),
+        ...(file.transformedHash && { transformedHash: file.transformedHash }),
+        ...(file.ino && { ino: file.ino })
+      };
+    }
+
+    return entries;
+  }
+}
+
+// The snapshot entry of a copy: its source's, except that a copy transformed on the way keeps
+// its own size and the hash of what was written beside the source hash it stands for
+export function copiedEntry(entry = {}, operation) {
+  const { transformedHash, ...copied } = entry;
+  return operation.transformed ?
+    { ...copied, size: operation.transformed.size, transformedHash: operation.transformed.hash } :
+    copied;
+}
+
+// Flatten a change set into a per-path status map
+function statusMap(changes) {
+  const map = new Map();
+
+  const add = (status) => (file) => map.set(file.relPath, { status, file });
+  changes.created.forEach(add('created'));
+  changes.modified.forEach(add('modified'));
+  changes.unchanged.forEach(add('unchanged'));
+  changes.deleted.forEach(add('deleted'));
+
+  // Renames that cannot be replayed as a move behave as delete + create
+  for (const rename of changes.renamed) {
+    map.set(rename.from, { status: 'deleted', file: rename.entry });
+    map.set(rename.to, { status: 'created', file: rename.file });
+  }
+
+  return map;
+}
+
+// Target the copy of a preserved link gets on another root, as an operation field
+function linkTargetField(file, sourceRoot, destRoot) {
+  if (file.linkTarget === undefined) return {};
+  return { linkTarget: rewriteLinkTarget(file.linkTarget, { relPath: file.relPath, sourceRoot, destRoot }) };
+}
+
+// Build a copy operation between the two roots
+function copyOperation(file, sourceRoot, destRoot, type, direction) {
+  return {
+    type,
+    direction,
+    source: file.fullPath,
+    destination: path.join(destRoot, file.relPath),
+    size: file.size,
+    mtime: file.mtime,
+    hash: file.hash,
+    relPath: file.relPath,
+    ...linkTargetField(file, sourceRoot, destRoot),
+    ...(file.metadata && { metadata: file.metadata }),
+    ...(file.xattrs && { xattrs: file.xattrs }),
+    ...(file.transforms && { transforms: file.transforms })
+  };
+}
+
+// Build a delete operation on one root
+function deleteOperation(file, root, direction) {
+  return {
+    type: 'delete',
+    direction,
+    destination: path.join(root, file.relPath),
+    size: file.size,
+    relPath: file.relPath
+  };
+}
+
+// Build a rename on one root that replays a move detected on the other
+function moveOperation(rename, root, direction) {
+  return {
+    type: 'move',
+    direction,
+    from: path.join(root, rename.from),
+    destination: path.join(root, rename.to),
+    size: rename.file.size,
+    mtime: rename.file.mtime,
+    hash: rename.file.hash,
+    relPath: rename.to,
+    fromRelPath: rename.from
+  };
+}
+
+// Build a copy of a conflict loser under its conflict copy name on one root
+function conflictCopyOperation(file, sourceRoot, root, side, copyPath) {
+  return {
+    type: 'create',
+    side,
+    conflictOf: file.relPath,
+    source: file.fullPath,
+    destination: path.join(root, copyPath),
+    size: file.size,
+    mtime: file.mtime,
+    hash: file.hash,
+    relPath: copyPath,
+    ...linkTargetField(file, sourceRoot, root),
+    ...(file.metadata && { metadata: file.metadata }),
+    ...(file.xattrs && { xattrs: file.xattrs })
+  };
+}
+
+// Plan a two-way sync from the change sets of both sides
+export async function planTwoWay(changesA, changesB, options = {}) {
+  const {
+    dirA,
+    dirB,
+    stateStore = new SyncStateStore(),
+    conflictResolution = 'newer',
+    resolutions = {}
+  } = options;
+
+  const plan = {
+    AtoB: [],
+    BtoA: [],
+    conflicts: [],
+    conflictCopies: [],
+    unresolved: []
+  };
+
+  // Record a conflict and plan the winning side's state onto the other side
+  const addConflict = async (relPath, type, fileA, fileB) => {
+    const conflict = { path: relPath, type, fileA, fileB };
+    const winner = resolveConflict(conflict, conflictResolution, resolutions);
+
+    conflict.winner = winner;
+    conflict.resolution = winner ?
+      (conflictResolution === 'manual' ? resolutions[relPath] : conflictResolution) :
+      'manual';
+    plan.conflicts.push(conflict);
+
+    if (!winner) {
+      plan.unresolved.push(relPath);
+      return;
+    }
+
+    const [winnerFile, loserFile, winnerRoot, loserRoot, direction] = winner === 'a' ?
+      [fileA, fileB, dirA, dirB, 'AtoB'] :
+      [fileB, fileA, dirB, dirA, 'BtoA'];
+
+    // Save the losing version beside the winner on both sides before it is overwritten
+    if (keepsBoth(conflict, conflictResolution, resolutions)) {
+      conflict.copyPath = conflictCopyName(relPath);
+      await stateStore.ensureHash(loserFile);
+      plan.conflictCopies.push(
+        conflictCopyOperation(loserFile, loserRoot, dirA, 'a', conflict.copyPath),
+        conflictCopyOperation(loserFile, loserRoot, dirB, 'b', conflict.copyPath)
+      );
+    }
+
+    if (winnerFile) {
+      plan[direction].push(copyOperation(winnerFile, winnerRoot, loserRoot, loserFile ? 'update' : 'create', direction));
+    } else {
+      plan[direction].push(deleteOperation(loserFile, loserRoot, direction));
+    }
+  };
+
+  const sideA = statusMap(changesA);
+  const sideB = statusMap(changesB);
+  const paths = new Set([...sideA.keys(), ...sideB.keys()]);
+
+  const isPresent = (side) => side && side.status !== 'deleted';
+  const isChanged = (side) => side && (side.status === 'created' || side.status === 'modified');
+
+  // Replay a rename as a move when the other side still holds the untouched original
+  const handled = new Set();
+  const planMoves = (changes, other, otherRoot, direction) => {
+    for (const rename of changes.renamed) {
+      if (other.get(rename.from)?.status !== 'unchanged' || other.has(rename.to) ||
+          handled.has(rename.from) || handled.has(rename.to)) {
+        continue;
+      }
+
+      plan[direction].push(moveOperation(rename, otherRoot, direction));
+      handled.add(rename.from);
+      handled.add(rename.to);
+    }
+  };
+  planMoves(changesA, sideB, dirB, 'AtoB');
+  planMoves(changesB, sideA, dirA, 'BtoA');
+
+  for (const relPath of [...paths].sort()) {
+    if (handled.has(relPath)) continue;
+
+    const a = sideA.get(relPath);
+    const b = sideB.get(relPath);
+
+    if (isPresent(a) && isPresent(b)) {
+      if (!isChanged(a) && !isChanged(b)) continue;
+
+      if (isChanged(a) && !isChanged(b)) {
+        plan.AtoB.push(copyOperation(a.file, dirA, dirB, 'update', 'AtoB'));
+      } else if (isChanged(b) && !isChanged(a)) {
+        plan.BtoA.push(copyOperation(b.file, dirB, dirA, 'update', 'BtoA'));
+      } else {
+        // Changed on both sides - identical content needs no transfer
+        if (a.file.size === b.file.size &&
+            await stateStore.ensureHash(a.file) === await stateStore.ensureHash(b.file)) {
+          continue;
+        }
+
+        await addConflict(relPath, 'both-modified', a.file, b.file);
+      }
+    } else if (isPresent(a)) {
+      if (b?.status === 'deleted') {
+        if (isChanged(a)) {
+          // Edited on A while deleted on B
+          await addConflict(relPath, 'modified-deleted', a.file, null);
+        } else {
+          plan.BtoA.push(deleteOperation(a.file, dirA, 'BtoA'));
+        }
+      } else {
+        plan.AtoB.push(copyOperation(a.file, dirA, dirB, 'create', 'AtoB'));
+      }
+    } else if (isPresent(b)) {
+      if (a?.status === 'deleted') {
+        if (isChanged(b)) {
+          await addConflict(relPath, 'modified-deleted', null, b.file);
+        } else {
+          plan.AtoB.push(deleteOperation(b.file, dirB, 'AtoB'));
+        }
+      } else {
+        plan.BtoA.push(copyOperation(b.file, dirB, dirA, 'create', 'BtoA'));
+      }
+    }
+  }
+
+  return plan;
+}
+
+// Keep a two-way plan from letting names that differ only in case overwrite each other on a
+// case-insensitive side. Names colliding on one side keep a single copy there; a copy created
+// under one case against the other side's file in another is a conflict settled like any other,
+// the losing name removed before the winner is copied; and a delete paired with a copy of the
+// same name in another case is a case-only rename, replayed as a move.
+export async function planCaseCollisions(plan, filesA, filesB, options = {}) {
+  const {
+    dirA,
+    dirB,
+    caseSensitiveA = true,
+    caseSensitiveB = true,
+    stateStore = new SyncStateStore(),
+    conflictResolution = 'newer',
+    resolutions = {}
+  } = options;
+
+  const lanes = [
+    { direction: 'AtoB', reverse: 'BtoA', side: 'a', files: filesA, target: filesB, root: dirB, caseSensitive: caseSensitiveB },
+    { direction: 'BtoA', reverse: 'AtoB', side: 'b', files: filesB, target: filesA, root: dirA, caseSensitive: caseSensitiveA }
+  ].filter(lane => !lane.caseSensitive);
+
+  const isCopy = (op) => op.type === 'create' || op.type === 'update';
+  const drop = (direction, operation) => {
+    plan[direction] = plan[direction].filter(op => op !== operation);
+  };
+  const handled = new Set(); // Case keys already settled
+
+  // Names colliding on the side copied from: one copy goes over, under the name chosen
+  for (const lane of lanes) {
+    const held = new Map(lane.target.map(file => [caseKey(file.relPath), file.relPath]));
+
+    for (const group of findCaseCollisions(lane.files)) {
+      const key = caseKey(group[0].relPath);
+      const kept = pickCaseCollisionWinner(group, {
+        held: held.get(key),
+        side: lane.side,
+        strategy: conflictResolution,
+        resolutions
+      });
+      handled.add(key);
+      plan.conflicts.push(caseCollisionConflict(group, kept, lane.side, conflictResolution, resolutions));
+
+      const leftOut = new Set(group.filter(file => file !== kept).map(file => file.relPath));
+      plan[lane.direction] = plan[lane.direction].filter(op => !(isCopy(op) && leftOut.has(op.relPath)));
+      if (!kept) {
+        plan.unresolved.push(...leftOut);
+        continue;
+      }
+
+      // The target holds another of the names - rename it to the kept one before copying
+      const copy = plan[lane.direction].find(op => isCopy(op) && op.relPath === kept.relPath);
+      if (copy && held.has(key) && held.get(key) !== kept.relPath) {
+        const move = moveOperation({ from: held.get(key), to: kept.relPath, file: kept }, lane.root, lane.direction);
+        plan[lane.direction].splice(plan[lane.direction].indexOf(copy), 0, move);
+        copy.type = 'update';
+      }
+    }
+  }
+
+  // A name created on one side against the same name in another case on the other
+  for (const lane of lanes) {
+    const held = new Map(lane.target.map(file => [caseKey(file.relPath), file]));
+    const scanned = new Map(lane.files.map(file => [file.relPath, file]));
+
+    for (const op of [...plan[lane.direction]]) {
+      const key = caseKey(op.relPath);
+      const other = held.get(key);
+      if (op.type !== 'create' || op.conflictOf || handled.has(key) || !other || other.relPath === op.relPath) {
+        continue;
+      }
+      handled.add(key);
+
+      const file = scanned.get(op.relPath);
+      const deletion = plan[lane.direction].find(candidate => candidate.type === 'delete' && candidate.relPath === other.relPath);
+      if (deletion) {
+        // Renamed in case only - rename the other side's copy instead of deleting it
+        drop(lane.direction, deletion);
+        plan[lane.direction].splice(plan[lane.direction].indexOf(op), 0,
+          moveOperation({ from: other.relPath, to: op.relPath, file }, lane.root, lane.direction));
+        op.type = 'update';
+        continue;
+      }
+
+      // Only a rival created on the other side is settled automatically; any other edit to it
+      // is left for the user rather than overwritten
+      const rival = plan[lane.reverse].find(candidate => candidate.type === 'create' && candidate.relPath === other.relPath);
+      const [fileA, fileB] = lane.side === 'a' ? [file, other] : [other, file];
+      const conflict = { path: fileA.relPath, type: 'case-collision', paths: [fileA.relPath, fileB.relPath], fileA, fileB };
+      const winner = rival ? resolveConflict(conflict, conflictResolution, resolutions) : null;
+
+      conflict.winner = winner;
+      conflict.resolution = winner ?
+        (conflictResolution === 'manual' ? resolutions[conflict.path] : conflictResolution) :
+        'manual';
+      plan.conflicts.push(conflict);
+      drop(lane.direction, op);
+      if (rival) drop(lane.reverse, rival);
+
+      if (!winner) {
+        plan.unresolved.push(fileA.relPath, fileB.relPath);
+        continue;
+      }
+
+      const [winnerFile, loserFile, winnerRoot, loserRoot, direction] = winner === 'a' ?
+        [fileA, fileB, dirA, dirB, 'AtoB'] :
+        [fileB, fileA, dirB, dirA, 'BtoA'];
+      conflict.kept = winnerFile.relPath;
+
+      if (keepsBoth(conflict, conflictResolution, resolutions)) {
+        conflict.copyPath = conflictCopyName(loserFile.relPath);
+        await stateStore.ensureHash(loserFile);
+        plan.conflictCopies.push(
+          conflictCopyOperation(loserFile, loserRoot, dirA, 'a', conflict.copyPath),
+          conflictCopyOperation(loserFile, loserRoot, dirB, 'b', conflict.copyPath)
+        );
+      }
+
+      // The losing name goes first so the winner never lands on top of it
+      plan[direction].push(
+        deleteOperation(loserFile, loserRoot, direction),
+        copyOperation(winnerFile, winnerRoot, loserRoot, 'create', direction)
+      );
+    }
+  }
+
+  return plan;
+}
+
+// Parent directories that operations add entries to or remove entries from
+function changedParents(operations) {
+  const parents = new Set();
+
+  for (const operation of operations) {
+    parents.add(path.dirname(operation.relPath));
+    if (operation.fromRelPath) {
+      parents.add(path.dirname(operation.fromRelPath));
+    }
+  }
+
+  return parents;
+}
+
+// Directories that copies into them create along the way
+export function filledDirectories(operations) {
+  const filled = new Set();
+
+  for (const operation of operations) {
+    if (operation.type === 'delete' || operation.type === 'rmdir') continue;
+
+    for (let dir = path.dirname(operation.relPath); dir !== '.'; dir = path.dirname(dir)) {
+      filled.add(dir);
+    }
+  }
+
+  return filled;
+}
+
+// Set directory mtimes once the operations inside them are done. targets maps a relative
+// path to the mtime it should end with and its current one (null while it does not exist).
+export function directoryTimeOperations(targets, operations, root, direction = undefined) {
+  const touched = changedParents(operations);
+  const timeOperations = [];
+
+  for (const [relPath, { mtime, current }] of targets) {
+    if (current !== null && Math.trunc(current) === Math.trunc(mtime) && !touched.has(relPath)) continue;
+
+    timeOperations.push({
+      type: 'utimes',
+      ...(direction && { direction }),
+      destination: path.join(root, relPath),
+      size: 0,
+      mtime,
+      relPath
+    });
+  }
+
+  return timeOperations;
+}
+
+// Depth of a relative path, for creating parents first and removing children first
+const pathDepth = (relPath) => relPath.split(path.sep).length;
+
+// Add directory operations to a two-way plan: a directory new on one side is created on the
+// other, one removed from a side it was known on is removed from the other, and both copies
+// end with the mtime of the side that changed it (the newer one when both did)
+export function planTwoWayDirectories(plan, dirsA, dirsB, previous = null, options = {}) {
+  const { dirA, dirB } = options;
+  const sideA = new Map(dirsA.map(dir => [dir.relPath, dir]));
+  const sideB = new Map(dirsB.map(dir => [dir.relPath, dir]));
+  const knownA = previous?.dirs?.a || {};
+  const knownB = previous?.dirs?.b || {};
+
+  const lanes = {
+    AtoB: { root: dirB, filled: filledDirectories(plan.AtoB), mkdir: [], rmdir: [], targets: new Map() },
+    BtoA: { root: dirA, filled: filledDirectories(plan.BtoA), mkdir: [], rmdir: [], targets: new Map() }
+  };
+
+  const addOperation = (type, direction, relPath, xattrs = null) => lanes[direction][type].push({
+    type,
+    direction,
+    destination: path.join(lanes[direction].root, relPath),
+    size: 0,
+    relPath,
+    ...(xattrs && { xattrs })
+  });
+
+  const changedSince = (dir, known) => !known || Math.trunc(known.mtime) !== Math.trunc(dir.mtime);
+
+  const paths = [...new Set([...sideA.keys(), ...sideB.keys()])]
+    .sort((x, y) => pathDepth(x) - pathDepth(y) || x.localeCompare(y));
+
+  for (const relPath of paths) {
+    const a = sideA.get(relPath);
+    const b = sideB.get(relPath);
+
+    if (a && b) {
+      const changedA = changedSince(a, knownA[relPath]);
+      const changedB = changedSince(b, knownB[relPath]);
+      const mtime = changedA === changedB ? Math.max(a.mtime, b.mtime) : changedA ? a.mtime : b.mtime;
+
+      lanes.BtoA.targets.set(relPath, { mtime, current: a.mtime });
+      lanes.AtoB.targets.set(relPath, { mtime, current: b.mtime });
+      continue;
+    }
+
+    const [present, direction, knownOnOther, removeDirection] = a ?
+      [a, 'AtoB', knownB[relPath], 'BtoA'] :
+      [b, 'BtoA', knownA[relPath], 'AtoB'];
+
+    if (knownOnOther) {
+      // Removed from the other side since the last run
+      addOperation('rmdir', removeDirection, relPath);
+    } else {
+      if (!lanes[direction].filled.has(relPath)) {
+        addOperation('mkdir', direction, relPath, present.xattrs);
+      }
+      lanes[direction].targets.set(relPath, { mtime: present.mtime, current: null });
+      lanes[removeDirection].targets.set(relPath, { mtime: present.mtime, current: present.mtime });
+    }
+  }
+
+  for (const [direction, side] of [['AtoB', 'b'], ['BtoA', 'a']]) {
+    const lane = lanes[direction];
+    lane.rmdir.sort((x, y) => pathDepth(y.relPath) - pathDepth(x.relPath));
+
+    const operations = [...plan[direction], ...lane.mkdir, ...lane.rmdir];
+    const touching = [...operations, ...plan.conflictCopies.filter(op => op.side === side)];
+    plan[direction] = [...operations, ...directoryTimeOperations(lane.targets, touching, lane.root, direction)];
+  }
+
+  return plan;
+}
+
+// Reduce changed paths to a scope, dropping paths already covered by a parent; null means everything
+export function normalizeScope(paths) {
+  const normalized = [...new Set(paths.map(relPath => path.normalize(relPath)))].sort();
+  if (normalized.some(relPath => relPath === '.' || relPath === '')) {
+    return null;
+  }
+
+  return normalized.filter((relPath, index) => !isInScope(relPath, normalized.slice(0, index)));
+}
+
+// Whether a path is one of the scope paths or inside one of them
+export function isInScope(relPath, scope) {
+  return scope.some(scopePath => relPath === scopePath || relPath.startsWith(scopePath + path.sep));
+}
+
+// Keep the snapshot entries inside (or outside) a scope
+export function scopeEntries(entries, scope, inside = true) {
+  return Object.fromEntries(
+    Object.entries(entries || {}).filter(([relPath]) => isInScope(relPath, scope) === inside)
+  );
+}
+
+// Compute the snapshot entries for both sides after executing a plan
+export function applyPlanToEntries(entriesA, entriesB, previous, results, unresolved = [], copyResults = []) {
+  const nextA = { ...entriesA };
+  const nextB = { ...entriesB };
+
+  // Forget this run for a path so the same decision is made next time
+  const restorePrevious = (relPath) => {
+    for (const [next, prev] of [[nextA, previous?.a], [nextB, previous?.b]]) {
+      if (prev?.[relPath]) {
+        next[relPath] = prev[relPath];
+      } else {
+        delete next[relPath];
+      }
+    }
+  };
+
+  for (const { operation, success } of results) {
+    const { relPath, direction, type } = operation;
+    const [from, to] = direction === 'AtoB' ? [nextA, nextB] : [nextB, nextA];
+
+    // Directory entries are read back from disk once the run is done
+    if (type === 'mkdir' || type === 'rmdir' || type === 'utimes') continue;
+
+    if (!success) {
+      restorePrevious(relPath);
+      if (operation.fromRelPath) {
+        restorePrevious(operation.fromRelPath);
+      }
+      continue;
+    }
+
+    if (type === 'delete') {
+      delete to[relPath];
+    } else if (type === 'move') {
+      // The moved file keeps its own inode and metadata on the target side
+      to[relPath] = { ...to[operation.fromRelPath] };
+      delete to[operation.fromRelPath];
+    } else if (from[relPath]) {
+      to[relPath] = copiedEntry(from[relPath], operation);
+    }
+  }
+
+  // Conflict copies exist on both sides now but were not part of the scan
+  for (const { operation, success } of copyResults) {
+    if (success) {
+      const { size, mtime, hash } = operation;
+      (operation.side === 'a' ? nextA : nextB)[operation.relPath] = { size, mtime, hash };
+    }
+  }
+
+  // Conflicts left for the user stay pending until they are resolved
+  unresolved.forEach(restorePrevious);
+
+  return { a: nextA, b: nextB };
+}
+
+export default SyncStateStore;
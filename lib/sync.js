@@ -1,9 +1,62 @@
 // sync/sync-enhanced.js
 import fs from 'fs/promises';
+import fsSync from 'fs';
 import path from 'path';
 import ignore from 'ignore';
 import { EventEmitter } from 'events';
 import { SyncIgnore } from './syncignore.js';
+import {
+  SyncStateStore,
+  planTwoWay,
+  planTwoWayDirectories,
+  planCaseCollisions,
+  filledDirectories,
+  directoryTimeOperations,
+  applyPlanToEntries,
+  copiedEntry,
+  normalizeScope,
+  scopeEntries
+} from './sync-state.js';
+import { HashCache } from './hash-cache.js';
+import { SessionJournal, operationKey } from './session-journal.js';
+import { PARTIAL_SUFFIX } from './partial-copy.cjs';
+import { isVersionStorePath } from './version-store.js';
+import { DEFAULT_DELETION_LIMITS, checkDeletionLimits } from './deletion-manager.js';
+import { TEMP_SUFFIX, atomicCopy } from './atomic-copy.cjs';
+import { SYMLINK_MODES, driveOf, rewriteLinkTarget, directoryKey, copySymlink } from './symlinks.cjs';
+import { MetadataManifest, isMetadataManifest, posixMetadata, holdsPosixMetadata } from './metadata-manifest.js';
+import { readXattrTree, writeXattrs } from './xattrs.cjs';
+import {
+  caseKey,
+  holdsCaseDistinctNames,
+  findCaseCollisions,
+  nameOnTarget,
+  pickCaseCollisionWinner,
+  caseCollisionConflict
+} from './case-collisions.js';
+import { encodeWindowsPath, decodeWindowsPath } from './windows-names.js';
+import { parseTransformRules, transformsFor, transformCopy } from './transforms.cjs';
+
+// How a source file is compared with its destination copy
+export const COMPARE_MODES = ['size-mtime', 'mtime', 'hash'];
+
+// Interrupted large copies are kept this long so the next run can resume them
+export const DEFAULT_PARTIAL_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// In-progress transfer files written next to their destination
+const TRANSFER_SUFFIXES = [PARTIAL_SUFFIX, TEMP_SUFFIX, '.wsl-sync-delta'];
+
+export function isTransferFile(name) {
+  return TRANSFER_SUFFIXES.some(suffix => name.endsWith(suffix));
+}
+
+// Directory create, remove and mtime operations, which carry no file content
+export function isDirectoryOperation(operation) {
+  return operation.type === 'mkdir' || operation.type === 'rmdir' || operation.type === 'utimes';
+}
+
+// Depth of a relative path, for creating parents first and removing children first
+const pathDepth = (relPath) => relPath.split(path.sep).length;
 
 // Helper function to replace fs-extra's copy
 async function copyRecursive(src, dest) {
@@ -20,18 +73,74 @@ async function copyRecursive(src, dest) {
 }
 
 export class SyncManager extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.stats = {
       totalFiles: 0,
       processedFiles: 0,
       copiedFiles: 0,
       skippedFiles: 0,
+      prunedDirs: [],
+      xattrErrors: [],
+      caseCollisions: [],
       errors: [],
       startTime: null,
       endTime: null
     };
     this.syncIgnore = new SyncIgnore();
+    this.hashCache = new HashCache();
+    this.stateStore = new SyncStateStore({ hashFile: (filePath) => this.hashCache.hash(filePath) });
+    this.compareMode = 'size-mtime';
+    this.sessions = new SessionJournal();
+    this.session = null;
+    this.partialMaxAge = options.partialMaxAge ?? DEFAULT_PARTIAL_MAX_AGE;
+    this.scope = null;
+    this.runInfo = {}; // Profile and direction of the run, journaled so a resume can take its lock and record it
+    this.snapshot = null; // Backs up files before the run in progress changes them
+    this.versions = null; // Keeps prior versions of overwritten and deleted files in the pair's version store
+    this.trash = null; // Deleted files are moved here instead of being removed when set
+    this.deletionLimits = { ...DEFAULT_DELETION_LIMITS, force: false };
+    this.deletionWarnings = []; // Limits the current run exceeded (dry runs and forced runs only)
+    this.deleteOrphaned = false; // One-way runs delete destination files the source does not have
+    this.keepOrphan = () => false; // Orphans this matches are left for manual review
+    this.fileFilter = null; // FilterManager deciding which files take part in a sync, or null for all
+    this.mirror = false; // One-way runs make the destination identical to the source
+    this.conflictResolution = 'newer'; // How one-way runs settle names that differ only in case
+    this.resolutions = {}; // Manual choices for those, by the first path of each collision
+    this.pruneEmptyDirs = false; // Directories a run's deletions leave empty are removed
+    this.symlinks = 'preserve'; // Scanned links are recreated as links, followed ('copy') or left out ('ignore')
+    this.preservePermissions = false; // Copies keep their source's mode, owner and access time
+    this.metadataRoots = new Map(); // Whether each root can store POSIX metadata itself, probed once
+    this.xattrs = false; // Copies and created directories get their source's extended attributes
+    this.caseRoots = new Map(); // Whether each root keeps names apart that differ only in case, probed once
+    this.mapWindowsNames = false; // Names Windows refuses are stored encoded on its drives, as drvfs does
+    this.transformRules = []; // Line ending and encoding rules for copied text files, as [{ pattern, transforms }]
+  }
+
+  // Limit the next run to these relative paths (null syncs everything)
+  setScope(paths = null) {
+    this.scope = paths ? normalizeScope(paths) : null;
+  }
+
+  // Select how files are compared for the next sync
+  setCompareMode(mode = 'size-mtime') {
+    if (!COMPARE_MODES.includes(mode)) {
+      throw new Error(`Invalid compare mode: ${mode}. Use one of ${COMPARE_MODES.join(', ')}`);
+    }
+    this.compareMode = mode;
+  }
+
+  // Select how scans treat symbolic links
+  setSymlinkMode(mode = 'preserve') {
+    if (!SYMLINK_MODES.includes(mode)) {
+      throw new Error(`Invalid symlink mode: ${mode}. Use one of ${SYMLINK_MODES.join(', ')}`);
+    }
+    this.symlinks = mode;
+  }
+
+  // Set the transform rules copies go through, from a profile's rules or --transform values
+  setTransformRules(spec = []) {
+    this.transformRules = parseTransformRules(spec);
   }
 
   // Path validation functions
@@ -165,9 +274,9 @@ export class SyncManager extends EventEmitter {
 
   loadIgnorePatterns(rootPath) {
     const ignoreFile = path.join(rootPath, '.syncignore');
-    if (fs.existsSync(ignoreFile)) {
+    if (fsSync.existsSync(ignoreFile)) {
       try {
-        const patterns = fs.readFileSync(ignoreFile, 'utf-8')
+        const patterns = fsSync.readFileSync(ignoreFile, 'utf-8')
           .split('\n')
           .filter(line => line.trim() && !line.startsWith('#'));
         return ignore().add(patterns);
@@ -179,8 +288,228 @@ export class SyncManager extends EventEmitter {
     return ignore();
   }
 
-  async walkDir(dir, base, ig, fileList = []) {
+  // Whether the active filter leaves a scanned path out of the sync
+  isFilteredOut(relPath, stats) {
+    return this.fileFilter !== null && !this.fileFilter.shouldIncludeFile({
+      name: path.basename(relPath),
+      relPath,
+      size: stats.size,
+      mtime: stats.mtimeMs,
+      isDirectory: stats.isDirectory()
+    });
+  }
+
+  // Stat a scanned path without following links, then apply the symlink mode: null leaves a
+  // link out, 'copy' stats what it points at and 'preserve' records where it points
+  async statEntry(fullPath) {
+    const stats = await fs.lstat(fullPath);
+    if (!stats.isSymbolicLink()) return { stats };
+
+    switch (this.symlinks) {
+      case 'ignore':
+        return null;
+      case 'copy':
+        return { stats: await fs.stat(fullPath) };
+      default:
+        return { stats, linkTarget: await fs.readlink(fullPath) };
+    }
+  }
+
+  // Scanned file entry, carrying the link target of a preserved link and, when permissions
+  // are preserved, the POSIX metadata its copies get
+  fileEntry(fullPath, relPath, { stats, linkTarget }) {
+    return {
+      fullPath,
+      relPath,
+      mtime: stats.mtimeMs,
+      size: stats.size,
+      ino: stats.ino,
+      ...(linkTarget !== undefined && { linkTarget }),
+      ...(this.preservePermissions && linkTarget === undefined && { metadata: posixMetadata(stats) })
+    };
+  }
+
+  // Whether a root stores POSIX metadata itself, or needs a manifest beside its files. When
+  // that cannot be probed, Windows drives are taken to need one as drvfs does by default.
+  async holdsMetadata(root) {
+    const key = path.resolve(root);
+    if (!this.metadataRoots.has(key)) {
+      this.metadataRoots.set(key, await holdsPosixMetadata(key) ?? driveOf(key) === null);
+    }
+    return this.metadataRoots.get(key);
+  }
+
+  // Whether a root keeps names apart that differ only in case; drvfs folders do not
+  async caseSensitive(root) {
+    const key = path.resolve(root);
+    if (!this.caseRoots.has(key)) {
+      this.caseRoots.set(key, await holdsCaseDistinctNames(key));
+    }
+    return this.caseRoots.get(key);
+  }
+
+  // Whether a root only takes names Windows allows: the Windows drives under /mnt
+  restrictsNames(root) {
+    return driveOf(root) !== null;
+  }
+
+  // Whether names on a root are stored encoded, and stand for the decoded ones
+  mapsNames(root) {
+    return this.mapWindowsNames && this.restrictsNames(root);
+  }
+
+  // Where a relative path is stored on a root
+  pathOnRoot(root, relPath) {
+    return path.join(root, this.mapsNames(root) ? encodeWindowsPath(relPath) : relPath);
+  }
+
+  // The relative path that a path stored on a root stands for
+  namedPath(root, relPath) {
+    return this.mapsNames(root) ? decodeWindowsPath(relPath) : relPath;
+  }
+
+  // Give what was scanned on a root that stores names encoded the names it stands for
+  decodeScannedNames(root, files, dirList = null) {
+    if (this.mapsNames(root)) {
+      for (const entry of [...files, ...(dirList || [])]) {
+        entry.relPath = decodeWindowsPath(entry.relPath);
+      }
+    }
+    return files;
+  }
+
+  // Point operations that target a root storing names encoded at the encoded paths; paths
+  // already encoded stay as they are
+  mapOperationNames(operations, root) {
+    if (!this.mapsNames(root)) return operations;
+
+    for (const operation of operations) {
+      for (const field of ['destination', 'from']) {
+        if (operation[field]) {
+          operation[field] = this.pathOnRoot(root, path.relative(root, operation[field]));
+        }
+      }
+    }
+    return operations;
+  }
+
+  // Keep one file of each group whose names differ only in case, recording the group as a
+  // conflict, so a case-insensitive destination never has one overwrite the other
+  async resolveCaseCollisions(files, dest, conflicts, options = {}) {
+    const { conflictResolution = 'newer', resolutions = {}, listings = new Map() } = options;
+    const leftOut = new Set();
+
+    for (const group of findCaseCollisions(files)) {
+      const held = await nameOnTarget(this.pathOnRoot(dest, group[0].relPath), listings);
+      const kept = pickCaseCollisionWinner(group, {
+        held: held && path.join(path.dirname(group[0].relPath), held),
+        side: 'a',
+        strategy: conflictResolution,
+        resolutions
+      });
+
+      conflicts.push(caseCollisionConflict(group, kept, 'a', conflictResolution, resolutions));
+      for (const file of group) {
+        if (file !== kept) leftOut.add(file);
+      }
+    }
+
+    return files.filter(file => !leftOut.has(file));
+  }
+
+  // Take the metadata of scanned files from the root's manifest, where an earlier run kept it
+  async applyMetadataManifest(root, files) {
+    if (!this.preservePermissions) return files;
+
+    const manifest = await new MetadataManifest(root).load();
+    for (const file of files) {
+      const recorded = file.metadata && manifest.get(file.relPath);
+      if (recorded) {
+        file.metadata = { ...file.metadata, ...recorded };
+      }
+    }
+    return files;
+  }
+
+  // Keep the metadata of what a run changed on a root that cannot store it in its manifest
+  async recordMetadata(root, results) {
+    if (!this.preservePermissions || await this.holdsMetadata(root)) return;
+
+    const manifest = await new MetadataManifest(root).load();
+    for (const { operation, success } of results) {
+      const relPath = path.relative(path.resolve(root), path.resolve(operation.destination));
+      if (!success || relPath.startsWith('..')) continue;
+
+      if (operation.type === 'delete') {
+        manifest.delete(relPath);
+      } else if (operation.type === 'move') {
+        manifest.rename(path.relative(path.resolve(root), path.resolve(operation.from)), relPath);
+      } else if (operation.metadata) {
+        manifest.set(relPath, operation.metadata);
+      }
+    }
+    await manifest.save();
+  }
+
+  // Give scanned files and directories the extended attributes they carry on disk. The case
+  // sensitivity flag is only looked for on a Windows drive, where WSL keeps it.
+  async attachXattrs(root, files, dirList = null) {
+    const paths = this.scope ? this.scope.map(relPath => path.resolve(root, relPath)) : [path.resolve(root)];
+    const found = await readXattrTree(paths, {
+      followLinks: this.symlinks === 'copy',
+      caseFlags: driveOf(root) !== null
+    });
+
+    for (const entry of [...files, ...(dirList || [])]) {
+      const attrs = found.get(path.resolve(entry.fullPath));
+      if (attrs) entry.xattrs = attrs;
+    }
+    return files;
+  }
+
+  // Note attributes that could not be read or applied; the copies they belong to still count
+  recordXattrFailures(target, failures) {
+    for (const { name = null, error } of failures) {
+      this.stats.xattrErrors.push({ target, attribute: name, error });
+      this.emit('warning', name ?
+        `Could not apply ${name} to ${target}: ${error}` :
+        `Could not read extended attributes under ${target}: ${error}`);
+    }
+  }
+
+  // Put an operation's extended attributes on what it created
+  async applyXattrs(operation) {
+    if (!operation.xattrs) return;
+    this.recordXattrFailures(operation.destination, await writeXattrs(operation.destination, operation.xattrs));
+  }
+
+  // Finish a scan: extended attributes when they are carried, then any manifest metadata,
+  // which is kept under the names the files are stored under, then the names they stand for
+  async completeScan(dir, files, dirList) {
+    if (this.xattrs) {
+      await this.attachXattrs(dir, files, dirList)
+        .catch(error => this.recordXattrFailures(dir, [{ error: error.message }]));
+    }
+    await this.applyMetadataManifest(dir, files);
+    return this.attachTransforms(this.decodeScannedNames(dir, files, dirList));
+  }
+
+  // Give scanned files the transforms their copies go through; links are never transformed
+  attachTransforms(files) {
+    if (this.transformRules.length === 0) return files;
+
+    for (const file of files.filter(file => file.linkTarget === undefined)) {
+      const transforms = transformsFor(file.relPath, this.transformRules);
+      if (transforms.length > 0) file.transforms = transforms;
+    }
+    return files;
+  }
+
+  // Collects files, and directories too when a dirList is given. ancestors holds the
+  // directories being walked, so a followed link back to one of them is not walked forever.
+  async walkDir(dir, base, ig, fileList = [], dirList = null, ancestors = null) {
     try {
+      ancestors ??= new Set([directoryKey(await fs.stat(dir))]);
       const entries = await fs.readdir(dir);
       
       for (const entry of entries) {
@@ -191,6 +520,11 @@ export class SyncManager extends EventEmitter {
         const normalizedFull = path.resolve(fullPath);
         const relPath = path.relative(normalizedBase, normalizedFull);
         
+        // Never sync our own in-progress transfer files or the version store
+        if (isTransferFile(entry) || isVersionStorePath(relPath) || isMetadataManifest(relPath)) {
+          continue;
+        }
+        
         // Skip files outside the base directory
         if (relPath.startsWith('..') || path.isAbsolute(relPath)) {
           console.warn(`Skipping file outside sync scope: ${fullPath}`);
@@ -204,24 +538,34 @@ export class SyncManager extends EventEmitter {
         }
         
         try {
-          const stats = await fs.stat(fullPath);
+          const entry = await this.statEntry(fullPath);
+          if (!entry) {
+            this.stats.skippedFiles++;
+            continue;
+          }
+          const { stats } = entry;
           const isDirectory = stats.isDirectory();
           
-          // Check directory patterns
-          if (isDirectory && this.syncIgnore.shouldIgnore(relPath, true)) {
+          // Check directory patterns and the active filter
+          if ((isDirectory && this.syncIgnore.shouldIgnore(relPath, true)) || this.isFilteredOut(relPath, stats)) {
             this.stats.skippedFiles++;
             continue;
           }
           
           if (isDirectory) {
-            await this.walkDir(fullPath, base, ig, fileList);
+            const key = directoryKey(stats);
+            if (ancestors.has(key)) {
+              this.stats.skippedFiles++;
+              this.emit('warning', `Skipping symlink loop: ${fullPath}`);
+              continue;
+            }
+
+            dirList?.push({ fullPath: normalizedFull, relPath, mtime: stats.mtimeMs });
+            ancestors.add(key);
+            await this.walkDir(fullPath, base, ig, fileList, dirList, ancestors);
+            ancestors.delete(key);
           } else {
-            fileList.push({ 
-              fullPath: normalizedFull, 
-              relPath, 
-              mtime: stats.mtimeMs,
-              size: stats.size 
-            });
+            fileList.push(this.fileEntry(normalizedFull, relPath, entry));
           }
         } catch (err) {
           this.stats.errors.push({
@@ -250,12 +594,85 @@ export class SyncManager extends EventEmitter {
     return fileList;
   }
 
+  // Scan a root, or only the scoped paths within it
+  async scanRoot(dir, ig, dirList = null) {
+    if (!this.scope) {
+      return this.completeScan(dir, await this.walkDir(dir, dir, ig, [], dirList), dirList);
+    }
+
+    const fileList = [];
+    for (const relPath of this.scope) {
+      const fullPath = path.resolve(dir, relPath);
+      if (isTransferFile(path.basename(relPath)) || isVersionStorePath(relPath) || isMetadataManifest(relPath) ||
+          ig.ignores(relPath)) {
+        continue;
+      }
+
+      const entry = await this.statEntry(fullPath).catch(() => null);
+      const stats = entry?.stats;
+      if (!stats || this.syncIgnore.shouldIgnore(relPath, stats.isDirectory()) || this.isFilteredOut(relPath, stats)) {
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        dirList?.push({ fullPath, relPath, mtime: stats.mtimeMs });
+        await this.walkDir(fullPath, dir, ig, fileList, dirList);
+      } else {
+        fileList.push(this.fileEntry(fullPath, relPath, entry));
+      }
+    }
+
+    return this.completeScan(dir, fileList, dirList);
+  }
+
+  // Load the last snapshot of a pair, limited to the scope of this run
+  async loadState(dirA, dirB) {
+    const previous = await this.stateStore.load(dirA, dirB);
+    if (!previous || !this.scope) {
+      return previous;
+    }
+
+    return {
+      ...previous,
+      a: scopeEntries(previous.a, this.scope),
+      b: scopeEntries(previous.b, this.scope),
+      dirs: {
+        a: scopeEntries(previous.dirs.a, this.scope),
+        b: scopeEntries(previous.dirs.b, this.scope)
+      }
+    };
+  }
+
+  // Save a pair's snapshot; a scoped run keeps everything outside its scope as it was
+  async saveState(dirA, dirB, entriesA, entriesB, dirs = { a: {}, b: {} }) {
+    if (this.scope) {
+      const baseline = await this.stateStore.load(dirA, dirB);
+      entriesA = { ...scopeEntries(baseline?.a, this.scope, false), ...entriesA };
+      entriesB = { ...scopeEntries(baseline?.b, this.scope, false), ...entriesB };
+      dirs = {
+        a: { ...scopeEntries(baseline?.dirs.a, this.scope, false), ...dirs.a },
+        b: { ...scopeEntries(baseline?.dirs.b, this.scope, false), ...dirs.b }
+      };
+    }
+
+    await this.stateStore.save(dirA, dirB, entriesA, entriesB, dirs);
+  }
+
+  // Directory entries of both sides after a run, for the directories it scanned or knew
+  async readDirectoryState(dirA, dirB, relPaths) {
+    return {
+      a: await this.stateStore.readDirectories(dirA, relPaths),
+      b: await this.stateStore.readDirectories(dirB, relPaths)
+    };
+  }
+
   async loadSyncIgnorePatterns(dirA, dirB, profilePatterns = null) {
     const patterns = [];
     
     // Load from profile if provided
     if (profilePatterns) {
       this.syncIgnore.loadFromJSON(profilePatterns);
+      patterns.push(...this.syncIgnore.patterns);
       console.log('Loaded syncignore patterns from profile');
     }
     
@@ -282,102 +699,814 @@ export class SyncManager extends EventEmitter {
     this.syncIgnore.mergePatterns(patterns);
   }
 
-  async syncOneWay(src, dest, ig, direction = 'forward', dryRun = false) {
-    this.emit('scan-start', { source: src, destination: dest });
-    
-    const files = await this.walkDir(src, src, ig);
-    this.stats.totalFiles += files.length;
-    
-    this.emit('scan-complete', { 
-      fileCount: files.length,
-      direction 
+  // Decide which scanned source files need copying to the destination, which scanned
+  // destination files to delete when destFiles is given, and which directories to create,
+  // remove and set the mtime of. A mirror also overwrites destination-side changes. On a
+  // case-insensitive destination, names differing only in case come back as conflicts.
+  async planOneWay(files, src, dest, options = {}) {
+    const {
+      destFiles = null,
+      sourceDirs = null,
+      destDirs = null,
+      mirror = this.mirror,
+      compare = this.compareMode,
+      conflictResolution = this.conflictResolution,
+      resolutions = this.resolutions
+    } = options;
+    const previous = await this.loadState(src, dest);
+    const changes = await this.stateStore.detectChanges(files, previous?.a, {
+      trustMetadata: compare !== 'hash'
     });
+    const changed = new Set([...changes.created, ...changes.modified].map(file => file.relPath));
+    for (const rename of changes.renamed) {
+      changed.add(rename.to);
+    }
 
     const operations = [];
-    
+    const moved = new Set();
+    const conflicts = [];
+    const caseInsensitive = !await this.caseSensitive(dest);
+    const listings = new Map();
+
+    if (caseInsensitive) {
+      files = await this.resolveCaseCollisions(files, dest, conflicts, { conflictResolution, resolutions, listings });
+    }
+
+    // Move the previous copy in the destination instead of transferring it again
+    for (const rename of changes.renamed) {
+      const fromPath = this.pathOnRoot(dest, rename.from);
+      const toPath = this.pathOnRoot(dest, rename.to);
+      const original = await fs.stat(fromPath).catch(() => null);
+      const known = previous?.b?.[rename.from];
+
+      if (!original || !known || original.size !== known.size || await fs.stat(toPath).catch(() => null)) {
+        continue;
+      }
+
+      operations.push({
+        type: 'move',
+        from: fromPath,
+        destination: toPath,
+        size: rename.file.size,
+        mtime: rename.file.mtime,
+        relPath: rename.to,
+        fromRelPath: rename.from
+      });
+      moved.add(rename.to);
+    }
+
     for (const file of files) {
-      const targetPath = path.join(dest, file.relPath);
-      let operation = null;
-      
-      try {
-        if (!fs.existsSync(targetPath)) {
-          operation = {
-            type: 'create',
-            source: file.fullPath,
-            destination: targetPath,
-            size: file.size,
-            relPath: file.relPath
-          };
-        } else {
-          const destStat = await fs.stat(targetPath);
-          if (file.mtime > destStat.mtimeMs) {
-            operation = {
-              type: 'update',
-              source: file.fullPath,
-              destination: targetPath,
-              size: file.size,
-              relPath: file.relPath,
-              oldMtime: destStat.mtimeMs,
-              newMtime: file.mtime
-            };
+      if (moved.has(file.relPath)) continue;
+
+      const targetPath = this.pathOnRoot(dest, file.relPath);
+      const linkTarget = file.linkTarget === undefined ? undefined :
+        rewriteLinkTarget(file.linkTarget, { relPath: file.relPath, sourceRoot: src, destRoot: dest });
+      const destStat = await (linkTarget === undefined ? fs.stat(targetPath) : fs.lstat(targetPath)).catch(() => null);
+      let type = null;
+
+      // A copy under a name differing only in case takes the source's name before anything else
+      const held = caseInsensitive && destStat ? await nameOnTarget(targetPath, listings) : null;
+      if (held && held !== path.basename(targetPath)) {
+        const fromRelPath = path.join(path.dirname(file.relPath), held);
+        operations.push({
+          type: 'move',
+          from: path.join(path.dirname(targetPath), held),
+          destination: targetPath,
+          size: file.size,
+          mtime: file.mtime,
+          relPath: file.relPath,
+          fromRelPath
+        });
+      }
+
+      if (!destStat) {
+        type = 'create';
+      } else if (linkTarget !== undefined) {
+        // A link is current while the destination is a link to the same place
+        if (!destStat.isSymbolicLink() || await fs.readlink(targetPath) !== linkTarget) {
+          type = 'update';
+        }
+      } else if (!mirror && compare === 'size-mtime' && changes.hasSnapshot && previous.a[file.relPath]) {
+        // Known file - copy only when the source content changed since the last run
+        if (changed.has(file.relPath)) {
+          type = 'update';
+        }
+      } else if (await this.needsUpdate(file, targetPath, destStat, mirror, previous?.b?.[file.relPath], compare)) {
+        type = 'update';
+      }
+
+      if (type) {
+        operations.push({
+          type,
+          source: file.fullPath,
+          destination: targetPath,
+          size: file.size,
+          mtime: file.mtime,
+          relPath: file.relPath,
+          ...(linkTarget !== undefined && { linkTarget }),
+          ...(file.metadata && { metadata: file.metadata }),
+          ...(file.xattrs && { xattrs: file.xattrs }),
+          ...(file.transforms && { transforms: file.transforms }),
+          ...(destStat && { oldMtime: destStat.mtimeMs, newMtime: file.mtime })
+        });
+      }
+    }
+
+    if (destFiles) {
+      // Files moved away are gone once their move runs
+      const kept = new Set(files.map(file => file.relPath));
+      for (const operation of operations) {
+        if (operation.type === 'move') kept.add(operation.fromRelPath);
+      }
+
+      const keptKeys = new Set([...kept].map(caseKey));
+      for (const file of destFiles) {
+        const isKept = kept.has(file.relPath) || (caseInsensitive && keptKeys.has(caseKey(file.relPath)));
+        if (isKept || (!mirror && this.keepOrphan(file.relPath))) continue;
+
+        operations.push({
+          type: 'delete',
+          destination: file.fullPath,
+          size: file.size,
+          relPath: file.relPath
+        });
+      }
+    }
+
+    if (sourceDirs) {
+      operations.push(...await this.planDirectoryOperations(operations, sourceDirs, dest, destDirs, mirror, caseInsensitive));
+    }
+
+    return { operations: this.mapOperationNames(operations, dest), previous, conflicts };
+  }
+
+  // Create the source's directories on dest, remove the dest directories the source does not
+  // have when destDirs was scanned, and give each directory its source mtime once the
+  // operations inside it are done. Copies create the directories they fill themselves.
+  // A case-insensitive destination matches directories whatever the case of their names.
+  async planDirectoryOperations(operations, sourceDirs, dest, destDirs = null, mirror = false, caseInsensitive = false) {
+    const fold = caseInsensitive ? caseKey : (relPath) => relPath;
+    const filled = filledDirectories(operations);
+    const existing = destDirs && new Map(destDirs.map(dir => [fold(dir.relPath), dir.mtime]));
+    const wanted = new Set(sourceDirs.map(dir => fold(dir.relPath)));
+    const targets = new Map();
+    const directoryOperations = [];
+
+    for (const dir of [...sourceDirs].sort((a, b) => pathDepth(a.relPath) - pathDepth(b.relPath))) {
+      const destination = this.pathOnRoot(dest, dir.relPath);
+      let current = existing ? existing.get(fold(dir.relPath)) ?? null : null;
+      if (!existing) {
+        const stats = await fs.stat(destination).catch(() => null);
+        current = stats?.isDirectory() ? stats.mtimeMs : null;
+      }
+
+      if (current === null && !filled.has(dir.relPath)) {
+        // With pruning on, only a mirror brings over directories that hold nothing
+        if (this.pruneEmptyDirs && !mirror) continue;
+        directoryOperations.push({
+          type: 'mkdir',
+          destination,
+          relPath: dir.relPath,
+          size: 0,
+          ...(dir.xattrs && { xattrs: dir.xattrs })
+        });
+      }
+      targets.set(dir.relPath, { mtime: dir.mtime, current });
+    }
+
+    const removed = (destDirs || [])
+      .filter(dir => !wanted.has(fold(dir.relPath)) && (mirror || !this.keepOrphan(dir.relPath + path.sep)))
+      .sort((a, b) => pathDepth(b.relPath) - pathDepth(a.relPath));
+    for (const dir of removed) {
+      directoryOperations.push({ type: 'rmdir', destination: dir.fullPath, relPath: dir.relPath, size: 0 });
+    }
+
+    return [
+      ...directoryOperations,
+      ...directoryTimeOperations(targets, [...operations, ...directoryOperations], dest)
+    ];
+  }
+
+  // Point each lane of a two-way plan, and the conflict copies, at encoded names on a root
+  // that stores them encoded
+  mapPlanNames(plan, dirA, dirB) {
+    this.mapOperationNames(plan.AtoB, dirB);
+    this.mapOperationNames(plan.BtoA, dirA);
+    this.mapOperationNames(plan.conflictCopies.filter(op => op.side === 'a'), dirA);
+    this.mapOperationNames(plan.conflictCopies.filter(op => op.side === 'b'), dirB);
+    return plan;
+  }
+
+  // Plan a one-way run, deleting orphans when enabled, and hold it to the deletion limits
+  async planOneWayRun(files, src, dest, dryRun = false, sourceDirs = null) {
+    const scanDest = this.deleteOrphaned || this.mirror;
+    const destDirs = scanDest ? [] : null;
+    const destFiles = scanDest ? await this.scanRoot(dest, this.loadIgnorePatterns(dest), destDirs) : null;
+    const plan = await this.planOneWay(files, src, dest, { destFiles, sourceDirs, destDirs });
+
+    this.enforceDeletionLimits([{
+      root: dest,
+      files: destFiles ? destFiles.length : Object.keys(plan.previous?.b || {}).length,
+      deletions: plan.operations.filter(op => op.type === 'delete').length,
+      sourceRoot: src,
+      sourceFiles: files.length
+    }], dryRun);
+
+    this.stats.caseCollisions.push(...plan.conflicts);
+    if (plan.conflicts.length > 0) {
+      this.emit('conflicts-detected', plan.conflicts);
+    }
+    return plan;
+  }
+
+  // Compare a source file with its existing destination copy; a mirror replaces any difference,
+  // while other runs never let an older source overwrite a newer destination edit.
+  // A transformed copy differs from its source on purpose, so while it is as the last run left
+  // it (known being its snapshot entry) the source is compared with the content it came from.
+  async needsUpdate(file, targetPath, destStat, mirror = false, known = null, compare = this.compareMode) {
+    if (known?.transformedHash && this.stateStore.matchesEntry({ size: destStat.size, mtime: destStat.mtimeMs }, known)) {
+      return await this.stateStore.ensureHash(file) !== known.hash;
+    }
+
+    const sourceMtime = Math.trunc(file.mtime);
+    const destMtime = Math.trunc(destStat.mtimeMs);
+
+    switch (compare) {
+      case 'mtime':
+        return mirror ? sourceMtime !== destMtime : file.mtime > destStat.mtimeMs;
+
+      case 'hash':
+        if (file.size !== destStat.size) return true;
+        return await this.stateStore.ensureHash(file) !== await this.hashCache.hash(targetPath, destStat);
+
+      default:
+        // Any difference counts for a mirror - restored backups often carry an older mtime
+        if (mirror) {
+          return file.size !== destStat.size || sourceMtime !== destMtime;
+        }
+        return sourceMtime > destMtime || (sourceMtime === destMtime && file.size !== destStat.size);
+    }
+  }
+
+  // Copy a single file, or recreate a preserved link, and preserve its modification time. A
+  // copy with transforms records what they wrote as operation.transformed.
+  async copyOperationFile(operation) {
+    await fs.mkdir(path.dirname(operation.destination), { recursive: true });
+    if (operation.linkTarget !== undefined) {
+      await copySymlink(operation.linkTarget, operation.destination, { mtime: operation.mtime });
+    } else if (operation.transforms) {
+      const { mtime, metadata, transforms } = operation;
+      operation.transformed = await transformCopy(operation.source, operation.destination, { mtime, metadata, transforms });
+      await this.applyXattrs(operation);
+    } else {
+      await atomicCopy(operation.source, operation.destination, { mtime: operation.mtime, metadata: operation.metadata });
+      await this.applyXattrs(operation);
+    }
+  }
+
+  // Remove transfer files older than partialMaxAge; younger partials are left to resume
+  async removeStalePartials(dir) {
+    const now = Date.now();
+    let removed = 0;
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return removed;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        removed += await this.removeStalePartials(fullPath);
+      } else if (isTransferFile(entry.name)) {
+        const stats = await fs.stat(fullPath).catch(() => null);
+        if (stats && now - stats.mtimeMs > this.partialMaxAge) {
+          await fs.rm(fullPath, { force: true });
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  // Rename a file within one root, never replacing an existing file
+  async moveOperationFile(operation) {
+    const [from, target] = await Promise.all([
+      fs.stat(operation.from).catch(() => null),
+      fs.stat(operation.destination).catch(() => null)
+    ]);
+
+    // Already moved by an interrupted run that never journaled it
+    if (!from && target) return;
+
+    // A case-only rename on a case-insensitive target finds the file itself under its new name
+    const sameFile = from && target && from.ino === target.ino && from.dev === target.dev;
+    if (target && !sameFile) {
+      throw new Error(`Move target already exists: ${operation.destination}`);
+    }
+    await fs.mkdir(path.dirname(operation.destination), { recursive: true });
+    await fs.rename(operation.from, operation.destination);
+  }
+
+  // Remove a deleted file, or move it to the trash
+  async deleteOperationFile(operation) {
+    if (!this.trash) {
+      await fs.rm(operation.destination, { force: true });
+    } else if (await fs.lstat(operation.destination).catch(() => null)) {
+      await this.trash.moveToTrash(operation.destination);
+    }
+  }
+
+  // Remove a directory the source no longer has; ignored or kept files it still holds keep it
+  async removeOperationDirectory(operation) {
+    try {
+      await fs.rmdir(operation.destination);
+    } catch (error) {
+      if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST' && error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Give a directory the mtime its counterpart has
+  async setOperationDirectoryTime(operation) {
+    await fs.utimes(operation.destination, new Date(), operation.mtime / 1000);
+  }
+
+  // Remove the directories that a run's deletions and moves left empty, up to the roots.
+  // Every root is pruned, so a two-way run also removes the emptied copy it deleted from.
+  async pruneEmptyDirectories(results, roots) {
+    const pruned = [];
+    if (!this.pruneEmptyDirs) return pruned;
+
+    const parents = new Set();
+    for (const { operation, success } of results) {
+      if (!success) continue;
+
+      if (operation.type === 'delete' || operation.type === 'rmdir') {
+        parents.add(path.dirname(operation.relPath));
+      } else if (operation.type === 'move') {
+        parents.add(path.dirname(operation.fromRelPath));
+      }
+    }
+
+    const checked = new Set();
+    for (const parent of [...parents].sort((a, b) => pathDepth(b) - pathDepth(a))) {
+      for (let dir = parent; dir !== '.' && !checked.has(dir); dir = path.dirname(dir)) {
+        checked.add(dir);
+
+        let removed = false;
+        for (const root of roots) {
+          const dirPath = path.join(root, dir);
+          if (await fs.rmdir(dirPath).then(() => true, () => false)) {
+            pruned.push(dirPath);
+            removed = true;
           }
         }
-        
-        if (operation) {
-          operations.push(operation);
-          
-          if (!dryRun) {
-            await fs.mkdir(path.dirname(targetPath, { recursive: true }));
-            await fs.copyFile(file.fullPath, targetPath);
-            
-            // Preserve modification time
-            await fs.utimes(targetPath, new Date(), new Date(file.mtime));
-            
+        if (!removed) break;
+      }
+    }
+
+    if (pruned.length > 0) {
+      this.emit('dirs-pruned', pruned);
+    }
+    return pruned;
+  }
+
+  // Keep what an operation is about to overwrite or delete, for undo and the version store
+  async backUp(operation) {
+    await this.snapshot?.capture(operation);
+    await this.versions?.capture(operation);
+  }
+
+  // Execute planned copy, move, delete and directory operations
+  async executeOperations(operations, options = {}) {
+    const { dryRun = false } = options;
+    const results = [];
+
+    for (const operation of operations) {
+      try {
+        if (!dryRun) {
+          await this.backUp(operation);
+
+          if (operation.type === 'delete') {
+            await this.deleteOperationFile(operation);
+          } else if (operation.type === 'mkdir') {
+            await fs.mkdir(operation.destination, { recursive: true });
+            await this.applyXattrs(operation);
+          } else if (operation.type === 'rmdir') {
+            await this.removeOperationDirectory(operation);
+          } else if (operation.type === 'utimes') {
+            await this.setOperationDirectoryTime(operation);
+          } else if (operation.type === 'move') {
+            await this.moveOperationFile(operation);
+          } else {
+            await this.copyOperationFile(operation);
             this.stats.copiedFiles++;
           }
-          
-          this.emit('file-synced', operation);
         }
-        
-        this.stats.processedFiles++;
-        this.emit('progress', {
-          current: this.stats.processedFiles,
-          total: this.stats.totalFiles,
-          percentage: Math.round((this.stats.processedFiles / this.stats.totalFiles) * 100)
-        });
-        
+
+        results.push({ operation, success: true });
+        if (this.session && !dryRun) {
+          this.sessions.record(this.session.id, operation);
+        }
+        this.emit('file-synced', operation);
       } catch (err) {
+        results.push({ operation, success: false, error: err.message });
         this.stats.errors.push({
-          file: file.fullPath,
-          target: targetPath,
+          file: operation.source || operation.destination,
+          target: operation.destination,
           error: err.message
         });
-        this.emit('error', { 
-          file: file.fullPath, 
-          target: targetPath,
-          error: err.message 
-        });
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', {
+            file: operation.source || operation.destination,
+            target: operation.destination,
+            error: err.message
+          });
+        }
       }
+
+      this.stats.processedFiles++;
+      this.emit('progress', {
+        current: this.stats.processedFiles,
+        total: this.stats.totalFiles,
+        percentage: this.stats.totalFiles > 0 ?
+          Math.round((this.stats.processedFiles / this.stats.totalFiles) * 100) : 100
+      });
+    }
+
+    return results;
+  }
+
+  // Record the post-run state of a one-way sync
+  async saveOneWayState(src, dest, files, previous, results, sourceDirs = []) {
+    const entriesSrc = await this.stateStore.buildEntries(files);
+    const entriesDest = { ...(previous?.b || {}) };
+    const failed = new Set(results.filter(r => !r.success).map(r => r.operation.relPath));
+
+    for (const { operation, success } of results) {
+      if (isDirectoryOperation(operation)) continue;
+
+      if (success && operation.type === 'delete') {
+        delete entriesDest[operation.relPath];
+      } else if (success) {
+        entriesDest[operation.relPath] = copiedEntry(entriesSrc[operation.relPath], operation);
+        if (operation.type === 'move') {
+          delete entriesDest[operation.fromRelPath];
+        }
+      }
+    }
+
+    // Keep the old source entry for failed files so they are retried next run
+    for (const relPath of failed) {
+      if (previous?.a[relPath]) {
+        entriesSrc[relPath] = previous.a[relPath];
+      } else {
+        delete entriesSrc[relPath];
+      }
+    }
+
+    const dirPaths = new Set([...sourceDirs.map(dir => dir.relPath), ...Object.keys(previous?.dirs?.b || {})]);
+    const dirs = await this.readDirectoryState(src, dest, [...dirPaths]);
+    await this.saveState(src, dest, entriesSrc, entriesDest, dirs);
+  }
+
+  async syncOneWay(src, dest, ig, direction = 'forward', dryRun = false) {
+    this.emit('scan-start', { source: src, destination: dest });
+    
+    const sourceDirs = [];
+    const files = await this.scanRoot(src, ig, sourceDirs);
+    
+    this.emit('scan-complete', { 
+      fileCount: files.length,
+      direction 
+    });
+
+    const { operations, previous } = await this.planOneWayRun(files, src, dest, dryRun, sourceDirs);
+
+    // Progress counts every operation, directories and deletions included, as two-way runs do
+    this.stats.totalFiles += operations.length;
+
+    if (!dryRun) {
+      await this.beginSession({ mode: 'one-way', dirA: src, dirB: dest, operations, files, sourceDirs, previous });
+    }
+
+    const results = await this.executeOperations(operations, { dryRun });
+
+    if (!dryRun) {
+      await this.finishOneWay(src, dest, files, sourceDirs, previous, results);
     }
     
     return operations;
   }
 
-  async syncFoldersTwoWay(dirA, dirB, options = {}) {
-    const { dryRun = false, conflictResolution = 'newer', syncIgnorePatterns = null, writeSyncIgnore = false } = options;
-    
-    // Reset stats
+  // Prune what the run emptied, record the pair's new state and drop the session journal
+  async finishOneWay(src, dest, files, sourceDirs, previous, results) {
+    this.stats.prunedDirs.push(...await this.pruneEmptyDirectories(results, [dest]));
+    await this.recordMetadata(dest, results);
+    await this.saveOneWayState(src, dest, files, previous, results, sourceDirs);
+    await this.finishSession();
+  }
+
+  // Journal a plan so an interrupted run can continue with --resume
+  async beginSession(details) {
+    this.session = await this.sessions.create({ ...details, ...this.runInfo, scope: this.scope });
+    this.session.completed = new Set();
+    this.emit('session-start', { id: this.session.id });
+  }
+
+  // Drop the journal of a session that ran to the end
+  async finishSession() {
+    if (!this.session) return;
+
+    await this.sessions.remove(this.session.id);
+    this.session = null;
+  }
+
+  // Execute operations that a resumed session has not completed yet
+  async executeRemaining(operations, options, completed = new Set()) {
+    const done = operations.filter(op => completed.has(operationKey(op)));
+    if (done.length === 0) {
+      return this.executeOperations(operations, options);
+    }
+
+    this.stats.processedFiles += done.length;
+    const remaining = operations.filter(op => !completed.has(operationKey(op)));
+
+    return [
+      ...done.map(operation => ({ operation, success: true })),
+      ...await this.executeOperations(remaining, options)
+    ];
+  }
+
+  // Summarize the statistics of the current run
+  buildSummary(fields = {}) {
+    return {
+      duration: this.stats.endTime - this.stats.startTime,
+      totalFiles: this.stats.totalFiles,
+      processedFiles: this.stats.processedFiles,
+      copiedFiles: this.stats.copiedFiles,
+      skippedFiles: this.stats.skippedFiles,
+      prunedDirs: this.stats.prunedDirs,
+      xattrErrors: this.stats.xattrErrors,
+      errors: this.stats.errors,
+      deletionWarnings: this.deletionWarnings,
+      ...fields
+    };
+  }
+
+  // Reset run statistics at the start of a sync
+  resetStats() {
     this.stats = {
       totalFiles: 0,
       processedFiles: 0,
       copiedFiles: 0,
       skippedFiles: 0,
+      prunedDirs: [],
+      xattrErrors: [],
+      caseCollisions: [],
       errors: [],
       startTime: Date.now(),
       endTime: null
     };
+    this.deletionWarnings = [];
+  }
+
+  // A root to copy from that is not there is refused rather than read as an empty tree
+  async assertRootExists(dir) {
+    const stats = await fs.stat(dir).catch(() => null);
+    if (!stats?.isDirectory()) {
+      throw new Error(`Sync root not found: ${dir}`);
+    }
+  }
+
+  // Stop a run whose deletions exceed the limits before it changes anything; dry runs only report them
+  enforceDeletionLimits(sides, dryRun = false) {
+    const reasons = checkDeletionLimits(sides, { ...this.deletionLimits, scoped: !!this.scope });
+    if (reasons.length === 0) return;
+
+    if (!dryRun && !this.deletionLimits.force) {
+      const error = new Error(`Refusing to delete files: ${reasons.join('; ')}. Use --force-deletes to sync anyway`);
+      error.code = 'DELETION_LIMIT';
+      error.reasons = reasons;
+      throw error;
+    }
+
+    this.deletionWarnings = reasons;
+    this.emit('deletion-limit', { reasons, forced: !dryRun });
+  }
+
+  // Mirror changes from src into dest without touching src
+  async syncFoldersOneWay(src, dest, options = {}) {
+    const {
+      dryRun = false,
+      syncIgnorePatterns = null,
+      compare = this.compareMode,
+      paths = null,
+      mirror = false,
+      conflictResolution = 'newer',
+      resolutions = {}
+    } = options;
+
+    this.resetStats();
+    this.setScope(paths);
+    this.mirror = mirror;
+    this.conflictResolution = conflictResolution;
+    this.resolutions = resolutions;
+
+    try {
+      this.setCompareMode(compare);
+      await this.loadSyncIgnorePatterns(src, dest, syncIgnorePatterns);
+
+      this.emit('sync-start', {
+        sourceA: src,
+        sourceB: dest,
+        dryRun
+      });
+
+      await this.assertRootExists(src);
+      const ig = this.loadIgnorePatterns(src);
+      const operations = await this.syncOneWay(src, dest, ig, 'AtoB', dryRun);
+      await this.hashCache.save();
+
+      // Scoped runs only look at what changed - leave the full sweep to complete runs
+      if (!dryRun && !this.scope) {
+        await this.removeStalePartials(dest);
+      }
+
+      this.stats.endTime = Date.now();
+
+      const collisions = this.stats.caseCollisions;
+      const summary = this.buildSummary({
+        conflicts: collisions,
+        unresolvedConflicts: collisions.filter(conflict => !conflict.winner).flatMap(conflict => conflict.paths),
+        conflictCopies: [],
+        operations: {
+          AtoB: operations,
+          BtoA: []
+        }
+      });
+
+      this.emit('sync-complete', summary);
+
+      return summary;
+
+    } catch (err) {
+      // Leave an unfinished session's journal on disk for --resume
+      this.session = null;
+      this.emit('sync-error', err);
+      throw err;
+    }
+  }
+
+  // Run a two-way plan, skipping operations a resumed session already completed
+  async executeTwoWayPlan(dirA, dirB, plan, options = {}) {
+    const { dryRun = false, context = null, changes = null, completed = new Set() } = options;
+
+    this.stats.totalFiles = plan.AtoB.length + plan.BtoA.length + plan.conflictCopies.length;
+
+    // Save losing versions first - a conflict is only overwritten once its copy exists
+    const copyResults = [];
+    for (const side of ['a', 'b']) {
+      const copies = plan.conflictCopies.filter(op => op.side === side);
+      copyResults.push(...await this.executeRemaining(copies, { dryRun }, completed));
+    }
+
+    const failedCopies = new Set(copyResults.filter(r => !r.success).map(r => r.operation.conflictOf));
+    if (failedCopies.size > 0) {
+      plan.AtoB = plan.AtoB.filter(op => !failedCopies.has(op.relPath));
+      plan.BtoA = plan.BtoA.filter(op => !failedCopies.has(op.relPath));
+      plan.unresolved.push(...failedCopies);
+    }
+
+    // Perform two-way sync
+    const resultsAtoB = await this.executeRemaining(plan.AtoB, { dryRun, direction: 'AtoB' }, completed);
+    const resultsBtoA = await this.executeRemaining(plan.BtoA, { dryRun, direction: 'BtoA' }, completed);
+
+    if (context) {
+      this.stats.prunedDirs.push(...await this.pruneEmptyDirectories([...resultsAtoB, ...resultsBtoA], [dirA, dirB]));
+      for (const root of [dirA, dirB]) {
+        await this.recordMetadata(root, [...copyResults, ...resultsAtoB, ...resultsBtoA]);
+      }
+
+      const next = applyPlanToEntries(
+        context.entriesA,
+        context.entriesB,
+        context.previous,
+        [...resultsAtoB, ...resultsBtoA],
+        plan.unresolved,
+        copyResults
+      );
+      const dirs = await this.readDirectoryState(dirA, dirB, context.dirPaths || []);
+      await this.saveState(dirA, dirB, next.a, next.b, dirs);
+    }
+    await this.hashCache.save();
+    await this.finishSession();
+
+    this.stats.endTime = Date.now();
+
+    return this.buildSummary({
+      conflicts: plan.conflicts,
+      unresolvedConflicts: plan.unresolved,
+      conflictCopies: plan.conflicts.filter(c => c.copyPath && !failedCopies.has(c.path)).map(c => c.copyPath),
+      changes,
+      operations: {
+        AtoB: plan.AtoB,
+        BtoA: plan.BtoA
+      }
+    });
+  }
+
+  // Continue an interrupted sync from its journal without rescanning either side
+  async resumeSession(sessionId = null) {
+    const session = await this.sessions.resumable(sessionId);
+    await this.sessions.claim(session);
+
+    this.resetStats();
+    this.session = session;
+    this.scope = session.scope || null;
 
     try {
+      const { completed } = session;
+
+      this.emit('sync-start', {
+        sourceA: session.dirA,
+        sourceB: session.dirB,
+        dryRun: false,
+        resumedSession: session.id
+      });
+
+      let summary;
+
+      if (session.mode === 'two-way') {
+        summary = await this.executeTwoWayPlan(session.dirA, session.dirB, session.plan, {
+          context: {
+            entriesA: session.entriesA,
+            entriesB: session.entriesB,
+            previous: session.previous,
+            dirPaths: session.dirPaths
+          },
+          changes: session.changes,
+          completed
+        });
+      } else {
+        this.stats.totalFiles = session.files.length;
+        const results = await this.executeRemaining(session.operations, {}, completed);
+        await this.finishOneWay(session.dirA, session.dirB, session.files, session.sourceDirs || [], session.previous, results);
+        await this.hashCache.save();
+
+        this.stats.endTime = Date.now();
+        summary = this.buildSummary({
+          conflicts: [],
+          unresolvedConflicts: [],
+          conflictCopies: [],
+          operations: {
+            AtoB: session.operations,
+            BtoA: []
+          }
+        });
+      }
+
+      summary.resumedSession = session.id;
+      summary.skippedOperations = completed.size;
+      summary.mode = session.mode;
+      summary.direction = session.direction;
+      summary.profile = session.profile;
+      summary.dirA = session.dirA;
+      summary.dirB = session.dirB;
+
+      this.emit('sync-complete', summary);
+
+      return summary;
+
+    } catch (err) {
+      this.emit('sync-error', err);
+      throw err;
+    } finally {
+      this.session = null;
+    }
+  }
+
+  async syncFoldersTwoWay(dirA, dirB, options = {}) {
+    const {
+      dryRun = false,
+      conflictResolution = 'newer',
+      resolutions = {},
+      compare = this.compareMode,
+      syncIgnorePatterns = null,
+      writeSyncIgnore = false,
+      paths = null
+    } = options;
+    
+    this.resetStats();
+    this.setScope(paths);
+
+    try {
+      this.setCompareMode(compare);
+
       // Load syncignore patterns
       await this.loadSyncIgnorePatterns(dirA, dirB, syncIgnorePatterns);
       
@@ -397,6 +1526,10 @@ export class SyncManager extends EventEmitter {
         this.validateWSLPath(dirB);
       }
 
+      // Both sides are sources in a two-way run - a missing one would read as everything deleted
+      await this.assertRootExists(dirA);
+      await this.assertRootExists(dirB);
+
       this.emit('sync-start', { 
         sourceA: dirA, 
         sourceB: dirB,
@@ -407,34 +1540,75 @@ export class SyncManager extends EventEmitter {
       const igA = this.loadIgnorePatterns(dirA);
       const igB = this.loadIgnorePatterns(dirB);
 
-      // Detect conflicts if needed
-      if (conflictResolution !== 'newer') {
-        const conflicts = await this.detectConflicts(dirA, dirB, igA, igB);
-        if (conflicts.length > 0) {
-          this.emit('conflicts-detected', conflicts);
-          // In a real implementation, we'd handle conflict resolution here
-        }
-      }
+      // Scan both sides and classify changes against the last snapshot
+      this.emit('scan-start', { source: dirA, destination: dirB });
+      const dirsA = [];
+      const dirsB = [];
+      const filesA = await this.scanRoot(dirA, igA, dirsA);
+      const filesB = await this.scanRoot(dirB, igB, dirsB);
+      this.emit('scan-complete', { fileCount: filesA.length + filesB.length, direction: 'two-way' });
 
-      // Perform two-way sync
-      const operationsAtoB = await this.syncOneWay(dirA, dirB, igA, 'AtoB', dryRun);
-      const operationsBtoA = await this.syncOneWay(dirB, dirA, igB, 'BtoA', dryRun);
+      const previous = await this.loadState(dirA, dirB);
+      const trustMetadata = compare !== 'hash';
+      const changesA = await this.stateStore.detectChanges(filesA, previous?.a, { trustMetadata });
+      const changesB = await this.stateStore.detectChanges(filesB, previous?.b, { trustMetadata });
 
-      this.stats.endTime = Date.now();
-      
-      const summary = {
-        duration: this.stats.endTime - this.stats.startTime,
-        totalFiles: this.stats.totalFiles,
-        processedFiles: this.stats.processedFiles,
-        copiedFiles: this.stats.copiedFiles,
-        skippedFiles: this.stats.skippedFiles,
-        errors: this.stats.errors,
-        operations: {
-          AtoB: operationsAtoB,
-          BtoA: operationsBtoA
-        }
+      const plan = await planTwoWay(changesA, changesB, {
+        dirA,
+        dirB,
+        conflictResolution,
+        resolutions,
+        stateStore: this.stateStore
+      });
+      await planCaseCollisions(plan, filesA, filesB, {
+        dirA,
+        dirB,
+        caseSensitiveA: await this.caseSensitive(dirA),
+        caseSensitiveB: await this.caseSensitive(dirB),
+        conflictResolution,
+        resolutions,
+        stateStore: this.stateStore
+      });
+      planTwoWayDirectories(plan, dirsA, dirsB, previous, { dirA, dirB });
+      this.mapPlanNames(plan, dirA, dirB);
+
+      const deletes = (lane) => plan[lane].filter(op => op.type === 'delete').length;
+      this.enforceDeletionLimits([
+        { root: dirB, files: filesB.length, deletions: deletes('AtoB'), sourceRoot: dirA, sourceFiles: filesA.length },
+        { root: dirA, files: filesA.length, deletions: deletes('BtoA'), sourceRoot: dirB, sourceFiles: filesB.length }
+      ], dryRun);
+
+      if (plan.conflicts.length > 0) {
+        this.emit('conflicts-detected', plan.conflicts);
+      }
+
+      const changes = {
+        AtoB: summarizeChanges(changesA),
+        BtoA: summarizeChanges(changesB)
       };
 
+      let context = null;
+      if (!dryRun) {
+        context = {
+          entriesA: await this.stateStore.buildEntries(filesA),
+          entriesB: await this.stateStore.buildEntries(filesB),
+          previous,
+          dirPaths: [...new Set([
+            ...[...dirsA, ...dirsB].map(dir => dir.relPath),
+            ...Object.keys(previous?.dirs?.a || {}),
+            ...Object.keys(previous?.dirs?.b || {})
+          ])]
+        };
+        await this.beginSession({ mode: 'two-way', dirA, dirB, plan, changes, ...context });
+      }
+
+      const summary = await this.executeTwoWayPlan(dirA, dirB, plan, { dryRun, context, changes });
+
+      if (!dryRun && !this.scope) {
+        await this.removeStalePartials(dirA);
+        await this.removeStalePartials(dirB);
+      }
+
       // Write .syncignore files if requested
       if (writeSyncIgnore && syncIgnorePatterns && !dryRun) {
         try {
@@ -461,42 +1635,22 @@ export class SyncManager extends EventEmitter {
       return summary;
       
     } catch (err) {
+      // Leave an unfinished session's journal on disk for --resume
+      this.session = null;
       this.emit('sync-error', err);
       throw err;
     }
   }
+}
 
-  async detectConflicts(dirA, dirB, igA, igB) {
-    const filesA = await this.walkDir(dirA, dirA, igA);
-    const filesB = await this.walkDir(dirB, dirB, igB);
-    
-    const conflicts = [];
-    const fileMapB = new Map(filesB.map(f => [f.relPath, f]));
-    
-    for (const fileA of filesA) {
-      const fileB = fileMapB.get(fileA.relPath);
-      if (fileB) {
-        // Both files exist and have been modified
-        if (Math.abs(fileA.mtime - fileB.mtime) > 1000) { // 1 second tolerance
-          conflicts.push({
-            path: fileA.relPath,
-            fileA: {
-              path: fileA.fullPath,
-              mtime: fileA.mtime,
-              size: fileA.size
-            },
-            fileB: {
-              path: fileB.fullPath,
-              mtime: fileB.mtime,
-              size: fileB.size
-            }
-          });
-        }
-      }
-    }
-    
-    return conflicts;
-  }
+// Count changes per category for reporting
+function summarizeChanges(changes) {
+  return {
+    created: changes.created.length,
+    modified: changes.modified.length,
+    deleted: changes.deleted.length,
+    renamed: changes.renamed.length
+  };
 }
 
 // Export individual functions for backward compatibility
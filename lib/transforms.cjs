@@ -0,0 +1,110 @@
+// transforms.cjs - Line ending and encoding rules applied to text files as they are copied (CommonJS)
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { minimatch } = require('minimatch');
+const { atomicCopy } = require('./atomic-copy.cjs');
+
+// What a rule can do to the content of a copy
+const TRANSFORMS = ['lf', 'crlf', 'utf8-bom-strip'];
+
+// Files are transformed in memory - larger ones are copied as they are
+const MAX_TRANSFORM_SIZE = 64 * 1024 * 1024;
+
+// How much of a file is looked at to tell text from binary, as git does
+const TEXT_SNIFF_SIZE = 8000;
+
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+
+// Rules as [{ pattern, transforms }] from a profile's { pattern: transforms } object or from
+// "pattern: transforms" strings, where transforms is one name or several separated by commas
+function parseTransformRules(spec = []) {
+  const entries = Array.isArray(spec) ?
+    spec.map(rule => {
+      const separator = String(rule).lastIndexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid transform rule: ${rule}. Use pattern:transform, e.g. *.sh:lf`);
+      }
+      return [rule.slice(0, separator), rule.slice(separator + 1)];
+    }) :
+    Object.entries(spec || {});
+
+  return entries.map(([pattern, value]) => {
+    const transforms = (Array.isArray(value) ? value : String(value).split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    for (const name of transforms) {
+      if (!TRANSFORMS.includes(name)) {
+        throw new Error(`Invalid transform: ${name}. Use one of ${TRANSFORMS.join(', ')}`);
+      }
+    }
+    return { pattern: pattern.trim(), transforms };
+  });
+}
+
+// Transforms for a relative path, from every rule whose pattern matches it in rule order.
+// Patterns without a slash match the file name anywhere in the tree.
+function transformsFor(relPath, rules) {
+  return rules
+    .filter(rule => minimatch(relPath, rule.pattern, { dot: true, matchBase: true }))
+    .flatMap(rule => rule.transforms);
+}
+
+// Whether content looks like text: no NUL byte near its start
+function isText(content) {
+  return !content.subarray(0, TEXT_SNIFF_SIZE).includes(0);
+}
+
+// Apply transforms to text content. Line endings are rewritten byte by byte, which is safe in
+// UTF-8 and every other encoding that keeps ASCII as it is.
+function applyTransforms(content, transforms) {
+  let result = content;
+
+  for (const transform of transforms) {
+    switch (transform) {
+      case 'lf':
+        result = Buffer.from(result.toString('latin1').replace(/\r\n/g, '\n'), 'latin1');
+        break;
+      case 'crlf':
+        result = Buffer.from(result.toString('latin1').replace(/\r?\n/g, '\r\n'), 'latin1');
+        break;
+      case 'utf8-bom-strip':
+        if (result.subarray(0, UTF8_BOM.length).equals(UTF8_BOM)) {
+          result = result.subarray(UTF8_BOM.length);
+        }
+        break;
+    }
+  }
+
+  return result;
+}
+
+// Copy a file through its transforms. Returns the size and hash of what was written when the
+// transforms changed it, or null when the file was copied as it is: binary, too large, or
+// already in the wanted form.
+async function transformCopy(source, destination, options = {}) {
+  const { transforms = [], mtime = null, metadata = null } = options;
+  const { size } = await fs.stat(source);
+  const content = size <= MAX_TRANSFORM_SIZE ? await fs.readFile(source) : null;
+  const transformed = content && isText(content) ? applyTransforms(content, transforms) : null;
+
+  if (!transformed || transformed.equals(content)) {
+    await atomicCopy(source, destination, { mtime, metadata });
+    return null;
+  }
+
+  await atomicCopy(source, destination, { mtime, metadata, content: transformed });
+  return {
+    size: transformed.length,
+    hash: crypto.createHash('sha256').update(transformed).digest('hex')
+  };
+}
+
+module.exports = {
+  TRANSFORMS,
+  parseTransformRules,
+  transformsFor,
+  isText,
+  applyTransforms,
+  transformCopy
+};
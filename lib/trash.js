@@ -0,0 +1,219 @@
+// trash.js - freedesktop.org Trash for Linux paths and a $RECYCLE.BIN-style folder on Windows drives
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// Per-drive trash for /mnt/<drive> paths, laid out like the freedesktop.org one
+export const RECYCLE_BIN_DIR = path.join('$RECYCLE.BIN', 'wsl-sync');
+
+const INFO_SUFFIX = '.trashinfo';
+
+// Key marking the .trashinfo files of items wsl-sync trashed, so the home trash it shares with
+// other applications is only listed and emptied for those
+const OWNER_KEY = 'X-WSL-Sync-Trashed';
+
+const exists = (filePath) => fs.lstat(filePath).then(() => true).catch(() => false);
+
+// Local time without a zone, as .trashinfo files expect
+function formatDeletionDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Contents of a .trashinfo file; the path is percent-encoded except for its slashes
+function formatTrashInfo(originalPath, deletedAt) {
+  const encoded = originalPath.split('/').map(encodeURIComponent).join('/');
+  return `[Trash Info]\nPath=${encoded}\nDeletionDate=${formatDeletionDate(deletedAt)}\n${OWNER_KEY}=true\n`;
+}
+
+// Read a .trashinfo file; relative paths are relative to the top of the trash's mount. null
+// when it is not one, or its path is not validly percent-encoded.
+function parseTrashInfo(text, topDir) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== '[Trash Info]') return null;
+
+  const fields = {};
+  for (const line of lines.slice(1)) {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  if (!fields.Path) return null;
+
+  let originalPath;
+  try {
+    originalPath = decodeURIComponent(fields.Path);
+  } catch {
+    return null;
+  }
+  const deletedAt = new Date(fields.DeletionDate);
+  return {
+    originalPath: path.isAbsolute(originalPath) ? originalPath : path.join(topDir, originalPath),
+    deletedAt: Number.isNaN(deletedAt.getTime()) ? null : deletedAt.toISOString(),
+    ownedBySync: fields[OWNER_KEY] === 'true'
+  };
+}
+
+// Rename, or copy and remove when the trash is on another file system
+async function movePath(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.cp(from, to, { recursive: true, preserveTimestamps: true });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+}
+
+export class Trash {
+  constructor(options = {}) {
+    this.mountRoot = options.mountRoot || '/mnt';
+  }
+
+  // Get the home trash directory (computed dynamically for testability)
+  get homeTrashDir() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'Trash');
+  }
+
+  // Windows drive a path lies on, e.g. /mnt/c for /mnt/c/Users/me
+  driveRoot(filePath) {
+    const relative = path.relative(this.mountRoot, path.resolve(filePath));
+    const [drive] = relative.split(path.sep);
+    return !relative.startsWith('..') && /^[a-z]$/i.test(drive) ? path.join(this.mountRoot, drive) : null;
+  }
+
+  // Trash directory a path is moved into
+  trashDirFor(filePath) {
+    const drive = this.driveRoot(filePath);
+    return drive ? path.join(drive, RECYCLE_BIN_DIR) : this.homeTrashDir;
+  }
+
+  // Trash directories that hold anything: the home trash and each drive's
+  async trashDirs() {
+    const candidates = [this.homeTrashDir];
+    for (const drive of await fs.readdir(this.mountRoot).catch(() => [])) {
+      if (/^[a-z]$/i.test(drive)) {
+        candidates.push(path.join(this.mountRoot, drive, RECYCLE_BIN_DIR));
+      }
+    }
+
+    const dirs = [];
+    for (const dir of candidates) {
+      if (await exists(path.join(dir, 'info'))) dirs.push(dir);
+    }
+    return dirs;
+  }
+
+  // Move a file or directory into the trash
+  async moveToTrash(filePath) {
+    const originalPath = path.resolve(filePath);
+    const trashDir = this.trashDirFor(originalPath);
+    const filesDir = path.join(trashDir, 'files');
+    const infoDir = path.join(trashDir, 'info');
+    await fs.mkdir(filesDir, { recursive: true });
+    await fs.mkdir(infoDir, { recursive: true });
+
+    // Claim a free name by creating its info file first, as the specification asks
+    const deletedAt = new Date();
+    const baseName = path.basename(originalPath);
+    let name = baseName;
+    let infoPath;
+    for (let n = 2; ; n++) {
+      infoPath = path.join(infoDir, name + INFO_SUFFIX);
+      try {
+        if (!await exists(path.join(filesDir, name))) {
+          await fs.writeFile(infoPath, formatTrashInfo(originalPath, deletedAt), { flag: 'wx' });
+          break;
+        }
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      name = `${baseName}.${n}`;
+    }
+
+    try {
+      await movePath(originalPath, path.join(filesDir, name));
+    } catch (error) {
+      await fs.rm(infoPath, { force: true });
+      throw error;
+    }
+
+    return { name, trashDir, originalPath, deletedAt: deletedAt.toISOString() };
+  }
+
+  // Items wsl-sync trashed in every trash directory, most recently deleted first. The drive
+  // folders are its own; in the shared home trash only items marked as its own are listed.
+  async list() {
+    const items = [];
+
+    for (const trashDir of await this.trashDirs()) {
+      const shared = trashDir === this.homeTrashDir;
+      const topDir = path.dirname(path.dirname(trashDir));
+      const entries = await fs.readdir(path.join(trashDir, 'info')).catch(() => []);
+
+      for (const entry of entries) {
+        if (!entry.endsWith(INFO_SUFFIX)) continue;
+
+        const name = entry.slice(0, -INFO_SUFFIX.length);
+        const info = parseTrashInfo(
+          await fs.readFile(path.join(trashDir, 'info', entry), 'utf-8').catch(() => ''),
+          topDir
+        );
+        const stats = await fs.lstat(path.join(trashDir, 'files', name)).catch(() => null);
+        if (!info || !stats) continue; // Unreadable, or its file is already gone
+        if (shared && !info.ownedBySync) continue;
+
+        const { ownedBySync, ...details } = info;
+        items.push({
+          name,
+          trashDir,
+          ...details,
+          isDirectory: stats.isDirectory(),
+          size: stats.isDirectory() ? null : stats.size
+        });
+      }
+    }
+
+    // Deletion dates only have seconds; a later duplicate of a name gets a higher suffix
+    return items.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || '') ||
+      b.name.localeCompare(a.name, 'en', { numeric: true }));
+  }
+
+  // Items matching an original path or a name in the trash, most recent first
+  async find(target) {
+    const fullPath = path.resolve(target);
+    return (await this.list()).filter(item => item.originalPath === fullPath || item.name === target);
+  }
+
+  // Move an item back to where it was deleted from
+  async restore(item) {
+    if (await exists(item.originalPath)) {
+      throw new Error(`Cannot restore ${item.originalPath}: something else exists at that path`);
+    }
+
+    await fs.mkdir(path.dirname(item.originalPath), { recursive: true });
+    await movePath(path.join(item.trashDir, 'files', item.name), item.originalPath);
+    await fs.rm(path.join(item.trashDir, 'info', item.name + INFO_SUFFIX), { force: true });
+    return item;
+  }
+
+  // Permanently remove every item wsl-sync trashed
+  async empty() {
+    const items = await this.list();
+
+    for (const item of items) {
+      await fs.rm(path.join(item.trashDir, 'files', item.name), { recursive: true, force: true });
+      await fs.rm(path.join(item.trashDir, 'info', item.name + INFO_SUFFIX), { force: true });
+    }
+
+    return {
+      removed: items.length,
+      freed: items.reduce((sum, item) => sum + (item.size || 0), 0)
+    };
+  }
+}
+
+export default Trash;
@@ -0,0 +1,225 @@
+// version-store.js - Prior versions of overwritten and deleted files, kept beside the synced data
+import fs from 'fs/promises';
+import path from 'path';
+import { atomicCopy } from './atomic-copy.cjs';
+
+export const VERSIONS_DIR = '.wsl-sync-versions';
+
+// 0 turns a limit off
+export const DEFAULT_RETENTION = {
+  keepLast: 10,   // Versions kept per file
+  keepDays: 30,   // Versions older than this are removed
+  maxSizeMB: 1024 // Oldest versions are removed once a store grows past this
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const VERSION_NAME = /^(\d{8})-(\d{2})(\d{2})(\d{2})(\d{3})(?:-\d+)?$/;
+
+// Whether a path relative to a sync root lies inside its version store
+export function isVersionStorePath(relPath) {
+  return relPath.split(/[\\/]/)[0] === VERSIONS_DIR;
+}
+
+// Time a version was saved, from its file name
+function savedAt(name) {
+  const match = name.match(VERSION_NAME);
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, ms] = match;
+  return new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T${hours}:${minutes}:${seconds}.${ms}Z`);
+}
+
+// Find the sync root holding a version store for a file, searching its parent directories
+export async function findVersionRoot(filePath) {
+  const fullPath = path.resolve(filePath);
+  let dir = path.dirname(fullPath);
+
+  while (true) {
+    const stats = await fs.stat(path.join(dir, VERSIONS_DIR)).catch(() => null);
+    if (stats?.isDirectory()) {
+      return { root: dir, relPath: path.relative(dir, fullPath) };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+export class VersionStore {
+  constructor(retention = {}) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.roots = new Set(); // Roots a version was saved under since the last prune
+  }
+
+  getStoreDir(root) {
+    return path.join(root, VERSIONS_DIR);
+  }
+
+  getVersionDir(root, relPath) {
+    return path.join(this.getStoreDir(root), relPath);
+  }
+
+  // Keep the file an operation is about to replace or delete
+  async capture(operation) {
+    if (operation.type === 'move') return;
+
+    const { destination, relPath } = operation;
+    if (!destination.endsWith(path.sep + relPath)) return;
+
+    const root = destination.slice(0, destination.length - relPath.length - 1);
+    await this.save(path.resolve(root), relPath);
+  }
+
+  // Copy the current content of a file into the store; a missing file is not an error
+  async save(root, relPath) {
+    const filePath = path.join(root, relPath);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats?.isFile()) return null;
+
+    const versionDir = this.getVersionDir(root, relPath);
+    await fs.mkdir(versionDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+    let versionPath = path.join(versionDir, stamp);
+    for (let n = 2; await fs.access(versionPath).then(() => true).catch(() => false); n++) {
+      versionPath = path.join(versionDir, `${stamp}-${n}`);
+    }
+
+    await atomicCopy(filePath, versionPath, { mtime: stats.mtimeMs });
+    this.roots.add(root);
+    return versionPath;
+  }
+
+  // Stored versions of a file, newest first; version 1 is the most recent
+  async list(root, relPath) {
+    const versionDir = this.getVersionDir(root, relPath);
+    const entries = await fs.readdir(versionDir, { withFileTypes: true }).catch(() => []);
+
+    const versions = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !savedAt(entry.name)) continue;
+
+      const versionPath = path.join(versionDir, entry.name);
+      const stats = await fs.stat(versionPath);
+      versions.push({
+        savedAt: savedAt(entry.name).toISOString(),
+        size: stats.size,
+        mtime: stats.mtimeMs,
+        path: versionPath,
+        name: entry.name
+      });
+    }
+
+    return versions
+      .sort((a, b) => b.name.localeCompare(a.name, 'en', { numeric: true }))
+      .map((version, index) => ({ version: index + 1, ...version }));
+  }
+
+  // Put a stored version back in place, keeping the current content as a new version first
+  async restore(root, relPath, versionNumber = 1) {
+    const versions = await this.list(root, relPath);
+    const version = versions.find(entry => entry.version === versionNumber);
+    if (!version) {
+      throw new Error(versions.length === 0 ?
+        `No versions stored for ${relPath}` :
+        `Version ${versionNumber} of ${relPath} not found (${versions.length} stored)`);
+    }
+
+    const filePath = path.join(root, relPath);
+    const saved = await this.save(root, relPath);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await atomicCopy(version.path, filePath, { mtime: version.mtime });
+
+    return { restored: version, filePath, savedCurrent: saved !== null };
+  }
+
+  // Every stored version under a root, grouped by the file it belongs to
+  async collect(root) {
+    const files = [];
+
+    const walk = async (dir, relPath) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      const versions = [];
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath, path.join(relPath, entry.name));
+        } else if (savedAt(entry.name)) {
+          const { size } = await fs.stat(fullPath);
+          versions.push({ name: entry.name, path: fullPath, size, savedAt: savedAt(entry.name) });
+        }
+      }
+
+      if (versions.length > 0) {
+        versions.sort((a, b) => b.name.localeCompare(a.name, 'en', { numeric: true }));
+        files.push({ relPath, versions });
+      }
+    };
+
+    await walk(this.getStoreDir(root), '');
+    return files;
+  }
+
+  // Apply the retention policy to a root's store
+  async prune(root, now = new Date()) {
+    const { keepLast, keepDays, maxSizeMB } = this.retention;
+    const expired = [];
+    const kept = [];
+
+    for (const file of await this.collect(root)) {
+      file.versions.forEach((version, index) => {
+        const tooMany = keepLast > 0 && index >= keepLast;
+        const tooOld = keepDays > 0 && now - version.savedAt > keepDays * DAY;
+        (tooMany || tooOld ? expired : kept).push(version);
+      });
+    }
+
+    // Over the size cap, the oldest remaining versions go first
+    if (maxSizeMB > 0) {
+      let total = kept.reduce((sum, version) => sum + version.size, 0);
+      kept.sort((a, b) => a.savedAt - b.savedAt);
+      while (total > maxSizeMB * 1024 * 1024 && kept.length > 0) {
+        const version = kept.shift();
+        total -= version.size;
+        expired.push(version);
+      }
+    }
+
+    for (const version of expired) {
+      await fs.rm(version.path, { force: true });
+      await this.removeEmptyDirs(path.dirname(version.path), root);
+    }
+
+    return {
+      removed: expired.length,
+      freed: expired.reduce((sum, version) => sum + version.size, 0)
+    };
+  }
+
+  // Prune every root a version was saved under
+  async finish() {
+    const roots = [...this.roots];
+    this.roots.clear();
+
+    for (const root of roots) {
+      await this.prune(root);
+    }
+  }
+
+  // Remove version directories left empty, up to the store itself
+  async removeEmptyDirs(dir, root) {
+    const storeDir = this.getStoreDir(root);
+    while (dir.startsWith(storeDir + path.sep)) {
+      try {
+        await fs.rmdir(dir);
+      } catch {
+        return; // Not empty
+      }
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+export default VersionStore;
@@ -0,0 +1,183 @@
+// watcher.js - Watch sync roots and batch changed paths into debounced change events
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+export const DEFAULT_DEBOUNCE = 1000; // Quiet period before a burst becomes a sync
+export const DEFAULT_POLL_INTERVAL = 5000;
+
+// drvfs mounts (/mnt/c) and Windows paths do not deliver reliable inotify events
+export function needsPolling(rootPath) {
+  return /^\/mnt\/[a-z](\/|$)/i.test(rootPath) || /^[a-zA-Z]:\\|^\\\\/.test(rootPath);
+}
+
+export class SyncWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.debounce = options.debounce ?? DEFAULT_DEBOUNCE;
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    this.polling = options.polling ?? 'auto'; // true, false or 'auto'
+    this.shouldIgnore = options.shouldIgnore || (() => false);
+    this.roots = [];
+    this.pending = new Set();
+    this.timer = null;
+  }
+
+  // Start watching a root; resolves to the mode used ('native' or 'polling')
+  async watch(rootPath) {
+    const usePolling = this.polling === 'auto' ? needsPolling(rootPath) : this.polling;
+    const root = {
+      path: rootPath,
+      mode: usePolling ? 'polling' : 'native',
+      watchers: new Map(),
+      snapshot: null,
+      interval: null,
+      scanning: false
+    };
+    this.roots.push(root);
+
+    if (usePolling) {
+      root.snapshot = await this.snapshot(root);
+      root.interval = setInterval(() => this.poll(root), this.pollInterval);
+    } else {
+      await this.watchTree(root, rootPath);
+    }
+
+    return root.mode;
+  }
+
+  // Watch a directory and every directory below it
+  async watchTree(root, dir) {
+    if (root.watchers.has(dir)) return;
+
+    let watcher;
+    try {
+      watcher = fsSync.watch(dir, (eventType, filename) => this.onEvent(root, dir, filename));
+    } catch (error) {
+      this.emit('warning', { path: dir, message: `Cannot watch ${dir}: ${error.message}` });
+      return;
+    }
+
+    watcher.on('error', () => this.unwatchTree(root, dir));
+    root.watchers.set(dir, watcher);
+
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && !this.shouldIgnore(path.relative(root.path, fullPath), true)) {
+        await this.watchTree(root, fullPath);
+      }
+    }
+  }
+
+  // Stop watching a directory that was removed or renamed away
+  unwatchTree(root, dir) {
+    for (const [watchedDir, watcher] of root.watchers) {
+      if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+        watcher.close();
+        root.watchers.delete(watchedDir);
+      }
+    }
+  }
+
+  // Handle a native event; without a filename the whole directory is rescanned
+  onEvent(root, dir, filename) {
+    const fullPath = filename ? path.join(dir, filename.toString()) : dir;
+    const relPath = path.relative(root.path, fullPath);
+
+    if (relPath && this.shouldIgnore(relPath, false)) return;
+    this.queue(relPath);
+
+    // New directories need their own watcher, removed ones release theirs
+    fs.stat(fullPath)
+      .then(stats => stats.isDirectory() && this.watchTree(root, fullPath))
+      .catch(() => this.unwatchTree(root, fullPath));
+  }
+
+  // Record size and mtime of every file under a polled root
+  async snapshot(root, dir = root.path, files = new Map()) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relPath = path.relative(root.path, fullPath);
+
+      if (this.shouldIgnore(relPath, entry.isDirectory())) continue;
+
+      if (entry.isDirectory()) {
+        await this.snapshot(root, fullPath, files);
+      } else {
+        const stats = await fs.stat(fullPath).catch(() => null);
+        if (stats) {
+          files.set(relPath, `${stats.size}:${Math.trunc(stats.mtimeMs)}`);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  // Compare a fresh snapshot with the last one and queue what differs
+  async poll(root) {
+    if (root.scanning) return;
+    root.scanning = true;
+
+    try {
+      const current = await this.snapshot(root);
+
+      for (const [relPath, signature] of current) {
+        if (root.snapshot.get(relPath) !== signature) {
+          this.queue(relPath);
+        }
+      }
+      for (const relPath of root.snapshot.keys()) {
+        if (!current.has(relPath)) {
+          this.queue(relPath);
+        }
+      }
+
+      root.snapshot = current;
+    } finally {
+      root.scanning = false;
+    }
+  }
+
+  // Collect a changed path and restart the quiet period
+  queue(relPath) {
+    this.pending.add(relPath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  // Emit the paths changed since the last flush
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const paths = [...this.pending];
+    this.pending.clear();
+
+    if (paths.length > 0) {
+      this.emit('change', paths);
+    }
+  }
+
+  // Stop all watchers and timers
+  async close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+
+    for (const root of this.roots) {
+      clearInterval(root.interval);
+      for (const watcher of root.watchers.values()) {
+        watcher.close();
+      }
+      root.watchers.clear();
+    }
+    this.roots = [];
+  }
+}
+
+export default SyncWatcher;
@@ -0,0 +1,89 @@
+// windows-names.js - Names a Windows drive cannot hold, and the reversible mapping that stores them there
+import path from 'path';
+import { driveOf } from './symlinks.cjs';
+
+// Characters Windows refuses in a name, besides the control characters
+const RESERVED_CHARACTERS = '\\:*?"<>|';
+
+// Device names Windows keeps for itself, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Longest path Windows accepts without the \\?\ prefix, its terminating NUL included
+export const WINDOWS_MAX_PATH = 260;
+
+// drvfs stores a character Windows refuses as the private use character this far above it
+const MAPPED_OFFSET = 0xF000;
+
+const refused = (char) => char < ' ' || RESERVED_CHARACTERS.includes(char);
+const mapChar = (char) => String.fromCharCode(MAPPED_OFFSET + char.charCodeAt(0));
+
+// Why Windows cannot hold a name, or null when it can
+export function windowsNameProblem(name) {
+  const char = [...name].find(refused);
+  if (char) {
+    return char < ' ' ? 'contains a control character' : `contains "${char}"`;
+  }
+  if (name.endsWith('.') || name.endsWith(' ')) {
+    return `ends with a ${name.endsWith('.') ? 'dot' : 'space'}`;
+  }
+  const reserved = name.match(RESERVED_NAMES);
+  return reserved ? `${reserved[1].toUpperCase()} is a reserved device name` : null;
+}
+
+// The name Windows stores a name under: refused characters and a trailing dot or space become
+// private use characters as drvfs maps them, and a device name has its first letter mapped.
+// A name Windows can already hold is left as it is, so encoding twice changes nothing.
+export function encodeWindowsName(name) {
+  let encoded = [...name].map(char => refused(char) ? mapChar(char) : char).join('');
+  if (encoded.endsWith('.') || encoded.endsWith(' ')) {
+    encoded = encoded.slice(0, -1) + mapChar(encoded.slice(-1));
+  }
+  if (RESERVED_NAMES.test(encoded)) {
+    encoded = mapChar(encoded[0]) + encoded.slice(1);
+  }
+  return encoded;
+}
+
+// The name an encoded name stands for
+export function decodeWindowsName(name) {
+  return name.replace(/[\uF001-\uF07F]/g, char => String.fromCharCode(char.charCodeAt(0) - MAPPED_OFFSET));
+}
+
+// Encode or decode every name along a relative path
+export const encodeWindowsPath = (relPath) => relPath.split(path.sep).map(encodeWindowsName).join(path.sep);
+export const decodeWindowsPath = (relPath) => relPath.split(path.sep).map(decodeWindowsName).join(path.sep);
+
+// Length of a path under /mnt/<drive> once Windows spells the drive as C:
+function windowsPathLength(fullPath) {
+  const drive = driveOf(fullPath);
+  return fullPath.length - (drive ? drive.length - 2 : 0);
+}
+
+// What stands in the way of writing these to a Windows drive: each name along their relative
+// paths that Windows refuses, once however many paths it is in, and each destination too long
+// for Windows. With mapped set, refused names are reported with the name they are stored under.
+export function checkWindowsNames(targets, options = {}) {
+  const { mapped = false } = options;
+  const problems = new Map();
+
+  for (const { relPath, destination } of targets) {
+    const names = relPath.split(path.sep);
+    names.forEach((name, index) => {
+      const reason = windowsNameProblem(name);
+      const namePath = names.slice(0, index + 1).join(path.sep);
+      if (reason && !problems.has(namePath)) {
+        problems.set(namePath, { path: namePath, reason, ...(mapped && { mappedTo: encodeWindowsPath(namePath) }) });
+      }
+    });
+
+    const length = windowsPathLength(destination);
+    if (length >= WINDOWS_MAX_PATH) {
+      problems.set(`length:${relPath}`, {
+        path: relPath,
+        reason: `path is ${length} characters, over the ${WINDOWS_MAX_PATH - 1} Windows allows`
+      });
+    }
+  }
+
+  return [...problems.values()];
+}
@@ -3,6 +3,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
+import { driveOf } from './symlinks.cjs';
 
 const execAsync = promisify(exec);
 
@@ -16,6 +17,7 @@ export class WSLIntegration {
       hasWSL2: false,
       canPreservePermissions: false,
       canHandleSymlinks: false,
+      canPreserveXattrs: false,
       canDetectDistros: false
     };
   }
@@ -130,6 +132,9 @@ export class WSLIntegration {
     
     // Check if we can handle symlinks
     this.capabilities.canHandleSymlinks = this.distributions.some(d => d.capabilities.followSymlinks);
+    
+    // Check if extended attributes survive a copy (see --xattrs)
+    this.capabilities.canPreserveXattrs = this.distributions.some(d => d.capabilities.extendedAttributes);
   }
 
   // Convert Windows path to WSL path
@@ -173,6 +178,11 @@ export class WSLIntegration {
 
   // Get file permissions in WSL format
   async getFilePermissions(filePath, distroName = null) {
+    // Running inside WSL the file is on a local path - stat it directly
+    if (process.platform !== 'win32') {
+      return this.getLocalFilePermissions(filePath);
+    }
+
     if (!this.capabilities.canPreservePermissions) {
       return null;
     }
@@ -200,6 +210,10 @@ export class WSLIntegration {
 
   // Set file permissions in WSL
   async setFilePermissions(filePath, permissions, distroName = null) {
+    if (process.platform !== 'win32' && permissions) {
+      return this.setLocalFilePermissions(filePath, permissions);
+    }
+
     if (!this.capabilities.canPreservePermissions || !permissions) {
       return false;
     }
@@ -232,8 +246,60 @@ export class WSLIntegration {
     }
   }
 
+  // Get the mode and numeric owner of a local file
+  async getLocalFilePermissions(filePath) {
+    try {
+      const stats = await fs.stat(this.windowsToWSLPath(filePath));
+      const mode = (stats.mode & 0o7777).toString(8);
+
+      return {
+        mode,
+        owner: String(stats.uid),
+        group: String(stats.gid),
+        uid: stats.uid,
+        gid: stats.gid,
+        readable: this.parsePermissions(mode)
+      };
+    } catch (error) {
+      console.warn('Failed to get file permissions:', error);
+      return null;
+    }
+  }
+
+  // Set the mode and, where allowed, the owner of a local file; owners are numeric ids here
+  async setLocalFilePermissions(filePath, permissions) {
+    const localPath = this.windowsToWSLPath(filePath);
+
+    try {
+      if (permissions.mode) {
+        await fs.chmod(localPath, parseInt(permissions.mode, 8));
+      }
+
+      const uid = permissions.uid ?? Number(permissions.owner);
+      const gid = permissions.gid ?? Number(permissions.group);
+      if (Number.isInteger(uid) && Number.isInteger(gid)) {
+        try {
+          await fs.chown(localPath, uid, gid);
+        } catch (chownError) {
+          // Ownership change might fail due to permissions, but that's often okay
+          console.warn('Could not change ownership:', chownError.message);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to set file permissions:', error);
+      return false;
+    }
+  }
+
   // Handle symbolic links
   async handleSymlink(linkPath, targetPath, operation = 'preserve') {
+    // Running inside WSL there is no wsl.exe to shell out to - the links are local paths
+    if (process.platform !== 'win32') {
+      return this.handleLocalSymlink(linkPath, targetPath, operation);
+    }
+
     if (!this.capabilities.canHandleSymlinks) {
       return { handled: false, reason: 'Symlinks not supported' };
     }
@@ -292,6 +358,55 @@ export class WSLIntegration {
     }
   }
 
+  // Handle symbolic links on the local file system with readlink, symlink and realpath
+  async handleLocalSymlink(linkPath, targetPath, operation = 'preserve') {
+    const wslLinkPath = this.windowsToWSLPath(linkPath);
+
+    try {
+      switch (operation) {
+        case 'preserve':
+          return {
+            handled: true,
+            isSymlink: true,
+            target: await fs.readlink(wslLinkPath),
+            linkPath: wslLinkPath
+          };
+
+        case 'create': {
+          const wslTargetPath = this.windowsToWSLPath(targetPath);
+          await fs.symlink(wslTargetPath, wslLinkPath);
+
+          return {
+            handled: true,
+            created: true,
+            linkPath: wslLinkPath,
+            target: wslTargetPath
+          };
+        }
+
+        case 'resolve': {
+          const realPath = await fs.realpath(wslLinkPath);
+
+          return {
+            handled: true,
+            resolved: true,
+            realPath,
+            windowsPath: this.wslToWindowsPath(realPath)
+          };
+        }
+
+        default:
+          return { handled: false, reason: 'Unknown operation' };
+      }
+    } catch (error) {
+      return {
+        handled: false,
+        error: error.message,
+        isSymlink: false
+      };
+    }
+  }
+
   // Parse numeric permissions to human readable format
   parsePermissions(mode) {
     const permissions = {
@@ -371,19 +486,23 @@ export class WSLIntegration {
       handleSymlinks: 'copy', // 'copy', 'preserve', 'resolve'
       useNativeCommands: false,
       transferMethod: 'standard', // 'standard', 'wsl_cp', 'rsync'
-      caseSensitive: false
+      caseSensitive: false,
+      preserveXattrs: false
     };
 
     // If either path is in WSL2, we can preserve more metadata
     if ((sourceIsWSL || destIsWSL) && this.capabilities.hasWSL2) {
       strategy.preservePermissions = this.capabilities.canPreservePermissions;
       strategy.handleSymlinks = 'preserve';
-      strategy.caseSensitive = true;
+      // Windows drives are case-insensitive; the engine probes the real target before each run
+      strategy.caseSensitive = !driveOf(sourcePath) && !driveOf(destPath);
       
       // Use WSL native commands for better performance
       if (sourceIsWSL && destIsWSL) {
         strategy.useNativeCommands = true;
         strategy.transferMethod = 'wsl_cp';
+        // Extended attributes only carry over between Linux file systems
+        strategy.preserveXattrs = this.capabilities.canPreserveXattrs;
       }
     }
 
@@ -0,0 +1,183 @@
+// xattrs.cjs - Extended attributes read by the scanner and applied by the file workers (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { getTempPath } = require('./atomic-copy.cjs');
+const { driveOf } = require('./symlinks.cjs');
+
+// WSL's per-directory case sensitivity flag, which listing a directory's attributes leaves out
+const CASE_SENSITIVE_ATTRIBUTE = 'system.wsl_case_sensitive';
+
+// Dumps of large trees are big - allow well beyond the default buffer
+const MAX_DUMP_SIZE = 256 * 1024 * 1024;
+
+// Run getfattr or setfattr, resolving with what it printed even when some paths failed
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: MAX_DUMP_SIZE }, (error, stdout, stderr) => {
+      if (error?.code === 'ENOENT') {
+        reject(new Error(`${command} is not installed (it comes with the attr package)`));
+      } else {
+        resolve({ failed: !!error, stdout, stderr });
+      }
+    });
+  });
+}
+
+// The reason a tool gave for a failure, without its "setfattr: <path>:" prefix
+function failureReason(stderr) {
+  const line = stderr.trim().split('\n').pop() || 'unknown error';
+  return line.slice(line.lastIndexOf(': ') + 2) || line;
+}
+
+// Undo getfattr's escaping of file names (octal for unprintable bytes, doubled backslashes)
+function unescapeName(name) {
+  return name.replace(/\\(\\|[0-7]{3})/g, (_, code) => code === '\\' ? '\\' : String.fromCharCode(parseInt(code, 8)));
+}
+
+// Parse a base64 getfattr dump into a map of absolute path to { name: base64 value }
+function parseXattrDump(dump) {
+  const found = new Map();
+  let attrs = null;
+
+  for (const line of dump.split('\n')) {
+    if (line.startsWith('# file: ')) {
+      attrs = {};
+      found.set(path.resolve(unescapeName(line.slice('# file: '.length))), attrs);
+    } else if (attrs && line.trim() !== '') {
+      // An attribute with an empty value is printed without one
+      const separator = line.indexOf('=');
+      const name = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^0s/, '');
+      attrs[name] = value;
+    }
+  }
+
+  for (const [filePath, fileAttrs] of found) {
+    if (Object.keys(fileAttrs).length === 0) found.delete(filePath);
+  }
+  return found;
+}
+
+// Read the attributes of everything below the given paths, in one getfattr run per pass.
+// caseFlags adds a pass for the case sensitivity flag, which only drvfs directories carry.
+async function readXattrTree(paths, options = {}) {
+  const { followLinks = false, caseFlags = false } = options;
+  const walk = ['--recursive', '--absolute-names', '--encoding=base64',
+    ...(followLinks ? ['--logical'] : ['--physical', '--no-dereference'])];
+
+  const { stdout } = await run('getfattr', [...walk, '--dump', '--match=-', '--', ...paths]);
+  const found = parseXattrDump(stdout);
+
+  if (caseFlags) {
+    // Files and directories without the flag fail on stderr; the ones that have it are printed
+    const flags = await run('getfattr', [...walk, `--name=${CASE_SENSITIVE_ATTRIBUTE}`, '--', ...paths]);
+    for (const [filePath, attrs] of parseXattrDump(flags.stdout)) {
+      found.set(filePath, { ...found.get(filePath), ...attrs });
+    }
+  }
+
+  return found;
+}
+
+// Whether WSL marked a directory case-sensitive, read without writing anything. False for a
+// directory without the flag and when getfattr cannot tell.
+async function readCaseFlag(dir) {
+  try {
+    const { stdout } = await run('getfattr', [
+      '--absolute-names', '--encoding=base64', `--name=${CASE_SENSITIVE_ATTRIBUTE}`, '--', dir
+    ]);
+    const value = parseXattrDump(stdout).get(path.resolve(dir))?.[CASE_SENSITIVE_ATTRIBUTE];
+    return value !== undefined && Buffer.from(value, 'base64').toString().replace(/\0/g, '') === '1';
+  } catch {
+    return false;
+  }
+}
+
+// Set attributes on a file or directory, returning the ones that did not stick with the reason
+async function writeXattrs(filePath, attrs) {
+  const failures = [];
+
+  for (const [name, value] of Object.entries(attrs || {})) {
+    try {
+      const { failed, stderr } = await run('setfattr', [
+        '--no-dereference',
+        `--name=${name}`,
+        ...(value === '' ? [] : [`--value=0s${value}`]),
+        '--',
+        filePath
+      ]);
+      if (failed) failures.push({ name, error: failureReason(stderr) });
+    } catch (error) {
+      failures.push({ name, error: error.message });
+    }
+  }
+
+  return failures;
+}
+
+// The closest of a path and its parents that exists, for a target not created yet
+async function nearestExisting(filePath) {
+  let current = path.resolve(filePath);
+  for (;;) {
+    try {
+      await fs.stat(current);
+      return current;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) throw error;
+      current = parent;
+    }
+  }
+}
+
+// A wsl-sync directory on the same file system as dir to try things out in, so probes never
+// land in a synced tree: the drive's wsl-sync recycle folder on a Windows drive, otherwise
+// ~/.wsl-sync/probes. Null when that is on another file system or cannot be created.
+async function probeDirFor(dir) {
+  const drive = driveOf(dir);
+  const probeDir = drive
+    ? path.join(drive, '$RECYCLE.BIN', 'wsl-sync', 'probes')
+    : path.join(os.homedir(), '.wsl-sync', 'probes');
+
+  try {
+    const target = await fs.stat(await nearestExisting(dir));
+    if ((await fs.stat(await nearestExisting(probeDir))).dev !== target.dev) return null;
+
+    await fs.mkdir(probeDir, { recursive: true });
+    return (await fs.stat(probeDir)).dev === target.dev ? probeDir : null;
+  } catch {
+    return null;
+  }
+}
+
+// Which attributes a directory's file system refuses, tried out on an empty probe directory
+// in its probeDirFor. Null when there is nowhere to probe, as nothing is known then.
+async function probeXattrs(dir, attrs) {
+  const probeDir = await probeDirFor(dir);
+  if (!probeDir) return null;
+
+  const probePath = getTempPath(path.join(probeDir, `xattrs-${process.pid}`));
+  try {
+    await fs.mkdir(probePath);
+  } catch {
+    return null;
+  }
+
+  try {
+    return await writeXattrs(probePath, attrs);
+  } finally {
+    await fs.rm(probePath, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  CASE_SENSITIVE_ATTRIBUTE,
+  parseXattrDump,
+  readXattrTree,
+  readCaseFlag,
+  writeXattrs,
+  probeDirFor,
+  probeXattrs
+};
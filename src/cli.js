@@ -9,6 +9,11 @@ import { SettingsManager } from '../lib/settings.js';
 import { SyncHandler } from '../lib/sync-handler.js';
 import { WSLIntegration } from '../lib/wsl-integration.js';
 import { ErrorHandler } from '../lib/error-handler.js';
+import { SchedulerDaemon, ProfileLock, parseSchedule, getNextRun, profileSyncOptions } from '../lib/scheduler.js';
+import { SyncHistory, parseSince } from '../lib/sync-history.js';
+import { VersionStore, findVersionRoot } from '../lib/version-store.js';
+import { Trash } from '../lib/trash.js';
+import { SessionJournal } from '../lib/session-journal.js';
 import path from 'path';
 import fs from 'fs/promises';
 import os from 'os';
@@ -16,6 +21,65 @@ import os from 'os';
 // Configure yargs
 const argv = yargs(hideBin(process.argv))
   .usage('Usage: $0 [source] [destination] [options]')
+  .command('watch [source] [destination]', 'Watch both sides and sync changes continuously')
+  .command('daemon', 'Run scheduled profile syncs until stopped')
+  .command('undo <id>', 'Restore the files a recorded sync run changed', (yargs) => {
+    yargs.positional('id', {
+      describe: 'Run id (or a unique prefix) from wsl-sync history',
+      type: 'string'
+    });
+  })
+  .command('versions <file>', 'List the stored versions of a synced file', (yargs) => {
+    yargs.positional('file', {
+      describe: 'Path of the file in a synced directory',
+      type: 'string'
+    });
+  })
+  .command('restore <file>', 'Put a stored version of a file back in place', (yargs) => {
+    yargs
+      .positional('file', {
+        describe: 'Path of the file in a synced directory',
+        type: 'string'
+      })
+      .version(false)
+      .option('version', {
+        describe: 'Version number from wsl-sync versions (1 is the newest)',
+        type: 'number',
+        default: 1
+      });
+  })
+  .command('trash <action> [target]', 'List, restore or empty files deleted to the trash', (yargs) => {
+    yargs
+      .positional('action', {
+        describe: 'Trash action',
+        choices: ['list', 'restore', 'empty']
+      })
+      .positional('target', {
+        describe: 'With restore: original path of the file, or its name in the trash',
+        type: 'string'
+      });
+  })
+  .command('history [id]', 'List past sync runs, or show what one run changed', (yargs) => {
+    yargs.positional('id', {
+      describe: 'Run id (or a unique prefix) to show in detail',
+      type: 'string'
+    });
+  })
+  .command('schedule <action> [name] [expression..]', 'List, enable or disable profile schedules', (yargs) => {
+    yargs
+      .positional('action', {
+        describe: 'Schedule action',
+        choices: ['list', 'enable', 'disable']
+      })
+      .positional('name', {
+        describe: 'Profile name',
+        type: 'string'
+      })
+      .positional('expression', {
+        describe: 'Schedule, e.g. "every 30 min", "weekdays 18:00" or a cron expression',
+        type: 'string'
+      });
+  })
   .positional('source', {
     describe: 'Source directory path',
     type: 'string'
@@ -51,6 +115,62 @@ const argv = yargs(hideBin(process.argv))
     describe: 'Force two-way sync',
     type: 'boolean'
   })
+  .option('mirror', {
+    describe: 'Make the destination an exact copy of the source, deleting everything else',
+    type: 'boolean'
+  })
+  .option('conflict', {
+    describe: 'How to resolve files changed on both sides (manual skips them in non-interactive mode)',
+    type: 'string',
+    choices: ['newer', 'source', 'destination', 'keep-both', 'manual']
+  })
+  .option('compare', {
+    describe: 'How to detect changed files',
+    type: 'string',
+    choices: ['size-mtime', 'mtime', 'hash'],
+    default: 'size-mtime'
+  })
+  .option('delta', {
+    describe: 'Send only changed blocks of large files that already exist at the destination',
+    type: 'boolean'
+  })
+  .option('delta-threshold', {
+    describe: 'Minimum file size in MB for delta transfer',
+    type: 'number',
+    default: 10
+  })
+  .option('partial-max-age', {
+    describe: 'Hours to keep interrupted large copies so they can resume',
+    type: 'number',
+    default: 168
+  })
+  .option('debounce', {
+    describe: 'Watch mode: milliseconds to wait for changes to settle before syncing',
+    type: 'number',
+    default: 1000
+  })
+  .option('poll', {
+    describe: 'Watch mode: poll for changes instead of using file system events',
+    type: 'boolean'
+  })
+  .option('poll-interval', {
+    describe: 'Watch mode: seconds between polls (used automatically for /mnt drives)',
+    type: 'number',
+    default: 5
+  })
+  .option('since', {
+    describe: 'With history: only runs since an age (12h, 7d) or date',
+    type: 'string'
+  })
+  .option('limit', {
+    describe: 'With history: maximum number of runs to list',
+    type: 'number',
+    default: 20
+  })
+  .option('resume', {
+    describe: 'Continue an interrupted sync session (latest if no ID is given)',
+    type: 'string'
+  })
   .option('filter', {
     alias: 'f',
     describe: 'Apply filter preset (documents, images, code, media)',
@@ -68,10 +188,59 @@ const argv = yargs(hideBin(process.argv))
     type: 'number',
     default: 4
   })
+  .option('no-snapshot', {
+    describe: 'Do not back up overwritten and deleted files (the run cannot be undone)',
+    type: 'boolean'
+  })
+  .option('trash', {
+    describe: 'Move deleted files to the trash instead of removing them',
+    type: 'boolean'
+  })
+  .option('force-deletes', {
+    describe: 'Sync even when the run would delete more files than the deletion limits allow',
+    type: 'boolean'
+  })
+  .option('max-deletes', {
+    describe: 'Stop a run that would delete more than this many files on a side (0 = no limit)',
+    type: 'number'
+  })
+  .option('max-delete-percent', {
+    describe: 'Stop a run that would delete more than this share of a side\'s files (default 50)',
+    type: 'number'
+  })
+  .option('keep-versions', {
+    describe: 'Keep prior versions of overwritten and deleted files in .wsl-sync-versions (default from settings)',
+    type: 'boolean'
+  })
   .option('no-delete', {
-    describe: 'Skip deletion of orphaned files',
+    describe: 'One-way syncs: keep destination files the source does not have',
     type: 'boolean'
   })
+  .option('prune-empty-dirs', {
+    describe: 'Remove directories left empty after deletions (one-way syncs also skip empty source directories)',
+    type: 'boolean'
+  })
+  .option('preserve-permissions', {
+    describe: 'Carry mode, owner and access time over to copies (default from settings)',
+    type: 'boolean'
+  })
+  .option('xattrs', {
+    describe: 'Carry extended attributes (user.*, security labels, WSL case sensitivity) over to copies',
+    type: 'boolean'
+  })
+  .option('transform', {
+    describe: 'Rewrite text files matching a pattern as they are copied: lf, crlf or utf8-bom-strip, e.g. "*.sh:lf" (can be used multiple times)',
+    type: 'array'
+  })
+  .option('map-names', {
+    describe: 'Store names Windows refuses (: ? * trailing dots, CON...) encoded on Windows drives, as drvfs does, and decode them on the way back',
+    type: 'boolean'
+  })
+  .option('symlinks', {
+    describe: 'How to sync symbolic links: recreate them, copy what they point at, or skip them (default from settings)',
+    type: 'string',
+    choices: ['preserve', 'copy', 'ignore']
+  })
   .option('config', {
     alias: 'c',
     describe: 'Use configuration file',
@@ -123,12 +292,12 @@ const argv = yargs(hideBin(process.argv))
     type: 'string'
   })
   .conflicts('one-way', 'two-way')
+  .conflicts('mirror', ['one-way', 'two-way'])
   .conflicts('quiet', 'verbose')
   .conflicts('json', 'verbose')
   .help('h')
   .alias('h', 'help')
   .version()
-  .alias('v', 'version')
   .epilogue('For more information, visit https://github.com/frankbria/wsl-sync-cli')
   .argv;
 
@@ -150,7 +319,8 @@ const handleError = (error, code = 1) => {
     outputJson({
       success: false,
       error: error.message,
-      code
+      code,
+      ...(error.reasons && { reasons: error.reasons })
     });
   } else {
     console.error(`Error: ${error.message}`);
@@ -158,6 +328,77 @@ const handleError = (error, code = 1) => {
   process.exit(code);
 };
 
+// Print the outcome of a sync run
+const reportResult = (result, duration) => {
+  if (argv.json) {
+    outputJson({
+      success: true,
+      result: {
+        ...result,
+        duration
+      }
+    });
+  } else {
+    output(`\nSync completed successfully in ${duration.toFixed(1)}s`);
+    output(`Files processed: ${result.totalFiles}`);
+    output(`Files synced: ${result.syncedFiles}`);
+    if (result.bytesSaved > 0) {
+      output(`Delta transfer saved: ${(result.bytesSaved / (1024 * 1024)).toFixed(1)} MB`);
+    }
+    if (result.filesMoved > 0) {
+      output(`Files moved: ${result.filesMoved}`);
+    }
+    if (result.filesDeleted > 0) {
+      output(`Files deleted: ${result.filesDeleted}`);
+    }
+    if (result.dirsCreated > 0 || result.dirsDeleted > 0) {
+      output(`Directories created: ${result.dirsCreated}, removed: ${result.dirsDeleted}`);
+    }
+    if (result.dirsPruned > 0) {
+      output(`Empty directories pruned: ${result.dirsPruned}`);
+    }
+    if (result.conflicts.length > 0) {
+      output(`Conflicts: ${result.conflicts.length}`);
+      for (const conflict of result.conflicts) {
+        const outcome = !conflict.winner ? 'skipped - resolve manually' :
+          conflict.copyPath ? `kept ${conflict.winner}, other version saved as ${conflict.copyPath}` :
+          conflict.kept ? `kept ${conflict.kept}` :
+          `kept ${conflict.winner}`;
+        const paths = conflict.paths ? conflict.paths.join(', ') : conflict.path;
+        output(`  ${paths} (${conflict.type}): ${outcome}`);
+      }
+    }
+    if (result.xattrErrors?.length > 0) {
+      output(`Extended attributes not applied: ${result.xattrErrors.length}`);
+      for (const failure of result.xattrErrors) {
+        output(`  ${failure.target}${failure.attribute ? ` (${failure.attribute})` : ''}: ${failure.error}`);
+      }
+    }
+    if (result.errors.length > 0) {
+      output(`Errors: ${result.errors.length}`);
+    }
+    if (result.destructiveChanges?.length > 0) {
+      output(`\nDestructive changes (${result.destructiveChanges.length}):`, true);
+      for (const change of result.destructiveChanges) {
+        output(`  ${change.action.padEnd(17)}${change.path}`, true);
+      }
+    }
+    reportDeletionWarnings(result.deletionWarnings);
+  }
+};
+
+// Show deletion limits a dry run or a --force-deletes run went past
+const reportDeletionWarnings = (warnings = []) => {
+  if (warnings.length === 0) return;
+  
+  output(argv.forceDeletes ?
+    'Deletion limits exceeded (deleting anyway with --force-deletes):' :
+    'Deletion limits exceeded - a real run would stop before deleting anything:', true);
+  for (const warning of warnings) {
+    output(`  ${warning}`, true);
+  }
+};
+
 // Exit codes
 const EXIT_CODES = {
   SUCCESS: 0,
@@ -170,6 +411,560 @@ const EXIT_CODES = {
   CONFIG_ERROR: 7
 };
 
+// Fill in paths and settings from --profile; command line values take precedence
+const applyProfile = async (profileManager, sourcePath, destinationPath) => {
+  if (!argv.profile) {
+    return { sourcePath, destinationPath, profile: null };
+  }
+  
+  const profile = await profileManager.getProfileByName(argv.profile);
+  if (!profile) {
+    handleError(new Error(`Profile '${argv.profile}' not found`), EXIT_CODES.PROFILE_NOT_FOUND);
+  }
+  
+  // Apply profile settings
+  const profileOptions = profileSyncOptions(profile);
+  if (profileOptions.ignorePatterns.length > 0 && !argv.ignore) {
+    argv.ignore = profileOptions.ignorePatterns;
+  }
+  if (profileOptions.filter && !argv.filter) {
+    argv.filter = profileOptions.filter;
+  }
+  if (argv.delete === undefined) {
+    argv.delete = profileOptions.deleteOrphaned;
+  }
+  if (argv.pruneEmptyDirs === undefined) {
+    argv.pruneEmptyDirs = profileOptions.pruneEmptyDirs;
+  }
+  if (argv.preservePermissions === undefined) {
+    argv.preservePermissions = profileOptions.preservePermissions;
+  }
+  if (argv.xattrs === undefined) {
+    argv.xattrs = profileOptions.xattrs;
+  }
+  if (argv.mapNames === undefined) {
+    argv.mapNames = profileOptions.mapNames;
+  }
+  if (!argv.transform) {
+    argv.transform = profileOptions.transforms;
+  }
+  if (profile.workerThreads && !argv.workers) {
+    argv.workers = profile.workerThreads;
+  }
+  if (profile.conflictResolution && !argv.conflict) {
+    argv.conflict = profile.conflictResolution;
+  }
+  
+  return {
+    sourcePath: sourcePath || profile.sourcePath,
+    destinationPath: destinationPath || profile.destinationPath,
+    profile
+  };
+};
+
+// Direction from --mirror, --one-way or --two-way, falling back to the profile's
+const syncDirection = (profile = null) =>
+  argv.mirror ? 'mirror' :
+  argv.oneWay ? 'source-to-dest' :
+  argv.twoWay ? 'two-way' :
+  profile?.syncDirection || 'two-way';
+
+// Version store retention for sync runs, or null when versions are not kept
+const versionOptions = (settingsManager) =>
+  argv.keepVersions || settingsManager.get('advanced.backupBeforeSync') ?
+    settingsManager.getVersionRetention() : null;
+
+// Deletion limits from settings, overridden by --max-deletes, --max-delete-percent and --force-deletes
+const deletionLimits = (settingsManager) => ({
+  ...settingsManager.getDeletionLimits(),
+  ...(argv.maxDeletes !== undefined && { maxDeletes: argv.maxDeletes }),
+  ...(argv.maxDeletePercent !== undefined && { maxDeletePercent: argv.maxDeletePercent }),
+  force: Boolean(argv.forceDeletes)
+});
+
+// Symlink handling from settings, overridden by --symlinks
+const symlinkMode = (settingsManager) => argv.symlinks || settingsManager.getSymlinkMode();
+
+// Whether copies keep permissions, which only --preserve-permissions or the profile turns on
+const preservePermissions = () => argv.preservePermissions ?? false;
+
+// Watch a pair and sync changes until interrupted
+const handleWatch = async (profileManager, settingsManager) => {
+  const { sourcePath, destinationPath, profile } = await applyProfile(
+    profileManager,
+    argv.source,
+    argv.destination
+  );
+  
+  if (!sourcePath || !destinationPath) {
+    handleError(new Error('Source and destination paths (or --profile) are required'), EXIT_CODES.INVALID_ARGS);
+  }
+  
+  for (const dirPath of [sourcePath, destinationPath]) {
+    try {
+      await fs.access(dirPath);
+    } catch {
+      handleError(new Error(`Path not found: ${dirPath}`), EXIT_CODES.PATH_NOT_FOUND);
+    }
+  }
+  
+  // Scheduled runs of a watched profile wait until watching stops
+  const profileLock = new ProfileLock();
+  if (profile && !await profileLock.acquire(profile.id)) {
+    handleError(new Error(`Profile '${profile.name}' is already syncing`), EXIT_CODES.SYNC_FAILED);
+  }
+  
+  const syncHandler = new SyncHandler({
+    maxErrors: argv.maxErrors,
+    skipErrors: argv.skipErrors,
+    snapshots: argv.snapshot !== false,
+    versions: versionOptions(settingsManager),
+    deletionLimits: deletionLimits(settingsManager),
+    symlinks: symlinkMode(settingsManager),
+    trash: argv.trash
+  });
+  
+  await syncHandler.prepareCliSync({
+    workerThreads: argv.workers,
+    deleteOrphaned: argv.delete !== false,
+    delta: argv.delta || false,
+    deltaThreshold: argv.deltaThreshold * 1024 * 1024,
+    partialMaxAge: argv.partialMaxAge * 60 * 60 * 1000,
+    filter: argv.filter,
+    ignorePatterns: argv.ignore || [],
+    pruneEmptyDirs: argv.pruneEmptyDirs || false,
+    preservePermissions: preservePermissions(),
+    xattrs: argv.xattrs || false,
+    mapNames: argv.mapNames || false,
+    transforms: argv.transform || []
+  });
+  
+  const time = () => new Date().toLocaleTimeString();
+  
+  syncHandler.on('watch-sync', ({ paths, result }) => {
+    if (argv.json) {
+      outputJson({ type: 'sync', paths, result });
+    } else if (result.syncedFiles + result.filesDeleted + result.filesMoved > 0 || argv.verbose) {
+      output(`[${time()}] ${paths.length} changed paths: ${result.syncedFiles} synced, ` +
+        `${result.filesMoved} moved, ${result.filesDeleted} deleted, ${result.errors.length} errors`);
+    }
+  });
+  
+  syncHandler.on('watch-error', (error) => {
+    if (argv.json) {
+      outputJson({ type: 'error', error: error.message });
+    } else {
+      output(`[${time()}] Sync failed: ${error.message}`, true);
+    }
+  });
+  
+  syncHandler.on('watch-warning', (warning) => {
+    if (!argv.json) {
+      output(`Warning: ${warning.message}`);
+    }
+  });
+  
+  const modes = await syncHandler.startWatching(sourcePath, destinationPath, {
+    syncDirection: syncDirection(profile),
+    conflictResolution: argv.conflict || 'newer',
+    compare: argv.compare,
+    debounce: argv.debounce,
+    pollInterval: argv.pollInterval * 1000,
+    polling: argv.poll ? true : 'auto',
+    profile: profile?.name || null
+  });
+  
+  if (!argv.json) {
+    for (const [root, mode] of Object.entries(modes)) {
+      output(`Watching ${root} (${mode === 'polling' ? `polling every ${argv.pollInterval}s` : 'file system events'})`);
+    }
+    output('Press Ctrl+C to stop');
+  }
+  
+  // Finish the sync in progress before exiting
+  const stop = async () => {
+    output('\nStopping watch...');
+    await syncHandler.cleanup();
+    if (profile) {
+      await profileLock.release(profile.id);
+    }
+    process.exit(EXIT_CODES.SUCCESS);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+};
+
+// Format a date for schedule listings
+const formatWhen = (date) => date ? new Date(date).toLocaleString() : 'never';
+
+// List, enable or disable profile schedules
+const handleSchedule = async (profileManager) => {
+  const lock = new ProfileLock();
+  
+  if (argv.action === 'list') {
+    const schedules = [];
+    for (const profile of profileManager.getProfiles()) {
+      if (!profile.schedule?.expression) continue;
+      
+      let nextRun = null;
+      try {
+        nextRun = getNextRun(profile);
+      } catch {
+        // An invalid expression is listed without a next run
+      }
+      schedules.push({
+        profile: profile.name,
+        ...profile.schedule,
+        nextRun: nextRun?.toISOString() || null,
+        running: Boolean(await lock.holder(profile.id))
+      });
+    }
+    
+    if (argv.json) {
+      outputJson({ schedules });
+    } else if (schedules.length === 0) {
+      output('No profiles have a schedule');
+    } else {
+      for (const schedule of schedules) {
+        const last = schedule.lastResult;
+        const outcome = !last ? 'not run yet' :
+          last.success ? `ok, ${last.syncedFiles} synced` :
+          `failed: ${last.error || `${last.errors} errors`}`;
+        output(`${schedule.profile}: ${schedule.expression} (${schedule.enabled ? 'enabled' : 'disabled'})`);
+        output(`  Next run: ${schedule.running ? 'running now' : schedule.enabled ? formatWhen(schedule.nextRun) : '-'}`);
+        output(`  Last run: ${formatWhen(schedule.lastRun)} (${outcome})`);
+      }
+    }
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  if (!argv.name) {
+    handleError(new Error(`Profile name required: schedule ${argv.action} <profile>`), EXIT_CODES.INVALID_ARGS);
+  }
+  
+  const profile = profileManager.getProfileByName(argv.name);
+  if (!profile) {
+    handleError(new Error(`Profile '${argv.name}' not found`), EXIT_CODES.PROFILE_NOT_FOUND);
+  }
+  
+  let schedule;
+  if (argv.action === 'enable') {
+    const expression = (argv.expression || []).join(' ') || profile.schedule?.expression;
+    if (!expression) {
+      handleError(new Error('Schedule expression required, e.g. "every 30 min"'), EXIT_CODES.INVALID_ARGS);
+    }
+    try {
+      parseSchedule(expression);
+    } catch (error) {
+      handleError(error, EXIT_CODES.INVALID_ARGS);
+    }
+    schedule = await profileManager.setSchedule(profile.id, { expression, enabled: true });
+  } else {
+    schedule = await profileManager.setSchedule(profile.id, { enabled: false });
+  }
+  
+  if (argv.json) {
+    outputJson({ success: true, profile: profile.name, schedule });
+  } else if (schedule.enabled) {
+    output(`Scheduled '${profile.name}': ${schedule.expression} (next run ${formatWhen(getNextRun(profile))})`);
+    output('Scheduled syncs run while `wsl-sync daemon` is running');
+  } else {
+    output(`Schedule for '${profile.name}' disabled`);
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// Format a byte count for history output
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+// List past runs or show the files one run changed
+const handleHistory = async (profileManager) => {
+  const history = new SyncHistory();
+  
+  if (argv.id) {
+    let run;
+    try {
+      run = await history.load(argv.id);
+    } catch (error) {
+      handleError(error, EXIT_CODES.INVALID_ARGS);
+    }
+    
+    if (argv.json) {
+      outputJson({ run });
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+    
+    const { counts } = run;
+    output(`Run ${run.id} (${run.trigger}${run.profile ? `, profile ${run.profile}` : ''})`);
+    output(`  ${run.sourcePath} → ${run.destinationPath} (${run.direction})`);
+    output(`  Started ${formatWhen(run.startedAt)}, took ${run.duration.toFixed(1)}s: ${run.status}`);
+    output(`  ${counts.created} created, ${counts.updated} updated, ${counts.moved} moved, ` +
+      `${counts.deleted} deleted, ${counts.conflicts} conflicts, ${counts.errors} errors`);
+    output(`  ${formatBytes(run.bytesTransferred)} written` +
+      (run.bytesSaved > 0 ? `, ${formatBytes(run.bytesSaved)} saved by delta transfer` : ''));
+    if (run.undone) {
+      output(`  Undone ${formatWhen(run.undone.at)} (${run.undone.skipped.length} files left alone)`);
+    }
+    
+    const markers = { create: '+', update: '~', delete: '-', move: '>', mkdir: '+', rmdir: '-' };
+    if (run.files.length > 0) {
+      output('\nFiles:');
+      for (const file of run.files) {
+        const name = file.type === 'move' ? `${file.fromRelPath} → ${file.relPath}` :
+          file.type === 'mkdir' || file.type === 'rmdir' ? `${file.relPath}${path.sep}` : file.relPath;
+        output(`  ${markers[file.type] || '?'} ${name} (${file.target})`);
+      }
+    }
+    if (run.errors.length > 0) {
+      output('\nErrors:');
+      for (const error of run.errors) {
+        output(`  ${error.path ? `${error.path}: ` : ''}${error.message}`);
+      }
+    }
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  let since = null;
+  if (argv.since) {
+    try {
+      since = parseSince(argv.since);
+    } catch (error) {
+      handleError(error, EXIT_CODES.INVALID_ARGS);
+    }
+  }
+  
+  // History records profiles by name; accept an id as well
+  const profile = argv.profile ?
+    (profileManager.getProfileByName(argv.profile)?.name || argv.profile) : null;
+  const runs = await history.list({ profile, since, limit: argv.limit });
+  
+  if (argv.json) {
+    outputJson({ runs });
+  } else if (runs.length === 0) {
+    output('No sync runs recorded');
+  } else {
+    for (const run of runs) {
+      const { counts } = run;
+      output(`${run.id}  ${formatWhen(run.startedAt)}  ${run.profile || '-'}  ${run.trigger}  ${run.status}` +
+        (run.undone ? ' (undone)' : ''));
+      output(`  ${run.sourcePath} → ${run.destinationPath}: ${counts.created} created, ` +
+        `${counts.updated} updated, ${counts.deleted} deleted, ${counts.errors} errors`);
+    }
+    output(`\nShow a run's files with: wsl-sync history <id>`);
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// Locate a file's version store, exiting when the file is not in a synced directory that has one
+const resolveVersionRoot = async (filePath) => {
+  const location = await findVersionRoot(filePath);
+  if (!location) {
+    handleError(new Error(`No version store found for ${filePath} (versions are kept with --keep-versions)`),
+      EXIT_CODES.PATH_NOT_FOUND);
+  }
+  return location;
+};
+
+// List the stored versions of a file
+const handleVersions = async (settingsManager) => {
+  const { root, relPath } = await resolveVersionRoot(argv.file);
+  const store = new VersionStore(settingsManager.getVersionRetention());
+  const versions = await store.list(root, relPath);
+  
+  if (argv.json) {
+    outputJson({ root, file: relPath, versions });
+  } else if (versions.length === 0) {
+    output(`No versions stored for ${relPath}`);
+  } else {
+    output(`Versions of ${relPath} (${store.getStoreDir(root)}):`);
+    for (const version of versions) {
+      output(`  ${String(version.version).padStart(3)}  saved ${formatWhen(version.savedAt)}  ` +
+        `${formatBytes(version.size)}, modified ${formatWhen(version.mtime)}`);
+    }
+    output(`\nRestore one with: wsl-sync restore ${argv.file} --version <n>`);
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// Put a stored version of a file back in place
+const handleRestore = async (settingsManager) => {
+  const { root, relPath } = await resolveVersionRoot(argv.file);
+  const store = new VersionStore(settingsManager.getVersionRetention());
+  
+  let result;
+  try {
+    result = await store.restore(root, relPath, argv.version);
+  } catch (error) {
+    handleError(error, EXIT_CODES.INVALID_ARGS);
+  }
+  
+  if (argv.json) {
+    outputJson({ success: true, file: relPath, ...result });
+  } else {
+    output(`Restored ${relPath} to version ${result.restored.version} (saved ${formatWhen(result.restored.savedAt)})`);
+    if (result.savedCurrent) {
+      output('The replaced content was kept as the newest version');
+    }
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// List, restore or empty the trash that --trash deletes go to
+const handleTrash = async () => {
+  const trash = new Trash();
+  
+  if (argv.action === 'list') {
+    const items = await trash.list();
+    
+    if (argv.json) {
+      outputJson({ items });
+    } else if (items.length === 0) {
+      output('The trash is empty');
+    } else {
+      for (const item of items) {
+        const size = item.isDirectory ? 'directory' : formatBytes(item.size);
+        output(`${formatWhen(item.deletedAt)}  ${item.originalPath} (${size})`);
+      }
+      output(`\nRestore one with: wsl-sync trash restore <original path>`);
+    }
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  if (argv.action === 'empty') {
+    const result = await trash.empty();
+    
+    if (argv.json) {
+      outputJson({ success: true, ...result });
+    } else {
+      output(`Removed ${result.removed} items (${formatBytes(result.freed)}) from the trash`);
+    }
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  if (!argv.target) {
+    handleError(new Error('Path or trash name required: trash restore <path>'), EXIT_CODES.INVALID_ARGS);
+  }
+  
+  // The most recent deletion of a path is restored first
+  const [item] = await trash.find(argv.target);
+  if (!item) {
+    handleError(new Error(`Not in the trash: ${argv.target}`), EXIT_CODES.PATH_NOT_FOUND);
+  }
+  
+  try {
+    await trash.restore(item);
+  } catch (error) {
+    handleError(error, EXIT_CODES.GENERAL_ERROR);
+  }
+  
+  if (argv.json) {
+    outputJson({ success: true, item });
+  } else {
+    output(`Restored ${item.originalPath} (deleted ${formatWhen(item.deletedAt)})`);
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// Undo a recorded run, reporting files that changed since and were left alone
+const handleUndo = async () => {
+  const syncHandler = new SyncHandler();
+  
+  let result;
+  try {
+    result = await syncHandler.undo(argv.id, { dryRun: argv.dryRun });
+  } catch (error) {
+    handleError(error, EXIT_CODES.INVALID_ARGS);
+  }
+  
+  if (argv.json) {
+    outputJson({ success: true, dryRun: Boolean(argv.dryRun), ...result });
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  if (argv.dryRun) {
+    output('DRY RUN MODE - No changes will be made');
+  }
+  for (const file of result.undone) {
+    output(`  ${file.action}: ${file.relPath} (${file.target})`);
+  }
+  output(`${argv.dryRun ? 'Would undo' : 'Undid'} ${result.undone.length} changes from run ${result.runId}`);
+  
+  if (result.skipped.length > 0) {
+    output(`\nLeft alone (${result.skipped.length}):`, true);
+    for (const file of result.skipped) {
+      output(`  ${file.relPath} (${file.target}): ${file.reason}`, true);
+    }
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+};
+
+// Run scheduled profiles until interrupted
+const handleDaemon = async (profileManager, settingsManager) => {
+  const daemon = new SchedulerDaemon({
+    profileManager,
+    handlerOptions: {
+      maxErrors: argv.maxErrors,
+      skipErrors: argv.skipErrors,
+      versions: versionOptions(settingsManager),
+      deletionLimits: deletionLimits(settingsManager),
+      symlinks: symlinkMode(settingsManager),
+      trash: argv.trash
+    }
+  });
+  
+  const time = () => new Date().toLocaleTimeString();
+  const report = (type, message, details = {}) => {
+    if (argv.json) {
+      outputJson({ type, time: new Date().toISOString(), ...details });
+    } else {
+      output(`[${time()}] ${message}`, type === 'run-failed');
+    }
+  };
+  
+  daemon.on('run-start', ({ profile }) => {
+    report('run-start', `Syncing '${profile.name}'`, { profile: profile.name });
+  });
+  
+  daemon.on('run-complete', ({ profile, run }) => {
+    report('run-complete', `'${profile.name}' finished in ${run.duration.toFixed(1)}s: ` +
+      `${run.syncedFiles} synced, ${run.filesDeleted} deleted, ${run.errors} errors`, { profile: profile.name, run });
+  });
+  
+  daemon.on('run-failed', ({ profile, run }) => {
+    report('run-failed', `'${profile.name}' failed: ${run.error}`, { profile: profile.name, run });
+  });
+  
+  daemon.on('run-skipped', ({ profile, reason }) => {
+    report('run-skipped', `Skipped '${profile.name}': ${reason}`, { profile: profile.name, reason });
+  });
+  
+  daemon.on('warning', ({ profile, message }) => {
+    report('warning', profile ? `Warning for '${profile.name}': ${message}` : `Warning: ${message}`,
+      { profile: profile?.name || null, message });
+  });
+  
+  const scheduled = profileManager.getProfiles().filter(profile => profile.schedule?.enabled);
+  if (!argv.json) {
+    output(`Scheduler started with ${scheduled.length} scheduled profiles (Ctrl+C to stop)`);
+  }
+  
+  // Let runs in progress finish before exiting
+  const stop = async () => {
+    output('\nStopping scheduler...');
+    await daemon.stop();
+    process.exit(EXIT_CODES.SUCCESS);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  daemon.start();
+};
+
 // Handle non-interactive operations
 const handleNonInteractive = async () => {
   try {
@@ -207,8 +1002,14 @@ const handleNonInteractive = async () => {
         name: argv.createProfile,
         sourcePath: argv.source,
         destinationPath: argv.destination,
-        syncDirection: argv.oneWay ? 'source-to-dest' : 'two-way',
-        deleteOrphaned: !argv.noDelete,
+        syncDirection: syncDirection(),
+        conflictResolution: argv.conflict,
+        deleteOrphaned: argv.delete !== false,
+        pruneEmptyDirs: argv.pruneEmptyDirs || false,
+        preservePermissions: argv.preservePermissions || false,
+        xattrs: argv.xattrs || false,
+        mapNames: argv.mapNames || false,
+        transforms: argv.transform || [],
         workerThreads: argv.workers,
         ignorePatterns: argv.ignore || []
       };
@@ -223,29 +1024,111 @@ const handleNonInteractive = async () => {
       process.exit(EXIT_CODES.SUCCESS);
     }
     
-    // Handle sync operation
-    let sourcePath = argv.source || argv._[0];
-    let destinationPath = argv.destination || argv._[1];
-    
-    // Load profile if specified
-    if (argv.profile) {
-      const profile = await profileManager.getProfileByName(argv.profile);
-      if (!profile) {
-        handleError(new Error(`Profile '${argv.profile}' not found`), EXIT_CODES.PROFILE_NOT_FOUND);
+    // Resume an interrupted sync session
+    if (argv.resume !== undefined) {
+      let session;
+      try {
+        session = await new SessionJournal().resumable(argv.resume || null);
+      } catch (error) {
+        handleError(error, EXIT_CODES.SYNC_FAILED);
       }
       
-      sourcePath = sourcePath || profile.sourcePath;
-      destinationPath = destinationPath || profile.destinationPath;
-      
-      // Apply profile settings
-      if (profile.ignorePatterns && !argv.ignore) {
-        argv.ignore = profile.ignorePatterns;
+      // A scheduled or watched run of the session's profile must not write alongside the resume
+      const profile = session.profile ? profileManager.getProfileByName(session.profile) : null;
+      const profileLock = new ProfileLock();
+      if (profile && !await profileLock.acquire(profile.id)) {
+        handleError(new Error(`Profile '${profile.name}' is already syncing`), EXIT_CODES.SYNC_FAILED);
       }
-      if (profile.workerThreads && !argv.workers) {
-        argv.workers = profile.workerThreads;
+      
+      const syncHandler = new SyncHandler({
+        versions: versionOptions(settingsManager),
+        deletionLimits: deletionLimits(settingsManager),
+        symlinks: symlinkMode(settingsManager),
+        trash: argv.trash
+      });
+      const startTime = Date.now();
+      
+      try {
+        const result = await syncHandler.resume({
+          sessionId: session.id,
+          workerThreads: argv.workers,
+          delta: argv.delta || false,
+          deltaThreshold: argv.deltaThreshold * 1024 * 1024,
+          partialMaxAge: argv.partialMaxAge * 60 * 60 * 1000,
+          pruneEmptyDirs: argv.pruneEmptyDirs || false,
+          preservePermissions: preservePermissions(),
+          xattrs: argv.xattrs || false,
+          mapNames: argv.mapNames || false,
+          transforms: argv.transform || []
+        });
+        const duration = (Date.now() - startTime) / 1000;
+        
+        if (profile) {
+          await profileLock.release(profile.id);
+        }
+        if (!argv.json) {
+          output(`Resumed session ${result.sessionId} (${result.skippedOperations} operations already done)`);
+        }
+        reportResult(result, duration);
+        
+        process.exit(EXIT_CODES.SUCCESS);
+      } catch (error) {
+        if (profile) {
+          await profileLock.release(profile.id);
+        }
+        handleError(error, EXIT_CODES.SYNC_FAILED);
       }
     }
     
+    // Handle schedules and the scheduling daemon
+    if (argv._[0] === 'schedule') {
+      await handleSchedule(profileManager);
+      return;
+    }
+    if (argv._[0] === 'daemon') {
+      await handleDaemon(profileManager, settingsManager);
+      return;
+    }
+    
+    // Handle run history
+    if (argv._[0] === 'history') {
+      await handleHistory(profileManager);
+      return;
+    }
+    if (argv._[0] === 'undo') {
+      await handleUndo();
+      return;
+    }
+    
+    // Handle the trash
+    if (argv._[0] === 'trash') {
+      await handleTrash();
+      return;
+    }
+    
+    // Handle the version store
+    if (argv._[0] === 'versions') {
+      await handleVersions(settingsManager);
+      return;
+    }
+    if (argv._[0] === 'restore') {
+      await handleRestore(settingsManager);
+      return;
+    }
+    
+    // Handle watch mode
+    if (argv._[0] === 'watch') {
+      await handleWatch(profileManager, settingsManager);
+      return;
+    }
+    
+    // Handle sync operation
+    const { sourcePath, destinationPath, profile } = await applyProfile(
+      profileManager,
+      argv.source || argv._[0],
+      argv.destination || argv._[1]
+    );
+    
     // Validate paths
     if (!sourcePath || !destinationPath) {
       handleError(new Error('Source and destination paths are required'), EXIT_CODES.INVALID_ARGS);
@@ -265,23 +1148,46 @@ const handleNonInteractive = async () => {
       handleError(new Error(`Cannot create destination: ${error.message}`), EXIT_CODES.PERMISSION_DENIED);
     }
     
+    // Keep this run from overlapping a scheduled run of the same profile
+    const profileLock = new ProfileLock();
+    if (profile && !await profileLock.acquire(profile.id)) {
+      handleError(new Error(`Profile '${profile.name}' is already syncing`), EXIT_CODES.SYNC_FAILED);
+    }
+    
     // Create sync handler
-    const syncHandler = new SyncHandler();
+    const syncHandler = new SyncHandler({
+      snapshots: argv.snapshot !== false,
+      versions: versionOptions(settingsManager),
+      deletionLimits: deletionLimits(settingsManager),
+      symlinks: symlinkMode(settingsManager),
+      trash: argv.trash
+    });
     
     // Configure sync options
     const syncOptions = {
       sourcePath,
       destinationPath,
-      direction: argv.oneWay ? 'source-to-dest' : (argv.twoWay ? 'two-way' : 'two-way'),
+      direction: syncDirection(profile),
       dryRun: argv.dryRun,
-      deleteOrphaned: !argv.noDelete,
+      conflictResolution: argv.conflict || 'newer',
+      compare: argv.compare,
+      delta: argv.delta || false,
+      deltaThreshold: argv.deltaThreshold * 1024 * 1024,
+      partialMaxAge: argv.partialMaxAge * 60 * 60 * 1000,
+      deleteOrphaned: argv.delete !== false,
       workerThreads: argv.workers,
       filter: argv.filter,
       ignorePatterns: argv.ignore || [],
+      pruneEmptyDirs: argv.pruneEmptyDirs || false,
+      preservePermissions: preservePermissions(),
+      xattrs: argv.xattrs || false,
+      mapNames: argv.mapNames || false,
+      transforms: argv.transform || [],
       verbose: argv.verbose,
       quiet: argv.quiet,
       maxErrors: argv.maxErrors,
       skipErrors: argv.skipErrors,
+      profile: profile?.name || null,
       errorHandling: {
         enableLogging: true,
         logDir: argv.errorLog ? path.dirname(argv.errorLog) : undefined
@@ -324,6 +1230,12 @@ const handleNonInteractive = async () => {
       }
     });
     
+    syncHandler.on('session-start', (session) => {
+      if (!argv.json) {
+        output(`Session ${session.id} (continue with --resume if interrupted)`);
+      }
+    });
+    
     syncHandler.on('error', (error) => {
       if (argv.json && argv.verbose) {
         outputJson({ type: 'error', error: error.message });
@@ -337,25 +1249,16 @@ const handleNonInteractive = async () => {
       const result = await syncHandler.sync(syncOptions);
       const duration = (Date.now() - startTime) / 1000;
       
-      if (argv.json) {
-        outputJson({
-          success: true,
-          result: {
-            ...result,
-            duration
-          }
-        });
-      } else {
-        output(`\nSync completed successfully in ${duration.toFixed(1)}s`);
-        output(`Files processed: ${result.totalFiles}`);
-        output(`Files synced: ${result.syncedFiles}`);
-        if (result.errors.length > 0) {
-          output(`Errors: ${result.errors.length}`);
-        }
+      if (profile) {
+        await profileLock.release(profile.id);
       }
+      reportResult(result, duration);
       
       process.exit(EXIT_CODES.SUCCESS);
     } catch (error) {
+      if (profile) {
+        await profileLock.release(profile.id);
+      }
       handleError(error, EXIT_CODES.SYNC_FAILED);
     }
     
@@ -385,6 +1288,7 @@ const main = async () => {
   
   // Handle non-interactive mode or specific commands
   if (argv.noInteractive || argv.listProfiles || argv.createProfile || 
+      argv.resume !== undefined || ['watch', 'schedule', 'daemon', 'history', 'undo', 'versions', 'restore', 'trash'].includes(argv._[0]) ||
       (argv.source && argv.destination)) {
     await handleNonInteractive();
   } else {
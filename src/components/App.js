@@ -5,6 +5,7 @@ import Layout from './Layout.js';
 import SyncView from './views/SyncView.js';
 import ProfilesView from './views/ProfilesView.js';
 import SettingsView from './views/SettingsView.js';
+import HistoryView from './views/HistoryView.js';
 import LoadingSpinner from './common/LoadingSpinner.js';
 import Help from './Help.js';
 import ErrorBoundary from './ErrorBoundary.js';
@@ -135,10 +136,11 @@ const AppContent = ({ argv }) => {
     if (input === '1') setView('sync');
     if (input === '2') setView('profiles');
     if (input === '3') setView('settings');
+    if (input === '4') setView('history');
     
     // View switching with Ctrl+Tab
     if (key.ctrl && key.tab) {
-      const views = ['sync', 'profiles', 'settings'];
+      const views = ['sync', 'profiles', 'settings', 'history'];
       const currentIndex = views.indexOf(currentView);
       const nextIndex = (currentIndex + 1) % views.length;
       setView(views[nextIndex]);
@@ -183,6 +185,8 @@ const AppContent = ({ argv }) => {
         return <ProfilesView />;
       case 'settings':
         return <SettingsView />;
+      case 'history':
+        return <HistoryView />;
       default:
         return <SyncView />;
     }
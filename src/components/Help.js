@@ -12,7 +12,7 @@ const Help = ({ context = 'general', onClose, isActive = true }) => {
     general: {
       title: 'General Help',
       items: [
-        { key: 'Navigation', value: 'Use Tab to switch between main views (Sync, Profiles, Settings)' },
+        { key: 'Navigation', value: 'Use Tab to switch between main views (Sync, Profiles, Settings, History)' },
         { key: 'Exit', value: 'Press Ctrl+C twice or use Q to quit the application' },
         { key: 'Help', value: 'Press F1 or ? at any time to show context-sensitive help' },
         { key: 'Focus', value: 'Use Tab to move focus between different UI sections' },
@@ -64,6 +64,18 @@ const Help = ({ context = 'general', onClose, isActive = true }) => {
       ]
     },
     
+    history: {
+      title: 'History View Help',
+      items: [
+        { key: 'Runs', value: 'Every sync run is listed newest first with its created, updated and deleted counts' },
+        { key: 'Details', value: 'Press Enter to show the files a run changed and its errors' },
+        { key: 'Scroll', value: 'Use arrow keys or Page Up/Down to scroll the file list' },
+        { key: 'Back', value: 'Press ESC to return to the run list' },
+        { key: 'Profile', value: 'Press P to show only runs of the active profile' },
+        { key: 'Refresh', value: 'Press R to reload the history' }
+      ]
+    },
+    
     keyboard: {
       title: 'Keyboard Shortcuts',
       items: [
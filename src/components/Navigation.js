@@ -9,7 +9,8 @@ const Navigation = () => {
   const tabs = [
     { id: 'sync', label: 'Sync', icon: '↔' },
     { id: 'profiles', label: 'Profiles', icon: '📁' },
-    { id: 'settings', label: 'Settings', icon: '⚙' }
+    { id: 'settings', label: 'Settings', icon: '⚙' },
+    { id: 'history', label: 'History', icon: '⏱' }
   ];
   
   const currentIndex = tabs.findIndex(tab => tab.id === currentView);
@@ -41,8 +42,8 @@ const Navigation = () => {
       const nextIndex = (focusedIndex + 1) % tabs.length;
       setFocusedIndex(nextIndex);
       setView(tabs[nextIndex].id);
-    } else if (input >= '1' && input <= '3') {
-      // Direct tab selection (1-3)
+    } else if (input >= '1' && input <= '4') {
+      // Direct tab selection (1-4)
       const index = parseInt(input) - 1;
       if (index < tabs.length) {
         setFocusedIndex(index);
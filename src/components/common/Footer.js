@@ -43,6 +43,15 @@ const Footer = () => {
           { key: 'Ctrl+R', action: 'Reset' },
           { key: 'Ctrl+E', action: 'Export' }
         ];
+      case 'history':
+        return [
+          ...common,
+          { key: '↑↓', action: 'Navigate' },
+          { key: 'Enter', action: 'Details' },
+          { key: 'ESC', action: 'Back' },
+          { key: 'R', action: 'Refresh' },
+          { key: 'P', action: 'Profile Filter' }
+        ];
       default:
         return common;
     }
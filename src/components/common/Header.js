@@ -10,7 +10,8 @@ const Header = () => {
   const viewNames = {
     sync: 'Sync',
     profiles: 'Profiles',
-    settings: 'Settings'
+    settings: 'Settings',
+    history: 'History'
   };
   
   return (
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import Divider from '../common/Divider.js';
+
+const FILE_MARKERS = {
+  create: { symbol: '+', color: 'green' },
+  update: { symbol: '~', color: 'yellow' },
+  delete: { symbol: '-', color: 'red' },
+  move: { symbol: '>', color: 'cyan' }
+};
+
+const STATUS_COLORS = {
+  completed: 'green',
+  'completed-with-errors': 'yellow',
+  failed: 'red'
+};
+
+const RunDetails = ({ run, offset = 0, pageSize = 12 }) => {
+  // Format bytes to human readable
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const { counts } = run;
+  const files = run.files.slice(offset, offset + pageSize);
+
+  return (
+    <Box flexDirection="column">
+      <Box>
+        <Text bold>Run {run.id}</Text>
+        <Text color="gray"> ({run.trigger}{run.profile ? `, profile ${run.profile}` : ''})</Text>
+      </Box>
+      <Text color="gray">{run.sourcePath} → {run.destinationPath} ({run.direction})</Text>
+
+      <Box marginTop={1} gap={3}>
+        <Text>Started: <Text color="yellow">{new Date(run.startedAt).toLocaleString()}</Text></Text>
+        <Text>Duration: <Text color="yellow">{run.duration.toFixed(1)}s</Text></Text>
+        <Text>Status: <Text color={STATUS_COLORS[run.status] || 'gray'}>{run.status}</Text></Text>
+      </Box>
+      <Box gap={3}>
+        <Text>Created: <Text color="green">{counts.created}</Text></Text>
+        <Text>Updated: <Text color="yellow">{counts.updated}</Text></Text>
+        <Text>Moved: <Text color="cyan">{counts.moved}</Text></Text>
+        <Text>Deleted: <Text color="red">{counts.deleted}</Text></Text>
+        <Text>Conflicts: <Text color="magenta">{counts.conflicts}</Text></Text>
+        <Text>Written: <Text color="yellow">{formatBytes(run.bytesTransferred)}</Text></Text>
+      </Box>
+
+      {run.undone && (
+        <Text color="magenta">
+          Undone {new Date(run.undone.at).toLocaleString()} ({run.undone.skipped.length} files left alone)
+        </Text>
+      )}
+
+      <Divider />
+
+      {run.files.length === 0 ? (
+        <Text color="gray">No files changed</Text>
+      ) : (
+        <Box flexDirection="column">
+          <Text bold>Files ({offset + 1}-{offset + files.length} of {run.files.length})</Text>
+          {files.map((file, index) => {
+            const marker = FILE_MARKERS[file.type] || { symbol: '?', color: 'gray' };
+            return (
+              <Box key={offset + index}>
+                <Text color={marker.color}>{marker.symbol} </Text>
+                <Text>{file.type === 'move' ? `${file.fromRelPath} → ${file.relPath}` : file.relPath}</Text>
+                <Text color="gray"> ({file.target})</Text>
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+
+      {run.errors.length > 0 && (
+        <Box flexDirection="column" marginTop={1}>
+          <Text bold color="red">Errors ({run.errors.length})</Text>
+          {run.errors.slice(0, 5).map((error, index) => (
+            <Text key={index} color="red">
+              {error.path ? `${error.path}: ` : ''}{error.message}
+            </Text>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default RunDetails;
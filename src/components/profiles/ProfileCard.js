@@ -58,6 +58,7 @@ const ProfileCard = ({
       case 'two-way': return '↔';
       case 'source-to-dest': return '→';
       case 'dest-to-source': return '←';
+      case 'mirror': return '⇉';
       default: return '↔';
     }
   };
@@ -161,6 +162,9 @@ const ProfileCard = ({
           {profile.options.deleteOrphaned && (
             <Text color="red">🗑 Delete</Text>
           )}
+          {profile.options.pruneEmptyDirs && (
+            <Text color="yellow">✂ Prune</Text>
+          )}
           {profile.options.dryRun && (
             <Text color="yellow">👁 Preview</Text>
           )}
@@ -27,6 +27,7 @@ const ProfileEditor = ({
     template: profile?.template || template?.id || 'custom',
     options: {
       deleteOrphaned: profile?.options?.deleteOrphaned || template?.options?.deleteOrphaned || false,
+      pruneEmptyDirs: profile?.options?.pruneEmptyDirs || template?.options?.pruneEmptyDirs || false,
       preservePermissions: profile?.options?.preservePermissions || template?.options?.preservePermissions || false,
       dryRun: profile?.options?.dryRun || false,
       conflictResolution: profile?.options?.conflictResolution || template?.options?.conflictResolution || 'newer',
@@ -43,7 +44,7 @@ const ProfileEditor = ({
   // Field navigation
   const fields = [
     'name', 'description', 'sourcePath', 'destinationPath', 
-    'syncDirection', 'deleteOrphaned', 'preservePermissions', 
+    'syncDirection', 'deleteOrphaned', 'pruneEmptyDirs', 'preservePermissions', 
     'dryRun', 'conflictResolution', 'filter', 'performanceMode',
     'autoSyncEnabled', 'autoSyncInterval', 'autoSyncOnStartup'
   ];
@@ -90,7 +91,7 @@ const ProfileEditor = ({
   const toggleField = (field) => {
     switch (field) {
       case 'syncDirection':
-        const directions = ['two-way', 'source-to-dest', 'dest-to-source'];
+        const directions = ['two-way', 'source-to-dest', 'dest-to-source', 'mirror'];
         const currentIndex = directions.indexOf(formData.syncDirection);
         setFormData({
           ...formData,
@@ -99,6 +100,7 @@ const ProfileEditor = ({
         break;
         
       case 'deleteOrphaned':
+      case 'pruneEmptyDirs':
       case 'preservePermissions':
       case 'dryRun':
         setFormData({
@@ -131,7 +133,7 @@ const ProfileEditor = ({
         break;
         
       case 'conflictResolution':
-        const resolutions = ['newer', 'source', 'destination', 'manual'];
+        const resolutions = ['newer', 'source', 'destination', 'keep-both', 'manual'];
         const resIndex = resolutions.indexOf(formData.options.conflictResolution);
         setFormData({
           ...formData,
@@ -328,7 +330,8 @@ const ProfileEditor = ({
         const directionLabels = {
           'two-way': '↔ Two-way sync',
           'source-to-dest': '→ Source to Destination',
-          'dest-to-source': '← Destination to Source'
+          'dest-to-source': '← Destination to Source',
+          'mirror': '⇉ Mirror Source to Destination'
         };
         return (
           <Box key={fieldName} marginBottom={1}>
@@ -344,10 +347,12 @@ const ProfileEditor = ({
         );
         
       case 'deleteOrphaned':
+      case 'pruneEmptyDirs':
       case 'preservePermissions':
       case 'dryRun':
         const optionLabels = {
           deleteOrphaned: 'Delete Orphaned Files',
+          pruneEmptyDirs: 'Prune Empty Folders',
           preservePermissions: 'Preserve Permissions',
           dryRun: 'Dry Run Mode'
         };
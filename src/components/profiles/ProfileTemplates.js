@@ -118,6 +118,7 @@ const ProfileTemplates = ({ onSelect, onCancel, isActive = false }) => {
                     <Text color="cyan">
                       {currentTemplate.syncDirection === 'two-way' && '↔ Two-way'}
                       {currentTemplate.syncDirection === 'source-to-dest' && '→ One-way'}
+                      {currentTemplate.syncDirection === 'mirror' && '⇉ Mirror'}
                     </Text>
                   </Box>
                 )}
@@ -113,6 +113,7 @@ const GeneralSettings = ({ isActive = false, onSave, onCancel }) => {
           { label: 'Newer file wins', value: 'newer' },
           { label: 'Source wins', value: 'source' },
           { label: 'Destination wins', value: 'destination' },
+          { label: 'Keep both versions', value: 'keep-both' },
           { label: 'Ask each time', value: 'manual' }
         ];
       case 'notificationLevel':
@@ -19,6 +19,7 @@ const PerformanceSettings = ({ isActive = false, onSave, onCancel }) => {
     maxWorkerThreads: settings.maxWorkerThreads || 4,
     batchSize: settings.batchSize || 50,
     largeFileThreshold: settings.largeFileThreshold || 10485760, // 10MB
+    deltaTransfer: settings.deltaTransfer || false,
     queueConcurrency: settings.queueConcurrency || 3,
     streamingEnabled: settings.streamingEnabled !== false,
     cacheMetadata: settings.cacheMetadata !== false,
@@ -33,6 +34,7 @@ const PerformanceSettings = ({ isActive = false, onSave, onCancel }) => {
     'maxWorkerThreads',
     'batchSize',
     'largeFileThreshold',
+    'deltaTransfer',
     'queueConcurrency',
     'streamingEnabled',
     'cacheMetadata',
@@ -80,7 +82,7 @@ const PerformanceSettings = ({ isActive = false, onSave, onCancel }) => {
   
   // Check if field is a toggle
   const isToggleField = (field) => {
-    return ['streamingEnabled', 'cacheMetadata', 'compressionEnabled'].includes(field);
+    return ['deltaTransfer', 'streamingEnabled', 'cacheMetadata', 'compressionEnabled'].includes(field);
   };
   
   // Toggle boolean field
@@ -262,6 +264,7 @@ const PerformanceSettings = ({ isActive = false, onSave, onCancel }) => {
       maxWorkerThreads: 'Worker Threads',
       batchSize: 'Batch Size',
       largeFileThreshold: 'Large File Threshold',
+      deltaTransfer: 'Delta Transfer',
       queueConcurrency: 'Queue Concurrency',
       streamingEnabled: 'Enable Streaming',
       cacheMetadata: 'Cache Metadata',
@@ -343,6 +346,12 @@ const PerformanceSettings = ({ isActive = false, onSave, onCancel }) => {
           )}
         </Box>
         
+        {isActiveField && field === 'deltaTransfer' && (
+          <Box marginLeft={4}>
+            <Text color="gray" italic>Send only changed blocks of files above the large file threshold</Text>
+          </Box>
+        )}
+        
         {isActiveField && field === 'performanceMode' && (
           <Box marginLeft={4}>
             <Text color="gray" italic>{modeDescriptions[localSettings.performanceMode]}</Text>
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Box, Text, useInput } from 'ink';
+
+const CHOICE_LABELS = {
+  source: 'Keep source',
+  destination: 'Keep destination',
+  newer: 'Keep newer',
+  'keep-both': 'Keep both',
+  skip: 'Skip'
+};
+
+const CHOICE_COLORS = {
+  source: 'green',
+  destination: 'blue',
+  newer: 'yellow',
+  'keep-both': 'magenta',
+  skip: 'gray'
+};
+
+const ConflictResolver = ({
+  conflicts = [],
+  onResolve,
+  onCancel,
+  isActive = false
+}) => {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [choices, setChoices] = useState({});
+
+  const selected = conflicts[selectedIndex];
+
+  // Record a choice for the selected conflict and move to the next one
+  const choose = (choice) => {
+    if (!selected) return;
+
+    setChoices(prev => ({ ...prev, [selected.path]: choice }));
+    if (selectedIndex < conflicts.length - 1) {
+      setSelectedIndex(selectedIndex + 1);
+    }
+  };
+
+  // Apply a choice to every conflict still undecided
+  const chooseRemaining = (choice) => {
+    setChoices(prev => {
+      const next = { ...prev };
+      for (const conflict of conflicts) {
+        if (!next[conflict.path]) {
+          next[conflict.path] = choice;
+        }
+      }
+      return next;
+    });
+  };
+
+  useInput((input, key) => {
+    if (!isActive) return;
+
+    if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(conflicts.length - 1, prev + 1));
+    } else if (input === 's' || input === 'S') {
+      choose('source');
+    } else if (input === 'd' || input === 'D') {
+      choose('destination');
+    } else if (input === 'n' || input === 'N') {
+      choose('newer');
+    } else if (input === 'b' || input === 'B') {
+      choose('keep-both');
+    } else if (input === 'k' || input === 'K') {
+      choose('skip');
+    } else if (selected?.type === 'case-collision' && selected.paths?.[Number(input) - 1]) {
+      // Names differing only in case are settled by picking the name to keep
+      choose(selected.paths[Number(input) - 1]);
+    } else if (input === 'a' || input === 'A') {
+      chooseRemaining('newer');
+    } else if (key.return) {
+      onResolve(choices);
+    } else if (key.escape) {
+      onCancel();
+    }
+  });
+
+  // Format file size
+  const formatSize = (bytes) => {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  // Describe one side of a conflict
+  const describeSide = (file) => {
+    if (!file) return 'deleted';
+    return `${formatSize(file.size)}, modified ${new Date(file.mtime).toLocaleString()}`;
+  };
+
+  if (!isActive) {
+    return (
+      <Box>
+        <Text color="gray">Conflict resolver (inactive)</Text>
+      </Box>
+    );
+  }
+
+  const decided = conflicts.filter(conflict => choices[conflict.path]).length;
+
+  return (
+    <Box flexDirection="column">
+      <Box marginBottom={1}>
+        <Text bold>{conflicts.length} files changed in both locations </Text>
+        <Text color="gray">({decided} decided)</Text>
+      </Box>
+
+      {conflicts.map((conflict, index) => {
+        const isSelected = index === selectedIndex;
+        const choice = choices[conflict.path];
+
+        return (
+          <Box key={conflict.path}>
+            <Text color={isSelected ? 'cyan' : 'magenta'}>
+              {isSelected ? '▶ ' : '  '}
+              {conflict.path}
+            </Text>
+            <Text color={choice ? CHOICE_COLORS[choice] || 'cyan' : 'gray'}>
+              {'  '}[{choice ? CHOICE_LABELS[choice] || `Keep ${choice}` : 'undecided'}]
+            </Text>
+          </Box>
+        );
+      })}
+
+      {selected && (
+        <Box marginTop={1} marginLeft={4} flexDirection="column">
+          <Text color="gray">Type: {selected.type}</Text>
+          {selected.type === 'case-collision' && selected.paths ? (
+            selected.paths.map((name, index) => (
+              <Text key={name} color="gray">{index + 1}: Keep {name}</Text>
+            ))
+          ) : (
+            <>
+              <Text color="gray">Source: {describeSide(selected.sourceFile)}</Text>
+              <Text color="gray">Destination: {describeSide(selected.destFile)}</Text>
+            </>
+          )}
+        </Box>
+      )}
+
+      <Box marginTop={2}>
+        <Text color="gray">
+          ↑↓: Navigate • S: Source • D: Destination • N: Newer • B: Both • 1-9: Keep name • K: Skip • A: Newer for rest • Enter: Apply • Esc: Cancel
+        </Text>
+      </Box>
+      <Box>
+        <Text color="gray">Undecided files are skipped and reported again on the next sync</Text>
+      </Box>
+    </Box>
+  );
+};
+
+export default ConflictResolver;
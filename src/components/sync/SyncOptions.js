@@ -21,7 +21,8 @@ const SyncOptions = ({ isActive = false }) => {
       choices: [
         { label: '↔ Two-way sync', value: 'two-way' },
         { label: '→ Source to Destination only', value: 'source-to-dest' },
-        { label: '← Destination to Source only', value: 'dest-to-source' }
+        { label: '← Destination to Source only', value: 'dest-to-source' },
+        { label: '⇉ Mirror Source to Destination (deletes extra files)', value: 'mirror' }
       ]
     },
     {
@@ -33,6 +34,7 @@ const SyncOptions = ({ isActive = false }) => {
         { label: '🕐 Newer file wins', value: 'newer' },
         { label: '📁 Source wins', value: 'source' },
         { label: '📂 Destination wins', value: 'destination' },
+        { label: '📑 Keep both versions', value: 'keep-both' },
         { label: '❓ Ask each time', value: 'manual' }
       ]
     },
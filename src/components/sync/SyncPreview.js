@@ -24,8 +24,15 @@ const SyncPreview = ({
   const {
     toCreate = [],
     toUpdate = [],
+    toMove = [],
     toDelete = [],
     conflicts = [],
+    blockedDeletes = [],
+    deletionsForced = false,
+    mirror = false,
+    destructive = [],
+    xattrWarnings = [],
+    nameWarnings = [],
     totalSize = 0,
     totalOperations = 0
   } = preview;
@@ -35,8 +42,12 @@ const SyncPreview = ({
     { id: 'summary', label: 'Summary', count: null },
     { id: 'create', label: 'To Create', count: toCreate.length },
     { id: 'update', label: 'To Update', count: toUpdate.length },
+    { id: 'move', label: 'Moved', count: toMove.length },
     { id: 'delete', label: 'To Delete', count: toDelete.length },
-    { id: 'conflicts', label: 'Conflicts', count: conflicts.length }
+    { id: 'conflicts', label: 'Conflicts', count: conflicts.length },
+    { id: 'destructive', label: 'Destructive', count: destructive.length },
+    { id: 'xattrs', label: 'Attributes', count: xattrWarnings.length },
+    { id: 'names', label: 'Names', count: nameWarnings.length }
   ].filter(tab => tab.count === null || tab.count > 0);
   
   // Handle keyboard navigation
@@ -74,8 +85,12 @@ const SyncPreview = ({
     switch (currentTab.id) {
       case 'create': return toCreate;
       case 'update': return toUpdate;
+      case 'move': return toMove;
       case 'delete': return toDelete;
       case 'conflicts': return conflicts;
+      case 'destructive': return destructive;
+      case 'xattrs': return xattrWarnings;
+      case 'names': return nameWarnings;
       default: return [];
     }
   };
@@ -105,6 +120,10 @@ const SyncPreview = ({
           <Text color="yellow">• Files to update: </Text>
           <Text bold>{toUpdate.length}</Text>
         </Box>
+        <Box>
+          <Text color="blue">• Files to move: </Text>
+          <Text bold>{toMove.length}</Text>
+        </Box>
         <Box>
           <Text color="red">• Files to delete: </Text>
           <Text bold>{toDelete.length}</Text>
@@ -123,6 +142,59 @@ const SyncPreview = ({
         </Box>
       </Box>
       
+      {mirror && (
+        <Box flexDirection="column" marginTop={1} borderStyle="round" borderColor="red" paddingX={1}>
+          <Text bold color="red">⚠ Mirror - the destination will be made identical to the source</Text>
+          <Text>
+            {destructive.length === 0 ?
+              'Nothing in the destination will be overwritten or deleted' :
+              `${destructive.length} destructive changes: files overwritten or deleted and directories removed (see the Destructive tab)`}
+          </Text>
+        </Box>
+      )}
+      
+      {blockedDeletes.length > 0 && (
+        <Box
+          flexDirection="column"
+          marginTop={1}
+          borderStyle="round"
+          borderColor={deletionsForced ? 'yellow' : 'red'}
+          paddingX={1}
+        >
+          <Text bold color={deletionsForced ? 'yellow' : 'red'}>
+            {deletionsForced ?
+              '⚠ Deletion limits exceeded - deleting anyway' :
+              '✗ Deletion limits exceeded - the sync will stop before deleting anything'}
+          </Text>
+          {blockedDeletes.map((reason, index) => (
+            <Text key={index}>• {reason}</Text>
+          ))}
+          {!deletionsForced && (
+            <Text color="gray">Check the source and destination paths, or sync with --force-deletes</Text>
+          )}
+        </Box>
+      )}
+      
+      {xattrWarnings.length > 0 && (
+        <Box flexDirection="column" marginTop={1} borderStyle="round" borderColor="yellow" paddingX={1}>
+          <Text bold color="yellow">⚠ Some extended attributes cannot be applied on the target</Text>
+          <Text>
+            {xattrWarnings.length} attributes will be left off their copies (see the Attributes tab) - the files are still synced
+          </Text>
+        </Box>
+      )}
+      
+      {nameWarnings.length > 0 && (
+        <Box flexDirection="column" marginTop={1} borderStyle="round" borderColor="yellow" paddingX={1}>
+          <Text bold color="yellow">⚠ Some names cannot be written to the Windows drive as they are</Text>
+          <Text>
+            {nameWarnings.length} problems (see the Names tab) - {nameWarnings.some(warning => warning.mappedTo) ?
+              'refused names are stored encoded, paths that are too long still fail' :
+              'these fail to sync unless --map-names stores the names encoded'}
+          </Text>
+        </Box>
+      )}
+      
       <Box marginTop={2}>
         <Text color="gray">
           {totalOperations === 0 ? 
@@ -156,7 +228,8 @@ const SyncPreview = ({
               <Text color={isSelected ? 'cyan' : color}>
                 {isSelected ? '▶ ' : '  '}
                 {file.path || file.relPath}
-                {file.size && <Text color="gray"> ({formatSize(file.size)})</Text>}
+                {file.isDirectory && '/'}
+                {file.size > 0 && <Text color="gray"> ({formatSize(file.size)})</Text>}
               </Text>
             </Box>
           );
@@ -171,6 +244,36 @@ const SyncPreview = ({
     );
   };
   
+  // Render moved files as old → new path
+  const renderMoves = () => {
+    const visibleMoves = showDetails ? toMove : toMove.slice(0, 10);
+    
+    return (
+      <Box flexDirection="column">
+        {visibleMoves.map((move, index) => {
+          const isSelected = index === selectedOperation;
+          
+          return (
+            <Box key={index}>
+              <Text color={isSelected ? 'cyan' : 'blue'}>
+                {isSelected ? '▶ ' : '  '}
+                {move.from}
+                <Text color="gray"> → </Text>
+                {move.path}
+              </Text>
+            </Box>
+          );
+        })}
+        
+        {!showDetails && toMove.length > 10 && (
+          <Box marginTop={1}>
+            <Text color="gray">... and {toMove.length - 10} more (press D to show all)</Text>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+  
   // Render conflicts
   const renderConflicts = () => {
     if (conflicts.length === 0) {
@@ -198,6 +301,16 @@ const SyncPreview = ({
                 <Box marginLeft={4} flexDirection="column">
                   <Text color="gray">Type: {conflict.type}</Text>
                   <Text color="gray">Resolution: {conflict.resolution}</Text>
+                  {conflict.paths && (
+                    <Text color="gray">
+                      Names differing only in case: {conflict.paths.join(', ')} - {conflict.kept ?
+                        `only ${conflict.kept} is synced` :
+                        'none are synced until one is chosen'}
+                    </Text>
+                  )}
+                  {conflict.copyPath && (
+                    <Text color="gray">Other version saved as: {conflict.copyPath}</Text>
+                  )}
                 </Box>
               )}
             </Box>
@@ -207,6 +320,103 @@ const SyncPreview = ({
     );
   };
   
+  // Render every change that overwrites or removes something in the destination
+  const renderDestructive = () => {
+    const visibleChanges = showDetails ? destructive : destructive.slice(0, 10);
+    
+    return (
+      <Box flexDirection="column">
+        {visibleChanges.map((change, index) => {
+          const isSelected = index === selectedOperation;
+          
+          return (
+            <Box key={index}>
+              <Text color={isSelected ? 'cyan' : 'red'}>
+                {isSelected ? '▶ ' : '  '}
+                <Text bold>{change.action.padEnd(17)}</Text>
+                {change.path}
+              </Text>
+            </Box>
+          );
+        })}
+        
+        {!showDetails && destructive.length > 10 && (
+          <Box marginTop={1}>
+            <Text color="gray">... and {destructive.length - 10} more (press D to show all)</Text>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+  
+  // Render the extended attributes the target's file system would refuse, with its reason
+  const renderXattrWarnings = () => {
+    const visibleWarnings = showDetails ? xattrWarnings : xattrWarnings.slice(0, 10);
+    
+    return (
+      <Box flexDirection="column">
+        {visibleWarnings.map((warning, index) => {
+          const isSelected = index === selectedOperation;
+          
+          return (
+            <Box key={index} flexDirection="column">
+              <Text color={isSelected ? 'cyan' : 'yellow'}>
+                {isSelected ? '▶ ' : '  '}
+                {warning.path}
+                {warning.attribute && <Text color="gray"> ({warning.attribute})</Text>}
+              </Text>
+              {isSelected && (
+                <Box marginLeft={4}>
+                  <Text color="gray">{warning.reason}</Text>
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+        
+        {!showDetails && xattrWarnings.length > 10 && (
+          <Box marginTop={1}>
+            <Text color="gray">... and {xattrWarnings.length - 10} more (press D to show all)</Text>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+  
+  // Render the names a Windows drive refuses, with the reason and the encoded name when mapped
+  const renderNameWarnings = () => {
+    const visibleWarnings = showDetails ? nameWarnings : nameWarnings.slice(0, 10);
+    
+    return (
+      <Box flexDirection="column">
+        {visibleWarnings.map((warning, index) => {
+          const isSelected = index === selectedOperation;
+          
+          return (
+            <Box key={index} flexDirection="column">
+              <Text color={isSelected ? 'cyan' : warning.mappedTo ? 'yellow' : 'red'}>
+                {isSelected ? '▶ ' : '  '}
+                {warning.path}
+              </Text>
+              {isSelected && (
+                <Box marginLeft={4} flexDirection="column">
+                  <Text color="gray">{warning.reason}</Text>
+                  {warning.mappedTo && <Text color="gray">Stored as {warning.mappedTo}</Text>}
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+        
+        {!showDetails && nameWarnings.length > 10 && (
+          <Box marginTop={1}>
+            <Text color="gray">... and {nameWarnings.length - 10} more (press D to show all)</Text>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+  
   // Render current tab content
   const renderTabContent = () => {
     const currentTab = tabs[selectedTab];
@@ -218,10 +428,18 @@ const SyncPreview = ({
         return renderFileList(toCreate, 'green', 'create');
       case 'update':
         return renderFileList(toUpdate, 'yellow', 'update');
+      case 'move':
+        return renderMoves();
       case 'delete':
         return renderFileList(toDelete, 'red', 'delete');
       case 'conflicts':
         return renderConflicts();
+      case 'destructive':
+        return renderDestructive();
+      case 'xattrs':
+        return renderXattrWarnings();
+      case 'names':
+        return renderNameWarnings();
       default:
         return null;
     }
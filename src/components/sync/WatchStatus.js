@@ -0,0 +1,63 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import Spinner from 'ink-spinner';
+
+const STATE_COLORS = {
+  starting: 'yellow',
+  watching: 'green',
+  syncing: 'cyan',
+  stopped: 'gray'
+};
+
+const WatchStatus = ({ status }) => {
+  if (!status) {
+    return null;
+  }
+
+  // Format an ISO timestamp as a local time
+  const formatTime = (timestamp) => {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : 'never';
+  };
+
+  return (
+    <Box flexDirection="column" borderStyle="round" borderColor={STATE_COLORS[status.state] || 'gray'} paddingX={1}>
+      <Box>
+        <Text bold>Watch Mode: </Text>
+        {status.state === 'syncing' ? (
+          <Text color="cyan">
+            <Spinner type="dots" /> Syncing {status.lastChanged} changed paths
+          </Text>
+        ) : (
+          <Text color={STATE_COLORS[status.state] || 'gray'}>
+            {status.state.charAt(0).toUpperCase() + status.state.slice(1)}
+          </Text>
+        )}
+      </Box>
+
+      {Object.entries(status.roots).map(([root, mode]) => (
+        <Text key={root} color="gray">
+          {root} ({mode === 'polling' ? 'polling' : 'file system events'})
+        </Text>
+      ))}
+
+      <Box marginTop={1} gap={3}>
+        <Text>Syncs: <Text color="yellow">{status.syncCount}</Text></Text>
+        <Text>Files synced: <Text color="yellow">{status.filesSynced}</Text></Text>
+        <Text>Pending: <Text color="yellow">{status.pending}</Text></Text>
+        <Text>Last sync: <Text color="yellow">{formatTime(status.lastSync)}</Text></Text>
+      </Box>
+
+      {status.lastError && (
+        <Text color="red">Last error: {status.lastError}</Text>
+      )}
+
+      {status.state !== 'stopped' && (
+        <Box marginTop={1}>
+          <Text color="gray">W: Stop watching</Text>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default WatchStatus;
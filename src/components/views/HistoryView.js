@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Text, useInput } from 'ink';
+import Divider from '../common/Divider.js';
+import LoadingSpinner from '../common/LoadingSpinner.js';
+import RunDetails from '../history/RunDetails.js';
+import { useApp } from '../../store/index.js';
+import { SyncHistory } from '../../../lib/sync-history.js';
+
+const PAGE_SIZE = 12;
+
+const STATUS_SYMBOLS = {
+  completed: { symbol: '✓', color: 'green' },
+  'completed-with-errors': { symbol: '!', color: 'yellow' },
+  failed: { symbol: '✗', color: 'red' }
+};
+
+const HistoryView = () => {
+  const { state, addNotification } = useApp();
+  const { activeProfile } = state;
+
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [fileOffset, setFileOffset] = useState(0);
+  const [profileOnly, setProfileOnly] = useState(false);
+
+  // Load run summaries, newest first
+  const loadRuns = async () => {
+    setIsLoading(true);
+    try {
+      const history = new SyncHistory();
+      const profile = profileOnly ? activeProfile?.name : null;
+      setRuns(await history.list({ profile, limit: 200 }));
+      setSelectedIndex(0);
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: `Failed to load history: ${error.message}`
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRuns();
+  }, [profileOnly]);
+
+  // Open a run with its full file list
+  const openRun = async (run) => {
+    try {
+      const history = new SyncHistory();
+      setSelectedRun(await history.load(run.id));
+      setFileOffset(0);
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: error.message
+      });
+    }
+  };
+
+  // Handle keyboard input
+  useInput((input, key) => {
+    if (selectedRun) {
+      const maxOffset = Math.max(0, selectedRun.files.length - PAGE_SIZE);
+      if (key.escape || key.backspace) {
+        setSelectedRun(null);
+      } else if (key.upArrow) {
+        setFileOffset(prev => Math.max(0, prev - 1));
+      } else if (key.downArrow) {
+        setFileOffset(prev => Math.min(maxOffset, prev + 1));
+      } else if (key.pageUp) {
+        setFileOffset(prev => Math.max(0, prev - PAGE_SIZE));
+      } else if (key.pageDown) {
+        setFileOffset(prev => Math.min(maxOffset, prev + PAGE_SIZE));
+      }
+      return;
+    }
+
+    if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(runs.length - 1, prev + 1));
+    } else if (key.return && runs[selectedIndex]) {
+      openRun(runs[selectedIndex]);
+    } else if (input === 'r' || input === 'R') {
+      loadRuns();
+    } else if ((input === 'p' || input === 'P') && activeProfile) {
+      setProfileOnly(prev => !prev);
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner text="Loading sync history..." />;
+  }
+
+  if (selectedRun) {
+    return (
+      <Box flexDirection="column">
+        <RunDetails run={selectedRun} offset={fileOffset} pageSize={PAGE_SIZE} />
+        <Box marginTop={1}>
+          <Text color="gray">↑↓: Scroll files  ESC: Back to runs</Text>
+        </Box>
+      </Box>
+    );
+  }
+
+  // Keep the selection visible in a window of the list
+  const windowStart = Math.min(
+    Math.max(0, selectedIndex - Math.floor(PAGE_SIZE / 2)),
+    Math.max(0, runs.length - PAGE_SIZE)
+  );
+  const visibleRuns = runs.slice(windowStart, windowStart + PAGE_SIZE);
+
+  return (
+    <Box flexDirection="column">
+      <Box marginBottom={1}>
+        <Text bold>Sync History</Text>
+        <Text color="gray">
+          {profileOnly ? ` - profile "${activeProfile?.name}"` : ' - all runs'} ({runs.length})
+        </Text>
+      </Box>
+
+      {runs.length === 0 ? (
+        <Text color="gray">No sync runs recorded yet</Text>
+      ) : (
+        visibleRuns.map((run, index) => {
+          const isSelected = windowStart + index === selectedIndex;
+          const status = STATUS_SYMBOLS[run.status] || { symbol: '?', color: 'gray' };
+          const { counts } = run;
+
+          return (
+            <Box key={run.id}>
+              <Text color={isSelected ? 'cyan' : 'white'}>{isSelected ? '▶ ' : '  '}</Text>
+              <Text color={status.color}>{status.symbol} </Text>
+              <Box width={22}>
+                <Text color={isSelected ? 'cyan' : 'white'}>{new Date(run.startedAt).toLocaleString()}</Text>
+              </Box>
+              <Box width={16}>
+                <Text color="gray">{run.profile || run.trigger}</Text>
+              </Box>
+              <Text>
+                <Text color="green">+{counts.created}</Text>{' '}
+                <Text color="yellow">~{counts.updated}</Text>{' '}
+                <Text color="red">-{counts.deleted}</Text>
+                {counts.errors > 0 && <Text color="red"> {counts.errors} errors</Text>}
+              </Text>
+            </Box>
+          );
+        })
+      )}
+
+      <Divider />
+
+      <Box gap={2}>
+        <Text color="gray">↑↓: Select</Text>
+        <Text color="gray">Enter: Show files</Text>
+        <Text color="gray">R: Refresh</Text>
+        {activeProfile && (
+          <Text color="gray">P: {profileOnly ? 'All runs' : `Only "${activeProfile.name}"`}</Text>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default HistoryView;
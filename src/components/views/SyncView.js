@@ -6,6 +6,8 @@ import PathBrowser from '../sync/PathBrowser.js';
 import SyncOptions from '../sync/SyncOptions.js';
 import SyncProgress from '../sync/SyncProgress.js';
 import SyncPreview from '../sync/SyncPreview.js';
+import ConflictResolver from '../sync/ConflictResolver.js';
+import WatchStatus from '../sync/WatchStatus.js';
 import SyncignoreEditor from '../sync/SyncignoreEditor.js';
 import FilterManager from '../sync/FilterManager.js';
 import LoadingSpinner from '../common/LoadingSpinner.js';
@@ -31,11 +33,12 @@ const SyncView = () => {
     destinationPath, 
     syncDirection, 
     syncStatus, 
-    settings 
+    settings,
+    activeProfile
   } = state;
   
   // Component states
-  const [activeComponent, setActiveComponent] = useState('source'); // source, dest, options, preview
+  const [activeComponent, setActiveComponent] = useState('source'); // source, dest, options, preview, conflicts
   const [showBrowser, setShowBrowser] = useState(false);
   const [browserTarget, setBrowserTarget] = useState(null);
   const [preview, setPreview] = useState(null);
@@ -45,6 +48,11 @@ const SyncView = () => {
   const [showSyncignore, setShowSyncignore] = useState(false);
   const [showFilterManager, setShowFilterManager] = useState(false);
   const [activeFilter, setActiveFilter] = useState(null);
+  const [pendingConflicts, setPendingConflicts] = useState([]);
+  const [watchStatus, setWatchStatus] = useState(null);
+  
+  const conflictResolution = settings.conflictResolution || 'newer';
+  const isWatching = watchStatus !== null && watchStatus.state !== 'stopped';
   
   // Initialize sync handler
   useEffect(() => {
@@ -56,6 +64,16 @@ const SyncView = () => {
     };
   }, []);
   
+  // Keep versions of overwritten files while backups before sync are turned on,
+  // and treat symbolic links the way the advanced settings ask
+  useEffect(() => {
+    if (syncHandler) {
+      const { backupBeforeSync, versionRetention, handleSymlinks } = settings.advanced || {};
+      syncHandler.versions = backupBeforeSync ? versionRetention : null;
+      syncHandler.symlinks = handleSymlinks || 'preserve';
+    }
+  }, [syncHandler, settings.advanced]);
+  
   // Keyboard navigation
   useInput((input, key) => {
     // Handle modal dialogs first
@@ -63,6 +81,11 @@ const SyncView = () => {
       return; // Let the modal components handle input
     }
     
+    // The conflict resolver handles its own keys
+    if (activeComponent === 'conflicts') {
+      return;
+    }
+    
     // Don't process shortcuts when typing in path inputs
     if (activeComponent === 'source' || activeComponent === 'dest') {
       // Allow navigation keys and special keys
@@ -99,6 +122,12 @@ const SyncView = () => {
       return;
     }
     
+    // Toggle watch mode
+    if (input === 'w' || input === 'W') {
+      toggleWatch();
+      return;
+    }
+    
     // Open filter manager
     if (input === 'f' || input === 'F') {
       setShowFilterManager(true);
@@ -180,9 +209,41 @@ const SyncView = () => {
     return sourcePath && 
            destinationPath && 
            sourcePath !== destinationPath &&
+           !isWatching &&
            (syncStatus === 'idle' || syncStatus === 'completed');
   };
   
+  // Start or stop continuous sync of the current pair
+  const toggleWatch = async () => {
+    if (!syncHandler) return;
+    
+    if (isWatching) {
+      await syncHandler.stopWatching();
+      syncHandler.removeAllListeners('watch-status');
+      return;
+    }
+    
+    if (!canStartSync()) return;
+    
+    clearError();
+    
+    try {
+      await syncHandler.initialize(state);
+      
+      syncHandler.removeAllListeners('watch-status');
+      syncHandler.on('watch-status', (status) => setWatchStatus(status));
+      
+      await syncHandler.startWatching(sourcePath, destinationPath, {
+        syncDirection,
+        conflictResolution,
+        profile: activeProfile?.name || null
+      });
+    } catch (error) {
+      setError(error.message);
+      await syncHandler.stopWatching();
+    }
+  };
+  
   // Generate preview
   const generatePreview = async () => {
     if (!canStartSync() || !syncHandler) return;
@@ -198,7 +259,8 @@ const SyncView = () => {
         destinationPath,
         {
           syncDirection,
-          dryRun: true
+          dryRun: true,
+          conflictResolution
         }
       );
       
@@ -211,8 +273,8 @@ const SyncView = () => {
     }
   };
   
-  // Start sync
-  const startSync = async () => {
+  // Start sync, optionally with per-file conflict choices
+  const startSync = async (resolutions = {}) => {
     if (!canStartSync() || !syncHandler) return;
     
     setSyncStatus('preparing');
@@ -230,6 +292,9 @@ const SyncView = () => {
         {
           syncDirection,
           dryRun: settings.dryRun || false,
+          conflictResolution,
+          resolutions,
+          profile: activeProfile?.name || null,
           onProgress: (progress) => {
             updateSyncProgress(progress);
           },
@@ -241,7 +306,11 @@ const SyncView = () => {
           },
           onComplete: (stats) => {
             setSyncStatus('completed');
-            setSuccessMessage(`Sync completed! ${stats.totalFiles} files processed.`);
+            const skipped = stats.unresolvedConflicts?.length || 0;
+            setSuccessMessage(
+              `Sync completed! ${stats.totalFiles} files processed.` +
+              (skipped > 0 ? ` ${skipped} conflicts left unresolved.` : '')
+            );
             updateSyncProgress({
               percentage: 100,
               currentFile: '',
@@ -286,11 +355,32 @@ const SyncView = () => {
   
   // Preview handlers
   const handlePreviewConfirm = () => {
+    const conflicts = preview?.conflicts || [];
     setPreview(null);
+    
+    // Let the user decide each conflict before anything is written
+    if (conflictResolution === 'manual' && conflicts.length > 0) {
+      setPendingConflicts(conflicts);
+      setActiveComponent('conflicts');
+      return;
+    }
+    
     setActiveComponent('source');
     startSync();
   };
   
+  // Conflict resolver handlers
+  const handleConflictsResolved = (resolutions) => {
+    setPendingConflicts([]);
+    setActiveComponent('source');
+    startSync(resolutions);
+  };
+  
+  const handleConflictsCancel = () => {
+    setPendingConflicts([]);
+    setActiveComponent('source');
+  };
+  
   const handlePreviewCancel = () => {
     setPreview(null);
     setActiveComponent('source');
@@ -330,6 +420,23 @@ const SyncView = () => {
     );
   }
   
+  // Render conflict resolver if active
+  if (activeComponent === 'conflicts' && pendingConflicts.length > 0) {
+    return (
+      <Box flexDirection="column">
+        <Divider title="Resolve Conflicts" titleColor="magenta" />
+        <Box marginTop={1}>
+          <ConflictResolver
+            conflicts={pendingConflicts}
+            onResolve={handleConflictsResolved}
+            onCancel={handleConflictsCancel}
+            isActive={true}
+          />
+        </Box>
+      </Box>
+    );
+  }
+  
   // Render filter manager if active
   if (showFilterManager) {
     return (
@@ -390,6 +497,13 @@ const SyncView = () => {
         <SyncOptions isActive={activeComponent === 'options'} />
       </Box>
       
+      {/* Watch mode status */}
+      {watchStatus && (
+        <Box marginTop={1}>
+          <WatchStatus status={watchStatus} />
+        </Box>
+      )}
+      
       {/* Sync progress */}
       {(syncStatus === 'syncing' || syncStatus === 'paused') && (
         <Box marginTop={1}>
@@ -431,6 +545,11 @@ const SyncView = () => {
           <Box>
             <Text color="cyan">F: Filters</Text>
           </Box>
+          <Box>
+            <Text color={canStartSync() || isWatching ? 'cyan' : 'gray'}>
+              W: {isWatching ? 'Stop Watching' : 'Watch'}
+            </Text>
+          </Box>
         </Box>
       )}
       
@@ -7,7 +7,7 @@ import { WSLIntegration } from '../../lib/wsl-integration.js';
 // Initial state
 const initialState = {
   // Navigation
-  currentView: 'sync', // 'sync', 'profiles', 'settings'
+  currentView: 'sync', // 'sync', 'profiles', 'settings', 'history'
   
   // Sync state
   syncStatus: 'idle', // 'idle', 'preparing', 'syncing', 'paused', 'completed', 'error'
@@ -26,7 +26,7 @@ const initialState = {
   // Paths
   sourcePath: '',
   destinationPath: '',
-  syncDirection: 'two-way', // 'two-way', 'source-to-dest', 'dest-to-source'
+  syncDirection: 'two-way', // 'two-way', 'source-to-dest', 'dest-to-source', 'mirror'
   
   // Profiles
   profiles: [],
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree, write, exists } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+// The options src/cli.js passes to SyncHandler.sync, checked against what ends up on disk
+describe('Sync option integration', () => {
+  let sourceDir;
+  let destDir;
+
+  beforeEach(async () => {
+    ({ dirA: sourceDir, dirB: destDir } = await createTempTree('options'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  const runSync = async (options = {}) => {
+    const handler = new SyncHandler();
+    try {
+      return await handler.sync({ sourcePath: sourceDir, destinationPath: destDir, workerThreads: 1, ...options });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  describe('deleteOrphaned', () => {
+    beforeEach(async () => {
+      await write(sourceDir, 'keep.txt');
+      await write(destDir, 'orphan.txt');
+      await write(destDir, 'old/stale.txt');
+    });
+
+    it('should delete destination files the one-way source does not have', async () => {
+      const result = await runSync({ direction: 'source-to-dest', deleteOrphaned: true });
+
+      expect(result.filesDeleted).toBe(2);
+      expect(await exists(destDir, 'keep.txt')).toBe(true);
+      expect(await exists(destDir, 'orphan.txt')).toBe(false);
+      expect(await exists(destDir, path.join('old', 'stale.txt'))).toBe(false);
+
+      // The deletions are part of the pair's state, so nothing is left to do
+      const again = await runSync({ direction: 'source-to-dest', deleteOrphaned: true });
+      expect(again.syncedFiles).toBe(0);
+    });
+
+    it('should keep orphans without it and leave the source alone either way', async () => {
+      const result = await runSync({ direction: 'source-to-dest', deleteOrphaned: false });
+
+      expect(result.filesDeleted).toBe(0);
+      expect(await exists(destDir, 'orphan.txt')).toBe(true);
+      expect(await exists(sourceDir, 'orphan.txt')).toBe(false);
+    });
+
+    it('should only report orphan deletions on a dry run', async () => {
+      const result = await runSync({ direction: 'source-to-dest', deleteOrphaned: true, dryRun: true });
+
+      expect(result.filesDeleted).toBe(2);
+      expect(await exists(destDir, 'orphan.txt')).toBe(true);
+    });
+  });
+
+  describe('ignorePatterns', () => {
+    it('should skip ignored files alongside the .syncignore patterns', async () => {
+      await write(sourceDir, 'notes.txt');
+      await write(sourceDir, 'notes.txt.bak');
+      await write(sourceDir, 'cache/blob.dat');
+      await write(sourceDir, 'secret.key');
+      await write(sourceDir, '.syncignore', '*.key\n');
+
+      await runSync({ ignorePatterns: ['*.bak', 'cache/'] });
+
+      expect(await exists(destDir, 'notes.txt')).toBe(true);
+      expect(await exists(destDir, 'notes.txt.bak')).toBe(false);
+      expect(await exists(destDir, path.join('cache', 'blob.dat'))).toBe(false);
+      expect(await exists(destDir, 'secret.key')).toBe(false);
+    });
+
+    it('should not delete ignored destination files as orphans', async () => {
+      await write(sourceDir, 'notes.txt');
+      await write(destDir, 'local.bak');
+
+      await runSync({ direction: 'source-to-dest', deleteOrphaned: true, ignorePatterns: ['*.bak'] });
+
+      expect(await exists(destDir, 'local.bak')).toBe(true);
+    });
+  });
+
+  describe('filter', () => {
+    beforeEach(async () => {
+      await write(sourceDir, 'report.pdf');
+      await write(sourceDir, 'docs/notes.md');
+      await write(sourceDir, 'src/app.js');
+      await write(sourceDir, 'backup.zip');
+    });
+
+    it('should only sync files matching the preset', async () => {
+      await runSync({ filter: 'documents' });
+
+      expect(await exists(destDir, 'report.pdf')).toBe(true);
+      expect(await exists(destDir, path.join('docs', 'notes.md'))).toBe(true);
+      expect(await exists(destDir, path.join('src', 'app.js'))).toBe(false);
+      expect(await exists(destDir, 'backup.zip')).toBe(false);
+    });
+
+    it('should accept the short CLI preset names and leave filtered orphans alone', async () => {
+      await write(destDir, 'old.zip');
+      await write(destDir, 'old.js');
+
+      await runSync({ direction: 'source-to-dest', filter: 'code', deleteOrphaned: true });
+
+      expect(await exists(destDir, path.join('src', 'app.js'))).toBe(true);
+      expect(await exists(destDir, 'report.pdf')).toBe(false);
+      expect(await exists(destDir, 'old.js')).toBe(false);
+      expect(await exists(destDir, 'old.zip')).toBe(true);
+
+      await runSync({ filter: 'archives' });
+      expect(await exists(destDir, 'backup.zip')).toBe(true);
+    });
+
+    it('should reject an unknown preset', async () => {
+      await expect(runSync({ filter: 'spreadsheets' })).rejects.toThrow("Preset 'spreadsheets' not found");
+      expect(await fs.readdir(destDir)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// On-disk fixtures for tests that run real syncs
+let originalHome = null;
+let currentDir = null;
+
+// Make a fresh directory under the OS temp dir, with sync roots a and b unless roots is false,
+// and point HOME into it so state, history, sessions and locks stay out of the real home
+export async function createTempTree(name, { roots = true } = {}) {
+  currentDir = await fs.mkdtemp(path.join(os.tmpdir(), `wsl-sync-${name}-`));
+  const tree = { testDir: currentDir };
+
+  if (roots) {
+    tree.dirA = path.join(currentDir, 'a');
+    tree.dirB = path.join(currentDir, 'b');
+    await fs.mkdir(tree.dirA);
+    await fs.mkdir(tree.dirB);
+  }
+
+  originalHome = process.env.HOME;
+  process.env.HOME = path.join(currentDir, 'home');
+  return tree;
+}
+
+// Put HOME back and remove the directory createTempTree made
+export async function removeTempTree() {
+  if (originalHome === undefined) {
+    delete process.env.HOME;
+  } else {
+    process.env.HOME = originalHome;
+  }
+  await fs.rm(currentDir, { recursive: true, force: true });
+  currentDir = null;
+}
+
+// Write a file below a root, creating its parents, and date it minutesAgo into the past when given
+export async function write(root, relPath, content = relPath, minutesAgo = null) {
+  const filePath = path.join(root, relPath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+
+  if (minutesAgo !== null) {
+    const mtime = new Date(Date.now() - minutesAgo * 60 * 1000);
+    await fs.utimes(filePath, mtime, mtime);
+  }
+}
+
+// Whether a path below a root exists
+export const exists = (root, relPath) => fs.access(path.join(root, relPath)).then(() => true, () => false);
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { atomicCopy, getTempPath } from '../../lib/atomic-copy.cjs';
+import { SyncManager } from '../../lib/sync.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Atomic copy', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('atomic', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  it('should apply mtime and permissions before replacing the target', async () => {
+    const source = path.join(testDir, 'script.sh');
+    const destination = path.join(testDir, 'copy.sh');
+    await fs.writeFile(source, 'new');
+    await fs.chmod(source, 0o750);
+    await fs.writeFile(destination, 'old');
+
+    const mtime = new Date('2024-05-01T10:00:00Z').getTime();
+    await atomicCopy(source, destination, { mtime });
+
+    const stats = await fs.stat(destination);
+    expect(await fs.readFile(destination, 'utf-8')).toBe('new');
+    expect(stats.mode & 0o777).toBe(0o750);
+    expect(Math.trunc(stats.mtimeMs)).toBe(mtime);
+    await expect(fs.access(getTempPath(destination))).rejects.toThrow();
+  });
+
+  it('should leave the existing destination intact when a copy fails', async () => {
+    const destination = path.join(testDir, 'data.txt');
+    await fs.writeFile(destination, 'good');
+
+    const manager = new SyncManager();
+    const results = await manager.executeOperations([{
+      type: 'update',
+      source: path.join(testDir, 'missing.txt'),
+      destination,
+      mtime: Date.now(),
+      relPath: 'data.txt'
+    }]);
+
+    expect(results[0].success).toBe(false);
+    expect(await fs.readFile(destination, 'utf-8')).toBe('good');
+    expect(await fs.readdir(testDir)).toEqual(['data.txt']);
+  });
+
+  it('should remove the temp file when it cannot be renamed over the target', async () => {
+    const source = path.join(testDir, 'data.txt');
+    const destination = path.join(testDir, 'taken');
+    await fs.writeFile(source, 'data');
+    await fs.mkdir(path.join(destination, 'inside'), { recursive: true });
+
+    await expect(atomicCopy(source, destination)).rejects.toThrow();
+    expect((await fs.readdir(testDir)).sort()).toEqual(['data.txt', 'taken']);
+  });
+});
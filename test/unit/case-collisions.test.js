@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { holdsCaseDistinctNames } from '../../lib/case-collisions.js';
+import { createTempTree, removeTempTree, write } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Case collisions', () => {
+  let testDir;
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ testDir, dirA, dirB } = await createTempTree('case'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  // A manager that takes dirB for a case-insensitive drvfs folder
+  const manager = () => {
+    const syncManager = new SyncManager();
+    vi.spyOn(syncManager, 'caseSensitive').mockImplementation(async (root) => root !== dirB);
+    return syncManager;
+  };
+
+  const listing = async (root) => (await fs.readdir(root)).sort();
+
+  it('should probe whether a directory keeps names apart that differ only in case', async () => {
+    expect(await holdsCaseDistinctNames(dirA)).toBe(true);
+    expect(await fs.readdir(dirA)).toEqual([]);
+    expect(await fs.readdir(path.join(process.env.HOME, '.wsl-sync', 'probes'))).toEqual([]);
+  });
+
+  it('should read the case flag of a directory on a Windows drive rather than write to it', async () => {
+    // getfattr stands in for drvfs: only the flagged directory carries the attribute
+    const flagged = path.join(testDir, 'c', 'flagged');
+    const plain = path.join(testDir, 'c', 'plain');
+    await fs.mkdir(flagged, { recursive: true });
+    await fs.mkdir(plain, { recursive: true });
+    const binDir = path.join(testDir, 'bin');
+    await fs.mkdir(binDir);
+    await fs.writeFile(path.join(binDir, 'getfattr'), [
+      '#!/bin/sh',
+      'eval target=\\${$#}',
+      `[ "$target" = "${flagged}" ] || exit 1`,
+      `printf '# file: %s\\nsystem.wsl_case_sensitive=0s${Buffer.from('1').toString('base64')}\\n' "$target"`,
+      ''
+    ].join('\n'), { mode: 0o755 });
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    try {
+      expect(await holdsCaseDistinctNames(flagged, testDir)).toBe(true);
+      expect(await holdsCaseDistinctNames(plain, testDir)).toBe(false);
+    } finally {
+      process.env.PATH = originalPath;
+    }
+    expect(await fs.readdir(flagged)).toEqual([]);
+    expect(await fs.readdir(plain)).toEqual([]);
+  });
+
+  it('should copy only one of the names colliding on a case-insensitive destination', async () => {
+    await write(dirA, 'Readme.md', 'older', 30);
+    await write(dirA, 'README.md', 'newer', 10);
+
+    const summary = await manager().syncFoldersOneWay(dirA, dirB);
+
+    expect(summary.conflicts).toEqual([expect.objectContaining({
+      type: 'case-collision',
+      paths: ['Readme.md', 'README.md'],
+      kept: 'README.md'
+    })]);
+    expect(await listing(dirB)).toEqual(['README.md']);
+    expect(await fs.readFile(path.join(dirB, 'README.md'), 'utf-8')).toBe('newer');
+
+    // Manual resolution keeps the chosen name, and leaves both out until there is one
+    const manual = await manager().syncFoldersOneWay(dirA, dirB, {
+      conflictResolution: 'manual',
+      resolutions: { 'Readme.md': 'Readme.md' }
+    });
+    expect(manual.conflicts[0]).toMatchObject({ kept: 'Readme.md', resolution: 'Readme.md' });
+
+    const skipped = await manager().syncFoldersOneWay(dirA, dirB, { conflictResolution: 'manual' });
+    expect(skipped.unresolvedConflicts).toEqual(['Readme.md', 'README.md']);
+  });
+
+  it('should map every strategy and resolver choice to one of the colliding names', async () => {
+    await write(dirA, 'Readme.md', 'older', 30);
+    await write(dirA, 'README.md', 'newer', 10);
+    await write(dirB, 'Readme.md', 'held', 60);
+
+    const kept = async (conflictResolution, choice) => {
+      const summary = await manager().syncFoldersOneWay(dirA, dirB, {
+        dryRun: true,
+        conflictResolution,
+        resolutions: choice ? { 'Readme.md': choice } : {}
+      });
+      return summary.conflicts[0].kept;
+    };
+
+    // The destination keeps the name it holds; the source its newest file
+    expect(await kept('destination')).toBe('Readme.md');
+    expect(await kept('source')).toBe('README.md');
+    expect(await kept('newer')).toBe('Readme.md');
+    expect(await kept('keep-both')).toBe('Readme.md');
+
+    // Choices sent by the conflict resolver
+    expect(await kept('manual', 'source')).toBe('README.md');
+    expect(await kept('manual', 'destination')).toBe('Readme.md');
+    expect(await kept('manual', 'keep-both')).toBe('Readme.md');
+    expect(await kept('manual', 'README.md')).toBe('README.md');
+    expect(await kept('manual', 'skip')).toBe(null);
+
+    await manager().syncFoldersOneWay(dirA, dirB, {
+      conflictResolution: 'manual',
+      resolutions: { 'Readme.md': 'source' }
+    });
+    expect(await fs.readFile(path.join(dirB, 'README.md'), 'utf-8')).toBe('newer');
+  });
+
+  it('should keep a destination file whose name differs only in case from an orphan check', async () => {
+    await write(dirA, 'notes.txt', 'notes', 60);
+    await write(dirB, 'NOTES.txt', 'notes', 60);
+
+    const syncManager = Object.assign(manager(), { deleteOrphaned: true });
+    const summary = await syncManager.syncFoldersOneWay(dirA, dirB);
+
+    expect(summary.operations.AtoB.filter(op => op.type === 'delete')).toEqual([]);
+    expect(await listing(dirB)).toContain('NOTES.txt');
+  });
+
+  it('should settle a name created in different case on each side as a conflict', async () => {
+    await write(dirA, 'Plan.txt', 'from a', 30);
+    await write(dirB, 'plan.txt', 'from b', 10);
+
+    const summary = await manager().syncFoldersTwoWay(dirA, dirB);
+
+    expect(summary.conflicts).toEqual([expect.objectContaining({
+      type: 'case-collision',
+      paths: ['Plan.txt', 'plan.txt'],
+      winner: 'b',
+      kept: 'plan.txt'
+    })]);
+    expect(await listing(dirA)).toEqual(['plan.txt']);
+    expect(await listing(dirB)).toEqual(['plan.txt']);
+    expect(await fs.readFile(path.join(dirA, 'plan.txt'), 'utf-8')).toBe('from b');
+
+    const again = await manager().syncFoldersTwoWay(dirA, dirB);
+    expect([...again.operations.AtoB, ...again.operations.BtoA]).toEqual([]);
+  });
+
+  it('should replay a case-only rename as a move rather than a delete and a copy', async () => {
+    await write(dirA, 'guide.md', 'guide', 60);
+    await manager().syncFoldersTwoWay(dirA, dirB);
+
+    // Saved under a new name with an edit, so it is not recognized as the same file
+    await fs.writeFile(path.join(dirA, 'Guide.md'), 'guide, edited');
+    await fs.rm(path.join(dirA, 'guide.md'));
+
+    const summary = await manager().syncFoldersTwoWay(dirA, dirB);
+
+    expect(summary.operations.AtoB.map(op => `${op.type} ${op.relPath}`)).toEqual(['move Guide.md', 'update Guide.md']);
+    expect(await listing(dirB)).toEqual(['Guide.md']);
+    expect(await fs.readFile(path.join(dirB, 'Guide.md'), 'utf-8')).toBe('guide, edited');
+    expect(summary.errors).toEqual([]);
+  });
+});
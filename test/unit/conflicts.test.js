@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { resolveConflict, conflictCopyName, keepsBoth } from '../../lib/conflicts.js';
+
+describe('conflicts', () => {
+  const older = { relPath: 'doc.txt', mtime: 1000, size: 1 };
+  const newer = { relPath: 'doc.txt', mtime: 2000, size: 2 };
+
+  describe('resolveConflict', () => {
+    it('should pick the side named by the strategy', () => {
+      const conflict = { path: 'doc.txt', fileA: older, fileB: newer };
+
+      expect(resolveConflict(conflict, 'source')).toBe('a');
+      expect(resolveConflict(conflict, 'destination')).toBe('b');
+      expect(resolveConflict(conflict, 'newer')).toBe('b');
+      expect(resolveConflict(conflict, 'keep-both')).toBe('b');
+    });
+
+    it('should keep the surviving edit when the other side was deleted', () => {
+      expect(resolveConflict({ path: 'doc.txt', fileA: older, fileB: null }, 'newer')).toBe('a');
+      expect(resolveConflict({ path: 'doc.txt', fileA: null, fileB: newer }, 'newer')).toBe('b');
+    });
+
+    it('should leave manual conflicts unresolved without a choice', () => {
+      const conflict = { path: 'doc.txt', fileA: older, fileB: newer };
+
+      expect(resolveConflict(conflict, 'manual')).toBeNull();
+      expect(resolveConflict(conflict, 'manual', { 'doc.txt': 'skip' })).toBeNull();
+      expect(resolveConflict(conflict, 'manual', { 'doc.txt': 'source' })).toBe('a');
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => resolveConflict({ path: 'doc.txt', fileA: older, fileB: newer }, 'random'))
+        .toThrow('Unknown conflict resolution strategy');
+    });
+  });
+
+  describe('keep-both', () => {
+    it('should only keep both when both versions exist', () => {
+      expect(keepsBoth({ path: 'doc.txt', fileA: older, fileB: newer }, 'keep-both')).toBe(true);
+      expect(keepsBoth({ path: 'doc.txt', fileA: older, fileB: null }, 'keep-both')).toBe(false);
+      expect(keepsBoth({ path: 'doc.txt', fileA: older, fileB: newer }, 'manual', { 'doc.txt': 'keep-both' })).toBe(true);
+    });
+
+    it('should name conflict copies after host and time', () => {
+      const date = new Date('2024-03-05T14:07:09Z');
+
+      expect(conflictCopyName('docs/report.txt', { host: 'laptop', date }))
+        .toBe('docs/report.conflict-laptop-20240305-140709.txt');
+      expect(conflictCopyName('Makefile', { host: 'my.host', date }))
+        .toBe('Makefile.conflict-my_host-20240305-140709');
+    });
+  });
+});
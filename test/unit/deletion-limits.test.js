@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { checkDeletionLimits } from '../../lib/deletion-manager.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Deletion limits', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('deletion-limits'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  const runSync = async (handlerOptions = {}, options = {}) => {
+    const handler = new SyncHandler(handlerOptions);
+    try {
+      return await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, ...options });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  // Sync twelve files to both sides, then remove them from A
+  const emptySourceAfterSync = async () => {
+    for (let i = 0; i < 12; i++) {
+      await fs.writeFile(path.join(dirA, `file${i}.txt`), `content ${i}`);
+    }
+    await runSync();
+    for (let i = 0; i < 12; i++) {
+      await fs.rm(path.join(dirA, `file${i}.txt`));
+    }
+  };
+
+  it('should report the limits a plan exceeds', () => {
+    const side = { root: '/b', sourceRoot: '/a', files: 20, sourceFiles: 10 };
+
+    expect(checkDeletionLimits([{ ...side, deletions: 5 }])).toEqual([]);
+    expect(checkDeletionLimits([{ ...side, deletions: 15 }])).toEqual([
+      '75% of /b would be deleted (15 of 20 files, limit 50%)'
+    ]);
+    expect(checkDeletionLimits([{ ...side, deletions: 5 }], { maxDeletes: 3 })).toEqual([
+      '5 files would be deleted from /b (limit 3)'
+    ]);
+    expect(checkDeletionLimits([{ ...side, sourceFiles: 0, deletions: 20 }])[0])
+      .toMatch(/^\/a is empty \(is the drive mounted\?\)/);
+
+    // Small trees and scoped runs skip the percentage check
+    expect(checkDeletionLimits([{ ...side, files: 4, deletions: 4, sourceFiles: 1 }])).toEqual([]);
+    expect(checkDeletionLimits([{ ...side, deletions: 15 }], { scoped: true })).toEqual([]);
+  });
+
+  it('should refuse to sync an emptied source unless deletions are forced', async () => {
+    await emptySourceAfterSync();
+
+    const error = await runSync().catch(err => err);
+    expect(error.code).toBe('DELETION_LIMIT');
+    expect(error.reasons[0]).toContain(`${dirA} is empty`);
+    expect(await fs.readdir(dirB)).toHaveLength(12);
+
+    const preview = await runSync({}, { dryRun: true });
+    expect(preview.deletionWarnings).toEqual(error.reasons);
+    expect(await fs.readdir(dirB)).toHaveLength(12);
+
+    await runSync({ deletionLimits: { force: true } });
+    expect((await fs.readdir(dirB)).filter(name => name.endsWith('.txt'))).toEqual([]);
+  });
+
+  it('should refuse an emptied source however few files the destination has', async () => {
+    for (const name of ['one.txt', 'two.txt', 'three.txt']) {
+      await fs.writeFile(path.join(dirB, name), name);
+    }
+
+    const error = await runSync({}, { direction: 'source-to-dest', deleteOrphaned: true }).catch(err => err);
+    expect(error.code).toBe('DELETION_LIMIT');
+    expect(error.reasons[0]).toContain(`${dirA} is empty`);
+    expect((await fs.readdir(dirB)).filter(name => name.endsWith('.txt'))).toHaveLength(3);
+  });
+
+  it('should not preview deletions or blocks a run without orphan deletion will not make', async () => {
+    for (const name of ['one.txt', 'two.txt', 'three.txt']) {
+      await fs.writeFile(path.join(dirB, name), name);
+    }
+
+    const handler = new SyncHandler();
+    try {
+      await handler.prepareCliSync({ workerThreads: 1, deleteOrphaned: false });
+      const preview = await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(preview.toDelete).toEqual([]);
+      expect(preview.blockedDeletes).toEqual([]);
+    } finally {
+      await handler.cleanup();
+    }
+
+    const summary = await runSync({}, { direction: 'source-to-dest', deleteOrphaned: false });
+    expect(summary.deletionWarnings ?? []).toEqual([]);
+    expect((await fs.readdir(dirB)).filter(name => name.endsWith('.txt'))).toHaveLength(3);
+  });
+
+  it('should refuse to sync from a missing source root', async () => {
+    await fs.rm(dirA, { recursive: true });
+    await expect(runSync()).rejects.toThrow(`Sync root not found: ${dirA}`);
+  });
+
+  it('should refuse a two-way sync with a missing destination root', async () => {
+    await fs.writeFile(path.join(dirA, 'keep.txt'), 'keep');
+    await runSync();
+    await fs.rm(dirB, { recursive: true });
+
+    await expect(runSync({ deletionLimits: { force: true } })).rejects.toThrow(`Sync root not found: ${dirB}`);
+    expect(await fs.readdir(dirA)).toContain('keep.txt');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { weakChecksum, rollChecksum, deltaCopy } from '../../lib/delta-transfer.cjs';
+import { PerformanceSyncManager } from '../../lib/sync-performance.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Delta transfer', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('delta', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  it('should roll the weak checksum to the same value as a fresh one', () => {
+    const buf = crypto.randomBytes(64);
+    let sum = weakChecksum(buf, 0, 16);
+
+    for (let pos = 0; pos + 16 < buf.length; pos++) {
+      sum = rollChecksum(sum, buf[pos], buf[pos + 16], 16);
+      expect(sum).toEqual(weakChecksum(buf, pos + 1, 16));
+    }
+  });
+
+  it('should reuse unchanged blocks when data is inserted mid-file', async () => {
+    const original = crypto.randomBytes(256 * 1024);
+    const updated = Buffer.concat([
+      original.subarray(0, 100000),
+      Buffer.from('inserted bytes shift everything after them'),
+      original.subarray(100000)
+    ]);
+
+    const source = path.join(testDir, 'source.img');
+    const destination = path.join(testDir, 'dest.img');
+    await fs.writeFile(source, updated);
+    await fs.writeFile(destination, original);
+
+    const stats = await deltaCopy(source, destination, { blockSize: 4096 });
+
+    expect(Buffer.compare(await fs.readFile(destination), updated)).toBe(0);
+    expect(stats.bytesMatched + stats.bytesLiteral).toBe(updated.length);
+    expect(stats.bytesMatched).toBeGreaterThan(original.length * 0.9);
+    await expect(fs.access(`${destination}.wsl-sync-delta`)).rejects.toThrow();
+  });
+
+  it('should fall back to literal data when nothing matches', async () => {
+    const source = path.join(testDir, 'source.bin');
+    const destination = path.join(testDir, 'dest.bin');
+    const content = crypto.randomBytes(32 * 1024);
+    await fs.writeFile(source, content);
+    await fs.writeFile(destination, crypto.randomBytes(32 * 1024));
+
+    const stats = await deltaCopy(source, destination, { blockSize: 4096 });
+
+    expect(Buffer.compare(await fs.readFile(destination), content)).toBe(0);
+    expect(stats.bytesMatched).toBe(0);
+  });
+
+  it('should report bytes saved in the performance metrics', async () => {
+    const src = path.join(testDir, 'src');
+    const dest = path.join(testDir, 'dest');
+    await fs.mkdir(src);
+    await fs.mkdir(dest);
+
+    const original = crypto.randomBytes(512 * 1024);
+    const updated = Buffer.from(original);
+    updated.write('changed block', 300000);
+    await fs.writeFile(path.join(dest, 'vm.img'), original);
+    await fs.writeFile(path.join(src, 'vm.img'), updated);
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(path.join(src, 'vm.img'), later, later);
+
+    const manager = new PerformanceSyncManager({
+      maxWorkers: 1,
+      deltaTransfer: true,
+      deltaThreshold: 256 * 1024
+    });
+
+    try {
+      await manager.syncFoldersOneWay(src, dest);
+    } finally {
+      await manager.cleanup();
+    }
+
+    expect(Buffer.compare(await fs.readFile(path.join(dest, 'vm.img')), updated)).toBe(0);
+    expect(manager.getMetrics().bytesSaved).toBeGreaterThan(256 * 1024);
+  });
+
+  it('should report each run\'s own savings when a handler runs several syncs', async () => {
+    const src = path.join(testDir, 'src');
+    const dest = path.join(testDir, 'dest');
+    await fs.mkdir(src);
+    await fs.mkdir(dest);
+
+    const original = crypto.randomBytes(512 * 1024);
+    const updated = Buffer.from(original);
+    updated.write('changed block', 300000);
+    await fs.writeFile(path.join(dest, 'vm.img'), original);
+    await fs.writeFile(path.join(src, 'vm.img'), updated);
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(path.join(src, 'vm.img'), later, later);
+
+    const handler = new SyncHandler();
+    try {
+      await handler.prepareCliSync({ workerThreads: 1, delta: true, deltaThreshold: 256 * 1024 });
+      const run = () => handler.performSync({ sourcePath: src, destinationPath: dest, syncDirection: 'source-to-dest' });
+
+      expect((await run()).bytesSaved).toBeGreaterThan(256 * 1024);
+      expect((await run()).bytesSaved).toBe(0);
+    } finally {
+      await handler.cleanup();
+    }
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { DeletionManager } from '../../lib/deletion-manager.js';
+import { createTempTree, removeTempTree, exists } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Directory sync', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('dirs'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Create a directory with an mtime in the past, so a copy that kept "now" would show
+  async function makeDir(root, relPath, minutesAgo = 60) {
+    const dirPath = path.join(root, relPath);
+    await fs.mkdir(dirPath, { recursive: true });
+    const mtime = new Date(Date.now() - minutesAgo * 60 * 1000);
+    await fs.utimes(dirPath, mtime, mtime);
+  }
+
+  const mtimeOf = async (root, relPath) => Math.trunc((await fs.stat(path.join(root, relPath))).mtimeMs);
+  const changes = (summary) => [...summary.operations.AtoB, ...summary.operations.BtoA];
+
+  it('should create empty directories and carry directory mtimes one way', async () => {
+    await makeDir(dirA, path.join('empty', 'nested'));
+    await fs.mkdir(path.join(dirA, 'docs'));
+    await fs.writeFile(path.join(dirA, 'docs', 'a.txt'), 'a');
+    await makeDir(dirA, 'docs', 30);
+    await makeDir(dirA, 'empty', 90);
+
+    const summary = await new SyncManager().syncFoldersOneWay(dirA, dirB);
+
+    expect(summary.operations.AtoB.filter(op => op.type === 'mkdir').map(op => op.relPath))
+      .toEqual(['empty', path.join('empty', 'nested')]);
+    for (const relPath of ['docs', 'empty', path.join('empty', 'nested')]) {
+      expect(await mtimeOf(dirB, relPath)).toBe(await mtimeOf(dirA, relPath));
+    }
+
+    const again = await new SyncManager().syncFoldersOneWay(dirA, dirB);
+    expect(again.operations.AtoB).toEqual([]);
+  });
+
+  it('should report one-way progress over every operation, directories included', async () => {
+    for (const relPath of ['one', 'two', path.join('two', 'three')]) {
+      await makeDir(dirA, relPath);
+    }
+    await fs.writeFile(path.join(dirA, 'one', 'a.txt'), 'a');
+
+    const manager = new SyncManager();
+    const progress = [];
+    manager.on('progress', (event) => progress.push(event));
+    await manager.syncFoldersOneWay(dirA, dirB);
+
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress.every(event => event.percentage <= 100 && event.current <= event.total)).toBe(true);
+    expect(progress.at(-1)).toEqual(expect.objectContaining({ current: progress.length, percentage: 100 }));
+  });
+
+  it('should create, remove and time directories in both directions', async () => {
+    await makeDir(dirA, 'shared');
+    await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+    expect(await exists(dirB, 'shared')).toBe(true);
+
+    // New on B, removed on A together with its file, and a file added to a shared directory
+    await makeDir(dirB, 'from-b');
+    await fs.mkdir(path.join(dirA, 'gone'));
+    await fs.writeFile(path.join(dirA, 'gone', 'file.txt'), 'x');
+    await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+    await fs.rm(path.join(dirA, 'gone'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'shared', 'new.txt'), 'new');
+
+    const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+    expect(changes(summary).filter(op => op.type !== 'utimes').map(op => `${op.type} ${op.relPath}`).sort()).toEqual([
+      `create ${path.join('shared', 'new.txt')}`,
+      `delete ${path.join('gone', 'file.txt')}`,
+      'rmdir gone'
+    ]);
+    expect(await exists(dirA, 'from-b')).toBe(true);
+    expect(await exists(dirB, 'gone')).toBe(false);
+    expect(await mtimeOf(dirB, 'shared')).toBe(await mtimeOf(dirA, 'shared'));
+    expect(await mtimeOf(dirA, 'from-b')).toBe(await mtimeOf(dirB, 'from-b'));
+
+    const again = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+    expect(changes(again)).toEqual([]);
+  });
+
+  it('should prune directories left empty by deletions only when asked', async () => {
+    for (const dir of [dirA, dirB]) {
+      await fs.mkdir(path.join(dir, 'kept', 'deep'), { recursive: true });
+      await fs.mkdir(path.join(dir, 'pruned', 'deep'), { recursive: true });
+    }
+
+    const runSync = async (pruneEmptyDirs) => {
+      const handler = new SyncHandler();
+      try {
+        return await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, pruneEmptyDirs });
+      } finally {
+        await handler.cleanup();
+      }
+    };
+
+    await fs.writeFile(path.join(dirA, 'kept', 'deep', 'file.txt'), 'x');
+    await fs.writeFile(path.join(dirA, 'pruned', 'deep', 'file.txt'), 'x');
+    // An emptied source is refused, so one file stays
+    await fs.writeFile(path.join(dirA, 'stays.txt'), 'x');
+    await runSync(false);
+
+    await fs.rm(path.join(dirA, 'kept', 'deep', 'file.txt'));
+    await runSync(false);
+    expect(await exists(dirA, path.join('kept', 'deep'))).toBe(true);
+    expect(await exists(dirB, path.join('kept', 'deep'))).toBe(true);
+
+    await fs.rm(path.join(dirA, 'pruned', 'deep', 'file.txt'));
+    const result = await runSync(true);
+    expect(result.dirsPruned).toBe(4);
+    for (const dir of [dirA, dirB]) {
+      expect(await exists(dir, 'pruned')).toBe(false);
+      expect(await exists(dir, 'kept')).toBe(true);
+    }
+
+    expect((await runSync(true)).syncedFiles).toBe(0);
+    expect(await exists(dirB, 'pruned')).toBe(false);
+  });
+
+  it('should scan and report orphaned directories for deletion previews', async () => {
+    await fs.mkdir(path.join(dirA, 'docs'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'docs', 'a.txt'), 'a');
+    await fs.mkdir(path.join(dirB, 'docs', 'old'), { recursive: true });
+    await fs.writeFile(path.join(dirB, 'docs', 'a.txt'), 'a');
+
+    const manager = new DeletionManager({ deleteOrphaned: true });
+    const scanned = await manager.scanDirectory(dirB);
+    expect(scanned.map(entry => `${entry.relPath}${entry.isDirectory ? '/' : ''}`).sort())
+      .toEqual(['docs/', path.join('docs', 'a.txt'), `${path.join('docs', 'old')}/`]);
+
+    const sourceFiles = (await manager.scanDirectory(dirA)).filter(entry => !entry.isDirectory);
+    const { toDelete } = await manager.analyzeDeletions(sourceFiles, dirB);
+    expect(toDelete).toEqual([
+      expect.objectContaining({ relPath: path.join('docs', 'old'), isDirectory: true })
+    ]);
+  });
+});
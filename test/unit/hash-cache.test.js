@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HashCache } from '../../lib/hash-cache.js';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { calculateFileHash } from '../../lib/file-worker.cjs';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('HashCache', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('hash', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  it('should not rehash an unchanged file across instances', async () => {
+    const filePath = path.join(testDir, 'data.txt');
+    await fs.writeFile(filePath, 'content');
+
+    const hashFile = vi.fn(calculateFileHash);
+    const first = new HashCache({ hashFile });
+    const hash = await first.hash(filePath);
+    await first.save();
+
+    const second = new HashCache({ hashFile });
+    expect(await second.hash(filePath)).toBe(hash);
+    expect(hashFile).toHaveBeenCalledTimes(1);
+    expect(second.hits).toBe(1);
+  });
+
+  it('should rehash when size or mtime change', async () => {
+    const filePath = path.join(testDir, 'data.txt');
+    await fs.writeFile(filePath, 'content');
+
+    const cache = new HashCache();
+    const before = await cache.hash(filePath);
+
+    await fs.writeFile(filePath, 'changed content');
+    expect(await cache.hash(filePath)).not.toBe(before);
+    expect(cache.misses).toBe(2);
+  });
+
+  describe('compare modes', () => {
+    let src;
+    let dest;
+
+    beforeEach(async () => {
+      src = path.join(testDir, 'src');
+      dest = path.join(testDir, 'dest');
+      await fs.mkdir(src);
+      await fs.mkdir(dest);
+    });
+
+    // Same size, destination newer - only a content comparison notices the difference
+    const restoreOlderBackup = async () => {
+      await fs.writeFile(path.join(src, 'doc.txt'), 'restored');
+      await fs.writeFile(path.join(dest, 'doc.txt'), 'modified');
+      const older = new Date(Date.now() - 3600000);
+      await fs.utimes(path.join(src, 'doc.txt'), older, older);
+    };
+
+    it('should miss an older restored file in mtime mode', async () => {
+      await restoreOlderBackup();
+
+      await new SyncManager().syncFoldersOneWay(src, dest, { compare: 'mtime' });
+
+      expect(await fs.readFile(path.join(dest, 'doc.txt'), 'utf-8')).toBe('modified');
+    });
+
+    it('should copy an older restored file in hash mode', async () => {
+      await restoreOlderBackup();
+
+      await new SyncManager().syncFoldersOneWay(src, dest, { compare: 'hash' });
+
+      expect(await fs.readFile(path.join(dest, 'doc.txt'), 'utf-8')).toBe('restored');
+    });
+
+    it('should not recopy identical content in hash mode', async () => {
+      await fs.writeFile(path.join(src, 'same.txt'), 'same');
+      await fs.writeFile(path.join(dest, 'same.txt'), 'same');
+      const later = new Date(Date.now() + 60000);
+      await fs.utimes(path.join(src, 'same.txt'), later, later);
+
+      const summary = await new SyncManager().syncFoldersOneWay(src, dest, { compare: 'hash' });
+
+      expect(summary.operations.AtoB).toHaveLength(0);
+    });
+
+    it('should keep a newer destination edit in size-mtime mode unless mirroring', async () => {
+      await fs.writeFile(path.join(src, 'doc.txt'), 'older source');
+      await fs.writeFile(path.join(dest, 'doc.txt'), 'newer edit');
+      const older = new Date(Date.now() - 3600000);
+      await fs.utimes(path.join(src, 'doc.txt'), older, older);
+
+      await new SyncManager().syncFoldersOneWay(src, dest);
+      expect(await fs.readFile(path.join(dest, 'doc.txt'), 'utf-8')).toBe('newer edit');
+
+      await new SyncManager().syncFoldersOneWay(src, dest, { mirror: true });
+      expect(await fs.readFile(path.join(dest, 'doc.txt'), 'utf-8')).toBe('older source');
+    });
+
+    it('should preview with its own compare mode without changing the running one', async () => {
+      await restoreOlderBackup();
+      const handler = new SyncHandler();
+      try {
+        await handler.prepareCliSync({ workerThreads: 1 });
+        handler.syncManager.setCompareMode('mtime');
+
+        const preview = await handler.preview(src, dest, { syncDirection: 'source-to-dest', compare: 'hash' });
+        expect(preview.toUpdate.map(entry => entry.path)).toEqual(['doc.txt']);
+        expect(handler.syncManager.compareMode).toBe('mtime');
+      } finally {
+        await handler.cleanup();
+      }
+    });
+
+    it('should reject unknown compare modes', () => {
+      expect(() => new SyncManager().setCompareMode('checksum')).toThrow('Invalid compare mode');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { SyncHistory } from '../../lib/sync-history.js';
+import { createTempTree, removeTempTree, write } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Mirror sync', () => {
+  let sourceDir;
+  let destDir;
+
+  beforeEach(async () => {
+    ({ dirA: sourceDir, dirB: destDir } = await createTempTree('mirror'));
+
+    await write(sourceDir, 'notes.txt', 'source notes', 30);
+    await write(sourceDir, 'docs/guide.md', 'guide', 30);
+    await fs.mkdir(path.join(sourceDir, 'empty', 'nested'), { recursive: true });
+
+    await write(destDir, 'notes.txt', 'edited on the destination', 10);
+    await write(destDir, 'extra.txt', 'extra', 10);
+    await write(destDir, 'System.ini', 'settings', 10);
+    await write(destDir, 'old/stale.txt', 'stale', 10);
+    await fs.mkdir(path.join(destDir, 'leftover'), { recursive: true });
+  });
+
+  afterEach(() => removeTempTree());
+
+  const runSync = async (options = {}) => {
+    const handler = new SyncHandler({ deletionLimits: { maxDeletePercent: 0 } });
+    try {
+      return await handler.sync({ sourcePath: sourceDir, destinationPath: destDir, workerThreads: 1, ...options });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  // Every path under a root, directories marked with a trailing slash
+  const listTree = async (root) => {
+    const entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+    return entries
+      .map(entry => {
+        const relPath = path.relative(root, path.join(entry.parentPath ?? entry.path, entry.name));
+        return entry.isDirectory() ? `${relPath}/` : relPath;
+      })
+      .sort();
+  };
+
+  it('should make the destination identical to the source', async () => {
+    const result = await runSync({ direction: 'mirror' });
+
+    expect(await listTree(destDir)).toEqual(await listTree(sourceDir));
+    expect(await fs.readFile(path.join(destDir, 'notes.txt'), 'utf-8')).toBe('source notes');
+    expect(result).toMatchObject({ filesCreated: 1, filesUpdated: 1, filesDeleted: 3, dirsCreated: 2, dirsDeleted: 2 });
+
+    const { mtimeMs } = await fs.stat(path.join(sourceDir, 'notes.txt'));
+    expect(Math.trunc((await fs.stat(path.join(destDir, 'notes.txt'))).mtimeMs)).toBe(Math.trunc(mtimeMs));
+
+    // A change made on the destination is undone by the next mirror, not kept
+    await write(destDir, 'docs/guide.md', 'edited again', 5);
+    await runSync({ direction: 'mirror' });
+    expect(await fs.readFile(path.join(destDir, 'docs', 'guide.md'), 'utf-8')).toBe('guide');
+  });
+
+  it('should list every destructive change on a dry run without making it', async () => {
+    const before = await listTree(destDir);
+    const result = await runSync({ direction: 'mirror', dryRun: true });
+
+    expect(result.destructiveChanges.map(change => `${change.action} ${path.relative(destDir, change.path)}`).sort())
+      .toEqual([
+        'delete System.ini',
+        'delete extra.txt',
+        `delete ${path.join('old', 'stale.txt')}`,
+        'overwrite notes.txt',
+        'remove directory leftover',
+        'remove directory old'
+      ]);
+    expect(await listTree(destDir)).toEqual(before);
+  });
+
+  it('should flag destructive changes in the preview', async () => {
+    const handler = new SyncHandler();
+    await handler.prepareCliSync({ workerThreads: 1 });
+    try {
+      const preview = await handler.preview(sourceDir, destDir, { syncDirection: 'mirror' });
+
+      expect(preview.mirror).toBe(true);
+      expect(preview.toDelete.map(file => file.relPath)).toContain('System.ini');
+      expect(preview.toCreate).toContainEqual(expect.objectContaining({ path: path.join('empty', 'nested'), isDirectory: true }));
+      expect(preview.toCreate.filter(file => file.isDirectory)).toHaveLength(2);
+      expect(preview.destructive).toHaveLength(6);
+      expect(preview.destructive).toContainEqual({ action: 'remove directory', path: 'leftover' });
+    } finally {
+      await handler.cleanup();
+    }
+  });
+
+  it('should undo a mirror run, directories included', async () => {
+    await runSync({ direction: 'mirror' });
+
+    const [run] = await new SyncHistory().list({ limit: 1 });
+    const result = await new SyncHandler().undo(run.id);
+
+    expect(result.skipped).toEqual([]);
+    expect(await fs.readFile(path.join(destDir, 'notes.txt'), 'utf-8')).toBe('edited on the destination');
+    expect(await fs.readFile(path.join(destDir, 'old', 'stale.txt'), 'utf-8')).toBe('stale');
+    expect((await fs.stat(path.join(destDir, 'leftover'))).isDirectory()).toBe(true);
+    await expect(fs.access(path.join(destDir, 'empty'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { resumableCopy, verifiedPrefix, getPartialPath } from '../../lib/partial-copy.cjs';
+import { SyncManager } from '../../lib/sync.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Partial copy resume', () => {
+  const chunkSize = 16 * 1024;
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('partial', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  it('should continue from the verified prefix of a partial file', async () => {
+    const data = crypto.randomBytes(chunkSize * 5 + 123);
+    const source = path.join(testDir, 'big.bin');
+    const destination = path.join(testDir, 'out', 'big.bin');
+    await fs.writeFile(source, data);
+    await fs.mkdir(path.dirname(destination));
+
+    // Interrupted after two and a half chunks
+    await fs.writeFile(getPartialPath(destination), data.subarray(0, chunkSize * 2.5));
+
+    const result = await resumableCopy(source, destination, { chunkSize });
+
+    expect(result.bytesResumed).toBe(chunkSize * 2);
+    expect((await fs.readFile(destination)).equals(data)).toBe(true);
+    await expect(fs.access(getPartialPath(destination))).rejects.toThrow();
+  });
+
+  it('should stop the verified prefix at the first chunk that differs', async () => {
+    const data = crypto.randomBytes(chunkSize * 4);
+    const source = path.join(testDir, 'big.bin');
+    const partial = Buffer.from(data.subarray(0, chunkSize * 3));
+    partial[chunkSize + 10] ^= 0xff;
+    await fs.writeFile(source, data);
+    await fs.writeFile(path.join(testDir, 'big.bin.part'), partial);
+
+    expect(await verifiedPrefix(source, path.join(testDir, 'big.bin.part'), chunkSize)).toBe(chunkSize);
+    expect(await verifiedPrefix(source, path.join(testDir, 'missing'), chunkSize)).toBe(0);
+  });
+
+  it('should skip partial files when scanning and remove stale ones', async () => {
+    const dir = path.join(testDir, 'tree');
+    await fs.mkdir(path.join(dir, 'nested'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'keep.txt'), 'keep');
+    await fs.writeFile(path.join(dir, 'fresh.bin.wsl-sync-partial'), 'fresh');
+    await fs.writeFile(path.join(dir, 'nested', 'old.bin.wsl-sync-partial'), 'old');
+
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(path.join(dir, 'nested', 'old.bin.wsl-sync-partial'), old, old);
+
+    const manager = new SyncManager({ partialMaxAge: 60 * 60 * 1000 });
+    const files = await manager.walkDir(dir, dir, manager.loadIgnorePatterns(dir));
+    expect(files.map(file => file.relPath)).toEqual(['keep.txt']);
+
+    expect(await manager.removeStalePartials(dir)).toBe(1);
+    await expect(fs.access(path.join(dir, 'fresh.bin.wsl-sync-partial'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(dir, 'nested', 'old.bin.wsl-sync-partial'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { METADATA_MANIFEST, holdsPosixMetadata } from '../../lib/metadata-manifest.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Preserving permissions', () => {
+  let testDir;
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ testDir, dirA, dirB } = await createTempTree('permissions'));
+    await fs.mkdir(path.join(dirA, 'bin'), { recursive: true });
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Write a file with a mode and an access time an hour before its modification time,
+  // returning the access time, which reading the file for a copy may move on
+  async function write(root, relPath, mode) {
+    const filePath = path.join(root, relPath);
+    await fs.writeFile(filePath, relPath);
+    await fs.chmod(filePath, mode);
+    const mtime = new Date(Date.now() - 60 * 60 * 1000);
+    const atime = new Date(mtime.getTime() - 60 * 60 * 1000);
+    await fs.utimes(filePath, atime, mtime);
+    return atime.getTime();
+  }
+
+  const modeOf = async (root, relPath) => (await fs.stat(path.join(root, relPath))).mode & 0o7777;
+  const atimeOf = async (root, relPath) => Math.round((await fs.stat(path.join(root, relPath))).atimeMs);
+
+  const manager = (options = {}) => Object.assign(new SyncManager(), { preservePermissions: true, ...options });
+
+  it('should carry mode and access time over to copies', async () => {
+    await write(dirA, path.join('bin', 'run.sh'), 0o750);
+    const atime = await write(dirA, 'secret.txt', 0o600);
+
+    await manager().syncFoldersOneWay(dirA, dirB);
+
+    expect(await modeOf(dirB, path.join('bin', 'run.sh'))).toBe(0o750);
+    expect(await modeOf(dirB, 'secret.txt')).toBe(0o600);
+    expect(await atimeOf(dirB, 'secret.txt')).toBe(atime);
+  });
+
+  it.runIf(process.getuid?.() === 0)('should carry ownership over when allowed to', async () => {
+    await write(dirA, 'owned.txt', 0o644);
+    await fs.chown(path.join(dirA, 'owned.txt'), 1234, 2345);
+
+    await manager().syncFoldersOneWay(dirA, dirB);
+
+    const { uid, gid } = await fs.stat(path.join(dirB, 'owned.txt'));
+    expect({ uid, gid }).toEqual({ uid: 1234, gid: 2345 });
+  });
+
+  it('should keep metadata in a manifest on a destination that cannot store it', async () => {
+    await write(dirA, path.join('bin', 'run.sh'), 0o750);
+    await write(dirA, 'notes.txt', 0o640);
+
+    // Stand in for a drvfs mount, which reports one fixed mode for every file
+    const toDrive = manager({ deleteOrphaned: true });
+    vi.spyOn(toDrive, 'holdsMetadata').mockImplementation(async (root) => root !== dirB);
+    await toDrive.syncFoldersOneWay(dirA, dirB);
+
+    const manifest = JSON.parse(await fs.readFile(path.join(dirB, METADATA_MANIFEST), 'utf-8'));
+    expect(manifest.files[path.join('bin', 'run.sh')]).toMatchObject({ mode: 0o750 });
+    expect(manifest.files['notes.txt']).toMatchObject({ mode: 0o640 });
+
+    // Bringing the files back restores their modes from the manifest, which stays behind
+    await fs.chmod(path.join(dirB, path.join('bin', 'run.sh')), 0o777);
+    await fs.rm(dirA, { recursive: true });
+    await manager().syncFoldersOneWay(dirB, dirA);
+
+    expect(await modeOf(dirA, path.join('bin', 'run.sh'))).toBe(0o750);
+    await expect(fs.access(path.join(dirA, METADATA_MANIFEST))).rejects.toThrow();
+
+    // Files deleted from the drive drop out of its manifest
+    await fs.rm(path.join(dirA, 'notes.txt'));
+    await toDrive.syncFoldersOneWay(dirA, dirB);
+    const after = JSON.parse(await fs.readFile(path.join(dirB, METADATA_MANIFEST), 'utf-8'));
+    expect(Object.keys(after.files)).toEqual([path.join('bin', 'run.sh')]);
+  });
+
+  it('should probe whether a directory keeps the modes it is given', async () => {
+    expect(await holdsPosixMetadata(dirA)).toBe(true);
+    expect(await fs.readdir(dirA)).toEqual(['bin']);
+    expect(await fs.readdir(path.join(process.env.HOME, '.wsl-sync', 'probes'))).toEqual([]);
+
+    // A home below a file cannot hold the probe directory, so nothing is known
+    await fs.writeFile(path.join(testDir, 'file'), '');
+    process.env.HOME = path.join(testDir, 'file', 'home');
+    expect(await holdsPosixMetadata(dirA)).toBeNull();
+  });
+
+  it('should preserve permissions through the worker pool when asked', async () => {
+    const atime = await write(dirA, 'tool.sh', 0o700);
+
+    const handler = new SyncHandler();
+    try {
+      await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, preservePermissions: true });
+    } finally {
+      await handler.cleanup();
+    }
+
+    expect(await modeOf(dirB, 'tool.sh')).toBe(0o700);
+    expect(await atimeOf(dirB, 'tool.sh')).toBe(atime);
+  });
+});
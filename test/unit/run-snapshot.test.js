@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { SyncHistory } from '../../lib/sync-history.js';
+import { createTempTree, removeTempTree, write } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Undoing a sync run', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('undo'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  const runSync = async (options = {}) => {
+    const handler = new SyncHandler();
+    try {
+      return await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, ...options });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  it('should restore overwritten and deleted files and skip files changed since', async () => {
+    await write(dirA, 'notes.txt', 'first draft', 30);
+    await write(dirA, 'old.txt', 'keep me', 30);
+    await runSync();
+
+    await write(dirA, 'notes.txt', 'second draft', 10);
+    await fs.rm(path.join(dirA, 'old.txt'));
+    await write(dirA, 'new.txt', 'new', 10);
+    await write(dirA, 'edited.txt', 'new', 10);
+    await runSync();
+
+    const [run] = await new SyncHistory().list({ limit: 1 });
+    expect(run.counts).toMatchObject({ created: 2, updated: 1, deleted: 1 });
+
+    // Edited after the run - undo must not discard this
+    await write(dirB, 'edited.txt', 'mine now', 5);
+
+    const handler = new SyncHandler();
+    const preview = await handler.undo(run.id, { dryRun: true });
+    expect(preview.undone).toHaveLength(3);
+    expect(await fs.readFile(path.join(dirB, 'notes.txt'), 'utf-8')).toBe('second draft');
+
+    const result = await handler.undo(run.id);
+    expect(result.undone.map(file => `${file.action}:${file.relPath}`).sort())
+      .toEqual(['removed:new.txt', 'restored:notes.txt', 'restored:old.txt']);
+    expect(result.skipped).toEqual([
+      { relPath: 'edited.txt', target: 'destination', reason: 'changed since the run' }
+    ]);
+
+    expect(await fs.readFile(path.join(dirB, 'notes.txt'), 'utf-8')).toBe('first draft');
+    expect(await fs.readFile(path.join(dirB, 'old.txt'), 'utf-8')).toBe('keep me');
+    expect(await fs.readFile(path.join(dirB, 'edited.txt'), 'utf-8')).toBe('mine now');
+    await expect(fs.access(path.join(dirB, 'new.txt'))).rejects.toThrow();
+
+    await expect(handler.undo(run.id)).rejects.toThrow('already undone');
+
+    // Files restored on both sides are left alone by the next sync
+    await runSync();
+    expect(await fs.readFile(path.join(dirB, 'notes.txt'), 'utf-8')).toBe('first draft');
+    expect(await fs.readFile(path.join(dirA, 'notes.txt'), 'utf-8')).toBe('second draft');
+  });
+
+  it('should bring a one-way destination back in line with its source after an undo', async () => {
+    await write(dirA, 'report.txt', 'first', 30);
+    await runSync({ direction: 'source-to-dest' });
+    await write(dirA, 'report.txt', 'second', 10);
+    await runSync({ direction: 'source-to-dest' });
+
+    const [run] = await new SyncHistory().list({ limit: 1 });
+    await new SyncHandler().undo(run.id);
+    expect(await fs.readFile(path.join(dirB, 'report.txt'), 'utf-8')).toBe('first');
+
+    const next = await runSync({ direction: 'source-to-dest' });
+    expect(next.syncedFiles).toBe(1);
+    expect(await fs.readFile(path.join(dirB, 'report.txt'), 'utf-8')).toBe('second');
+  });
+
+  it('should not take snapshots when they are turned off', async () => {
+    await write(dirA, 'data.txt', 'v1', 30);
+    await runSync();
+    await write(dirA, 'data.txt', 'v2', 10);
+
+    const handler = new SyncHandler({ snapshots: false });
+    try {
+      await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1 });
+    } finally {
+      await handler.cleanup();
+    }
+
+    const [run] = await new SyncHistory().list({ limit: 1 });
+    const result = await new SyncHandler().undo(run.id);
+    expect(result.undone).toHaveLength(0);
+    expect(result.skipped[0].reason).toBe('no snapshot was taken');
+  });
+});
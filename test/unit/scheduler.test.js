@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseSchedule, nextRun, ProfileLock, SchedulerDaemon } from '../../lib/scheduler.js';
+import { ProfileManager } from '../../lib/profiles.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Scheduler', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('scheduler', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  it('should parse interval, day-and-time and cron schedules', () => {
+    expect(parseSchedule('every 30 min')).toEqual({ type: 'interval', minutes: 30 });
+    expect(parseSchedule('Every 2 hours')).toEqual({ type: 'interval', minutes: 120 });
+    expect(parseSchedule('weekdays 18:00')).toEqual({ type: 'times', days: [1, 2, 3, 4, 5], times: [[18, 0]] });
+    expect(parseSchedule('fri-mon 07:30').days).toEqual([5, 6, 0, 1]);
+    expect(parseSchedule('*/15 9-17 * * 1-5').minute).toEqual([0, 15, 30, 45]);
+
+    expect(() => parseSchedule('every 30 parsecs')).toThrow('Invalid schedule');
+    expect(() => parseSchedule('weekdays 25:00')).toThrow('Invalid schedule');
+    expect(() => parseSchedule('61 * * * *')).toThrow('Invalid schedule');
+  });
+
+  it('should find the next matching time in local time', () => {
+    const fridayEvening = new Date(2024, 4, 3, 19, 0); // Friday 3 May 2024
+
+    expect(nextRun(parseSchedule('weekdays 18:00'), fridayEvening)).toEqual(new Date(2024, 4, 6, 18, 0));
+    expect(nextRun(parseSchedule('daily 06:15,19:30'), fridayEvening)).toEqual(new Date(2024, 4, 3, 19, 30));
+    expect(nextRun(parseSchedule('0 9 1 * *'), fridayEvening)).toEqual(new Date(2024, 5, 1, 9, 0));
+    expect(nextRun(parseSchedule('every 45 min'), fridayEvening)).toEqual(new Date(2024, 4, 3, 19, 45));
+  });
+
+  it('should lock a profile against overlapping runs and ignore stale locks', async () => {
+    const lock = new ProfileLock();
+
+    expect(await lock.acquire('work')).toBe(true);
+    expect(await lock.acquire('work')).toBe(false);
+    await lock.release('work');
+    expect(await lock.acquire('work')).toBe(true);
+    await lock.release('work');
+
+    // A lock whose process no longer exists is taken over
+    await fs.writeFile(lock.getLockPath('work'), JSON.stringify({ pid: 4194305 }));
+    expect(await lock.acquire('work')).toBe(true);
+    expect((await lock.holder('work')).pid).toBe(process.pid);
+    await lock.release('work');
+
+    // A run that saw the stale lock after another run took it over leaves the new lock alone
+    await fs.writeFile(lock.getLockPath('work'), JSON.stringify({ pid: 4194305 }));
+    expect(await lock.acquire('work')).toBe(true);
+    const late = new ProfileLock();
+    vi.spyOn(late, 'holder').mockResolvedValueOnce(null);
+    expect(await late.acquire('work')).toBe(false);
+    expect((await lock.holder('work')).pid).toBe(process.pid);
+    expect(await fs.readdir(lock.locksDir)).toEqual(['work.lock']);
+  });
+
+  it('should keep checking on schedule while the first check is still running or has failed', async () => {
+    const daemon = new SchedulerDaemon({ profileManager: new ProfileManager(), checkInterval: 60000 });
+    const warnings = [];
+    daemon.on('warning', ({ message }) => warnings.push(message));
+
+    vi.spyOn(daemon, 'tick').mockReturnValueOnce(new Promise(() => {}));
+    daemon.start();
+    expect(daemon.timer).not.toBeNull();
+    await daemon.stop();
+
+    daemon.tick.mockRejectedValueOnce(new Error('schedule check failed'));
+    daemon.start();
+    expect(daemon.timer).not.toBeNull();
+    await vi.waitFor(() => expect(warnings).toEqual(['schedule check failed']));
+    await daemon.stop();
+  });
+
+  it('should run due profiles and record the outcome', async () => {
+    const source = path.join(testDir, 'source');
+    const destination = path.join(testDir, 'destination');
+    await fs.mkdir(source, { recursive: true });
+    await fs.mkdir(destination, { recursive: true });
+    await fs.writeFile(path.join(source, 'report.txt'), 'report');
+
+    const profileManager = new ProfileManager();
+    await profileManager.initialize();
+    await profileManager.createProfile({
+      id: 'work',
+      name: 'Work',
+      windowsPath: source,
+      wslPath: destination,
+      syncDirection: 'source-to-dest',
+      options: { maxWorkers: 1 }
+    });
+    await profileManager.setSchedule('work', { expression: 'every 30 min', enabled: true });
+
+    const daemon = new SchedulerDaemon({ profileManager });
+    const skipped = [];
+    daemon.on('run-skipped', ({ profile }) => skipped.push(profile.id));
+
+    // Another run holding the lock keeps the daemon out
+    const lock = new ProfileLock();
+    await lock.acquire('work');
+    expect(await daemon.tick()).toEqual([null]);
+    expect(skipped).toEqual(['work']);
+    expect(profileManager.getProfile('work').schedule.lastRun).toBeNull();
+    await lock.release('work');
+
+    const [run] = await daemon.tick();
+    expect(run.success).toBe(true);
+    expect(run.syncedFiles).toBe(1);
+    expect(await fs.readFile(path.join(destination, 'report.txt'), 'utf-8')).toBe('report');
+
+    // The outcome is persisted and the next run waits for the interval
+    const reloaded = new ProfileManager();
+    await reloaded.initialize();
+    const profile = reloaded.getProfile('work');
+    expect(profile.syncCount).toBe(1);
+    expect(profile.schedule.lastResult.success).toBe(true);
+    expect(await daemon.tick()).toEqual([]);
+    expect(await lock.holder('work')).toBeNull();
+  });
+
+  it('should report failures to load profiles or record a run as warnings', async () => {
+    const source = path.join(testDir, 'source');
+    await fs.mkdir(source, { recursive: true });
+    await fs.mkdir(path.join(testDir, 'destination'), { recursive: true });
+
+    const profileManager = new ProfileManager();
+    await profileManager.initialize();
+    await profileManager.createProfile({
+      id: 'work',
+      name: 'Work',
+      windowsPath: source,
+      wslPath: path.join(testDir, 'destination'),
+      syncDirection: 'source-to-dest',
+      options: { maxWorkers: 1 }
+    });
+    await profileManager.setSchedule('work', { expression: 'every 30 min', enabled: true });
+
+    const daemon = new SchedulerDaemon({ profileManager });
+    const warnings = [];
+    daemon.on('warning', ({ message }) => warnings.push(message));
+
+    vi.spyOn(profileManager, 'recordScheduledRun').mockRejectedValue(new Error('disk full'));
+    const [run] = await daemon.tick();
+    expect(run.success).toBe(true);
+    expect(warnings).toEqual(['Could not record the run: disk full']);
+    expect(await new ProfileLock().holder('work')).toBeNull();
+
+    vi.spyOn(profileManager, 'initialize').mockRejectedValue(new Error('profiles.json is unreadable'));
+    expect(await daemon.tick()).toEqual([]);
+    expect(warnings[1]).toBe('Could not load profiles: profiles.json is unreadable');
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionJournal, operationKey } from '../../lib/session-journal.js';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { SyncHistory } from '../../lib/sync-history.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('SessionJournal', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('session', { roots: false }));
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Start a sync that stalls forever after its first copy, like a killed process
+  const interruptAfterFirstCopy = async (manager, run) => {
+    let stalled;
+    const reachedStall = new Promise(resolve => { stalled = resolve; });
+    const copy = manager.copyOperationFile.bind(manager);
+    let calls = 0;
+
+    vi.spyOn(manager, 'copyOperationFile').mockImplementation(async (operation) => {
+      if (++calls > 1) {
+        stalled();
+        return new Promise(() => {});
+      }
+      return copy(operation);
+    });
+
+    run();
+    await reachedStall;
+    await manager.sessions.flush();
+    await abandonSessions(manager.sessions);
+  };
+
+  // The stalled run lives on in this process - record its sessions under a pid no process has
+  const DEAD_PID = 2 ** 31 - 1;
+  const abandonSessions = async (journal) => {
+    for (const session of await journal.list()) {
+      const record = JSON.parse(await fs.readFile(journal.getSessionPath(session.id), 'utf-8'));
+      await fs.writeFile(journal.getSessionPath(session.id), JSON.stringify({ ...record, pid: DEAD_PID }));
+    }
+  };
+
+  it('should ignore a torn final log line', async () => {
+    const journal = new SessionJournal();
+    const session = await journal.create({ mode: 'one-way', operations: [] });
+    const done = { type: 'create', direction: 'AtoB', relPath: 'a.txt' };
+
+    await journal.record(session.id, done);
+    await fs.appendFile(journal.getLogPath(session.id), 'AtoB:create:b.t');
+
+    const loaded = await journal.load(session.id);
+    expect([...loaded.completed]).toEqual([operationKey(done)]);
+
+    await abandonSessions(journal);
+    expect((await journal.latest()).id).toBe(session.id);
+  });
+
+  it('should not hand out a session its process is still running', async () => {
+    const journal = new SessionJournal();
+    const running = await journal.create({ mode: 'one-way', operations: [] });
+
+    expect(await journal.latest()).toBeNull();
+    await expect(journal.resumable(running.id)).rejects.toThrow(`Sync session ${running.id} is still running (pid ${process.pid})`);
+
+    await abandonSessions(journal);
+    const session = await journal.resumable();
+    expect(session.id).toBe(running.id);
+
+    // Resuming claims the session for this process
+    await journal.claim(session);
+    expect(await journal.latest()).toBeNull();
+    expect((await journal.load(running.id)).pid).toBe(process.pid);
+  });
+
+  it('should fail clearly when there is nothing to resume', async () => {
+    const manager = new SyncManager();
+
+    await expect(manager.resumeSession()).rejects.toThrow('No interrupted sync session to resume');
+    await expect(manager.resumeSession('missing')).rejects.toThrow('Sync session not found: missing');
+  });
+
+  it('should resume a two-way sync without redoing completed files', async () => {
+    const dirA = path.join(testDir, 'a');
+    const dirB = path.join(testDir, 'b');
+    await fs.mkdir(dirA, { recursive: true });
+    await fs.mkdir(dirB, { recursive: true });
+    await fs.writeFile(path.join(dirA, 'one.txt'), 'one');
+    await fs.writeFile(path.join(dirA, 'two.txt'), 'two');
+    await fs.writeFile(path.join(dirB, 'three.txt'), 'three');
+
+    const interrupted = new SyncManager();
+    await interruptAfterFirstCopy(interrupted, () => interrupted.syncFoldersTwoWay(dirA, dirB));
+
+    const resumer = new SyncManager();
+    const copySpy = vi.spyOn(resumer, 'copyOperationFile');
+    const summary = await resumer.resumeSession();
+
+    expect(summary.skippedOperations).toBe(1);
+    expect(copySpy).toHaveBeenCalledTimes(2);
+    expect(await fs.readFile(path.join(dirA, 'three.txt'), 'utf-8')).toBe('three');
+    expect(await fs.readFile(path.join(dirB, 'one.txt'), 'utf-8')).toBe('one');
+    expect(await fs.readFile(path.join(dirB, 'two.txt'), 'utf-8')).toBe('two');
+    expect(await resumer.sessions.list()).toEqual([]);
+
+    // The resumed run saved state, so nothing is left to do
+    const next = await new SyncManager().syncFoldersTwoWay(dirA, dirB, { dryRun: true });
+    expect(next.operations.AtoB).toHaveLength(0);
+    expect(next.operations.BtoA).toHaveLength(0);
+  });
+
+  it('should resume a one-way sync from the latest session', async () => {
+    const src = path.join(testDir, 'src');
+    const dest = path.join(testDir, 'dest');
+    await fs.mkdir(src, { recursive: true });
+    await fs.mkdir(dest, { recursive: true });
+    for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+      await fs.writeFile(path.join(src, name), name);
+    }
+
+    const interrupted = new SyncManager();
+    await interruptAfterFirstCopy(interrupted, () => interrupted.syncFoldersOneWay(src, dest));
+
+    const resumer = new SyncManager();
+    const copySpy = vi.spyOn(resumer, 'copyOperationFile');
+    const summary = await resumer.resumeSession();
+
+    expect(summary.skippedOperations).toBe(1);
+    expect(copySpy).toHaveBeenCalledTimes(2);
+    expect((await fs.readdir(dest)).sort()).toEqual(['a.txt', 'b.txt', 'c.txt']);
+    expect(await resumer.sessions.latest()).toBeNull();
+  });
+
+  it('should record a resumed run under the direction and profile it started with', async () => {
+    const src = path.join(testDir, 'src');
+    const dest = path.join(testDir, 'dest');
+    await fs.mkdir(src, { recursive: true });
+    await fs.mkdir(dest, { recursive: true });
+    for (const name of ['a.txt', 'b.txt']) {
+      await fs.writeFile(path.join(src, name), name);
+    }
+
+    const interrupted = Object.assign(new SyncManager(), { runInfo: { profile: 'Work', direction: 'mirror' } });
+    await interruptAfterFirstCopy(interrupted, () => interrupted.syncFoldersOneWay(src, dest, { mirror: true }));
+
+    const handler = new SyncHandler();
+    try {
+      await handler.resume({ workerThreads: 1 });
+    } finally {
+      await handler.cleanup();
+    }
+
+    const [run] = await new SyncHistory().list({ limit: 1 });
+    expect(run).toMatchObject({ trigger: 'resume', direction: 'mirror', profile: 'Work', sourcePath: src, destinationPath: dest });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { rewriteLinkTarget } from '../../lib/symlinks.cjs';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Symbolic links', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('symlinks'));
+    await fs.mkdir(path.join(dirA, 'docs'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'docs', 'guide.md'), 'guide');
+  });
+
+  afterEach(() => removeTempTree());
+
+  const syncOneWay = (mode, manager = new SyncManager()) => {
+    manager.setSymlinkMode(mode);
+    return manager.syncFoldersOneWay(dirA, dirB);
+  };
+
+  const linkAt = (root, relPath) => fs.readlink(path.join(root, relPath));
+  const isLink = async (root, relPath) => (await fs.lstat(path.join(root, relPath))).isSymbolicLink();
+
+  it('should rewrite link targets for where the copy lands', () => {
+    const rewrite = (target, sourceRoot, destRoot, relPath = 'link') =>
+      rewriteLinkTarget(target, { relPath, sourceRoot, destRoot });
+
+    // Relative links inside the tree work anywhere; absolute ones follow the tree
+    expect(rewrite('docs/guide.md', '/home/me/proj', '/mnt/c/proj')).toBe('docs/guide.md');
+    expect(rewrite('/home/me/proj/docs', '/home/me/proj', '/home/me/copy')).toBe('/home/me/copy/docs');
+    expect(rewrite('/mnt/c/proj/docs', '/mnt/c/proj', '/home/me/proj')).toBe('/home/me/proj/docs');
+
+    // Windows cannot resolve /mnt paths, so links on a drive point relatively within it
+    expect(rewrite('/home/me/proj/docs', '/home/me/proj', '/mnt/c/proj', 'sub/link')).toBe('../docs');
+    expect(rewrite('/mnt/c/shared/lib', '/home/me/proj', '/mnt/c/work/proj')).toBe('../../shared/lib');
+
+    // Links out of the tree keep pointing at the same file
+    expect(rewrite('/usr/bin/python3', '/home/me/proj', '/mnt/c/proj')).toBe('/usr/bin/python3');
+    expect(rewrite('../shared/notes', '/home/me/proj', '/mnt/d/proj')).toBe('/home/me/shared/notes');
+    expect(rewrite('../shared/notes', '/home/me/proj', '/home/me/copy')).toBe('../shared/notes');
+  });
+
+  it('should recreate links as links when preserving them', async () => {
+    await fs.symlink(path.join('docs', 'guide.md'), path.join(dirA, 'relative.md'));
+    await fs.symlink(path.join(dirA, 'docs'), path.join(dirA, 'absolute'));
+    await fs.symlink('missing.txt', path.join(dirA, 'dangling'));
+
+    const summary = await syncOneWay('preserve');
+
+    expect(summary.operations.AtoB.filter(op => op.linkTarget !== undefined)).toHaveLength(3);
+    expect(await linkAt(dirB, 'relative.md')).toBe(path.join('docs', 'guide.md'));
+    expect(await linkAt(dirB, 'absolute')).toBe(path.join(dirB, 'docs'));
+    expect(await linkAt(dirB, 'dangling')).toBe('missing.txt');
+    expect(await fs.readFile(path.join(dirB, 'relative.md'), 'utf-8')).toBe('guide');
+
+    const again = await syncOneWay('preserve');
+    expect(again.operations.AtoB).toEqual([]);
+
+    // Pointing a link elsewhere updates the copy
+    await fs.rm(path.join(dirA, 'dangling'));
+    await fs.symlink('elsewhere.txt', path.join(dirA, 'dangling'));
+    await syncOneWay('preserve');
+    expect(await linkAt(dirB, 'dangling')).toBe('elsewhere.txt');
+  });
+
+  it('should copy what links point at and stop at link loops', async () => {
+    await fs.symlink(path.join('docs', 'guide.md'), path.join(dirA, 'guide-link.md'));
+    await fs.symlink('..', path.join(dirA, 'docs', 'loop'));
+    await fs.symlink('docs', path.join(dirA, 'docs-link'));
+
+    const manager = new SyncManager();
+    const warnings = [];
+    manager.on('warning', (warning) => warnings.push(warning));
+    await syncOneWay('copy', manager);
+
+    expect(await isLink(dirB, 'guide-link.md')).toBe(false);
+    expect(await fs.readFile(path.join(dirB, 'guide-link.md'), 'utf-8')).toBe('guide');
+    expect(await fs.readFile(path.join(dirB, 'docs-link', 'guide.md'), 'utf-8')).toBe('guide');
+    expect(warnings).toContain(`Skipping symlink loop: ${path.join(dirA, 'docs', 'loop')}`);
+    expect(warnings.length).toBeGreaterThanOrEqual(2); // Reached through docs and through docs-link
+  });
+
+  it('should leave links out when ignoring them', async () => {
+    await fs.symlink(path.join('docs', 'guide.md'), path.join(dirA, 'relative.md'));
+
+    await syncOneWay('ignore');
+
+    await expect(fs.lstat(path.join(dirB, 'relative.md'))).rejects.toThrow();
+    expect(await fs.readFile(path.join(dirB, 'docs', 'guide.md'), 'utf-8')).toBe('guide');
+  });
+
+  it('should carry links through the worker pool in both directions', async () => {
+    await fs.symlink(path.join('docs', 'guide.md'), path.join(dirA, 'from-a'));
+    await fs.symlink(path.join(dirB, 'notes.txt'), path.join(dirB, 'from-b'));
+    await fs.writeFile(path.join(dirB, 'notes.txt'), 'notes');
+
+    const handler = new SyncHandler({ symlinks: 'preserve' });
+    try {
+      await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1 });
+    } finally {
+      await handler.cleanup();
+    }
+
+    expect(await linkAt(dirB, 'from-a')).toBe(path.join('docs', 'guide.md'));
+    expect(await linkAt(dirA, 'from-b')).toBe(path.join(dirA, 'notes.txt'));
+    expect(await fs.readFile(path.join(dirA, 'from-b'), 'utf-8')).toBe('notes');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncHistory, parseSince } from '../../lib/sync-history.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Sync history', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('history'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Run one CLI-style sync with a fresh handler
+  const runSync = async (options) => {
+    const handler = new SyncHandler();
+    try {
+      return await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, ...options });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  it('should parse relative ages and dates for --since', () => {
+    const now = new Date('2024-05-10T12:00:00Z');
+    expect(parseSince('12h', now)).toEqual(new Date('2024-05-10T00:00:00Z'));
+    expect(parseSince('7d', now)).toEqual(new Date('2024-05-03T12:00:00Z'));
+    expect(parseSince('2024-05-01T00:00:00Z')).toEqual(new Date('2024-05-01T00:00:00Z'));
+    expect(() => parseSince('last tuesday')).toThrow('Invalid --since value');
+  });
+
+  it('should record what each sync run changed', async () => {
+    await fs.writeFile(path.join(dirA, 'new.txt'), 'new');
+    await fs.writeFile(path.join(dirB, 'theirs.txt'), 'theirs');
+
+    await runSync({ profile: 'work' });
+    await runSync({ dryRun: true });
+
+    const history = new SyncHistory();
+    const runs = await history.list();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      trigger: 'manual',
+      profile: 'work',
+      sourcePath: dirA,
+      destinationPath: dirB,
+      status: 'completed',
+      bytesTransferred: 9
+    });
+    expect(runs[0].counts).toMatchObject({ created: 2, updated: 0, deleted: 0, errors: 0 });
+    expect(runs[0].files).toBeUndefined();
+
+    const run = await history.load(runs[0].id.slice(0, 15));
+    expect(run.files.map(file => `${file.target}:${file.relPath}`).sort())
+      .toEqual(['destination:new.txt', 'source:theirs.txt']);
+  });
+
+  it('should filter runs by profile and start time and prune old runs', async () => {
+    const history = new SyncHistory({ maxRuns: 2 });
+    const run = (profile, startedAt) => history.record({
+      profile,
+      startedAt,
+      counts: {},
+      files: [],
+      errors: []
+    });
+
+    await run('work', '2024-05-01T10:00:00Z');
+    await run('home', '2024-05-02T10:00:00Z');
+    await run('work', '2024-05-03T10:00:00Z');
+
+    const all = await history.list();
+    expect(all.map(entry => entry.startedAt)).toEqual(['2024-05-03T10:00:00Z', '2024-05-02T10:00:00Z']);
+    expect((await history.list({ profile: 'work' })).map(entry => entry.profile)).toEqual(['work']);
+    expect(await history.list({ since: new Date('2024-05-02T12:00:00Z') })).toHaveLength(1);
+    await expect(history.load('20240501')).rejects.toThrow('Sync run not found');
+    await expect(history.load('202405')).rejects.toThrow('ambiguous');
+  });
+});
@@ -0,0 +1,291 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SyncStateStore } from '../../lib/sync-state.js';
+import { SyncManager } from '../../lib/sync.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('SyncStateStore', () => {
+  let dirA;
+  let dirB;
+  let stateStore;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('state'));
+
+    stateStore = new SyncStateStore();
+  });
+
+  afterEach(() => removeTempTree());
+
+  const scan = (dir) => new SyncManager().walkDir(dir, dir, { ignores: () => false });
+
+  describe('pair identity', () => {
+    it('should use the same state file regardless of direction', () => {
+      expect(stateStore.getStatePath(dirA, dirB)).toBe(stateStore.getStatePath(dirB, dirA));
+    });
+
+    it('should return snapshot sides in argument order', async () => {
+      await stateStore.save(dirA, dirB, { 'a.txt': { size: 1 } }, { 'b.txt': { size: 2 } });
+
+      const reversed = await stateStore.load(dirB, dirA);
+      expect(reversed.a).toEqual({ 'b.txt': { size: 2 } });
+      expect(reversed.b).toEqual({ 'a.txt': { size: 1 } });
+    });
+  });
+
+  describe('detectChanges', () => {
+    it('should treat every file as created without a snapshot', async () => {
+      await fs.writeFile(path.join(dirA, 'one.txt'), 'one');
+
+      const changes = await stateStore.detectChanges(await scan(dirA), null);
+
+      expect(changes.hasSnapshot).toBe(false);
+      expect(changes.created.map(f => f.relPath)).toEqual(['one.txt']);
+    });
+
+    it('should classify created, modified, deleted and renamed files', async () => {
+      await fs.writeFile(path.join(dirA, 'keep.txt'), 'keep');
+      await fs.writeFile(path.join(dirA, 'edit.txt'), 'before');
+      await fs.writeFile(path.join(dirA, 'remove.txt'), 'remove');
+      await fs.writeFile(path.join(dirA, 'old-name.txt'), 'moved content');
+
+      const snapshot = await stateStore.buildEntries(await scan(dirA));
+
+      await fs.writeFile(path.join(dirA, 'edit.txt'), 'after edit');
+      await fs.rm(path.join(dirA, 'remove.txt'));
+      await fs.rename(path.join(dirA, 'old-name.txt'), path.join(dirA, 'new-name.txt'));
+      await fs.writeFile(path.join(dirA, 'new.txt'), 'new');
+
+      const changes = await stateStore.detectChanges(await scan(dirA), snapshot);
+
+      expect(changes.created.map(f => f.relPath)).toEqual(['new.txt']);
+      expect(changes.modified.map(f => f.relPath)).toEqual(['edit.txt']);
+      expect(changes.deleted.map(f => f.relPath)).toEqual(['remove.txt']);
+      expect(changes.unchanged.map(f => f.relPath)).toEqual(['keep.txt']);
+      expect(changes.renamed).toHaveLength(1);
+      expect(changes.renamed[0]).toMatchObject({ from: 'old-name.txt', to: 'new-name.txt' });
+    });
+
+    it('should match a moved file by inode without hashing it', async () => {
+      await fs.writeFile(path.join(dirA, 'before.txt'), 'inode content');
+      const snapshot = await stateStore.buildEntries(await scan(dirA));
+      await fs.rename(path.join(dirA, 'before.txt'), path.join(dirA, 'after.txt'));
+
+      const hashFile = vi.fn();
+      const changes = await new SyncStateStore({ hashFile }).detectChanges(await scan(dirA), snapshot);
+
+      expect(changes.renamed[0]).toMatchObject({ from: 'before.txt', to: 'after.txt' });
+      expect(hashFile).not.toHaveBeenCalled();
+    });
+
+    it('should not report a touched file with identical content as modified', async () => {
+      const filePath = path.join(dirA, 'touched.txt');
+      await fs.writeFile(filePath, 'same');
+      const snapshot = await stateStore.buildEntries(await scan(dirA));
+
+      const later = new Date(Date.now() + 60000);
+      await fs.utimes(filePath, later, later);
+
+      const changes = await stateStore.detectChanges(await scan(dirA), snapshot);
+      expect(changes.modified).toHaveLength(0);
+      expect(changes.unchanged).toHaveLength(1);
+    });
+  });
+
+  describe('two-way sync', () => {
+    it('should propagate deletions once a snapshot exists', async () => {
+      await fs.writeFile(path.join(dirA, 'shared.txt'), 'shared');
+      await fs.writeFile(path.join(dirA, 'doomed.txt'), 'doomed');
+
+      const manager = new SyncManager();
+      await manager.syncFoldersTwoWay(dirA, dirB);
+      expect(await fs.readFile(path.join(dirB, 'doomed.txt'), 'utf-8')).toBe('doomed');
+
+      await fs.rm(path.join(dirB, 'doomed.txt'));
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await expect(fs.access(path.join(dirA, 'doomed.txt'))).rejects.toThrow();
+      expect(summary.operations.BtoA).toEqual([
+        expect.objectContaining({ type: 'delete', relPath: 'doomed.txt' })
+      ]);
+    });
+
+    it('should copy a file created on one side instead of deleting it', async () => {
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+      await fs.writeFile(path.join(dirB, 'fresh.txt'), 'fresh');
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      expect(await fs.readFile(path.join(dirA, 'fresh.txt'), 'utf-8')).toBe('fresh');
+    });
+
+    it('should keep an edit that races a deletion on the other side', async () => {
+      await fs.writeFile(path.join(dirA, 'race.txt'), 'v1');
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await fs.writeFile(path.join(dirA, 'race.txt'), 'v2 edited');
+      await fs.rm(path.join(dirB, 'race.txt'));
+
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      expect(await fs.readFile(path.join(dirB, 'race.txt'), 'utf-8')).toBe('v2 edited');
+      expect(summary.conflicts[0]).toMatchObject({ path: 'race.txt', type: 'modified-deleted' });
+    });
+
+    it('should replay a rename as a move on the other side', async () => {
+      await fs.mkdir(path.join(dirA, 'old'), { recursive: true });
+      await fs.writeFile(path.join(dirA, 'old', 'big.bin'), 'x'.repeat(4096));
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await fs.rename(path.join(dirA, 'old'), path.join(dirA, 'new'));
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      expect(summary.operations.AtoB.filter(op => op.type !== 'utimes')).toEqual([
+        expect.objectContaining({ type: 'move', fromRelPath: path.join('old', 'big.bin'), relPath: path.join('new', 'big.bin') }),
+        expect.objectContaining({ type: 'rmdir', relPath: 'old' })
+      ]);
+      expect(summary.copiedFiles).toBe(0);
+      await expect(fs.access(path.join(dirB, 'old'))).rejects.toThrow();
+      expect(await fs.readFile(path.join(dirB, 'new', 'big.bin'), 'utf-8')).toBe('x'.repeat(4096));
+
+      const again = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+      expect(again.operations.AtoB).toHaveLength(0);
+      expect(again.operations.BtoA).toHaveLength(0);
+    });
+
+    it('should copy instead of moving when the other side changed the original', async () => {
+      await fs.writeFile(path.join(dirA, 'doc.txt'), 'v1');
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await fs.rename(path.join(dirA, 'doc.txt'), path.join(dirA, 'renamed.txt'));
+      await fs.writeFile(path.join(dirB, 'doc.txt'), 'edited on b');
+
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      expect(summary.operations.AtoB.map(op => op.type)).not.toContain('move');
+      expect(await fs.readFile(path.join(dirB, 'renamed.txt'), 'utf-8')).toBe('v1');
+      expect(await fs.readFile(path.join(dirB, 'doc.txt'), 'utf-8')).toBe('edited on b');
+    });
+
+    it('should move files in the destination of a one-way sync', async () => {
+      await fs.writeFile(path.join(dirA, 'report.txt'), 'report');
+      await new SyncManager().syncFoldersOneWay(dirA, dirB);
+
+      await fs.rename(path.join(dirA, 'report.txt'), path.join(dirA, 'report-final.txt'));
+      const summary = await new SyncManager().syncFoldersOneWay(dirA, dirB);
+
+      expect(summary.operations.AtoB).toEqual([
+        expect.objectContaining({ type: 'move', fromRelPath: 'report.txt', relPath: 'report-final.txt' })
+      ]);
+      await expect(fs.access(path.join(dirB, 'report.txt'))).rejects.toThrow();
+      expect(await fs.readFile(path.join(dirB, 'report-final.txt'), 'utf-8')).toBe('report');
+    });
+
+    it('should not record state in dry run mode', async () => {
+      await fs.writeFile(path.join(dirA, 'file.txt'), 'content');
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB, { dryRun: true });
+
+      expect(await stateStore.load(dirA, dirB)).toBeNull();
+      await expect(fs.access(path.join(dirB, 'file.txt'))).rejects.toThrow();
+    });
+  });
+
+  describe('conflict strategies', () => {
+    // Sync once, then edit the same file differently on both sides
+    const createConflict = async () => {
+      await fs.writeFile(path.join(dirA, 'both.txt'), 'original');
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await fs.writeFile(path.join(dirA, 'both.txt'), 'source edit');
+      await fs.writeFile(path.join(dirB, 'both.txt'), 'destination edit');
+
+      const older = new Date(Date.now() - 60000);
+      await fs.utimes(path.join(dirA, 'both.txt'), older, older);
+    };
+
+    const read = (dir) => fs.readFile(path.join(dir, 'both.txt'), 'utf-8');
+
+    it('should keep the newer file by default', async () => {
+      await createConflict();
+
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      expect(await read(dirA)).toBe('destination edit');
+      expect(summary.conflicts[0]).toMatchObject({ type: 'both-modified', resolution: 'newer', winner: 'b' });
+    });
+
+    it('should always keep the source file with the source strategy', async () => {
+      await createConflict();
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'source' });
+
+      expect(await read(dirB)).toBe('source edit');
+    });
+
+    it('should always keep the destination file with the destination strategy', async () => {
+      await createConflict();
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'destination' });
+
+      expect(await read(dirA)).toBe('destination edit');
+    });
+
+    it('should let the destination deletion win a modified-deleted conflict', async () => {
+      await fs.writeFile(path.join(dirA, 'race.txt'), 'v1');
+      await fs.writeFile(path.join(dirA, 'stays.txt'), 'stays');
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB);
+
+      await fs.writeFile(path.join(dirA, 'race.txt'), 'v2 edited');
+      await fs.rm(path.join(dirB, 'race.txt'));
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'destination' });
+
+      await expect(fs.access(path.join(dirA, 'race.txt'))).rejects.toThrow();
+    });
+
+    it('should skip unresolved conflicts in manual mode and report them again', async () => {
+      await createConflict();
+
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'manual' });
+
+      expect(summary.unresolvedConflicts).toEqual(['both.txt']);
+      expect(await read(dirA)).toBe('source edit');
+      expect(await read(dirB)).toBe('destination edit');
+
+      const again = await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'manual' });
+      expect(again.conflicts.map(c => c.path)).toEqual(['both.txt']);
+    });
+
+    it('should apply per-file choices in manual mode', async () => {
+      await createConflict();
+
+      await new SyncManager().syncFoldersTwoWay(dirA, dirB, {
+        conflictResolution: 'manual',
+        resolutions: { 'both.txt': 'source' }
+      });
+
+      expect(await read(dirB)).toBe('source edit');
+    });
+
+    it('should keep both versions with the keep-both strategy', async () => {
+      await createConflict();
+
+      const summary = await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'keep-both' });
+
+      expect(summary.conflictCopies).toHaveLength(1);
+      const copyPath = summary.conflictCopies[0];
+      expect(copyPath).toMatch(/^both\.conflict-.+-\d{8}-\d{6}\.txt$/);
+
+      expect(await read(dirA)).toBe('destination edit');
+      expect(await read(dirB)).toBe('destination edit');
+      expect(await fs.readFile(path.join(dirA, copyPath), 'utf-8')).toBe('source edit');
+      expect(await fs.readFile(path.join(dirB, copyPath), 'utf-8')).toBe('source edit');
+
+      const again = await new SyncManager().syncFoldersTwoWay(dirA, dirB, { conflictResolution: 'keep-both' });
+      expect(again.operations.AtoB).toHaveLength(0);
+      expect(again.operations.BtoA).toHaveLength(0);
+    });
+  });
+});
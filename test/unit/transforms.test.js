@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { parseTransformRules, transformsFor, applyTransforms } from '../../lib/transforms.cjs';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Transform rules', () => {
+  let dirA;
+  let dirB;
+
+  const BOM = '\uFEFF';
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('transforms'));
+    await fs.mkdir(path.join(dirA, 'scripts'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'scripts', 'build.sh'), '#!/bin/sh\r\necho built\r\n');
+    await fs.writeFile(path.join(dirA, 'readme.txt'), `${BOM}read me\r\n`);
+    await fs.writeFile(path.join(dirA, 'scripts', 'packed.sh'), Buffer.from('#!/bin/sh\r\n\0\x01\r\n', 'latin1'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  const rules = { '*.sh': 'lf', '*.txt': 'utf8-bom-strip' };
+
+  const manager = () => {
+    const syncManager = new SyncManager();
+    syncManager.setTransformRules(rules);
+    return syncManager;
+  };
+
+  const read = (root, relPath) => fs.readFile(path.join(root, relPath), 'latin1');
+  const copies = (summary) => [...summary.operations.AtoB, ...summary.operations.BtoA]
+    .filter(op => op.type === 'create' || op.type === 'update');
+
+  it('should parse rules from profiles and the command line', () => {
+    expect(parseTransformRules({ '*.sh': 'lf', '*.txt': 'crlf, utf8-bom-strip' })).toEqual([
+      { pattern: '*.sh', transforms: ['lf'] },
+      { pattern: '*.txt', transforms: ['crlf', 'utf8-bom-strip'] }
+    ]);
+    expect(parseTransformRules(['*.bat: crlf', 'docs/**:lf'])).toEqual([
+      { pattern: '*.bat', transforms: ['crlf'] },
+      { pattern: 'docs/**', transforms: ['lf'] }
+    ]);
+    expect(() => parseTransformRules({ '*.sh': 'unix' })).toThrow('Invalid transform: unix');
+    expect(() => parseTransformRules(['*.sh'])).toThrow('Invalid transform rule: *.sh');
+
+    const parsed = parseTransformRules(rules);
+    expect(transformsFor(path.join('scripts', 'build.sh'), parsed)).toEqual(['lf']);
+    expect(transformsFor('build.py', parsed)).toEqual([]);
+  });
+
+  it('should rewrite line endings and strip byte order marks', () => {
+    const convert = (text, transforms) => applyTransforms(Buffer.from(text), transforms).toString();
+
+    expect(convert('a\r\nb\r\n', ['lf'])).toBe('a\nb\n');
+    expect(convert('a\nb\r\n', ['crlf'])).toBe('a\r\nb\r\n');
+    expect(convert(`${BOM}a`, ['utf8-bom-strip'])).toBe('a');
+    expect(convert('a', ['utf8-bom-strip'])).toBe('a');
+  });
+
+  it('should transform text copies, leave binaries alone and settle afterwards', async () => {
+    const summary = await manager().syncFoldersOneWay(dirA, dirB);
+
+    expect(summary.errors).toEqual([]);
+    expect(await read(dirB, path.join('scripts', 'build.sh'))).toBe('#!/bin/sh\necho built\n');
+    expect(await fs.readFile(path.join(dirB, 'readme.txt'), 'utf-8')).toBe('read me\r\n');
+    expect(await read(dirB, path.join('scripts', 'packed.sh'))).toBe(await read(dirA, path.join('scripts', 'packed.sh')));
+
+    // The copies differ from their sources on purpose, so no comparison copies them again
+    for (const options of [{}, { compare: 'hash' }, { mirror: true }, { mirror: true, compare: 'hash' }]) {
+      expect(copies(await manager().syncFoldersOneWay(dirA, dirB, options))).toEqual([]);
+    }
+
+    await fs.writeFile(path.join(dirA, 'scripts', 'build.sh'), '#!/bin/sh\r\necho rebuilt\r\n');
+    const edited = await manager().syncFoldersOneWay(dirA, dirB, { compare: 'hash' });
+    expect(copies(edited).map(op => op.relPath)).toEqual([path.join('scripts', 'build.sh')]);
+    expect(await read(dirB, path.join('scripts', 'build.sh'))).toBe('#!/bin/sh\necho rebuilt\n');
+  });
+
+  it('should not mistake a transformed copy for a change in two-way syncs', async () => {
+    await manager().syncFoldersTwoWay(dirA, dirB);
+    expect(await read(dirB, path.join('scripts', 'build.sh'))).toBe('#!/bin/sh\necho built\n');
+
+    expect(copies(await manager().syncFoldersTwoWay(dirA, dirB))).toEqual([]);
+    expect(copies(await manager().syncFoldersTwoWay(dirA, dirB, { compare: 'hash' }))).toEqual([]);
+    expect(await read(dirA, path.join('scripts', 'build.sh'))).toBe('#!/bin/sh\r\necho built\r\n');
+
+    // An edit to the copy is still an edit
+    await fs.writeFile(path.join(dirB, 'scripts', 'build.sh'), '#!/bin/sh\necho edited\n');
+    const edited = await manager().syncFoldersTwoWay(dirA, dirB);
+    expect(copies(edited).map(op => `${op.direction} ${op.relPath}`)).toEqual([`BtoA ${path.join('scripts', 'build.sh')}`]);
+  });
+
+  it('should transform copies made by the worker pool', async () => {
+    const handler = new SyncHandler();
+    try {
+      const options = {
+        sourcePath: dirA,
+        destinationPath: dirB,
+        direction: 'source-to-dest',
+        workerThreads: 1,
+        transforms: ['*.sh:lf']
+      };
+      const result = await handler.sync(options);
+      expect(result.success).toBe(true);
+      expect(await read(dirB, path.join('scripts', 'build.sh'))).toBe('#!/bin/sh\necho built\n');
+
+      // What was written is counted, not the source's size
+      const written = (await fs.stat(path.join(dirB, 'scripts', 'build.sh'))).size;
+      const run = await handler.history.load((await handler.history.list())[0].id);
+      expect(run.files.find(file => file.relPath === path.join('scripts', 'build.sh')).size).toBe(written);
+      expect(handler.syncManager.getMetrics().bytesTransferred).toBe(run.bytesTransferred);
+
+      const again = await handler.sync({ ...options, compare: 'hash' });
+      expect(again.syncedFiles).toBe(0);
+    } finally {
+      await handler.cleanup();
+    }
+  });
+});
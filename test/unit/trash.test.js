@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Trash, RECYCLE_BIN_DIR } from '../../lib/trash.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Trash', () => {
+  let testDir;
+  let mountRoot;
+  let originalDataHome;
+
+  beforeEach(async () => {
+    ({ testDir } = await createTempTree('trash', { roots: false }));
+    mountRoot = path.join(testDir, 'mnt');
+    await fs.mkdir(path.join(mountRoot, 'c', 'Users'), { recursive: true });
+    await fs.mkdir(path.join(testDir, 'linux'), { recursive: true });
+
+    originalDataHome = process.env.XDG_DATA_HOME;
+    delete process.env.XDG_DATA_HOME;
+  });
+
+  afterEach(async () => {
+    if (originalDataHome === undefined) {
+      delete process.env.XDG_DATA_HOME;
+    } else {
+      process.env.XDG_DATA_HOME = originalDataHome;
+    }
+    await removeTempTree();
+  });
+
+  it('should trash Linux paths into the freedesktop.org home trash and restore them', async () => {
+    const trash = new Trash({ mountRoot });
+    const filePath = path.join(testDir, 'linux', 'my notes.txt');
+    const homeTrash = path.join(testDir, 'home', '.local', 'share', 'Trash');
+
+    await fs.writeFile(filePath, 'first');
+    await trash.moveToTrash(filePath);
+    await fs.writeFile(filePath, 'second');
+    const second = await trash.moveToTrash(filePath);
+
+    expect(second.name).toBe('my notes.txt.2');
+    expect(await fs.readFile(path.join(homeTrash, 'files', 'my notes.txt'), 'utf-8')).toBe('first');
+    const info = await fs.readFile(path.join(homeTrash, 'info', 'my notes.txt.trashinfo'), 'utf-8');
+    expect(info).toMatch(/^\[Trash Info\]\nPath=\/.*\/linux\/my%20notes\.txt\nDeletionDate=\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\nX-WSL-Sync-Trashed=true\n$/);
+
+    const items = await trash.find(filePath);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ name: 'my notes.txt.2', originalPath: filePath, size: 6, trashDir: homeTrash });
+
+    await trash.restore(items[1]);
+    expect(await fs.readFile(filePath, 'utf-8')).toBe('first');
+    await expect(trash.restore(items[0])).rejects.toThrow('something else exists');
+  });
+
+  it('should use a recycle folder on the drive for /mnt paths and empty every trash', async () => {
+    const trash = new Trash({ mountRoot });
+    const filePath = path.join(mountRoot, 'c', 'Users', 'report.docx');
+    await fs.writeFile(filePath, 'report');
+    await fs.writeFile(path.join(testDir, 'linux', 'a.txt'), 'a');
+
+    await trash.moveToTrash(filePath);
+    await trash.moveToTrash(path.join(testDir, 'linux', 'a.txt'));
+
+    const driveTrash = path.join(mountRoot, 'c', RECYCLE_BIN_DIR);
+    expect(await fs.readdir(path.join(driveTrash, 'files'))).toEqual(['report.docx']);
+    expect((await trash.list()).map(item => item.trashDir).sort())
+      .toEqual([driveTrash, trash.homeTrashDir].sort());
+
+    expect(await trash.empty()).toEqual({ removed: 2, freed: 7 });
+    expect(await trash.list()).toEqual([]);
+  });
+
+  it('should leave other applications\' items alone and skip unreadable ones', async () => {
+    const trash = new Trash({ mountRoot });
+    const homeTrash = trash.homeTrashDir;
+    await fs.mkdir(path.join(homeTrash, 'files'), { recursive: true });
+    await fs.mkdir(path.join(homeTrash, 'info'), { recursive: true });
+
+    // Trashed by a file manager, and one whose path is not valid percent-encoding
+    await fs.writeFile(path.join(homeTrash, 'files', 'photo.jpg'), 'photo');
+    await fs.writeFile(path.join(homeTrash, 'info', 'photo.jpg.trashinfo'),
+      '[Trash Info]\nPath=/home/me/photo.jpg\nDeletionDate=2026-01-01T10:00:00\n');
+    await fs.writeFile(path.join(homeTrash, 'files', 'broken.txt'), 'broken');
+    await fs.writeFile(path.join(homeTrash, 'info', 'broken.txt.trashinfo'),
+      '[Trash Info]\nPath=/home/me/100%.txt\nDeletionDate=2026-01-01T10:00:00\nX-WSL-Sync-Trashed=true\n');
+
+    const filePath = path.join(testDir, 'linux', 'mine.txt');
+    await fs.writeFile(filePath, 'mine');
+    await trash.moveToTrash(filePath);
+
+    expect((await trash.list()).map(item => item.name)).toEqual(['mine.txt']);
+    expect(await trash.empty()).toEqual({ removed: 1, freed: 4 });
+    expect((await fs.readdir(path.join(homeTrash, 'files'))).sort()).toEqual(['broken.txt', 'photo.jpg']);
+  });
+
+  it('should move files a sync deletes to the trash when asked', async () => {
+    const dirA = path.join(testDir, 'linux', 'a');
+    const dirB = path.join(testDir, 'linux', 'b');
+    await fs.mkdir(dirA, { recursive: true });
+    await fs.mkdir(dirB, { recursive: true });
+    await fs.writeFile(path.join(dirA, 'gone.txt'), 'gone');
+    await fs.writeFile(path.join(dirA, 'stays.txt'), 'stays');
+
+    const runSync = async () => {
+      const handler = new SyncHandler({ trash: true });
+      try {
+        await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1 });
+      } finally {
+        await handler.cleanup();
+      }
+    };
+
+    await runSync();
+    await fs.rm(path.join(dirA, 'gone.txt'));
+    await runSync();
+
+    await expect(fs.access(path.join(dirB, 'gone.txt'))).rejects.toThrow();
+    const [item] = await new Trash({ mountRoot }).find(path.join(dirB, 'gone.txt'));
+    expect(item.name).toBe('gone.txt');
+  });
+});
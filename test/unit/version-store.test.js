@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { VersionStore, VERSIONS_DIR, findVersionRoot } from '../../lib/version-store.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree, write } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Version store', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('versions'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  const runSync = async (handlerOptions = {}) => {
+    const handler = new SyncHandler(handlerOptions);
+    try {
+      return await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1 });
+    } finally {
+      await handler.cleanup();
+    }
+  };
+
+  it('should keep overwritten and deleted files and never sync the store', async () => {
+    const versions = { keepLast: 10, keepDays: 0, maxSizeMB: 0 };
+    await write(dirA, path.join('docs', 'report.txt'), 'v1', 30);
+    await write(dirA, 'old.txt', 'old', 30);
+    await runSync({ versions });
+
+    await write(dirA, path.join('docs', 'report.txt'), 'v2', 20);
+    await fs.rm(path.join(dirA, 'old.txt'));
+    await runSync({ versions });
+
+    await write(dirA, path.join('docs', 'report.txt'), 'v3', 10);
+    await runSync({ versions });
+
+    const store = new VersionStore(versions);
+    const reportVersions = await store.list(dirB, path.join('docs', 'report.txt'));
+    expect(reportVersions.map(version => version.version)).toEqual([1, 2]);
+    expect(await fs.readFile(reportVersions[0].path, 'utf-8')).toBe('v2');
+    expect(await fs.readFile(reportVersions[1].path, 'utf-8')).toBe('v1');
+    expect(await store.list(dirB, 'old.txt')).toHaveLength(1);
+
+    // Neither side's store is copied to the other
+    await expect(fs.access(path.join(dirA, VERSIONS_DIR))).rejects.toThrow();
+    const result = await runSync({ versions });
+    expect(result.syncedFiles).toBe(0);
+
+    expect(await findVersionRoot(path.join(dirB, 'docs', 'report.txt')))
+      .toEqual({ root: dirB, relPath: path.join('docs', 'report.txt') });
+  });
+
+  it('should restore a version and keep the replaced content', async () => {
+    const store = new VersionStore();
+    await write(dirB, 'notes.txt', 'first', 30);
+    await store.save(dirB, 'notes.txt');
+    await write(dirB, 'notes.txt', 'second', 10);
+
+    const result = await store.restore(dirB, 'notes.txt', 1);
+    expect(result.savedCurrent).toBe(true);
+    expect(await fs.readFile(path.join(dirB, 'notes.txt'), 'utf-8')).toBe('first');
+
+    const [newest] = await store.list(dirB, 'notes.txt');
+    expect(await fs.readFile(newest.path, 'utf-8')).toBe('second');
+    await expect(store.restore(dirB, 'notes.txt', 5)).rejects.toThrow('Version 5 of notes.txt not found');
+  });
+
+  it('should prune versions by count, age and total size', async () => {
+    const versionDir = path.join(dirB, VERSIONS_DIR, 'data.bin');
+    await fs.mkdir(versionDir, { recursive: true });
+    const names = ['20240101-000000000', '20240501-000000000', '20240502-000000000', '20240503-000000000'];
+    for (const name of names) {
+      await fs.writeFile(path.join(versionDir, name), Buffer.alloc(1024));
+    }
+    const now = new Date('2024-05-10T00:00:00Z');
+
+    // Age: the January version is past 30 days
+    let result = await new VersionStore({ keepLast: 0, keepDays: 30, maxSizeMB: 0 }).prune(dirB, now);
+    expect(result).toEqual({ removed: 1, freed: 1024 });
+
+    // Count: keep the two newest
+    result = await new VersionStore({ keepLast: 2, keepDays: 0, maxSizeMB: 0 }).prune(dirB, now);
+    expect(result.removed).toBe(1);
+
+    // Size: a 1 KB cap leaves only the newest
+    result = await new VersionStore({ keepLast: 0, keepDays: 0, maxSizeMB: 1 / 1024 }).prune(dirB, now);
+    expect(result.removed).toBe(1);
+    expect(await fs.readdir(versionDir)).toEqual(['20240503-000000000']);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncWatcher, needsPolling } from '../../lib/watcher.js';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Watch mode', () => {
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ dirA, dirB } = await createTempTree('watch'));
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Resolve with the first change event
+  const nextChange = (watcher) => new Promise(resolve => watcher.once('change', resolve));
+
+  it('should poll drvfs and Windows paths', () => {
+    expect(needsPolling('/mnt/c/Users/me')).toBe(true);
+    expect(needsPolling('C:\\Users\\me')).toBe(true);
+    expect(needsPolling('/home/me')).toBe(false);
+  });
+
+  it('should debounce a burst of polled changes into one event', async () => {
+    await fs.writeFile(path.join(dirA, 'kept.txt'), 'kept');
+    await fs.writeFile(path.join(dirA, 'removed.txt'), 'removed');
+
+    const watcher = new SyncWatcher({ polling: true, pollInterval: 50, debounce: 100 });
+    expect(await watcher.watch(dirA)).toBe('polling');
+
+    const change = nextChange(watcher);
+    await fs.mkdir(path.join(dirA, 'sub'));
+    await fs.writeFile(path.join(dirA, 'sub', 'new.txt'), 'new');
+    await fs.rm(path.join(dirA, 'removed.txt'));
+
+    expect((await change).sort()).toEqual(['removed.txt', path.join('sub', 'new.txt')]);
+    await watcher.close();
+  });
+
+  it('should report native events from directories created after start', async () => {
+    const watcher = new SyncWatcher({
+      polling: false,
+      debounce: 50,
+      shouldIgnore: (relPath) => relPath.endsWith('.tmp')
+    });
+    expect(await watcher.watch(dirA)).toBe('native');
+
+    let change = nextChange(watcher);
+    await fs.mkdir(path.join(dirA, 'nested'));
+    expect(await change).toContain('nested');
+
+    change = nextChange(watcher);
+    await fs.writeFile(path.join(dirA, 'nested', 'scratch.tmp'), 'ignored');
+    await fs.writeFile(path.join(dirA, 'nested', 'file.txt'), 'content');
+    expect(await change).toEqual([path.join('nested', 'file.txt')]);
+
+    await watcher.close();
+  });
+
+  it('should sync only the scoped paths and keep state for the rest', async () => {
+    await fs.writeFile(path.join(dirA, 'one.txt'), 'one');
+    await fs.writeFile(path.join(dirA, 'two.txt'), 'two');
+
+    const manager = new SyncManager();
+    await manager.syncFoldersTwoWay(dirA, dirB);
+
+    await fs.writeFile(path.join(dirA, 'three.txt'), 'three');
+    await fs.writeFile(path.join(dirA, 'four.txt'), 'four');
+    await fs.rm(path.join(dirB, 'two.txt'));
+
+    const scoped = await manager.syncFoldersTwoWay(dirA, dirB, { paths: ['three.txt'] });
+    expect(scoped.operations.AtoB.map(op => op.relPath)).toEqual(['three.txt']);
+    expect(scoped.operations.BtoA).toHaveLength(0);
+
+    // Files outside the scope are still tracked, so a full run sees the real changes
+    const full = await manager.syncFoldersTwoWay(dirA, dirB, { dryRun: true });
+    expect(full.operations.AtoB.map(op => op.relPath)).toEqual(['four.txt']);
+    expect(full.operations.BtoA.map(op => `${op.type}:${op.relPath}`)).toEqual(['delete:two.txt']);
+  });
+
+  it('should run an initial sync and then sync changed files', async () => {
+    await fs.writeFile(path.join(dirA, 'existing.txt'), 'existing');
+
+    const handler = new SyncHandler();
+    await handler.prepareCliSync({ workerThreads: 1 });
+
+    const syncs = [];
+    handler.on('watch-sync', (event) => syncs.push(event));
+    const syncedPath = (relPath) => new Promise(resolve => {
+      handler.on('watch-sync', ({ paths }) => paths.includes(relPath) && resolve());
+    });
+
+    try {
+      let done = syncedPath('');
+      await handler.startWatching(dirA, dirB, { polling: true, pollInterval: 50, debounce: 50 });
+      await done;
+      expect(syncs[0].paths).toEqual(['']);
+      expect(await fs.readFile(path.join(dirB, 'existing.txt'), 'utf-8')).toBe('existing');
+
+      // Copies made by the first sync may echo back as changes - they sync as no-ops
+      done = syncedPath('reply.txt');
+      await fs.writeFile(path.join(dirB, 'reply.txt'), 'reply');
+      await done;
+
+      expect(await fs.readFile(path.join(dirA, 'reply.txt'), 'utf-8')).toBe('reply');
+      expect(handler.watchStatus.syncCount).toBe(syncs.length);
+      expect(syncs.every(({ result }) => result.errors.length === 0)).toBe(true);
+    } finally {
+      await handler.cleanup();
+    }
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import {
+  windowsNameProblem,
+  encodeWindowsName,
+  decodeWindowsName,
+  checkWindowsNames
+} from '../../lib/windows-names.js';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Windows names', () => {
+  let testDir;
+  let dirA;
+  let dirB;
+
+  beforeEach(async () => {
+    ({ testDir, dirA, dirB } = await createTempTree('names'));
+    await fs.mkdir(path.join(dirA, 'draft?'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'draft?', 'notes: monday.txt'), 'notes');
+    await fs.writeFile(path.join(dirA, 'aux.txt'), 'aux');
+    await fs.writeFile(path.join(dirA, 'plain.txt'), 'plain');
+  });
+
+  afterEach(() => removeTempTree());
+
+  // Stand in for a Windows drive at dirB, which the temp directory is not
+  const onDrive = (root) => path.resolve(root) === path.resolve(dirB);
+
+  const manager = () => {
+    const syncManager = Object.assign(new SyncManager(), { mapWindowsNames: true });
+    vi.spyOn(syncManager, 'restrictsNames').mockImplementation(onDrive);
+    return syncManager;
+  };
+
+  const listing = async (root) => (await fs.readdir(root, { recursive: true })).sort();
+
+  it('should name what Windows refuses and encode it reversibly', () => {
+    expect(windowsNameProblem('a:b.txt')).toBe('contains ":"');
+    expect(windowsNameProblem('tab\there')).toBe('contains a control character');
+    expect(windowsNameProblem('final.')).toBe('ends with a dot');
+    expect(windowsNameProblem('Con.txt')).toBe('CON is a reserved device name');
+    expect(windowsNameProblem('console.txt')).toBe(null);
+
+    for (const name of ['a:b?.txt', 'final. ', 'Con.txt', 'lpt1', 'plain.txt']) {
+      const encoded = encodeWindowsName(name);
+      expect(windowsNameProblem(encoded)).toBe(null);
+      expect(encodeWindowsName(encoded)).toBe(encoded);
+      expect(decodeWindowsName(encoded)).toBe(name);
+    }
+    expect(encodeWindowsName('a:b')).toBe('a\uF03Ab');
+  });
+
+  it('should report each refused name once and paths too long for Windows', () => {
+    const long = 'x'.repeat(121);
+    const problems = checkWindowsNames([
+      { relPath: path.join('draft?', 'one.txt'), destination: path.join('/mnt/c/sync', 'draft?', 'one.txt') },
+      { relPath: path.join('draft?', 'two*.txt'), destination: path.join('/mnt/c/sync', 'draft?', 'two*.txt') },
+      { relPath: path.join(long, long, 'deep.txt'), destination: path.join('/mnt/c/sync', long, long, 'deep.txt') }
+    ], { mapped: true });
+
+    expect(problems).toEqual([
+      { path: 'draft?', reason: 'contains "?"', mappedTo: 'draft\uF03F' },
+      { path: path.join('draft?', 'two*.txt'), reason: 'contains "*"', mappedTo: path.join('draft\uF03F', 'two\uF02A.txt') },
+      { path: path.join(long, long, 'deep.txt'), reason: 'path is 260 characters, over the 259 Windows allows' }
+    ]);
+  });
+
+  it('should store refused names encoded on the drive and decode them on the way back', async () => {
+    const summary = await manager().syncFoldersOneWay(dirA, dirB);
+
+    expect(summary.errors).toEqual([]);
+    expect(await listing(dirB)).toEqual([
+      'draft\uF03F',
+      path.join('draft\uF03F', 'notes\uF03A monday.txt'),
+      'plain.txt',
+      '\uF061ux.txt'
+    ]);
+
+    const again = await manager().syncFoldersOneWay(dirA, dirB);
+    expect(again.operations.AtoB).toEqual([]);
+
+    const dirC = path.join(testDir, 'c');
+    await manager().syncFoldersOneWay(dirB, dirC);
+    expect(await listing(dirC)).toEqual(await listing(dirA));
+  });
+
+  it('should keep a two-way pair with mapped names settled', async () => {
+    await manager().syncFoldersTwoWay(dirA, dirB);
+    await fs.writeFile(path.join(dirB, 'draft\uF03F', 'notes\uF03A monday.txt'), 'edited on windows');
+
+    const summary = await manager().syncFoldersTwoWay(dirA, dirB);
+
+    expect(summary.operations.BtoA.filter(op => op.type !== 'utimes').map(op => `${op.type} ${op.relPath}`)).toEqual([
+      `update ${path.join('draft?', 'notes: monday.txt')}`
+    ]);
+    expect(await fs.readFile(path.join(dirA, 'draft?', 'notes: monday.txt'), 'utf-8')).toBe('edited on windows');
+    expect(await listing(dirB)).toHaveLength(4);
+  });
+
+  it('should list names the drive refuses in the preview', async () => {
+    const handler = new SyncHandler();
+    try {
+      await handler.prepareCliSync({ workerThreads: 1 });
+      vi.spyOn(handler.syncManager, 'restrictsNames').mockImplementation(onDrive);
+
+      const preview = await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(preview.nameWarnings).toEqual([
+        { path: 'aux.txt', reason: 'AUX is a reserved device name' },
+        { path: 'draft?', reason: 'contains "?"' },
+        { path: path.join('draft?', 'notes: monday.txt'), reason: 'contains ":"' }
+      ]);
+
+      // Nothing is refused syncing back to the Linux side
+      const back = await handler.preview(dirA, dirB, { syncDirection: 'dest-to-source' });
+      expect(back.nameWarnings).toEqual([]);
+
+      handler.syncManager.mapWindowsNames = true;
+      const mapped = await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(mapped.nameWarnings[0]).toEqual({
+        path: 'aux.txt',
+        reason: 'AUX is a reserved device name',
+        mappedTo: '\uF061ux.txt'
+      });
+    } finally {
+      await handler.cleanup();
+    }
+  });
+});
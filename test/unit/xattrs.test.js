@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SyncManager } from '../../lib/sync.js';
+import { SyncHandler } from '../../lib/sync-handler.js';
+import { parseXattrDump, readXattrTree, writeXattrs } from '../../lib/xattrs.cjs';
+import { createTempTree, removeTempTree } from '../mocks/temp-tree.js';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+
+const hasAttrTools = (() => {
+  try {
+    execFileSync('getfattr', ['--version'], { stdio: 'ignore' });
+    execFileSync('setfattr', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const base64 = (text) => Buffer.from(text).toString('base64');
+
+describe('Extended attributes', () => {
+  let testDir;
+  let dirA;
+  let dirB;
+  let binDir;
+  let originalPath;
+
+  beforeEach(async () => {
+    ({ testDir, dirA, dirB } = await createTempTree('xattrs'));
+    binDir = path.join(testDir, 'bin');
+    await fs.mkdir(binDir);
+    await fs.mkdir(path.join(dirA, 'labelled'), { recursive: true });
+    await fs.writeFile(path.join(dirA, 'report.txt'), 'report');
+
+    originalPath = process.env.PATH;
+  });
+
+  afterEach(async () => {
+    process.env.PATH = originalPath;
+    await removeTempTree();
+  });
+
+  // Put stand-ins for the attr tools first on PATH: getfattr prints a fixed dump of the source,
+  // setfattr logs what it sets and refuses security.* names like a file system without labels
+  async function fakeAttrTools() {
+    await fs.writeFile(path.join(testDir, 'dump.txt'), [
+      `# file: ${path.join(dirA, 'report.txt')}`,
+      `user.tag=0s${base64('secret')}`,
+      `security.label=0s${base64('confidential')}`,
+      '',
+      `# file: ${path.join(dirA, 'labelled')}`,
+      'user.empty',
+      ''
+    ].join('\n'));
+
+    await fs.writeFile(path.join(binDir, 'getfattr'), `#!/bin/sh\ncat "${path.join(testDir, 'dump.txt')}"\n`, { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'setfattr'), [
+      '#!/bin/sh',
+      'eval target=\\${$#}',
+      'for arg; do case "$arg" in --name=security.*) echo "setfattr: $target: Operation not supported" >&2; exit 1;; esac; done',
+      `echo "$*" >> "${path.join(testDir, 'set.log')}"`,
+      ''
+    ].join('\n'), { mode: 0o755 });
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  }
+
+  const setLog = async () => (await fs.readFile(path.join(testDir, 'set.log'), 'utf-8')).trim().split('\n');
+
+  it('should parse getfattr dumps', () => {
+    const found = parseXattrDump([
+      '# file: /data/plain\\040name.txt',
+      `user.a=0s${base64('x')}`,
+      'user.empty',
+      '',
+      '# file: /data/none',
+      '',
+      '# file: /data/dir',
+      `system.wsl_case_sensitive=0s${base64('1')}`
+    ].join('\n'));
+
+    expect([...found.keys()]).toEqual(['/data/plain name.txt', '/data/dir']);
+    expect(found.get('/data/plain name.txt')).toEqual({ 'user.a': base64('x'), 'user.empty': '' });
+    expect(found.get('/data/dir')).toEqual({ 'system.wsl_case_sensitive': base64('1') });
+  });
+
+  it('should carry attributes to copies and created directories, reporting the refused ones', async () => {
+    await fakeAttrTools();
+
+    const manager = Object.assign(new SyncManager(), { xattrs: true });
+    const summary = await manager.syncFoldersOneWay(dirA, dirB);
+
+    expect(await fs.readFile(path.join(dirB, 'report.txt'), 'utf-8')).toBe('report');
+    expect((await setLog()).sort()).toEqual([
+      `--no-dereference --name=user.empty -- ${path.join(dirB, 'labelled')}`,
+      `--no-dereference --name=user.tag --value=0s${base64('secret')} -- ${path.join(dirB, 'report.txt')}`
+    ]);
+    expect(summary.errors).toEqual([]);
+    expect(summary.xattrErrors).toEqual([{
+      target: path.join(dirB, 'report.txt'),
+      attribute: 'security.label',
+      error: 'Operation not supported'
+    }]);
+  });
+
+  it('should list refused attributes in the preview and report them from worker copies', async () => {
+    await fakeAttrTools();
+
+    const handler = new SyncHandler();
+    try {
+      await handler.prepareCliSync({ workerThreads: 1, xattrs: true });
+      const preview = await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(preview.xattrWarnings).toEqual([
+        { path: 'report.txt', attribute: 'security.label', reason: 'Operation not supported' }
+      ]);
+
+      const result = await handler.sync({ sourcePath: dirA, destinationPath: dirB, workerThreads: 1, xattrs: true });
+      expect(result.success).toBe(true);
+      expect(result.xattrErrors).toEqual([
+        expect.objectContaining({ target: path.join(dirB, 'report.txt'), attribute: 'security.label' })
+      ]);
+    } finally {
+      await handler.cleanup();
+    }
+    expect(await setLog()).toContain(`--no-dereference --name=user.tag --value=0s${base64('secret')} -- ${path.join(dirB, 'report.txt')}`);
+  });
+
+  it('should probe outside the target during a preview and report nowhere to probe as unknown', async () => {
+    await fakeAttrTools();
+
+    const handler = new SyncHandler();
+    try {
+      await handler.prepareCliSync({ workerThreads: 1, xattrs: true });
+      await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(await fs.readdir(dirB)).toEqual([]);
+      for (const line of await setLog()) {
+        expect(line.split(' -- ')[1].startsWith(path.join(process.env.HOME, '.wsl-sync', 'probes'))).toBe(true);
+      }
+
+      // A home below a file cannot hold the probe directory
+      process.env.HOME = path.join(dirA, 'report.txt', 'home');
+      const preview = await handler.preview(dirA, dirB, { syncDirection: 'source-to-dest' });
+      expect(preview.xattrWarnings).toEqual([
+        { path: dirB, attribute: null, reason: expect.stringContaining('Could not check') }
+      ]);
+      expect(await fs.readdir(dirB)).toEqual([]);
+    } finally {
+      await handler.cleanup();
+    }
+  });
+
+  it('should still sync when the attr tools are missing', async () => {
+    process.env.PATH = binDir;
+
+    const manager = Object.assign(new SyncManager(), { xattrs: true });
+    const summary = await manager.syncFoldersOneWay(dirA, dirB);
+
+    expect(await fs.readFile(path.join(dirB, 'report.txt'), 'utf-8')).toBe('report');
+    expect(summary.xattrErrors).toEqual([
+      { target: dirA, attribute: null, error: expect.stringContaining('getfattr is not installed') }
+    ]);
+  });
+
+  it.runIf(hasAttrTools)('should read and write user attributes on this file system', async () => {
+    const filePath = path.join(dirA, 'report.txt');
+    const failures = await writeXattrs(filePath, { 'user.tag': base64('secret') });
+
+    // tmpfs without user xattr support refuses them, which is reported rather than thrown
+    if (failures.length > 0) {
+      expect(failures).toEqual([expect.objectContaining({ name: 'user.tag' })]);
+      return;
+    }
+    const found = await readXattrTree([dirA]);
+    expect(found.get(filePath)).toMatchObject({ 'user.tag': base64('secret') });
+  });
+});